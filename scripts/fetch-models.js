@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Download and verify the models in server/model-manifest.json
+ *
+ * Usage:
+ *   npm run fetch-models                     download missing or invalid files
+ *   npm run fetch-models -- --verify         only check the files on disk
+ *   npm run fetch-models -- --pin            also record the size and SHA-256 of
+ *                                            unpinned files in the manifest
+ *   npm run fetch-models -- Xenova/modnet    limit to some models
+ *
+ * A file the manifest doesn't pin yet is pinned on this machine by its first
+ * download (see server/model-registry.js). Run --pin once from a trusted network,
+ * review the manifest diff and commit it; from then on every copy, on every
+ * machine, is checked against those hashes.
+ */
+
+import { writeFileSync } from 'fs'
+import { dirname, join, resolve } from 'path'
+import { fileURLToPath } from 'url'
+import { loadConfig } from '../server/config.js'
+import { loadManifest, createModelRegistry, hashFile } from '../server/model-registry.js'
+
+const rootDir = resolve(dirname(fileURLToPath(import.meta.url)), '..')
+const manifestPath = join(rootDir, 'server', 'model-manifest.json')
+
+const args = process.argv.slice(2)
+const verifyOnly = args.includes('--verify')
+const pin = args.includes('--pin')
+const only = args.filter(arg => !arg.startsWith('--'))
+
+const config = loadConfig(rootDir)
+const manifest = loadManifest(manifestPath)
+const registry = createModelRegistry({
+    manifest,
+    rootDir: resolve(rootDir, config.models.dir),
+    allowUnpinned: pin || config.models.allowUnpinned
+})
+
+const formatMB = bytes => `${(bytes / 1e6).toFixed(1)}MB`
+
+let failures = 0
+let pinned = 0
+
+for (const entry of registry.entries()) {
+    if (only.length > 0 && !only.includes(entry.repo)) continue
+    const name = `${entry.repo}/${entry.file}`
+
+    let result = await registry.check(entry)
+
+    if (!result.ok && !verifyOnly) {
+        console.log(`Downloading ${name}${result.reason === 'missing' ? '' : ` (${result.reason})`}...`)
+        try {
+            result = await registry.download(entry, (received, total) => {
+                if (total) process.stdout.write(`\r  ${formatMB(received)} of ${formatMB(total)}`)
+            })
+            process.stdout.write('\n')
+        } catch (error) {
+            process.stdout.write('\n')
+            result = { ok: false, reason: error.message }
+        }
+    }
+
+    if (!result.ok) {
+        console.error(`✗ ${name}: ${result.reason}`)
+        failures++
+        continue
+    }
+
+    if (pin && !entry.expected.sha256) {
+        entry.expected.size = result.size
+        entry.expected.sha256 = result.sha256 || await hashFile(entry.path)
+        pinned++
+    }
+
+    console.log(`✓ ${name}${result.pinned || entry.expected.sha256 ? '' : ' (size checked only - hash not pinned)'}`)
+}
+
+if (pinned > 0) {
+    writeFileSync(manifestPath, JSON.stringify(manifest, null, 4) + '\n')
+    console.log(`Pinned ${pinned} files in ${manifestPath}`)
+}
+
+if (failures > 0) {
+    console.error(`${failures} model files are missing or invalid`)
+    process.exit(1)
+}
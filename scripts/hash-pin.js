@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+/**
+ * Hash a front desk PIN or password for config.json
+ * Usage: npm run hash-pin
+ * Paste the printed value into "auth": { "staffPinHash": ... }
+ */
+
+import { createInterface } from 'readline'
+import { hashSecret } from '../server/auth.js'
+
+const MIN_LENGTH = 4
+
+const rl = createInterface({ input: process.stdin, output: process.stdout })
+
+rl.question('Staff PIN or password: ', (secret) => {
+    rl.close()
+
+    if (secret.length < MIN_LENGTH) {
+        console.error(`Use at least ${MIN_LENGTH} characters.`)
+        process.exit(1)
+    }
+
+    console.log(`\n"auth": { "staffPinHash": "${hashSecret(secret)}" }`)
+})
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * Render a print job's portrait again from its recipe (see src/photobooth/recipe.js)
+ *
+ * Usage:
+ *   npm run replay-recipe -- <job id>                      at the kiosk's full resolution
+ *   npm run replay-recipe -- <job id> --long-edge 4800     at another size
+ *   npm run replay-recipe -- <job id> --out portrait.png   write here (default <job id>.png)
+ *
+ * Runs the worker's capture and render stages on the CPU, so the portrait matches
+ * the kiosk's exactly when the kiosk rendered without WebGPU (the recipe's `gpu`).
+ * Only reads the queue and the source store, so the server can keep running.
+ */
+
+import { dirname, join, resolve } from 'path'
+import { fileURLToPath } from 'url'
+import sharp from 'sharp'
+import { createQueueStore } from '../server/queue-store.js'
+import { createSourceStore } from '../server/source-store.js'
+import { decodeDataUrl } from '../server/image-store.js'
+import { decodeSource } from '../src/photobooth/recipe.js'
+import { replayRecipe } from '../src/photobooth/pipeline/replay.js'
+
+// The render stages make ImageData, which Node doesn't have
+globalThis.ImageData ??= class ImageData {
+    constructor(dataOrWidth, width, height) {
+        if (typeof dataOrWidth === 'number') {
+            this.width = dataOrWidth
+            this.height = width
+            this.data = new Uint8ClampedArray(dataOrWidth * width * 4)
+        } else {
+            this.width = width
+            this.height = height
+            this.data = dataOrWidth
+        }
+    }
+}
+
+const dataDir = join(resolve(dirname(fileURLToPath(import.meta.url)), '..'), 'data')
+
+const args = process.argv.slice(2)
+const option = name => args.includes(name) ? args[args.indexOf(name) + 1] : undefined
+const jobId = args.find((arg, i) => !arg.startsWith('--') && !args[i - 1]?.startsWith('--'))
+const longEdge = option('--long-edge') === undefined ? undefined : Number(option('--long-edge'))
+
+if (!jobId || (longEdge !== undefined && !(Number.isInteger(longEdge) && longEdge > 0))) {
+    console.error('Usage: npm run replay-recipe -- <job id> [--long-edge <pixels>] [--out <file.png>]')
+    process.exit(1)
+}
+
+const { items } = createQueueStore(join(dataDir, 'print-queue.json')).load()
+const job = items.find(item => item.id === jobId)
+if (!job?.recipeHash || !job.sourcesHash) {
+    console.error(job ? `Print job ${jobId} was sent without a recipe and its sources` : `Print job ${jobId} not found`)
+    process.exit(1)
+}
+
+const sourceStore = createSourceStore(join(dataDir, 'sources'))
+const recipe = await sourceStore.read(job.recipeHash)
+const sources = await sourceStore.read(job.sourcesHash)
+
+const { data, info } = await sharp(decodeDataUrl(sources.capture).buffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+const capture = new ImageData(new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), info.width, info.height)
+
+const image = await replayRecipe(recipe, {
+    capture,
+    matte: decodeSource(sources.matte),
+    depth: decodeSource(sources.depth)
+}, { longEdge })
+
+const outPath = resolve(option('--out') || `${jobId}.png`)
+await sharp(Buffer.from(image.data.buffer, image.data.byteOffset, image.data.length), {
+    raw: { width: image.width, height: image.height, channels: 4 }
+}).png().toFile(outPath)
+
+console.log(`Rendered ${jobId} at ${image.width}x${image.height} to ${outPath}`)
@@ -7,8 +7,23 @@ import express from 'express'
 import { createServer as createViteServer } from 'vite'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
-import { writeFileSync, readFileSync, existsSync, mkdirSync, statSync, createWriteStream } from 'fs'
-import https from 'https'
+import { existsSync, mkdirSync, readdirSync } from 'fs'
+import { writeFile, rename, unlink } from 'fs/promises'
+import { createImageStore } from './server/image-store.js'
+import { createSourceStore } from './server/source-store.js'
+import { createEventStream } from './server/queue-events.js'
+import { createQueueStore } from './server/queue-store.js'
+import { loadConfig } from './server/config.js'
+import { createPrinter } from './server/printers/index.js'
+import { LAYOUT_TEMPLATES, PAPER_SIZES, resolveTemplate, renderLayout } from './server/print-layout.js'
+import { createAuth } from './server/auth.js'
+import { selectExpired, createAuditLog } from './server/retention.js'
+import {
+    createDownloadToken, isDownloadExpired, downloadUrl, qrCodeSvg, downloadPage
+} from './server/downloads.js'
+import { createTicketCounter } from './server/tickets.js'
+import { loadManifest, createModelRegistry } from './server/model-registry.js'
+import { createServerSegmenter, INPUT_SIZE } from './server/segmentation.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -16,94 +31,200 @@ const __dirname = dirname(__filename)
 const app = express()
 const PORT = process.env.PORT || 3000
 const isDev = process.env.NODE_ENV !== 'production'
+const config = loadConfig(__dirname)
 
 // ==========================================
-// RMBG-1.4 MODEL ON-DEMAND DOWNLOAD
+// LOCAL MODEL REGISTRY
 // ==========================================
 
-const MODEL_DIR = join(__dirname, isDev ? 'public' : 'dist', 'models', 'briaai', 'RMBG-1.4')
-const ONNX_PATH = join(MODEL_DIR, 'onnx', 'model.onnx')
-const MODEL_URL = 'https://huggingface.co/briaai/RMBG-1.4/resolve/main/onnx/model.onnx'
-const MIN_MODEL_SIZE = 100000000 // 100MB - real model is ~176MB
+// Models listed in server/model-manifest.json, served from disk at /models/
+// (see server/model-registry.js; `npm run fetch-models` fills it in advance)
+const modelRegistry = createModelRegistry({
+    manifest: loadManifest(join(__dirname, 'server', 'model-manifest.json')),
+    rootDir: join(__dirname, config.models.dir),
+    allowUnpinned: config.models.allowUnpinned
+})
+if (config.models.allowUnpinned) {
+    console.warn('models.allowUnpinned is on - model files nothing has pinned are served unverified')
+}
 
-let modelDownloadPromise = null
+// Fetch a model file from its source (concurrent callers share one download)
+async function downloadModelFile(entry) {
+    console.log(`Downloading ${entry.repo}/${entry.file}...`)
+    const result = await modelRegistry.download(entry)
+    console.log(`Downloaded ${entry.repo}/${entry.file}`)
+    return result
+}
 
-function isModelValid() {
-    if (!existsSync(ONNX_PATH)) return false
+// Per-model state and progress, polled by the photobooth while models download
+app.get('/api/models/status', async (req, res) => {
     try {
-        const stats = statSync(ONNX_PATH)
-        return stats.size > MIN_MODEL_SIZE
-    } catch {
-        return false
-    }
-}
-
-async function downloadModel() {
-    // If already downloading, wait for that
-    if (modelDownloadPromise) return modelDownloadPromise
-
-    if (isModelValid()) return Promise.resolve()
-
-    console.log('Downloading RMBG-1.4 model from Hugging Face...')
-    mkdirSync(join(MODEL_DIR, 'onnx'), { recursive: true })
-
-    modelDownloadPromise = new Promise((resolve, reject) => {
-        const makeRequest = (url) => {
-            https.get(url, (response) => {
-                if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-                    makeRequest(response.headers.location)
-                    return
-                }
-
-                if (response.statusCode !== 200) {
-                    reject(new Error(`HTTP ${response.statusCode}`))
-                    return
-                }
-
-                const totalSize = parseInt(response.headers['content-length'], 10)
-                let downloaded = 0
-                const file = createWriteStream(ONNX_PATH)
-
-                response.on('data', (chunk) => {
-                    downloaded += chunk.length
-                    const pct = ((downloaded / totalSize) * 100).toFixed(1)
-                    process.stdout.write(`\rDownloading RMBG-1.4: ${pct}%`)
-                })
-
-                response.pipe(file)
-
-                file.on('finish', () => {
-                    file.close()
-                    console.log('\nRMBG-1.4 model download complete!')
-                    modelDownloadPromise = null
-                    resolve()
-                })
-
-                file.on('error', (err) => {
-                    modelDownloadPromise = null
-                    reject(err)
-                })
-            }).on('error', (err) => {
-                modelDownloadPromise = null
-                reject(err)
+        res.json({ models: await modelRegistry.status() })
+    } catch (error) {
+        console.error('Error reading model status:', error)
+        res.status(500).json({ error: 'Failed to read model status' })
+    }
+})
+
+// Start downloading a model's missing files in the background
+app.post('/api/models/prepare', express.json(), async (req, res) => {
+    const repo = req.body?.repo
+    const files = modelRegistry.entries().filter(entry => entry.repo === repo)
+
+    if (files.length === 0) {
+        return res.status(404).json({ error: `Unknown model "${repo}"` })
+    }
+    if (!config.models.downloadOnDemand) {
+        return res.status(409).json({ error: 'Model downloads are disabled. Run npm run fetch-models.' })
+    }
+
+    for (const entry of files) {
+        if (!(await modelRegistry.check(entry)).ok) {
+            downloadModelFile(entry).catch(error => {
+                console.error(`Failed to download ${entry.repo}/${entry.file}:`, error.message)
             })
         }
-        makeRequest(MODEL_URL)
+    }
+
+    res.status(202).json({ repo, status: (await modelRegistry.status())[repo] })
+})
+
+// Serve a model file only once it has passed its integrity check
+app.get('/models/*', async (req, res, next) => {
+    const entry = modelRegistry.resolve(req.params[0])
+    if (!entry) return next()
+
+    try {
+        let result = await modelRegistry.check(entry)
+
+        if (!result.ok && config.models.downloadOnDemand) {
+            result = await downloadModelFile(entry)
+        }
+
+        if (!result.ok) {
+            console.error(`Refusing to serve ${entry.repo}/${entry.file}: ${result.reason}`)
+            return res.status(503).json({ error: `Model file unavailable (${result.reason}). Run npm run fetch-models.` })
+        }
+
+        // Verified files only change when the manifest does
+        res.set('Cache-Control', result.pinned ? 'public, max-age=31536000, immutable' : 'no-cache')
+        res.sendFile(entry.path)
+    } catch (error) {
+        console.error(`Failed to serve model file ${entry.repo}/${entry.file}:`, error)
+        res.status(503).json({ error: 'Model file unavailable' })
+    }
+})
+
+// ONNX Runtime's WebAssembly files, so Transformers.js doesn't fetch them from a CDN
+const ORT_WASM_DIR = join(__dirname, 'node_modules', '@huggingface', 'transformers', 'dist')
+
+app.get('/ort/:file', (req, res, next) => {
+    if (!/^ort-wasm[\w.-]*\.(wasm|mjs)$/.test(req.params.file)) return next()
+    res.sendFile(join(ORT_WASM_DIR, req.params.file), error => {
+        if (error) next()
+    })
+})
+
+// MediaPipe's WebAssembly runtime, for the same reason
+const MEDIAPIPE_WASM_DIR = join(__dirname, 'node_modules', '@mediapipe', 'tasks-vision', 'wasm')
+
+app.get('/mediapipe/:file', (req, res, next) => {
+    if (!/^vision_wasm[\w]*\.(wasm|js)$/.test(req.params.file)) return next()
+    res.sendFile(join(MEDIAPIPE_WASM_DIR, req.params.file), error => {
+        if (error) next()
     })
+})
+
+// Settings the photobooth reads at startup
+app.get('/api/photobooth/config', (req, res) => {
+    res.json({
+        segmentation: { backends: config.segmentation.backends },
+        // What the server keeps of a print job besides the portrait, so kiosks
+        // don't upload the visitor's unedited photo for nothing
+        uploads: {
+            original: config.downloads.enabled && config.downloads.includeOriginal,
+            recipe: config.recipes.enabled
+        }
+    })
+})
 
-    return modelDownloadPromise
+// ==========================================
+// SERVER-SIDE SEGMENTATION
+// ==========================================
+
+const SEGMENTATION_MODEL = 'briaai/RMBG-1.4'
+
+const serverSegmenter = createServerSegmenter({
+    threads: config.segmentation.server.threads,
+    modelPath: async () => {
+        const entry = modelRegistry.resolve(`${SEGMENTATION_MODEL}/onnx/model.onnx`)
+        let result = await modelRegistry.check(entry)
+        if (!result.ok && config.models.downloadOnDemand) {
+            result = await downloadModelFile(entry)
+        }
+        if (!result.ok) {
+            throw new Error(`${SEGMENTATION_MODEL} unavailable (${result.reason}). Run npm run fetch-models.`)
+        }
+        return entry.path
+    }
+})
+
+// Block segmentation requests when it's turned off in config
+function requireServerSegmentation(req, res, next) {
+    if (!config.segmentation.server.enabled) {
+        return res.status(404).json({ error: 'Server segmentation is disabled' })
+    }
+    next()
 }
 
-// Intercept model.onnx requests - download if needed, then serve
-app.get('/models/briaai/RMBG-1.4/onnx/model.onnx', async (req, res) => {
+// Load the model, so the photobooth knows whether it can use this backend
+app.get('/api/segment', requireServerSegmentation, async (req, res) => {
     try {
-        if (!isModelValid()) {
-            await downloadModel()
-        }
-        res.sendFile(ONNX_PATH)
+        await serverSegmenter.load()
+        res.json({ model: SEGMENTATION_MODEL, inputSize: INPUT_SIZE })
     } catch (error) {
-        console.error('Failed to serve model:', error)
-        res.status(500).json({ error: 'Failed to download model' })
+        console.error('Server segmentation unavailable:', error.message)
+        res.status(503).json({ error: `Server segmentation unavailable: ${error.message}` })
+    }
+})
+
+// Segment a photo sent as the request body (image/jpeg, image/png or image/webp).
+// ?format=png (default) returns a grayscale mask at the photo's size;
+// ?format=float16 returns the raw matte, with its size in X-Mask-Width/X-Mask-Height
+app.post('/api/segment', requireServerSegmentation, express.raw({ type: 'image/*', limit: '50mb' }), async (req, res) => {
+    const format = req.query.format || 'png'
+    if (!['png', 'float16'].includes(format)) {
+        return res.status(400).json({ error: 'format must be png or float16' })
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Send the photo as the request body with an image/* Content-Type' })
+    }
+
+    try {
+        await serverSegmenter.load()
+    } catch (error) {
+        console.error('Server segmentation unavailable:', error.message)
+        return res.status(503).json({ error: `Server segmentation unavailable: ${error.message}` })
+    }
+
+    try {
+        const started = Date.now()
+        const mask = await serverSegmenter.segment(req.body, { format })
+        console.log(`Segmented ${mask.width}x${mask.height} ${format} mask in ${Date.now() - started}ms`)
+
+        res.set({
+            'Content-Type': mask.contentType,
+            'X-Mask-Width': mask.width,
+            'X-Mask-Height': mask.height,
+            'Cache-Control': 'no-store'
+        })
+        res.send(mask.body)
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message })
+        }
+        console.error('Error segmenting photo:', error)
+        res.status(500).json({ error: 'Segmentation failed' })
     }
 })
 
@@ -117,68 +238,387 @@ if (!existsSync(dataDir)) {
     mkdirSync(dataDir, { recursive: true })
 }
 
-// Load existing queue from file
+// Portrait JPEGs live on disk; the queue JSON only references them by hash
+const imageStore = createImageStore(join(dataDir, 'images'))
+
+// Each portrait's recipe and what it was rendered from, for rendering it again
+const sourceStore = createSourceStore(join(dataDir, 'sources'))
+
+// Snapshot + journal persistence (see server/queue-store.js)
+const queueStore = createQueueStore(QUEUE_FILE)
+
+// Fold the journal into a fresh snapshot after this many changes
+const JOURNAL_COMPACT_THRESHOLD = 100
+
+// Load existing queue, recovering from backups and the journal if needed
 function loadQueue() {
     try {
-        if (existsSync(QUEUE_FILE)) {
-            const data = readFileSync(QUEUE_FILE, 'utf-8')
-            printQueue = JSON.parse(data)
-            console.log(`Loaded ${printQueue.length} items from print queue`)
+        const { items, source, replayed, recovered } = queueStore.load()
+        printQueue = items
+
+        if (recovered) {
+            console.warn(`Recovered print queue from ${source || 'journal'} (${replayed} journal entries replayed)`)
         }
+        if (recovered || replayed > 0) {
+            saveQueue()
+        }
+        console.log(`Loaded ${printQueue.length} items from print queue`)
     } catch (error) {
         console.error('Error loading print queue:', error)
         printQueue = []
     }
 }
 
-// Save queue to file
+// Write a full snapshot of the queue
 function saveQueue() {
     try {
-        writeFileSync(QUEUE_FILE, JSON.stringify(printQueue, null, 2))
+        queueStore.snapshot(printQueue)
     } catch (error) {
         console.error('Error saving print queue:', error)
     }
 }
 
-// Initialize queue
+// Journal a single job change; cheap enough to run on every update
+function recordJob(item) {
+    try {
+        if (queueStore.put(item) >= JOURNAL_COMPACT_THRESHOLD) saveQueue()
+    } catch (error) {
+        console.error(`Error journaling print job ${item.id}:`, error)
+    }
+}
+
+function recordRemoval(id) {
+    try {
+        if (queueStore.remove(id) >= JOURNAL_COMPACT_THRESHOLD) saveQueue()
+    } catch (error) {
+        console.error(`Error journaling removal of print job ${id}:`, error)
+    }
+}
+
+// Move base64 images left in the queue file by older versions into the image store
+async function migrateInlineImages() {
+    const legacyItems = printQueue.filter(item => item.image)
+    if (legacyItems.length === 0) return
+
+    for (const item of legacyItems) {
+        try {
+            const { hash } = await imageStore.put(item.image)
+            item.imageHash = hash
+            delete item.image
+        } catch (error) {
+            console.error(`Error migrating image for print job ${item.id}:`, error)
+        }
+    }
+    saveQueue()
+
+    console.log(`Migrated ${legacyItems.length} inline images to the image store`)
+}
+
+// Print-ready layouts, rendered on first use and cached per job and template
+const PRINT_FILE_DIR = join(dataDir, 'print-files')
+mkdirSync(PRINT_FILE_DIR, { recursive: true })
+
+function jobTemplate(item) {
+    return resolveTemplate(item.settings?.template, config.layout.defaultTemplate)
+}
+
+// Render (or reuse) the laid-out print file for a job
+async function renderPrintFile(item) {
+    const template = jobTemplate(item)
+    const isPdf = config.layout.format === 'pdf'
+    const path = join(PRINT_FILE_DIR, `${item.id}-${template.id}.${isPdf ? 'pdf' : 'jpg'}`)
+
+    if (!existsSync(path)) {
+        const { buffer } = await renderLayout(imageStore.imagePath(item.imageHash), template, {
+            date: item.createdAt,
+            format: config.layout.format
+        })
+        await writeFile(`${path}.tmp`, buffer)
+        await rename(`${path}.tmp`, path)
+    }
+
+    return { path, mimeType: isPdf ? 'application/pdf' : 'image/jpeg' }
+}
+
+async function removePrintFiles(id) {
+    const files = readdirSync(PRINT_FILE_DIR).filter(name => name.startsWith(`${id}-`))
+    for (const name of files) {
+        try {
+            await unlink(join(PRINT_FILE_DIR, name))
+        } catch (error) {
+            console.error(`Error removing print file ${name}:`, error)
+        }
+    }
+}
+
+// Images a job references: the processed portrait and, if kept, the camera original
+function jobImageHashes(item) {
+    return [item.imageHash, item.originalHash].filter(Boolean)
+}
+
+// Delete an image file once no remaining job references it
+async function releaseImage(hash) {
+    if (!hash || printQueue.some(item => jobImageHashes(item).includes(hash))) return
+
+    try {
+        await imageStore.remove(hash)
+    } catch (error) {
+        console.error(`Error removing image ${hash}:`, error)
+    }
+}
+
+// Delete a recipe or its sources once no remaining job references them
+async function releaseRecipeFile(hash) {
+    if (!hash || printQueue.some(item => item.recipeHash === hash || item.sourcesHash === hash)) return
+
+    try {
+        await sourceStore.remove(hash)
+    } catch (error) {
+        console.error(`Error removing recipe file ${hash}:`, error)
+    }
+}
+
+// Live updates for the front desk (job-added, status-changed, deleted)
+const queueEvents = createEventStream()
+
+// Live updates for the lobby pickup screen - ticket numbers only
+const pickupEvents = createEventStream()
+
+// Daily pickup tickets ("A-042") shown to visitors and staff
+const tickets = createTicketCounter(join(dataDir, 'tickets.json'), config.tickets)
+
+// Tickets on the lobby screen: being printed (oldest first) and ready to collect (newest first)
+function pickupBoard() {
+    const withTicket = status => printQueue.filter(item => item.ticket && item.status === status)
+    const finishedAt = item => new Date(item.printedAt || item.updatedAt || item.createdAt)
+
+    return {
+        printing: withTicket('printing')
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .map(item => item.ticket),
+        ready: withTicket('completed')
+            .sort((a, b) => finishedAt(b) - finishedAt(a))
+            .map(item => item.ticket)
+    }
+}
+
+// Tell the front desk about a job change, and refresh the pickup screen
+function publishJobEvent(type, data) {
+    queueEvents.broadcast(type, data)
+    pickupEvents.broadcast('board', pickupBoard())
+}
+
+// Every deletion of a visitor's portrait is recorded here
+const auditLog = createAuditLog(join(dataDir, 'audit.log'))
+
+/**
+ * Remove a job from the queue along with its image and print files
+ * Callers that remove many jobs pass { journal: false } and save a snapshot afterwards.
+ * @param {Object} item
+ * @param {string} reason - Why it was deleted, for the audit log
+ */
+function deleteJob(item, reason, { journal = true } = {}) {
+    const index = printQueue.indexOf(item)
+    if (index === -1) return
+
+    printQueue.splice(index, 1)
+    if (journal) recordRemoval(item.id)
+    jobImageHashes(item).forEach(releaseImage)
+    releaseRecipeFile(item.recipeHash)
+    releaseRecipeFile(item.sourcesHash)
+    removePrintFiles(item.id)
+        .catch(error => console.error(`Error removing print files for ${item.id}:`, error))
+    publishJobEvent('deleted', { id: item.id })
+
+    auditLog.record('delete', {
+        jobId: item.id,
+        reason,
+        status: item.status,
+        createdAt: item.createdAt,
+        imageHash: item.imageHash,
+        originalHash: item.originalHash,
+        recipeHash: item.recipeHash,
+        sourcesHash: item.sourcesHash
+    })
+}
+
+// Server-side printing (null when the front desk prints from the browser)
+const printer = createPrinter(config.printer, __dirname)
+if (printer) {
+    console.log(`Printing via ${printer.name} driver`)
+}
+
+// Public view of a queue item - everything the front desk list needs, minus settings
+function summarizeJob(item) {
+    return {
+        id: item.id,
+        ticket: item.ticket,
+        timestamp: item.timestamp,
+        status: item.status,
+        createdAt: item.createdAt,
+        printError: item.printError,
+        // Include thumbnail for pending items
+        thumbnail: item.status === 'pending' && item.imageHash
+            ? `/api/print-queue/${item.id}/thumbnail`
+            : undefined
+    }
+}
+
+// Initialize queue; the retention sweeper waits until legacy images are migrated
 loadQueue()
+migrateInlineImages()
+    .catch(error => console.error('Error migrating print queue images:', error))
+    .then(startRetentionSweeper)
 
 // Middleware for JSON parsing
 app.use(express.json({ limit: '50mb' }))
 
+// ==========================================
+// STAFF AUTHENTICATION
+// ==========================================
+
+const auth = createAuth(config.auth)
+if (!config.auth.staffPinHash) {
+    console.warn('No staff PIN configured - the print queue is locked. Run `npm run hash-pin` and add it to config.json.')
+}
+
+app.post('/api/auth/login', auth.routes.login)
+app.post('/api/auth/logout', auth.routes.logout)
+app.get('/api/auth/session', auth.routes.session)
+
+// Kiosks may only submit new jobs; everything else in the queue is staff-only
+app.use('/api/print-queue', (req, res, next) => {
+    if (req.method === 'POST' && req.path === '/') return next()
+    auth.requireStaff(req, res, next)
+})
+
 // ==========================================
 // PRINT QUEUE API
 // ==========================================
 
-// Add item to print queue
-app.post('/api/print-queue', (req, res) => {
+// Error carrying the HTTP status to answer with
+function requestError(status, message) {
+    return Object.assign(new Error(message), { status })
+}
+
+// Store a submitted portrait and add it to the queue
+async function addPrintJob({ image, original, timestamp, settings, recipe, sources }, idempotencyKey) {
+    if (!image) {
+        throw requestError(400, 'No image provided')
+    }
+
+    let stored
     try {
-        const { image, timestamp, settings } = req.body
+        stored = await imageStore.put(image)
+    } catch (error) {
+        throw requestError(400, 'Invalid image data')
+    }
 
-        if (!image) {
-            return res.status(400).json({ error: 'No image provided' })
+    // The unstyled capture is only kept as a download when visitors may have it;
+    // kiosks sending a recipe leave it to be made from the recipe's capture
+    let originalHash
+    const unstyled = original || sources?.capture
+    if (unstyled && config.downloads.enabled && config.downloads.includeOriginal) {
+        try {
+            originalHash = (await imageStore.put(unstyled)).hash
+        } catch (error) {
+            console.error('Ignoring invalid original image:', error.message)
         }
+    }
 
-        const queueItem = {
-            id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
-            image,
-            timestamp: timestamp || new Date().toISOString(),
-            settings: settings || {},
-            status: 'pending',
-            createdAt: new Date().toISOString()
+    // How the portrait was made and what from, so staff can render it again
+    // (see src/photobooth/recipe.js); a bad recipe never stops the print
+    let recipeHash
+    let sourcesHash
+    if (recipe && config.recipes.enabled) {
+        try {
+            recipeHash = (await sourceStore.putRecipe(recipe)).hash
+        } catch (error) {
+            console.error('Ignoring invalid print recipe:', error.message)
+        }
+    }
+    if (recipeHash && sources) {
+        try {
+            sourcesHash = (await sourceStore.put(sources)).hash
+        } catch (error) {
+            console.error('Ignoring invalid recipe sources:', error.message)
         }
+    }
 
-        printQueue.push(queueItem)
-        saveQueue()
+    let ticket
+    try {
+        ticket = tickets.next()
+    } catch (error) {
+        console.error('Error assigning ticket number:', error)
+    }
 
-        console.log(`Added print job ${queueItem.id} to queue. Total: ${printQueue.length}`)
+    const queueItem = {
+        id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+        ticket,
+        idempotencyKey,
+        imageHash: stored.hash,
+        originalHash,
+        timestamp: timestamp || new Date().toISOString(),
+        settings: settings || {},
+        recipeHash,
+        sourcesHash,
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        download: config.downloads.enabled ? createDownloadToken(config.downloads.ttlHours) : undefined
+    }
+
+    printQueue.push(queueItem)
+    recordJob(queueItem)
+
+    publishJobEvent('job-added', summarizeJob(queueItem))
+
+    console.log(`Added print job ${queueItem.id} (${ticket}) to queue. Total: ${printQueue.length}`)
+
+    return queueItem
+}
+
+// Submissions still being stored, by idempotency key, so a retry that arrives
+// while the first attempt is in progress waits for it instead of adding a copy
+const pendingSubmissions = new Map()
+
+// Add item to print queue
+// Kiosks send an Idempotency-Key header; repeating a request with the same key
+// returns the job it created the first time instead of queueing it again.
+app.post('/api/print-queue', async (req, res) => {
+    const key = req.get('Idempotency-Key')
+
+    if (key !== undefined && !/^[\w-]{8,128}$/.test(key)) {
+        return res.status(400).json({ error: 'Invalid Idempotency-Key header' })
+    }
+
+    try {
+        let item = key && printQueue.find(i => i.idempotencyKey === key)
+
+        if (item) {
+            console.log(`Repeated submission ${key}, returning print job ${item.id}`)
+        } else if (key && pendingSubmissions.has(key)) {
+            item = await pendingSubmissions.get(key)
+        } else {
+            const adding = addPrintJob(req.body, key)
+            if (key) pendingSubmissions.set(key, adding)
+            try {
+                item = await adding
+            } finally {
+                pendingSubmissions.delete(key)
+            }
+        }
 
         res.json({
             success: true,
-            id: queueItem.id,
-            position: printQueue.filter(item => item.status === 'pending').length
+            id: item.id,
+            ticket: item.ticket,
+            position: printQueue.filter(i => i.status === 'pending' && i.createdAt <= item.createdAt).length,
+            download: item.download ? await describeDownload(req, item.download) : undefined
         })
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message })
+        }
         console.error('Error adding to print queue:', error)
         res.status(500).json({ error: 'Failed to add to print queue' })
     }
@@ -199,17 +639,15 @@ app.get('/api/print-queue', (req, res) => {
     res.json({
         total: printQueue.length,
         pending: printQueue.filter(item => item.status === 'pending').length,
-        items: items.map(item => ({
-            id: item.id,
-            timestamp: item.timestamp,
-            status: item.status,
-            createdAt: item.createdAt,
-            // Include image for pending items
-            image: item.status === 'pending' ? item.image : undefined
-        }))
+        items: items.map(summarizeJob)
     })
 })
 
+// Live queue updates - registered before /:id so "events" isn't taken as a job ID
+app.get('/api/print-queue/events', (req, res) => {
+    queueEvents.subscribe(req, res)
+})
+
 // Get single print job
 app.get('/api/print-queue/:id', (req, res) => {
     const item = printQueue.find(i => i.id === req.params.id)
@@ -218,7 +656,128 @@ app.get('/api/print-queue/:id', (req, res) => {
         return res.status(404).json({ error: 'Print job not found' })
     }
 
-    res.json(item)
+    const template = jobTemplate(item)
+
+    res.json({
+        ...item,
+        imageUrl: item.imageHash ? `/api/print-queue/${item.id}/image` : null,
+        recipeUrl: item.recipeHash ? `/api/print-queue/${item.id}/recipe` : null,
+        sourcesUrl: item.sourcesHash ? `/api/print-queue/${item.id}/sources` : null,
+        layout: {
+            template: template.id,
+            paper: PAPER_SIZES[template.paper],
+            format: config.layout.format,
+            url: `/api/print-queue/${item.id}/print-file`
+        }
+    })
+})
+
+// Available print layouts for the front desk
+app.get('/api/layout-templates', auth.requireStaff, (req, res) => {
+    res.json({
+        defaultTemplate: config.layout.defaultTemplate,
+        templates: Object.entries(LAYOUT_TEMPLATES).map(([id, template]) => ({
+            id,
+            label: template.label,
+            paper: template.paper
+        }))
+    })
+})
+
+// The exact file that goes to the printer: portrait composed onto the job's template
+app.get('/api/print-queue/:id/print-file', async (req, res) => {
+    const item = printQueue.find(i => i.id === req.params.id)
+
+    if (!item || !item.imageHash || !imageStore.has(item.imageHash)) {
+        return res.status(404).json({ error: 'Image not found' })
+    }
+
+    try {
+        const { path, mimeType } = await renderPrintFile(item)
+        res.type(mimeType).sendFile(path)
+    } catch (error) {
+        console.error(`Error rendering print file for ${item.id}:`, error)
+        res.status(500).json({ error: 'Failed to render print layout' })
+    }
+})
+
+// Stream a print job's full-size image or thumbnail from the image store
+function sendJobImage(getPath) {
+    return (req, res) => {
+        const item = printQueue.find(i => i.id === req.params.id)
+
+        if (!item || !item.imageHash || !imageStore.has(item.imageHash)) {
+            return res.status(404).json({ error: 'Image not found' })
+        }
+
+        // Files are content-addressed, so a job's image never changes
+        res.set('Cache-Control', 'private, max-age=31536000, immutable')
+        res.type('jpeg').sendFile(getPath(item.imageHash))
+    }
+}
+
+app.get('/api/print-queue/:id/image', sendJobImage(imageStore.imagePath))
+app.get('/api/print-queue/:id/thumbnail', sendJobImage(imageStore.thumbnailPath))
+
+// Stream a job's recipe or its sources from the source store, as the kiosk sent them
+function sendRecipeFile(field, name) {
+    return (req, res) => {
+        const item = printQueue.find(i => i.id === req.params.id)
+
+        if (!item || !item[field] || !sourceStore.has(item[field])) {
+            return res.status(404).json({ error: `${name} not found` })
+        }
+
+        res.set('Cache-Control', 'private, max-age=31536000, immutable')
+        res.type('json').sendFile(sourceStore.filePath(item[field]))
+    }
+}
+
+// The recipe (see src/photobooth/recipe.js) and what it was rendered from (see decodeSource)
+app.get('/api/print-queue/:id/recipe', sendRecipeFile('recipeHash', 'Recipe'))
+app.get('/api/print-queue/:id/sources', sendRecipeFile('sourcesHash', 'Recipe sources'))
+
+// Set a job's status, persist it and tell the front desk
+function setJobStatus(item, status, details = {}) {
+    Object.assign(item, details, {
+        status,
+        updatedAt: new Date().toISOString()
+    })
+    recordJob(item)
+    publishJobEvent('status-changed', summarizeJob(item))
+
+    console.log(`Updated print job ${item.id} status to ${status}`)
+}
+
+// Send a job to the configured printer and report the outcome back into its status
+async function dispatchPrint(item) {
+    try {
+        const { path } = await renderPrintFile(item)
+        const { driverJobId } = await printer.print({
+            id: item.id,
+            file: path,
+            title: `Timmons portrait ${item.id}`,
+            copies: 1
+        })
+
+        // Staff may have cancelled or deleted the job while it printed
+        if (printQueue.includes(item) && item.status === 'printing') {
+            setJobStatus(item, 'completed', { printedAt: new Date().toISOString(), driverJobId })
+        }
+    } catch (error) {
+        console.error(`Print job ${item.id} failed:`, error.message)
+        if (printQueue.includes(item) && item.status === 'printing') {
+            setJobStatus(item, 'failed', { printError: error.message })
+        }
+    }
+}
+
+// Printing mode for the front desk page
+app.get('/api/printer', auth.requireStaff, (req, res) => {
+    res.json({
+        driver: config.printer.driver,
+        serverPrinting: printer !== null
+    })
 })
 
 // Update print job status
@@ -229,14 +788,30 @@ app.patch('/api/print-queue/:id', (req, res) => {
         return res.status(404).json({ error: 'Print job not found' })
     }
 
-    const { status } = req.body
+    const { status, template } = req.body
 
-    if (status && ['pending', 'printing', 'completed', 'cancelled'].includes(status)) {
-        item.status = status
+    if (template !== undefined) {
+        if (!LAYOUT_TEMPLATES[template]) {
+            return res.status(400).json({ error: `Unknown layout template "${template}"` })
+        }
+        item.settings = { ...item.settings, template }
         item.updatedAt = new Date().toISOString()
-        saveQueue()
+        recordJob(item)
+        console.log(`Set print job ${item.id} layout to ${template}`)
+    }
+
+    if (status && ['pending', 'printing', 'completed', 'cancelled'].includes(status)) {
+        const startPrinting = status === 'printing' && item.status !== 'printing' && printer
+
+        if (startPrinting && !imageStore.has(item.imageHash)) {
+            return res.status(409).json({ error: 'Print job has no image to print' })
+        }
 
-        console.log(`Updated print job ${item.id} status to ${status}`)
+        setJobStatus(item, status, { printError: undefined })
+
+        if (startPrinting) {
+            dispatchPrint(item)
+        }
     }
 
     res.json({ success: true, item })
@@ -244,16 +819,15 @@ app.patch('/api/print-queue/:id', (req, res) => {
 
 // Delete print job
 app.delete('/api/print-queue/:id', (req, res) => {
-    const index = printQueue.findIndex(i => i.id === req.params.id)
+    const item = printQueue.find(i => i.id === req.params.id)
 
-    if (index === -1) {
+    if (!item) {
         return res.status(404).json({ error: 'Print job not found' })
     }
 
-    const removed = printQueue.splice(index, 1)[0]
-    saveQueue()
+    deleteJob(item, 'staff')
 
-    console.log(`Deleted print job ${removed.id}`)
+    console.log(`Deleted print job ${item.id}`)
 
     res.json({ success: true })
 })
@@ -261,7 +835,10 @@ app.delete('/api/print-queue/:id', (req, res) => {
 // Clear completed/cancelled jobs
 app.post('/api/print-queue/clear-completed', (req, res) => {
     const before = printQueue.length
-    printQueue = printQueue.filter(item => item.status === 'pending' || item.status === 'printing')
+    // Failed jobs stay until staff retry or cancel them
+    const isActive = item => ['pending', 'printing', 'failed'].includes(item.status)
+    const cleared = printQueue.filter(item => !isActive(item))
+    cleared.forEach(item => deleteJob(item, 'clear-completed', { journal: false }))
     saveQueue()
 
     console.log(`Cleared ${before - printQueue.length} completed/cancelled jobs`)
@@ -273,6 +850,142 @@ app.post('/api/print-queue/clear-completed', (req, res) => {
     })
 })
 
+// ==========================================
+// PICKUP SCREEN (public, read-only)
+// ==========================================
+
+app.get('/api/pickup', (req, res) => {
+    res.json(pickupBoard())
+})
+
+app.get('/api/pickup/events', (req, res) => {
+    pickupEvents.subscribe(req, res)
+    // Send the current board straight away so a new screen doesn't wait for a change
+    res.write(`event: board\ndata: ${JSON.stringify(pickupBoard())}\n\n`)
+})
+
+// ==========================================
+// VISITOR DOWNLOADS
+// ==========================================
+
+// Download link and QR code shown on the photobooth success panel
+async function describeDownload(req, download) {
+    const baseUrl = config.downloads.publicUrl || `${req.protocol}://${req.get('host')}`
+    const url = downloadUrl(baseUrl, download.token)
+    return { url, qrSvg: await qrCodeSvg(url), expiresAt: download.expiresAt }
+}
+
+function findByDownloadToken(token) {
+    return printQueue.find(item => item.download?.token === token)
+}
+
+// Keep download links out of caches, search engines and other sites' referrer logs
+function privateDownloadHeaders(res) {
+    res.set({
+        'Cache-Control': 'private, no-store',
+        'Referrer-Policy': 'no-referrer',
+        'X-Robots-Tag': 'noindex'
+    })
+}
+
+app.get('/p/:token', (req, res) => {
+    const item = findByDownloadToken(req.params.token)
+    privateDownloadHeaders(res)
+
+    if (!item || isDownloadExpired(item.download)) {
+        return res.status(410).type('html').send(downloadPage({ token: null, expiresAt: null }))
+    }
+
+    res.type('html').send(downloadPage({
+        token: item.download.token,
+        expiresAt: item.download.expiresAt,
+        hasOriginal: Boolean(item.originalHash)
+    }))
+})
+
+function sendDownload(getHash, filename) {
+    return (req, res) => {
+        const item = findByDownloadToken(req.params.token)
+        const hash = item && getHash(item)
+        privateDownloadHeaders(res)
+
+        if (!item || isDownloadExpired(item.download) || !hash || !imageStore.has(hash)) {
+            return res.status(410).json({ error: 'This download link has expired' })
+        }
+
+        if (req.query.download) res.attachment(filename)
+        res.type('jpeg').sendFile(imageStore.imagePath(hash))
+    }
+}
+
+app.get('/p/:token/portrait.jpg', sendDownload(item => item.imageHash, 'timmons-portrait.jpg'))
+app.get('/p/:token/original.jpg', sendDownload(item => item.originalHash, 'timmons-original.jpg'))
+
+// ==========================================
+// RETENTION SWEEPER
+// ==========================================
+
+// Images and print files no job references get this long before they are
+// treated as leftovers (covers an upload that is still being queued)
+const ORPHAN_GRACE_MS = 10 * 60 * 1000
+
+// Delete every job the retention policy has expired (see server/retention.js)
+async function sweepExpiredJobs() {
+    const expired = selectExpired(printQueue, config.retention)
+
+    if (expired.length > 0) {
+        expired.forEach(({ item, reason }) => deleteJob(item, reason, { journal: false }))
+        saveQueue()
+        console.log(`Retention sweep deleted ${expired.length} print jobs`)
+    }
+
+    await removeOrphanedFiles()
+}
+
+// Catch files left behind by a crash between saving an image and queueing its job
+async function removeOrphanedFiles() {
+    const cutoff = Date.now() - ORPHAN_GRACE_MS
+
+    try {
+        const referenced = new Set(printQueue.flatMap(jobImageHashes))
+        const images = await imageStore.list()
+        for (const { hash, modifiedAt } of images) {
+            if (modifiedAt.getTime() < cutoff && !referenced.has(hash)) {
+                await imageStore.remove(hash)
+                auditLog.record('delete', { imageHash: hash, reason: 'orphaned-image' })
+            }
+        }
+
+        const referencedRecipes = new Set(printQueue.flatMap(item => [item.recipeHash, item.sourcesHash]).filter(Boolean))
+        for (const { hash, modifiedAt } of await sourceStore.list()) {
+            if (modifiedAt.getTime() < cutoff && !referencedRecipes.has(hash)) {
+                await sourceStore.remove(hash)
+                auditLog.record('delete', { recipeFileHash: hash, reason: 'orphaned-recipe-file' })
+            }
+        }
+
+        // Print files are named <jobId>-<template>.<ext>
+        const jobIds = new Set(printQueue.map(item => item.id))
+        const orphanIds = new Set(readdirSync(PRINT_FILE_DIR)
+            .map(name => name.split('-')[0])
+            .filter(id => !jobIds.has(id)))
+        for (const id of orphanIds) await removePrintFiles(id)
+    } catch (error) {
+        console.error('Error removing orphaned files:', error)
+    }
+}
+
+function startRetentionSweeper() {
+    const { sweepMinutes, completedHours, closingTime, maxAgeHours } = config.retention
+    const run = () => sweepExpiredJobs().catch(error => console.error('Retention sweep failed:', error))
+
+    run()
+    setInterval(run, sweepMinutes * 60 * 1000).unref()
+
+    console.log(`Retention: completed jobs ${completedHours}h, max age ${maxAgeHours}h` +
+        (closingTime ? `, purge at ${closingTime}` : ''))
+}
+
 // ==========================================
 // SERVER SETUP
 // ==========================================
@@ -294,7 +1007,7 @@ async function startServer() {
         app.use(express.static(join(__dirname, 'dist')))
 
         // Handle SPA fallback for specific pages
-        const pages = ['index.html', 'darkroom.html', 'photobooth.html', 'printqueue.html']
+        const pages = ['index.html', 'darkroom.html', 'photobooth.html', 'printqueue.html', 'pickup.html']
         pages.forEach(page => {
             const route = page === 'index.html' ? '/' : `/${page.replace('.html', '')}`
             app.get(route, (req, res) => {
@@ -315,6 +1028,7 @@ async function startServer() {
 ║   - Darkroom:        http://localhost:${PORT}/darkroom        ║
 ║   - Photobooth:      http://localhost:${PORT}/photobooth      ║
 ║   - Print Queue:     http://localhost:${PORT}/printqueue      ║
+║   - Pickup Screen:   http://localhost:${PORT}/pickup          ║
 ║                                                            ║
 ║   Mode: ${isDev ? 'Development (Vite HMR)' : 'Production'}                          ║
 ║                                                            ║
@@ -0,0 +1,175 @@
+/**
+ * Staff Authentication
+ * PIN/password login for the print queue, with hashed secrets in config
+ * and in-memory sessions carried by an HttpOnly cookie
+ *
+ * Roles:
+ *   kiosk - anyone without a session; may only submit new print jobs
+ *   staff - logged in at the front desk; may view and manage the queue
+ */
+
+import { randomBytes, scryptSync, timingSafeEqual } from 'crypto'
+
+export const SESSION_COOKIE = 'timmons_session'
+
+const SCRYPT_KEY_LENGTH = 32
+const MAX_FAILED_ATTEMPTS = 5
+const LOCKOUT_MS = 5 * 60 * 1000
+
+/**
+ * Hash a PIN or password for storing in config.json
+ * @returns {string} "scrypt$<salt>$<hash>" (base64)
+ */
+export function hashSecret(secret) {
+    const salt = randomBytes(16)
+    const hash = scryptSync(String(secret), salt, SCRYPT_KEY_LENGTH)
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`
+}
+
+/**
+ * Check a PIN or password against a stored hash in constant time
+ */
+export function verifySecret(secret, stored) {
+    const [scheme, saltB64, hashB64] = String(stored || '').split('$')
+    if (scheme !== 'scrypt' || !saltB64 || !hashB64) return false
+
+    // A hash that decodes short (or to nothing) would compare equal to a short key
+    const salt = Buffer.from(saltB64, 'base64')
+    const expected = Buffer.from(hashB64, 'base64')
+    if (salt.length === 0 || expected.length !== SCRYPT_KEY_LENGTH) return false
+
+    const actual = scryptSync(String(secret), salt, SCRYPT_KEY_LENGTH)
+    return timingSafeEqual(actual, expected)
+}
+
+/**
+ * Parse a Cookie header into an object
+ */
+export function parseCookies(header) {
+    const cookies = {}
+    String(header || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=')
+        if (index === -1) return
+        const name = pair.slice(0, index).trim()
+        if (!name) return
+        try {
+            cookies[name] = decodeURIComponent(pair.slice(index + 1).trim())
+        } catch {
+            // Malformed escapes (e.g. "%E0") - skip the cookie rather than fail the request
+        }
+    })
+    return cookies
+}
+
+/**
+ * Create the auth layer: sessions, login throttling and Express handlers
+ * @param {Object} options
+ * @param {string|null} options.staffPinHash - From hashSecret(); staff login is disabled when empty
+ * @param {number} [options.sessionHours=12]
+ * @param {Function} [options.now=Date.now] - Clock, replaceable in tests
+ */
+export function createAuth({ staffPinHash, sessionHours = 12, now = Date.now }) {
+    const sessions = new Map()
+    const failedLogins = new Map()
+    const sessionMs = sessionHours * 60 * 60 * 1000
+
+    function createSession(role) {
+        const token = randomBytes(32).toString('base64url')
+        sessions.set(token, { role, expiresAt: now() + sessionMs })
+        return token
+    }
+
+    function getSession(token) {
+        const session = token && sessions.get(token)
+        if (!session) return null
+        if (session.expiresAt <= now()) {
+            sessions.delete(token)
+            return null
+        }
+        return session
+    }
+
+    function roleOf(req) {
+        const session = getSession(parseCookies(req.headers.cookie)[SESSION_COOKIE])
+        return session ? session.role : 'kiosk'
+    }
+
+    function isLockedOut(key) {
+        const record = failedLogins.get(key)
+        return Boolean(record && record.lockedUntil > now())
+    }
+
+    function recordFailure(key) {
+        const record = failedLogins.get(key) || { count: 0, lockedUntil: 0 }
+        record.count++
+        if (record.count >= MAX_FAILED_ATTEMPTS) {
+            record.count = 0
+            record.lockedUntil = now() + LOCKOUT_MS
+        }
+        failedLogins.set(key, record)
+    }
+
+    /**
+     * Attempt a staff login
+     * @returns {{ ok: boolean, token?: string, reason?: 'disabled'|'locked'|'invalid' }}
+     */
+    function login(secret, clientKey = 'unknown') {
+        if (!staffPinHash) return { ok: false, reason: 'disabled' }
+        if (isLockedOut(clientKey)) return { ok: false, reason: 'locked' }
+
+        if (!verifySecret(secret, staffPinHash)) {
+            recordFailure(clientKey)
+            return { ok: false, reason: 'invalid' }
+        }
+
+        failedLogins.delete(clientKey)
+        return { ok: true, token: createSession('staff') }
+    }
+
+    function logout(token) {
+        sessions.delete(token)
+    }
+
+    function cookieHeader(req, token, maxAgeSeconds) {
+        return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAgeSeconds}` +
+            (req.secure ? '; Secure' : '')
+    }
+
+    // Express middleware: only staff may continue
+    function requireStaff(req, res, next) {
+        if (roleOf(req) === 'staff') return next()
+        res.status(401).json({ error: 'Staff login required' })
+    }
+
+    // Express route handlers for /api/auth/*
+    const routes = {
+        login(req, res) {
+            const result = login(req.body?.pin, req.ip)
+
+            if (!result.ok) {
+                if (result.reason === 'disabled') {
+                    return res.status(503).json({ error: 'Staff login is not configured' })
+                }
+                if (result.reason === 'locked') {
+                    return res.status(429).json({ error: 'Too many attempts. Try again in a few minutes.' })
+                }
+                return res.status(401).json({ error: 'Incorrect PIN' })
+            }
+
+            res.set('Set-Cookie', cookieHeader(req, result.token, Math.round(sessionMs / 1000)))
+            res.json({ role: 'staff' })
+        },
+
+        logout(req, res) {
+            logout(parseCookies(req.headers.cookie)[SESSION_COOKIE])
+            res.set('Set-Cookie', cookieHeader(req, '', 0))
+            res.json({ role: 'kiosk' })
+        },
+
+        session(req, res) {
+            res.json({ role: roleOf(req), loginEnabled: Boolean(staffPinHash) })
+        }
+    }
+
+    return { login, logout, getSession, roleOf, requireStaff, routes }
+}
@@ -0,0 +1,135 @@
+/**
+ * Server Configuration
+ * Built-in defaults, overridden by config.json in the project root,
+ * then by environment variables for the most common settings
+ */
+
+import { existsSync, readFileSync } from 'fs'
+import { join } from 'path'
+
+export const defaults = {
+    printer: {
+        // 'manual' (front desk prints from the browser), 'cups', 'hot-folder' or 'null'
+        driver: 'manual',
+        // CUPS destination; empty uses the system default printer
+        name: '',
+        // Extra `lp -o` options, e.g. ["media=4x6", "fit-to-page"]
+        options: [],
+        // Directory watched by the printer's own software
+        hotFolder: 'data/hot-folder',
+        // Give up waiting for a job to finish after this long
+        timeoutSeconds: 300
+    },
+    layout: {
+        // Template used when a job's settings don't name one (see server/print-layout.js)
+        defaultTemplate: 'classic-5x7',
+        // 'jpeg' or 'pdf'
+        format: 'jpeg'
+    },
+    auth: {
+        // Hash of the front desk PIN or password, from `npm run hash-pin`;
+        // while empty, staff login is disabled and the queue can't be managed
+        staffPinHash: '',
+        // Staff stay logged in for this long
+        sessionHours: 12
+    },
+    retention: {
+        // Delete completed and cancelled jobs this many hours after they finish
+        completedHours: 4,
+        // Delete every job at closing time ("18:00", server local time); empty to disable
+        closingTime: '',
+        // Never keep a visitor's portrait longer than this, whatever its status
+        maxAgeHours: 24,
+        // How often the sweeper checks the queue
+        sweepMinutes: 5
+    },
+    downloads: {
+        // Show visitors a QR code for a digital copy after they send to print
+        enabled: true,
+        // Download links stop working after this long (retention may delete the photo sooner)
+        ttlHours: 6,
+        // Also offer the unstyled camera capture
+        includeOriginal: false,
+        // Address visitors' phones can reach, e.g. "https://photobooth.example.org";
+        // empty uses the address the kiosk used, which is often localhost
+        publicUrl: ''
+    },
+    recipes: {
+        // Keep each job's recipe with the unstyled capture, matte and depth estimate it was
+        // rendered from, so staff can render the portrait again (deleted with the job)
+        enabled: true
+    },
+    tickets: {
+        // Letter in front of the daily ticket number, e.g. "A-042"
+        prefix: 'A'
+    },
+    models: {
+        // Where `npm run fetch-models` puts the models listed in server/model-manifest.json
+        dir: 'data/models',
+        // Fetch a missing model file from its source the first time it is requested
+        downloadOnDemand: true,
+        // Development only: serve files neither the manifest nor their download has
+        // pinned (e.g. copied in by hand), checking just their size; never turn this
+        // on in the gallery
+        allowUnpinned: false
+    },
+    segmentation: {
+        // Photobooth segmentation backends, most preferred first; each one is tried
+        // in turn if the previous can't load (no WebGPU, model missing, ...)
+        // Available: 'modnet', 'server', 'rmbg', 'mediapipe', 'bodypix'
+        backends: ['modnet', 'server', 'rmbg', 'mediapipe', 'bodypix'],
+        // The 'server' backend: RMBG-1.4 run by this server on the CPU (POST /api/segment),
+        // which needs the optional onnxruntime-node package
+        server: {
+            enabled: true,
+            // ONNX Runtime threads per photo; 0 uses every core
+            threads: 0
+        }
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Recursively merge overrides into a copy of base (arrays are replaced, not merged)
+ * The copy is deep, so changing the result never changes base (e.g. the defaults)
+ */
+export function mergeConfig(base, overrides) {
+    const result = structuredClone(base)
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        result[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? mergeConfig(base[key], value)
+            : value
+    })
+    return result
+}
+
+/**
+ * Load the server configuration
+ * @param {string} rootDir - Project root containing the optional config.json
+ * @param {Object} [env=process.env]
+ */
+export function loadConfig(rootDir, env = process.env) {
+    let fileConfig = {}
+    const configPath = join(rootDir, 'config.json')
+
+    if (existsSync(configPath)) {
+        try {
+            fileConfig = JSON.parse(readFileSync(configPath, 'utf-8'))
+        } catch (error) {
+            console.error(`Error reading ${configPath}, using defaults:`, error.message)
+        }
+    }
+
+    const config = mergeConfig(defaults, fileConfig)
+
+    if (env.PRINTER_DRIVER) config.printer.driver = env.PRINTER_DRIVER
+    if (env.PRINTER_NAME) config.printer.name = env.PRINTER_NAME
+    if (env.PRINTER_HOT_FOLDER) config.printer.hotFolder = env.PRINTER_HOT_FOLDER
+    if (env.STAFF_PIN_HASH) config.auth.staffPinHash = env.STAFF_PIN_HASH
+    if (env.PUBLIC_URL) config.downloads.publicUrl = env.PUBLIC_URL
+
+    return config
+}
@@ -0,0 +1,82 @@
+/**
+ * Portrait Downloads
+ * Short-lived, unguessable links that let visitors keep a digital copy of
+ * their portrait by scanning a QR code - no email address needed
+ */
+
+import { randomBytes } from 'crypto'
+import QRCode from 'qrcode'
+
+/**
+ * Issue a download token for a job
+ * 128 random bits, so tokens can't be guessed or enumerated.
+ * @param {number} ttlHours
+ * @param {Date} [now=new Date()]
+ * @returns {{ token: string, expiresAt: string }}
+ */
+export function createDownloadToken(ttlHours, now = new Date()) {
+    return {
+        token: randomBytes(16).toString('base64url'),
+        expiresAt: new Date(now.getTime() + ttlHours * 60 * 60 * 1000).toISOString()
+    }
+}
+
+export function isDownloadExpired(download, now = new Date()) {
+    return !download || new Date(download.expiresAt) <= now
+}
+
+/**
+ * Public download URL for a token
+ * @param {string} baseUrl - e.g. "https://photobooth.timmons.museum"
+ */
+export function downloadUrl(baseUrl, token) {
+    return `${baseUrl.replace(/\/+$/, '')}/p/${token}`
+}
+
+/**
+ * QR code for a URL as an SVG string
+ */
+export function qrCodeSvg(url) {
+    return QRCode.toString(url, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' })
+}
+
+/**
+ * The small page a visitor's phone opens from the QR code
+ * @param {Object} options
+ * @param {string} options.token
+ * @param {string|null} options.expiresAt - null when the link has expired
+ * @param {boolean} options.hasOriginal
+ */
+export function downloadPage({ token, expiresAt, hasOriginal }) {
+    const body = expiresAt
+        ? `<img src="/p/${token}/portrait.jpg" alt="Your portrait">
+        <a class="button" href="/p/${token}/portrait.jpg?download=1">Save portrait</a>
+        ${hasOriginal ? `<a class="button secondary" href="/p/${token}/original.jpg?download=1">Save original photo</a>` : ''}
+        <p class="note">This link works until ${new Date(expiresAt).toLocaleString('en-US', {
+            month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit'
+        })}. After that your photo is deleted from our system.</p>`
+        : `<p>This download link has expired and the photo has been deleted.</p>
+        <p class="note">Thank you for visiting.</p>`
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Your Timmons Portrait</title>
+    <style>
+        body { margin: 0; padding: 24px; background: #1a1612; color: #f2ece0; font-family: Georgia, serif; text-align: center; }
+        h1 { font-weight: 400; font-size: 1.5rem; }
+        img { max-width: 100%; max-height: 70vh; border: 8px solid #f2ece0; box-sizing: border-box; }
+        .button { display: block; margin: 16px auto 0; max-width: 320px; padding: 14px; background: #f2ece0; color: #1a1612; text-decoration: none; border-radius: 4px; }
+        .button.secondary { background: transparent; color: #f2ece0; border: 1px solid #f2ece0; }
+        .note { margin-top: 24px; font-size: 0.85rem; opacity: 0.7; }
+    </style>
+</head>
+<body>
+    <h1>Portrait in the manner of Dever Timmons</h1>
+    ${body}
+</body>
+</html>`
+}
@@ -0,0 +1,111 @@
+/**
+ * Print Queue Image Store
+ * Content-addressed JPEG files on disk, one per portrait, plus a thumbnail
+ */
+
+import { createHash } from 'crypto'
+import { existsSync, mkdirSync } from 'fs'
+import { writeFile, rename, unlink, readdir, stat } from 'fs/promises'
+import { join } from 'path'
+import sharp from 'sharp'
+
+// Long edge of the thumbnails shown in the print queue list
+export const THUMBNAIL_SIZE = 320
+
+/**
+ * Decode a base64 data URL into its MIME type and raw bytes
+ * @param {string} dataUrl - e.g. "data:image/jpeg;base64,/9j/..."
+ * @returns {{ mimeType: string, buffer: Buffer }}
+ */
+export function decodeDataUrl(dataUrl) {
+    const match = /^data:([\w/+.-]+);base64,(.+)$/s.exec(dataUrl || '')
+    if (!match) {
+        throw new Error('Image must be a base64 data URL')
+    }
+    return {
+        mimeType: match[1],
+        buffer: Buffer.from(match[2], 'base64')
+    }
+}
+
+/**
+ * Create an image store rooted at the given directory
+ * Files are named by the SHA-256 of their JPEG bytes, so identical
+ * uploads share a single file on disk.
+ * @param {string} rootDir - Directory for full-size images (thumbnails go in rootDir/thumbs)
+ */
+export function createImageStore(rootDir) {
+    const thumbDir = join(rootDir, 'thumbs')
+    mkdirSync(thumbDir, { recursive: true })
+
+    function imagePath(hash) {
+        return join(rootDir, `${hash}.jpg`)
+    }
+
+    function thumbnailPath(hash) {
+        return join(thumbDir, `${hash}.jpg`)
+    }
+
+    function has(hash) {
+        return existsSync(imagePath(hash))
+    }
+
+    /**
+     * Store an image from a data URL
+     * Non-JPEG uploads are converted to JPEG before hashing.
+     * @param {string} dataUrl - Base64 image data URL
+     * @returns {Promise<{ hash: string, size: number }>}
+     */
+    async function put(dataUrl) {
+        const { mimeType, buffer } = decodeDataUrl(dataUrl)
+        const jpeg = mimeType === 'image/jpeg'
+            ? buffer
+            : await sharp(buffer).jpeg({ quality: 95 }).toBuffer()
+
+        const hash = createHash('sha256').update(jpeg).digest('hex')
+
+        if (!has(hash)) {
+            // Write to a temp name first so a crash never leaves a truncated file
+            // under a valid content hash
+            const tempPath = `${imagePath(hash)}.tmp`
+            await writeFile(tempPath, jpeg)
+            await rename(tempPath, imagePath(hash))
+        }
+
+        if (!existsSync(thumbnailPath(hash))) {
+            await sharp(jpeg)
+                .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside' })
+                .jpeg({ quality: 80 })
+                .toFile(thumbnailPath(hash))
+        }
+
+        return { hash, size: jpeg.length }
+    }
+
+    /**
+     * Delete an image and its thumbnail (missing files are ignored)
+     */
+    async function remove(hash) {
+        for (const path of [imagePath(hash), thumbnailPath(hash)]) {
+            try {
+                await unlink(path)
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error
+            }
+        }
+    }
+
+    /**
+     * List stored images, e.g. to find ones no job references any more
+     * @returns {Promise<{ hash: string, modifiedAt: Date }[]>}
+     */
+    async function list() {
+        const names = (await readdir(rootDir)).filter(name => /^[0-9a-f]{64}\.jpg$/.test(name))
+        return Promise.all(names.map(async name => ({
+            hash: name.slice(0, -4),
+            modifiedAt: (await stat(join(rootDir, name))).mtime
+        })))
+    }
+
+    return { put, remove, has, list, imagePath, thumbnailPath }
+}
@@ -0,0 +1,352 @@
+/**
+ * Model Registry
+ * Machine-learning models served from local disk, described by a manifest
+ * of files, sizes and SHA-256 hashes so the gallery works without internet
+ *
+ * Files live at <rootDir>/<repo>/<file>, e.g. data/models/Xenova/modnet/onnx/model.onnx,
+ * and are served at /models/<repo>/<file>, where Transformers.js looks for them.
+ * A file the manifest doesn't pin yet is pinned locally, in <rootDir>/pins.json, by
+ * its first download; later checks and downloads must match those bytes.
+ */
+
+import { createHash } from 'crypto'
+import { createReadStream, createWriteStream, existsSync, mkdirSync, readFileSync, statSync } from 'fs'
+import { rename, unlink, writeFile } from 'fs/promises'
+import { dirname, join } from 'path'
+import { Readable } from 'stream'
+import { pipeline } from 'stream/promises'
+import { writeFileAtomic } from './queue-store.js'
+
+/**
+ * Read a model manifest
+ * @returns {{ models: Object<string, { source: string, files: Object<string, { size: number|null, sha256: string|null }> }> }}
+ */
+export function loadManifest(path) {
+    return JSON.parse(readFileSync(path, 'utf-8'))
+}
+
+/**
+ * SHA-256 of a file, streamed so large models don't fill memory
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashFile(path) {
+    const hash = createHash('sha256')
+    await pipeline(createReadStream(path), hash)
+    return hash.digest('hex')
+}
+
+/**
+ * Check a file on disk against its manifest entry
+ * A file without a pinned hash fails, unless unpinned files are allowed (for
+ * downloads about to be pinned, `fetch-models --pin` and development), when only
+ * its size is checked; `pinned` says which it was.
+ * @param {string} path
+ * @param {{ size: number|null, sha256: string|null }} expected
+ * @param {Object} [options]
+ * @param {boolean} [options.allowUnpinned=false]
+ * @returns {Promise<{ ok: boolean, pinned: boolean, reason?: string, size?: number, sha256?: string }>}
+ */
+export async function verifyFile(path, expected, { allowUnpinned = false } = {}) {
+    if (!existsSync(path)) {
+        return { ok: false, pinned: Boolean(expected.sha256), reason: 'missing' }
+    }
+
+    const { size } = statSync(path)
+    if (expected.size != null && size !== expected.size) {
+        return { ok: false, pinned: Boolean(expected.sha256), reason: `size ${size}, expected ${expected.size}`, size }
+    }
+
+    if (!expected.sha256) {
+        if (!allowUnpinned) return { ok: false, pinned: false, reason: 'hash not pinned', size }
+        return { ok: size > 0, pinned: false, reason: size > 0 ? undefined : 'empty', size }
+    }
+
+    const sha256 = await hashFile(path)
+    if (sha256 !== expected.sha256) {
+        return { ok: false, pinned: true, reason: 'hash mismatch', size, sha256 }
+    }
+    return { ok: true, pinned: true, size, sha256 }
+}
+
+// Total size from a "Content-Range: bytes 100-199/5000" header
+function rangeTotal(header) {
+    const match = /\/(\d+)$/.exec(header || '')
+    return match ? Number(match[1]) : 0
+}
+
+// First byte from a "Content-Range: bytes 100-199/5000" header
+function rangeStart(header) {
+    const match = /^bytes (\d+)-/.exec(header || '')
+    return match ? Number(match[1]) : -1
+}
+
+// A JSON file, or null if it is missing or unreadable
+function readJson(path) {
+    try {
+        return JSON.parse(readFileSync(path, 'utf-8'))
+    } catch {
+        return null
+    }
+}
+
+// If-Range needs a strong ETag, or else the date the file last changed
+function ifRange(validator) {
+    if (validator?.etag && !validator.etag.startsWith('W/')) return validator.etag
+    return validator?.lastModified || null
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Create a registry for the models in a manifest
+ * @param {Object} options
+ * @param {Object} options.manifest - From loadManifest()
+ * @param {string} options.rootDir - Directory holding downloaded models
+ * @param {number} [options.retries=4] - Resume attempts after a download is interrupted
+ * @param {number} [options.retryDelayMs=1000] - First retry delay, doubled after each attempt
+ * @param {boolean} [options.allowUnpinned=false] - Accept files on disk that neither the manifest
+ *   nor a download has pinned (see verifyFile)
+ */
+export function createModelRegistry({ manifest, rootDir, retries = 4, retryDelayMs = 1000, allowUnpinned = false }) {
+    // Verified files, keyed by path, with the size and mtime they had when checked;
+    // hashing a 176MB model on every request would be far too slow
+    const verified = new Map()
+    // Checks and downloads in progress, keyed by path, so callers share them
+    const checking = new Map()
+    const downloads = new Map()
+    // Last download error per path, reported by status()
+    const failures = new Map()
+    // Size and hash of each file the manifest doesn't pin, recorded by its first
+    // download, keyed by "<repo>/<file>"
+    const pinsPath = join(rootDir, 'pins.json')
+    const pins = readJson(pinsPath) || {}
+
+    /**
+     * Look up a file by its URL path below /models/
+     * @param {string} urlPath - e.g. "Xenova/modnet/onnx/model.onnx"
+     * @returns {{ repo: string, file: string, expected: Object, path: string, url: string }|null}
+     */
+    function resolve(urlPath) {
+        for (const [repo, model] of Object.entries(manifest.models)) {
+            if (!urlPath.startsWith(`${repo}/`)) continue
+
+            const file = urlPath.slice(repo.length + 1)
+            const expected = model.files[file]
+            if (!expected) return null
+
+            return { repo, file, expected, path: join(rootDir, repo, file), url: `${model.source}/${file}` }
+        }
+        return null
+    }
+
+    // Every file in the manifest, in the same shape as resolve()
+    function entries() {
+        return Object.entries(manifest.models).flatMap(([repo, model]) =>
+            Object.keys(model.files).map(file => resolve(`${repo}/${file}`)))
+    }
+
+    // The manifest's pin, or else the one recorded when the file was downloaded
+    function expectedFor(entry) {
+        if (entry.expected.sha256) return entry.expected
+        return pins[`${entry.repo}/${entry.file}`] || entry.expected
+    }
+
+    /**
+     * Check a file, reusing the last result while it is unchanged on disk
+     */
+    function check(entry) {
+        if (!checking.has(entry.path)) {
+            checking.set(entry.path, runCheck(entry).finally(() => checking.delete(entry.path)))
+        }
+        return checking.get(entry.path)
+    }
+
+    async function runCheck(entry) {
+        const stats = existsSync(entry.path) ? statSync(entry.path) : null
+        const stamp = stats ? `${stats.size}:${stats.mtimeMs}` : null
+        const cached = verified.get(entry.path)
+        if (stamp && cached?.stamp === stamp) return cached.result
+
+        const result = await verifyFile(entry.path, expectedFor(entry), { allowUnpinned })
+        if (result.ok && stamp) verified.set(entry.path, { stamp, result })
+        return result
+    }
+
+    /**
+     * Download a file into place, verifying it before it becomes visible
+     * Bytes land in <file>.partial, which survives errors and restarts; the next
+     * attempt resumes from where it stopped with an HTTP Range request.
+     * @param {Object} entry - From resolve()
+     * @param {Function} [onProgress] - Called with (bytesDownloaded, totalBytes)
+     */
+    function download(entry, onProgress = () => {}) {
+        if (!downloads.has(entry.path)) {
+            const progress = { received: 0, total: expectedFor(entry).size || 0, listeners: new Set() }
+            progress.promise = runDownload(entry, progress)
+                .finally(() => downloads.delete(entry.path))
+            downloads.set(entry.path, progress)
+        }
+
+        const progress = downloads.get(entry.path)
+        progress.listeners.add(onProgress)
+        return progress.promise
+    }
+
+    async function runDownload(entry, progress) {
+        mkdirSync(dirname(entry.path), { recursive: true })
+        const partialPath = `${entry.path}.partial`
+        const expected = expectedFor(entry)
+        failures.delete(entry.path)
+
+        try {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    await fetchToPartial(entry, partialPath, progress)
+                    break
+                } catch (error) {
+                    if (attempt >= retries) throw error
+                    const delay = retryDelayMs * 2 ** attempt
+                    console.warn(`${entry.repo}/${entry.file}: ${error.message}; resuming in ${delay}ms`)
+                    await sleep(delay)
+                }
+            }
+
+            const result = await verifyFile(partialPath, expected, { allowUnpinned: !expected.sha256 })
+            if (!result.ok) {
+                // Resuming a corrupt file can't fix it - start from scratch next time
+                await unlink(partialPath).catch(() => {})
+                await unlink(`${partialPath}.json`).catch(() => {})
+                throw new Error(`${entry.repo}/${entry.file} failed verification: ${result.reason}`)
+            }
+
+            // First download of a file the manifest doesn't pin: every later copy must match it
+            if (!expected.sha256) {
+                pins[`${entry.repo}/${entry.file}`] = { size: result.size, sha256: await hashFile(partialPath) }
+                writeFileAtomic(pinsPath, JSON.stringify(pins, null, 4) + '\n')
+            }
+        } catch (error) {
+            failures.set(entry.path, error.message)
+            throw error
+        }
+
+        await unlink(`${partialPath}.json`).catch(() => {})
+        await rename(partialPath, entry.path)
+        verified.delete(entry.path)
+        return check(entry)
+    }
+
+    // One request, appending to whatever the partial file already holds if it is
+    // still the same file upstream (If-Range), or else starting over
+    async function fetchToPartial(entry, partialPath, progress) {
+        const validatorPath = `${partialPath}.json`
+        // What the partial was fetched from: { etag, lastModified, total }, kept
+        // beside it so a resume only appends bytes of the same file
+        const validator = readJson(validatorPath)
+        let offset = existsSync(partialPath) ? statSync(partialPath).size : 0
+
+        // Bytes of unknown origin can't be resumed safely
+        if (offset > 0 && !ifRange(validator)) offset = 0
+
+        const response = await fetch(entry.url, {
+            headers: offset > 0 ? { Range: `bytes=${offset}-`, 'If-Range': ifRange(validator) } : {}
+        })
+
+        // Nothing left to fetch; verification decides whether the bytes are right
+        if (response.status === 416 && offset > 0) return
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} fetching ${entry.url}`)
+        }
+
+        // 200 means the server ignored the Range header or the file changed since
+        // the partial was started (If-Range didn't match), and is sending everything;
+        // a range of some other file or from the wrong place is refused and refetched
+        const contentRange = response.headers.get('content-range')
+        const resumed = offset > 0 && response.status === 206
+        if (resumed && (rangeStart(contentRange) !== offset ||
+            (validator.total && rangeTotal(contentRange) !== validator.total))) {
+            console.warn(`${entry.repo}/${entry.file} changed upstream since the download started; starting over`)
+            await response.body?.cancel()
+            await unlink(partialPath).catch(() => {})
+            await unlink(validatorPath).catch(() => {})
+            return fetchToPartial(entry, partialPath, progress)
+        }
+        if (!resumed) offset = 0
+
+        const length = Number(response.headers.get('content-length')) || 0
+        progress.total = rangeTotal(contentRange) ||
+            (length ? offset + length : progress.total)
+        progress.received = offset
+
+        if (!resumed) {
+            await writeFile(validatorPath, JSON.stringify({
+                etag: response.headers.get('etag'),
+                lastModified: response.headers.get('last-modified'),
+                total: progress.total || null
+            }))
+        }
+
+        const body = Readable.fromWeb(response.body)
+        body.on('data', chunk => {
+            progress.received += chunk.length
+            progress.listeners.forEach(listener => listener(progress.received, progress.total))
+        })
+
+        await pipeline(body, createWriteStream(partialPath, { flags: resumed ? 'a' : 'w' }))
+
+        // A dropped connection can end the stream early without an error
+        if (length && progress.received - offset !== length) {
+            throw new Error(`download interrupted at ${progress.received} of ${progress.total} bytes`)
+        }
+    }
+
+    /**
+     * State of every model, for the photobooth's loading message
+     * @returns {Promise<Object<string, { state: 'ready'|'downloading'|'missing'|'failed',
+     *   percent: number, receivedBytes: number, totalBytes: number, error?: string }>>}
+     */
+    async function status() {
+        const models = {}
+
+        for (const [repo, model] of Object.entries(manifest.models)) {
+            const files = await Promise.all(Object.keys(model.files).map(async file => {
+                const entry = resolve(`${repo}/${file}`)
+                const active = downloads.get(entry.path)
+                if (active) {
+                    return { state: 'downloading', received: active.received, total: active.total }
+                }
+
+                const result = await check(entry)
+                const partialPath = `${entry.path}.partial`
+                const partial = existsSync(partialPath) ? statSync(partialPath).size : 0
+                const total = expectedFor(entry).size || result.size || 0
+
+                if (result.ok) return { state: 'ready', received: total, total }
+                if (failures.has(entry.path)) {
+                    return { state: 'failed', received: partial, total, error: failures.get(entry.path) }
+                }
+                return { state: 'missing', received: partial, total }
+            }))
+
+            const receivedBytes = files.reduce((sum, f) => sum + f.received, 0)
+            const totalBytes = files.reduce((sum, f) => sum + f.total, 0)
+            const states = files.map(f => f.state)
+            const failed = files.find(f => f.state === 'failed')
+
+            models[repo] = {
+                state: states.every(s => s === 'ready') ? 'ready'
+                    : failed ? 'failed'
+                    : states.includes('downloading') ? 'downloading'
+                    : 'missing',
+                percent: totalBytes ? Math.floor(receivedBytes / totalBytes * 100) : 0,
+                receivedBytes,
+                totalBytes,
+                error: failed?.error
+            }
+        }
+
+        return models
+    }
+
+    return { resolve, entries, check, download, status, rootDir }
+}
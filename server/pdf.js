@@ -0,0 +1,59 @@
+/**
+ * Minimal PDF Writer
+ * Wraps a single JPEG in a one-page PDF at its physical print size
+ */
+
+/**
+ * Build a PDF whose only page is the given JPEG, edge to edge
+ * @param {Buffer} jpeg - Baseline or progressive JPEG bytes
+ * @param {Object} size
+ * @param {number} size.widthPx - JPEG width in pixels
+ * @param {number} size.heightPx - JPEG height in pixels
+ * @param {number} size.dpi - Print resolution, sets the page size
+ * @returns {Buffer}
+ */
+export function jpegToPdf(jpeg, { widthPx, heightPx, dpi }) {
+    // PDF user space is 72 points per inch
+    const pageWidth = +(widthPx / dpi * 72).toFixed(2)
+    const pageHeight = +(heightPx / dpi * 72).toFixed(2)
+    const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+            '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>',
+        [
+            `<< /Type /XObject /Subtype /Image /Width ${widthPx} /Height ${heightPx} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+            jpeg,
+            '\nendstream'
+        ],
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    ]
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')]
+    let length = chunks[0].length
+    const offsets = []
+
+    const push = (chunk) => {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'latin1')
+        chunks.push(buffer)
+        length += buffer.length
+    }
+
+    objects.forEach((body, i) => {
+        offsets.push(length)
+        push(`${i + 1} 0 obj\n`)
+        ;[].concat(body).forEach(push)
+        push('\nendobj\n')
+    })
+
+    // Cross-reference table: one fixed-width line per object
+    const xrefOffset = length
+    push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`)
+    offsets.forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`))
+    push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`)
+
+    return Buffer.concat(chunks)
+}
@@ -0,0 +1,224 @@
+/**
+ * Print Layout Engine
+ * Composes a processed portrait onto a sheet of photo paper with a
+ * period-style mat, keyline, caption and date, ready to print at 300 dpi
+ */
+
+import sharp from 'sharp'
+import { jpegToPdf } from './pdf.js'
+
+export const PRINT_DPI = 300
+
+// Paper sizes in inches, portrait orientation
+export const PAPER_SIZES = {
+    '4x6': { width: 4, height: 6 },
+    '5x7': { width: 5, height: 7 },
+    '8x10': { width: 8, height: 10 }
+}
+
+const DEFAULT_CAPTION = 'Portrait in the manner of Dever Timmons'
+
+// Mat and ink colors of a 1930s studio folder
+const MAT_COLOR = '#f2ece0'
+const INK_COLOR = '#4a3b2e'
+
+/**
+ * Layout templates
+ * border:  mat width as a fraction of the paper's short edge (0 = borderless)
+ * caption: line printed under the portrait (null for none)
+ */
+export const LAYOUT_TEMPLATES = {
+    'classic-4x6': {
+        label: 'Classic mat, 4×6',
+        paper: '4x6',
+        border: 0.08,
+        caption: DEFAULT_CAPTION,
+        showDate: true
+    },
+    'classic-5x7': {
+        label: 'Classic mat, 5×7',
+        paper: '5x7',
+        border: 0.08,
+        caption: DEFAULT_CAPTION,
+        showDate: true
+    },
+    'classic-8x10': {
+        label: 'Classic mat, 8×10',
+        paper: '8x10',
+        border: 0.09,
+        caption: DEFAULT_CAPTION,
+        showDate: true
+    },
+    'borderless-4x6': {
+        label: 'Borderless 4×6',
+        paper: '4x6',
+        border: 0,
+        caption: null,
+        showDate: false
+    }
+}
+
+/**
+ * Look up a template by ID, falling back when the ID is missing or unknown
+ * @returns {Object} Template with its `id`
+ */
+export function resolveTemplate(templateId, fallbackId = 'classic-5x7') {
+    const id = LAYOUT_TEMPLATES[templateId] ? templateId : fallbackId
+    return { id, ...LAYOUT_TEMPLATES[id] }
+}
+
+/**
+ * Paper size of a template in pixels at PRINT_DPI
+ */
+export function paperPixels(template) {
+    const paper = PAPER_SIZES[template.paper]
+    return {
+        width: Math.round(paper.width * PRINT_DPI),
+        height: Math.round(paper.height * PRINT_DPI)
+    }
+}
+
+export function formatPrintDate(date) {
+    return new Date(date).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    })
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+}
+
+/**
+ * Compute where the portrait, keyline and text go on the sheet
+ * The portrait and caption are centered together as one block inside the mat.
+ * @param {Object} template
+ * @param {{ width: number, height: number }} portrait - Portrait size after fitting
+ */
+export function computeLayout(template, portrait) {
+    const { width, height } = paperPixels(template)
+    const shortEdge = Math.min(width, height)
+    const border = Math.round(shortEdge * template.border)
+    const hasText = Boolean(template.caption || template.showDate)
+    const captionBand = hasText ? Math.round(shortEdge * 0.14) : 0
+
+    const blockHeight = portrait.height + captionBand
+    const left = Math.floor((width - portrait.width) / 2)
+    const top = border + Math.floor((height - 2 * border - blockHeight) / 2)
+
+    return {
+        width,
+        height,
+        border,
+        captionBand,
+        portrait: { left, top, width: portrait.width, height: portrait.height },
+        captionY: top + portrait.height + Math.round(captionBand * 0.45),
+        dateY: top + portrait.height + Math.round(captionBand * 0.78),
+        captionSize: Math.round(shortEdge * 0.032),
+        dateSize: Math.round(shortEdge * 0.024),
+        keylineGap: Math.round(shortEdge * 0.008),
+        keylineWidth: Math.max(2, Math.round(shortEdge * 0.002))
+    }
+}
+
+// Largest box the portrait may occupy on the sheet
+function portraitOpening(template) {
+    const { width, height } = paperPixels(template)
+    const shortEdge = Math.min(width, height)
+    const border = Math.round(shortEdge * template.border)
+    const captionBand = template.caption || template.showDate ? Math.round(shortEdge * 0.14) : 0
+
+    return {
+        width: width - 2 * border,
+        height: height - 2 * border - captionBand
+    }
+}
+
+function overlaySvg(template, layout, date) {
+    const { portrait: p, keylineGap: gap } = layout
+    const parts = []
+
+    if (template.border > 0) {
+        parts.push(`<rect x="${p.left - gap}" y="${p.top - gap}" ` +
+            `width="${p.width + gap * 2}" height="${p.height + gap * 2}" ` +
+            `fill="none" stroke="${INK_COLOR}" stroke-width="${layout.keylineWidth}"/>`)
+    }
+
+    const fontFamily = `'Playfair Display', Georgia, 'DejaVu Serif', serif`
+    if (template.caption) {
+        parts.push(`<text x="${layout.width / 2}" y="${layout.captionY}" text-anchor="middle" ` +
+            `font-family="${fontFamily}" font-style="italic" font-size="${layout.captionSize}" ` +
+            `fill="${INK_COLOR}">${escapeXml(template.caption)}</text>`)
+    }
+    if (template.showDate && date) {
+        parts.push(`<text x="${layout.width / 2}" y="${layout.dateY}" text-anchor="middle" ` +
+            `font-family="${fontFamily}" font-size="${layout.dateSize}" letter-spacing="2" ` +
+            `fill="${INK_COLOR}">${escapeXml(formatPrintDate(date))}</text>`)
+    }
+
+    return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" ` +
+        `height="${layout.height}">${parts.join('')}</svg>`)
+}
+
+/**
+ * Render a print-ready file for a portrait
+ * @param {string|Buffer} image - Path or bytes of the processed portrait
+ * @param {Object} template - From resolveTemplate()
+ * @param {Object} [options]
+ * @param {Date|string} [options.date] - Date printed under the caption
+ * @param {'jpeg'|'pdf'} [options.format='jpeg']
+ * @returns {Promise<{ buffer: Buffer, mimeType: string, extension: string, width: number, height: number }>}
+ */
+export async function renderLayout(image, template, { date = new Date(), format = 'jpeg' } = {}) {
+    const opening = portraitOpening(template)
+
+    // Matted layouts show the whole portrait; borderless ones fill the sheet
+    const { data: portrait, info } = await sharp(image)
+        .rotate()
+        .resize(opening.width, opening.height, {
+            fit: template.border > 0 ? 'inside' : 'cover',
+            kernel: 'lanczos3'
+        })
+        .toBuffer({ resolveWithObject: true })
+
+    const layout = computeLayout(template, info)
+
+    const jpeg = await sharp({
+        create: {
+            width: layout.width,
+            height: layout.height,
+            channels: 3,
+            background: MAT_COLOR
+        }
+    })
+        .composite([
+            { input: portrait, left: layout.portrait.left, top: layout.portrait.top },
+            { input: overlaySvg(template, layout, date), left: 0, top: 0 }
+        ])
+        .jpeg({ quality: 95, chromaSubsampling: '4:4:4' })
+        .withMetadata({ density: PRINT_DPI })
+        .toBuffer()
+
+    if (format === 'pdf') {
+        return {
+            buffer: jpegToPdf(jpeg, { widthPx: layout.width, heightPx: layout.height, dpi: PRINT_DPI }),
+            mimeType: 'application/pdf',
+            extension: 'pdf',
+            width: layout.width,
+            height: layout.height
+        }
+    }
+
+    return {
+        buffer: jpeg,
+        mimeType: 'image/jpeg',
+        extension: 'jpg',
+        width: layout.width,
+        height: layout.height
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * CUPS Printer Driver
+ * Submits jobs with `lp` and follows them with `lpstat` until they leave the queue
+ */
+
+import { execFile } from 'child_process'
+import { promisify } from 'util'
+
+const execFileAsync = promisify(execFile)
+
+/**
+ * Extract the CUPS job ID from `lp` output
+ * e.g. "request id is Canon_SELPHY-42 (1 file(s))" -> "Canon_SELPHY-42"
+ */
+export function parseRequestId(output) {
+    const match = /request id is (\S+)/.exec(output)
+    return match ? match[1] : null
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.name] - CUPS destination (system default when empty)
+ * @param {string[]} [options.options] - Extra `-o` options
+ * @param {number} [options.timeoutMs=300000]
+ * @param {number} [options.pollIntervalMs=2000]
+ * @param {Function} [options.run] - execFile-style runner, replaceable in tests
+ */
+export function createCupsPrinter({
+    name = '',
+    options = [],
+    timeoutMs = 300000,
+    pollIntervalMs = 2000,
+    run = (cmd, args) => execFileAsync(cmd, args)
+} = {}) {
+    async function print(job) {
+        const args = []
+        if (name) args.push('-d', name)
+        if (job.title) args.push('-t', job.title)
+        if (job.copies > 1) args.push('-n', String(job.copies))
+        options.forEach(option => args.push('-o', option))
+        args.push(job.file)
+
+        let stdout
+        try {
+            ({ stdout } = await run('lp', args))
+        } catch (error) {
+            throw new Error(`lp failed: ${(error.stderr || error.message).trim()}`)
+        }
+
+        const requestId = parseRequestId(stdout)
+        if (!requestId) {
+            throw new Error(`Unexpected lp output: ${stdout.trim()}`)
+        }
+
+        await waitForCompletion(requestId)
+        return { driverJobId: requestId }
+    }
+
+    // `lpstat -o` lists jobs that are still queued or printing
+    async function isPending(requestId) {
+        const args = ['-o']
+        if (name) args.push(name)
+        const { stdout } = await run('lpstat', args)
+        return stdout.split('\n').some(line => line.startsWith(`${requestId} `))
+    }
+
+    async function waitForCompletion(requestId) {
+        const started = Date.now()
+
+        while (await isPending(requestId)) {
+            if (Date.now() - started > timeoutMs) {
+                throw new Error(`Print job ${requestId} did not finish within ${Math.round(timeoutMs / 1000)}s`)
+            }
+            await new Promise(resolve => setTimeout(resolve, pollIntervalMs))
+        }
+    }
+
+    return { name: 'cups', print }
+}
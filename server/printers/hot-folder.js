@@ -0,0 +1,58 @@
+/**
+ * Hot Folder Printer Driver
+ * Drops print files into a directory watched by the printer's own software
+ * (common for dye-sub photo printers); a job is done once the file is picked up
+ */
+
+import { existsSync, mkdirSync } from 'fs'
+import { copyFile, rename } from 'fs/promises'
+import { basename, extname, join } from 'path'
+
+/**
+ * @param {Object} options
+ * @param {string} options.folder - Watched directory
+ * @param {boolean} [options.waitForPickup=true] - Wait until the file is consumed before reporting completion
+ * @param {number} [options.timeoutMs=300000] - Fail if the file is still there after this long
+ * @param {number} [options.pollIntervalMs=1000]
+ */
+export function createHotFolderPrinter({
+    folder,
+    waitForPickup = true,
+    timeoutMs = 300000,
+    pollIntervalMs = 1000
+}) {
+    mkdirSync(folder, { recursive: true })
+
+    async function print(job) {
+        const fileName = `${job.id}${extname(job.file) || '.jpg'}`
+        const target = join(folder, fileName)
+
+        // Copy under a dot-name first so the watcher never sees a half-written file
+        const partial = join(folder, `.${fileName}.partial`)
+        await copyFile(job.file, partial)
+        await rename(partial, target)
+
+        if (waitForPickup) {
+            await waitUntilGone(target)
+        }
+
+        return { driverJobId: basename(target) }
+    }
+
+    function waitUntilGone(path) {
+        return new Promise((resolve, reject) => {
+            const started = Date.now()
+            const timer = setInterval(() => {
+                if (!existsSync(path)) {
+                    clearInterval(timer)
+                    resolve()
+                } else if (Date.now() - started > timeoutMs) {
+                    clearInterval(timer)
+                    reject(new Error(`Printer did not pick up ${basename(path)} within ${Math.round(timeoutMs / 1000)}s`))
+                }
+            }, pollIntervalMs)
+        })
+    }
+
+    return { name: 'hot-folder', print }
+}
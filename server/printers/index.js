@@ -0,0 +1,43 @@
+/**
+ * Printer Drivers
+ * Every driver exposes print(job) -> Promise<{ driverJobId }>, resolving once
+ * the print has finished and rejecting with a readable error on failure.
+ * job: { id, file, title, copies }
+ */
+
+import { isAbsolute, join } from 'path'
+import { createCupsPrinter } from './cups.js'
+import { createHotFolderPrinter } from './hot-folder.js'
+import { createNullPrinter } from './null.js'
+
+/**
+ * Create the printer selected in config.printer
+ * @param {Object} printerConfig - config.printer
+ * @param {string} rootDir - Base for relative hot folder paths
+ * @returns {Object|null} Driver, or null when printing stays manual
+ */
+export function createPrinter(printerConfig, rootDir) {
+    const timeoutMs = printerConfig.timeoutSeconds * 1000
+
+    switch (printerConfig.driver) {
+        case 'manual':
+            return null
+        case 'cups':
+            return createCupsPrinter({
+                name: printerConfig.name,
+                options: printerConfig.options,
+                timeoutMs
+            })
+        case 'hot-folder':
+            return createHotFolderPrinter({
+                folder: isAbsolute(printerConfig.hotFolder)
+                    ? printerConfig.hotFolder
+                    : join(rootDir, printerConfig.hotFolder),
+                timeoutMs
+            })
+        case 'null':
+            return createNullPrinter()
+        default:
+            throw new Error(`Unknown printer driver "${printerConfig.driver}"`)
+    }
+}
@@ -0,0 +1,29 @@
+/**
+ * Null Printer Driver
+ * Accepts every job without printing anything - for tests and dry runs
+ */
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.delayMs=0] - Simulated print time
+ * @param {string|null} [options.failWith=null] - Reject every job with this message
+ */
+export function createNullPrinter({ delayMs = 0, failWith = null } = {}) {
+    const jobs = []
+    let nextJobId = 1
+
+    async function print(job) {
+        if (delayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, delayMs))
+        }
+        if (failWith) {
+            throw new Error(failWith)
+        }
+
+        const driverJobId = `null-${nextJobId++}`
+        jobs.push({ ...job, driverJobId })
+        return { driverJobId }
+    }
+
+    return { name: 'null', print, jobs }
+}
@@ -0,0 +1,56 @@
+/**
+ * Print Queue Event Stream
+ * Server-Sent Events broadcaster for live front-desk updates
+ */
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_INTERVAL = 25000
+
+/**
+ * Create an SSE broadcaster
+ * @returns {{ subscribe: Function, broadcast: Function, clientCount: Function }}
+ */
+export function createEventStream() {
+    const clients = new Set()
+    let eventId = 0
+
+    const heartbeat = setInterval(() => {
+        clients.forEach(res => res.write(': heartbeat\n\n'))
+    }, HEARTBEAT_INTERVAL)
+    heartbeat.unref()
+
+    /**
+     * Attach an HTTP response as an event stream subscriber
+     */
+    function subscribe(req, res) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        })
+        res.flushHeaders()
+        // Ask browsers to reconnect quickly if the server restarts
+        res.write('retry: 3000\n\n')
+
+        clients.add(res)
+        req.on('close', () => clients.delete(res))
+    }
+
+    /**
+     * Send an event to every subscriber
+     * @param {string} type - Event name (e.g. 'job-added')
+     * @param {Object} data - JSON-serializable payload
+     */
+    function broadcast(type, data) {
+        eventId++
+        const message = `id: ${eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`
+        clients.forEach(res => res.write(message))
+    }
+
+    function clientCount() {
+        return clients.size
+    }
+
+    return { subscribe, broadcast, clientCount }
+}
@@ -0,0 +1,237 @@
+/**
+ * Print Queue Persistence
+ * Crash-safe storage for queue metadata: atomic snapshots, rolling backups
+ * and an append-only journal that is replayed on startup
+ *
+ * Files (for data/print-queue.json):
+ *   print-queue.json            latest snapshot (JSON array of jobs)
+ *   print-queue.json.1 ... .N   previous snapshots, newest first
+ *   print-queue.journal         changes since the latest snapshot (one JSON entry per line)
+ *   print-queue.journal.1 ...   changes since the matching backup snapshot
+ */
+
+import {
+    existsSync, readFileSync, renameSync, openSync, writeSync,
+    fsyncSync, closeSync, unlinkSync
+} from 'fs'
+import { dirname } from 'path'
+
+const DEFAULT_BACKUP_COUNT = 5
+
+/**
+ * Write a file so readers only ever see the old or the new contents
+ */
+export function writeFileAtomic(path, contents) {
+    const tempPath = `${path}.tmp`
+    const fd = openSync(tempPath, 'w')
+    try {
+        writeSync(fd, contents)
+        fsyncSync(fd)
+    } finally {
+        closeSync(fd)
+    }
+    renameSync(tempPath, path)
+    syncDirectory(dirname(path))
+}
+
+// Persist the rename itself (not supported on every platform, e.g. Windows)
+function syncDirectory(dir) {
+    let fd
+    try {
+        fd = openSync(dir, 'r')
+        fsyncSync(fd)
+    } catch {
+        // Best effort
+    } finally {
+        if (fd !== undefined) closeSync(fd)
+    }
+}
+
+/**
+ * Apply one journal entry to a list of jobs
+ * Entries carry whole jobs, so replaying an entry twice is harmless.
+ * @param {Object[]} items - Jobs (modified in place)
+ * @param {{ op: 'put'|'remove', item?: Object, id?: string }} entry
+ */
+export function applyJournalEntry(items, entry) {
+    if (entry.op === 'put' && entry.item?.id) {
+        const index = items.findIndex(item => item.id === entry.item.id)
+        if (index === -1) {
+            items.push(entry.item)
+        } else {
+            items[index] = entry.item
+        }
+    } else if (entry.op === 'remove') {
+        const index = items.findIndex(item => item.id === entry.id)
+        if (index !== -1) items.splice(index, 1)
+    }
+    return items
+}
+
+/**
+ * Create a queue store for the given snapshot file
+ * @param {string} filePath - Path of the JSON snapshot
+ * @param {Object} [options]
+ * @param {number} [options.backupCount=5] - Number of previous snapshots to keep
+ */
+export function createQueueStore(filePath, { backupCount = DEFAULT_BACKUP_COUNT } = {}) {
+    const journalPath = filePath.replace(/\.json$/, '') + '.journal'
+    let journalEntries = 0
+
+    const backupPath = (n) => `${filePath}.${n}`
+    const journalBackupPath = (n) => `${journalPath}.${n}`
+
+    function readSnapshot(path) {
+        const items = JSON.parse(readFileSync(path, 'utf-8'))
+        if (!Array.isArray(items)) {
+            throw new Error('Snapshot is not an array of jobs')
+        }
+        return items
+    }
+
+    // Parse a journal, skipping a torn final line left by a crash mid-append
+    function readJournal(path) {
+        if (!existsSync(path)) return []
+
+        const entries = []
+        readFileSync(path, 'utf-8').split('\n').forEach((line, i) => {
+            if (!line.trim()) return
+            try {
+                entries.push(JSON.parse(line))
+            } catch {
+                console.warn(`Skipping unreadable journal entry ${path}:${i + 1}`)
+            }
+        })
+        return entries
+    }
+
+    // Move a damaged file aside so it is kept for inspection but never loaded again
+    function quarantine(path) {
+        const corruptPath = `${path}.corrupt-${Date.now()}`
+        try {
+            renameSync(path, corruptPath)
+            console.warn(`Moved unreadable ${path} to ${corruptPath}`)
+        } catch (error) {
+            console.error(`Could not quarantine ${path}:`, error)
+        }
+    }
+
+    /**
+     * Load jobs from the newest readable snapshot and replay journals on top
+     * @returns {{ items: Object[], source: string|null, replayed: number, recovered: boolean }}
+     */
+    function load() {
+        // Snapshot generation 0 is the main file, 1..N are backups
+        const generations = [filePath]
+        for (let n = 1; n <= backupCount; n++) generations.push(backupPath(n))
+
+        let items = []
+        let generation = -1
+        let recovered = false
+
+        for (let n = 0; n < generations.length; n++) {
+            const path = generations[n]
+            if (!existsSync(path)) {
+                if (n === 0) recovered = true
+                continue
+            }
+            try {
+                items = readSnapshot(path)
+                generation = n
+                break
+            } catch (error) {
+                console.error(`Error reading ${path}:`, error.message)
+                recovered = true
+                if (n === 0) quarantine(path)
+            }
+        }
+
+        // Replay the journals written since the chosen snapshot, oldest first
+        const journals = []
+        for (let n = Math.max(generation, 0); n >= 1; n--) journals.push(journalBackupPath(n))
+        journals.push(journalPath)
+
+        let replayed = 0
+        journals.forEach(path => {
+            readJournal(path).forEach(entry => {
+                applyJournalEntry(items, entry)
+                replayed++
+            })
+        })
+
+        journalEntries = readJournal(journalPath).length
+
+        // A fresh install has nothing to recover from
+        if (generation === -1 && replayed === 0) recovered = false
+
+        return {
+            items,
+            source: generation === -1 ? null : generations[generation],
+            replayed,
+            recovered
+        }
+    }
+
+    function append(entry) {
+        const fd = openSync(journalPath, 'a')
+        try {
+            writeSync(fd, JSON.stringify(entry) + '\n')
+            fsyncSync(fd)
+        } finally {
+            closeSync(fd)
+        }
+        journalEntries++
+        return journalEntries
+    }
+
+    /**
+     * Journal a new or updated job
+     * @returns {number} Journal entries since the last snapshot
+     */
+    function put(item) {
+        return append({ op: 'put', item, at: new Date().toISOString() })
+    }
+
+    /**
+     * Journal a deleted job
+     * @returns {number} Journal entries since the last snapshot
+     */
+    function remove(id) {
+        return append({ op: 'remove', id, at: new Date().toISOString() })
+    }
+
+    /**
+     * Write a full snapshot, rotating the previous one into the backups
+     * and starting a new journal
+     */
+    function snapshot(items) {
+        const contents = JSON.stringify(items, null, 2)
+
+        if (backupCount === 0) {
+            // A crash before the journal goes only replays it onto the same jobs
+            writeFileAtomic(filePath, contents)
+            if (existsSync(journalPath)) unlinkSync(journalPath)
+            journalEntries = 0
+            return
+        }
+
+        // Shift every generation down by one; the oldest falls off the end
+        for (let n = backupCount - 1; n >= 1; n--) {
+            rotate(backupPath(n), backupPath(n + 1))
+            rotate(journalBackupPath(n), journalBackupPath(n + 1))
+        }
+        rotate(filePath, backupPath(1))
+        rotate(journalPath, journalBackupPath(1))
+
+        // A crash before the new file lands leaves no main file; load() then
+        // recovers from backup 1 plus journal 1, which hold the same state
+        writeFileAtomic(filePath, contents)
+        journalEntries = 0
+    }
+
+    function rotate(from, to) {
+        if (existsSync(from)) renameSync(from, to)
+    }
+
+    return { load, put, remove, snapshot, journalPath }
+}
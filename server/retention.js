@@ -0,0 +1,83 @@
+/**
+ * Retention Policy
+ * Decides which visitor portraits have outlived the museum's privacy
+ * commitments, and keeps an append-only audit log of every deletion
+ */
+
+import { appendFileSync } from 'fs'
+
+const HOUR_MS = 60 * 60 * 1000
+
+/**
+ * Most recent closing time at or before `now`, in server local time
+ * @param {string} closingTime - "HH:MM", empty to disable
+ * @param {Date} now
+ * @returns {Date|null}
+ */
+export function lastClosingTime(closingTime, now) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(closingTime || '')
+    if (!match) return null
+
+    const closing = new Date(now)
+    closing.setHours(Number(match[1]), Number(match[2]), 0, 0)
+    if (closing > now) closing.setDate(closing.getDate() - 1)
+    return closing
+}
+
+// When a finished job was last touched - the retention clock starts here
+function finishedAt(item) {
+    return new Date(item.printedAt || item.updatedAt || item.createdAt)
+}
+
+/**
+ * Pick the jobs the policy says must be deleted
+ * Rules are checked strictest first, so each job reports one reason.
+ * @param {Object[]} items - Print queue jobs
+ * @param {Object} policy
+ * @param {number} [policy.maxAgeHours] - Delete any job older than this, whatever its status
+ * @param {string} [policy.closingTime] - "HH:MM"; delete everything created before the last closing
+ * @param {number} [policy.completedHours] - Delete completed/cancelled jobs this long after they finished
+ * @param {Date} [now=new Date()]
+ * @returns {{ item: Object, reason: 'max-age'|'closing-time'|'completed' }[]}
+ */
+export function selectExpired(items, policy, now = new Date()) {
+    const closing = lastClosingTime(policy.closingTime, now)
+
+    return items.flatMap(item => {
+        const createdAt = new Date(item.createdAt)
+
+        if (policy.maxAgeHours > 0 && now - createdAt >= policy.maxAgeHours * HOUR_MS) {
+            return [{ item, reason: 'max-age' }]
+        }
+        if (closing && createdAt < closing) {
+            return [{ item, reason: 'closing-time' }]
+        }
+        if (Number.isFinite(policy.completedHours) && ['completed', 'cancelled'].includes(item.status) &&
+            now - finishedAt(item) >= policy.completedHours * HOUR_MS) {
+            return [{ item, reason: 'completed' }]
+        }
+        return []
+    })
+}
+
+/**
+ * Create an audit log writing one JSON entry per line
+ * @param {string} path - e.g. data/audit.log
+ */
+export function createAuditLog(path) {
+    /**
+     * @param {string} action - e.g. "delete"
+     * @param {Object} details - Job ID, reason, who, ...
+     */
+    function record(action, details) {
+        const entry = { at: new Date().toISOString(), action, ...details }
+        try {
+            appendFileSync(path, JSON.stringify(entry) + '\n')
+        } catch (error) {
+            console.error(`Error writing audit log ${path}:`, error)
+        }
+        return entry
+    }
+
+    return { record, path }
+}
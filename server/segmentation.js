@@ -0,0 +1,175 @@
+/**
+ * Server-side Segmentation
+ * Runs RMBG-1.4 on the CPU with onnxruntime-node, so kiosks whose GPUs are too
+ * weak to segment in the browser still get the same mask as everyone else
+ */
+
+import sharp from 'sharp'
+
+// RMBG-1.4 takes a 1024x1024 RGB image, whatever the photo's aspect ratio
+export const INPUT_SIZE = 1024
+
+/**
+ * Decode an image into RMBG-1.4's input: planar RGB, scaled to 0-1 and shifted by -0.5
+ * @param {Buffer} image - JPEG, PNG or WebP
+ * @returns {Promise<{ data: Float32Array, width: number, height: number }>} width/height of the original
+ */
+export async function imageToTensorData(image) {
+    let metadata
+    let pixels
+    try {
+        metadata = await sharp(image).metadata()
+        pixels = await sharp(image)
+            .removeAlpha()
+            .resize(INPUT_SIZE, INPUT_SIZE, { fit: 'fill' })
+            .raw()
+            .toBuffer()
+    } catch (error) {
+        throw Object.assign(new Error(`Could not read image: ${error.message}`), { status: 400 })
+    }
+
+    const plane = INPUT_SIZE * INPUT_SIZE
+    const data = new Float32Array(3 * plane)
+    for (let i = 0; i < plane; i++) {
+        data[i] = pixels[i * 3] / 255 - 0.5
+        data[plane + i] = pixels[i * 3 + 1] / 255 - 0.5
+        data[2 * plane + i] = pixels[i * 3 + 2] / 255 - 0.5
+    }
+
+    return { data, width: metadata.width, height: metadata.height }
+}
+
+/**
+ * Stretch the model's output to fill 0-1, as BRIA's reference code does
+ */
+export function normalizeMatte(values) {
+    let min = Infinity
+    let max = -Infinity
+    for (const v of values) {
+        if (v < min) min = v
+        if (v > max) max = v
+    }
+
+    const range = max - min || 1
+    return Float32Array.from(values, v => (v - min) / range)
+}
+
+/**
+ * Convert to IEEE 754 half precision (Node 20 has no Float16Array)
+ * @param {Float32Array} values - Expected to be in 0-1, so no infinities or NaN
+ * @returns {Uint16Array}
+ */
+export function toFloat16(values) {
+    const floatView = new Float32Array(1)
+    const bits = new Uint32Array(floatView.buffer)
+    const result = new Uint16Array(values.length)
+
+    for (let i = 0; i < values.length; i++) {
+        floatView[0] = values[i]
+        const x = bits[0]
+        const sign = (x >>> 16) & 0x8000
+        const exponent = ((x >>> 23) & 0xff) - 127 + 15
+        const mantissa = x & 0x7fffff
+
+        if (exponent <= 0) {
+            // Too small for a normal half; subnormal (or zero)
+            result[i] = exponent < -10 ? sign : sign | ((mantissa | 0x800000) >> (14 - exponent))
+        } else if (exponent >= 31) {
+            result[i] = sign | 0x7c00
+        } else {
+            result[i] = sign | (exponent << 10) | (mantissa >> 13)
+        }
+    }
+
+    return result
+}
+
+/**
+ * Encode a matte as an 8-bit grayscale PNG at the photo's size
+ */
+export function matteToPng(matte, matteWidth, matteHeight, width, height) {
+    const gray = Buffer.from(Uint8Array.from(matte, v => Math.round(v * 255)))
+    return sharp(gray, { raw: { width: matteWidth, height: matteHeight, channels: 1 } })
+        .resize(width, height, { fit: 'fill' })
+        .toColourspace('b-w')
+        .png()
+        .toBuffer()
+}
+
+/**
+ * Create the server's segmenter
+ * The model is loaded on first use and kept in memory.
+ * @param {Object} options
+ * @param {Function} options.modelPath - Async, returns the path of a verified model.onnx
+ * @param {Function} [options.loadRuntime] - Returns the onnxruntime-node module (an optional dependency)
+ * @param {number} [options.threads=0] - ONNX Runtime intra-op threads; 0 uses every core
+ */
+export function createServerSegmenter({ modelPath, loadRuntime = () => import('onnxruntime-node'), threads = 0 }) {
+    let loading = null
+    // Inference already uses every core, so photos are segmented one at a time
+    let queue = Promise.resolve()
+
+    /**
+     * Load the runtime and model
+     * @returns {Promise<{ ort: Object, session: Object }>}
+     */
+    function load() {
+        loading ??= (async () => {
+            const ort = await loadRuntime()
+            const session = await ort.InferenceSession.create(await modelPath(), {
+                executionProviders: ['cpu'],
+                intraOpNumThreads: threads
+            })
+            console.log('Server segmentation ready (RMBG-1.4 on CPU)')
+            return { ort, session }
+        })().catch(error => {
+            loading = null
+            throw error
+        })
+        return loading
+    }
+
+    /**
+     * Segment a photo
+     * @param {Buffer} image
+     * @param {Object} [options]
+     * @param {'png'|'float16'} [options.format='png'] - PNG at the photo's size, or raw
+     *   little-endian float16 at the model's resolution (1024x1024)
+     * @returns {Promise<{ body: Buffer, contentType: string, width: number, height: number }>}
+     */
+    function segment(image, { format = 'png' } = {}) {
+        const run = queue.then(() => infer(image, format))
+        queue = run.catch(() => {})
+        return run
+    }
+
+    async function infer(image, format) {
+        const { ort, session } = await load()
+        const { data, width, height } = await imageToTensorData(image)
+
+        const input = new ort.Tensor('float32', data, [1, 3, INPUT_SIZE, INPUT_SIZE])
+        const results = await session.run({ [session.inputNames[0]]: input })
+        const output = results[session.outputNames[0]]
+        const [matteHeight, matteWidth] = output.dims.slice(-2)
+        const matte = normalizeMatte(output.data)
+
+        if (format === 'float16') {
+            const half = toFloat16(matte)
+            return {
+                body: Buffer.from(half.buffer, half.byteOffset, half.byteLength),
+                contentType: 'application/octet-stream',
+                width: matteWidth,
+                height: matteHeight
+            }
+        }
+
+        return {
+            body: await matteToPng(matte, matteWidth, matteHeight, width, height),
+            contentType: 'image/png',
+            width,
+            height
+        }
+    }
+
+    return { load, segment }
+}
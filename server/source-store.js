@@ -0,0 +1,136 @@
+/**
+ * Print Recipe Store
+ * How each portrait was made and what from, so staff can render it again (see
+ * src/photobooth/recipe.js): the job's recipe, and its sources - the unstyled capture
+ * as a lossless PNG and the segmenter's raw matte and depth estimate as exact floats.
+ * One content-addressed JSON file per recipe and per capture's sources, stored as the
+ * kiosk sent them; jobs keep only the hashes.
+ */
+
+import { createHash } from 'crypto'
+import { existsSync, mkdirSync } from 'fs'
+import { writeFile, readFile, rename, unlink, readdir, stat } from 'fs/promises'
+import { join } from 'path'
+import { decodeDataUrl } from './image-store.js'
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+
+// A matte or depth estimate from encodeSource: width x height little-endian floats in base64
+function checkFloats(name, source) {
+    if (source === null || source === undefined) return
+    const { width, height, data } = source
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0 || typeof data !== 'string') {
+        throw new Error(`${name} must be { width, height, data }`)
+    }
+    if (Buffer.byteLength(data, 'base64') !== width * height * 4) {
+        throw new Error(`${name} must hold ${width}x${height} floats`)
+    }
+}
+
+/**
+ * Check sources sent with a print job
+ * @param {{ capture: string, matte?: Object|null, depth?: Object|null }} sources
+ * @throws {Error} Saying what is wrong with them
+ */
+export function validateSources(sources) {
+    const { mimeType, buffer } = decodeDataUrl(sources?.capture)
+    if (mimeType !== 'image/png' || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('Capture must be a PNG data URL')
+    }
+    checkFloats('Matte', sources.matte)
+    checkFloats('Depth', sources.depth)
+}
+
+/**
+ * Check a recipe sent with a print job
+ * Only its version is checked here; replaying it checks the rest (see checkRecipe)
+ * @throws {Error} Saying what is wrong with it
+ */
+export function validateRecipe(recipe) {
+    if (typeof recipe !== 'object' || recipe === null || !Number.isInteger(recipe.version)) {
+        throw new Error('Recipe must be an object with a version')
+    }
+}
+
+/**
+ * Create a source store rooted at the given directory
+ * Recipes and sources share it: their contents differ, so their hashes do too.
+ * @param {string} rootDir
+ */
+export function createSourceStore(rootDir) {
+    mkdirSync(rootDir, { recursive: true })
+
+    function filePath(hash) {
+        return join(rootDir, `${hash}.json`)
+    }
+
+    function has(hash) {
+        return existsSync(filePath(hash))
+    }
+
+    async function write(json) {
+        const hash = createHash('sha256').update(json).digest('hex')
+
+        if (!has(hash)) {
+            // Same as the image store: never leave a truncated file under a valid hash
+            const tempPath = `${filePath(hash)}.tmp`
+            await writeFile(tempPath, json)
+            await rename(tempPath, filePath(hash))
+        }
+
+        return { hash, size: Buffer.byteLength(json) }
+    }
+
+    /**
+     * Store a job's sources
+     * @param {{ capture: string, matte?: Object|null, depth?: Object|null }} sources - See validateSources
+     * @returns {Promise<{ hash: string, size: number }>}
+     */
+    async function put(sources) {
+        validateSources(sources)
+        return write(JSON.stringify({ capture: sources.capture, matte: sources.matte ?? null, depth: sources.depth ?? null }))
+    }
+
+    /**
+     * Store a job's recipe
+     * @param {Object} recipe - From createRecipe, see validateRecipe
+     * @returns {Promise<{ hash: string, size: number }>}
+     */
+    async function putRecipe(recipe) {
+        validateRecipe(recipe)
+        return write(JSON.stringify(recipe))
+    }
+
+    /**
+     * Read a stored recipe or sources back
+     * @returns {Promise<Object>}
+     */
+    async function read(hash) {
+        return JSON.parse(await readFile(filePath(hash), 'utf-8'))
+    }
+
+    /**
+     * Delete a job's recipe or sources (a missing file is ignored)
+     */
+    async function remove(hash) {
+        try {
+            await unlink(filePath(hash))
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error
+        }
+    }
+
+    /**
+     * List stored recipes and sources, e.g. to find ones no job references any more
+     * @returns {Promise<{ hash: string, modifiedAt: Date }[]>}
+     */
+    async function list() {
+        const names = (await readdir(rootDir)).filter(name => /^[0-9a-f]{64}\.json$/.test(name))
+        return Promise.all(names.map(async name => ({
+            hash: name.slice(0, -5),
+            modifiedAt: (await stat(join(rootDir, name))).mtime
+        })))
+    }
+
+    return { put, putRecipe, read, remove, has, list, filePath }
+}
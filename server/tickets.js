@@ -0,0 +1,59 @@
+/**
+ * Ticket Numbers
+ * Sequential, human-readable pickup tickets ("A-042") that start again
+ * at 1 every day, persisted so a restart never hands out a number twice
+ */
+
+import { existsSync, readFileSync } from 'fs'
+import { writeFileAtomic } from './queue-store.js'
+
+/**
+ * Format a ticket number
+ * @example formatTicket('A', 42) // "A-042"
+ */
+export function formatTicket(prefix, number) {
+    return `${prefix}-${String(number).padStart(3, '0')}`
+}
+
+// Calendar day in server local time, e.g. "2024-06-15"
+function localDay(date) {
+    const pad = n => String(n).padStart(2, '0')
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+/**
+ * Create a daily ticket counter
+ * @param {string} filePath - JSON file holding { day, last }
+ * @param {Object} [options]
+ * @param {string} [options.prefix='A']
+ * @param {Function} [options.now] - Returns the current Date, replaceable in tests
+ */
+export function createTicketCounter(filePath, { prefix = 'A', now = () => new Date() } = {}) {
+    let state = { day: null, last: 0 }
+
+    if (existsSync(filePath)) {
+        try {
+            state = JSON.parse(readFileSync(filePath, 'utf-8'))
+        } catch (error) {
+            console.error(`Error reading ${filePath}, restarting ticket numbers:`, error.message)
+        }
+    }
+
+    /**
+     * Hand out the next ticket
+     * @returns {string}
+     */
+    function next() {
+        const today = localDay(now())
+        const last = state.day === today ? state.last : 0
+
+        // Persist before handing the number out
+        const nextState = { day: today, last: last + 1 }
+        writeFileAtomic(filePath, JSON.stringify(nextState))
+        state = nextState
+
+        return formatTicket(prefix, state.last)
+    }
+
+    return { next }
+}
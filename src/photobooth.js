@@ -3,32 +3,39 @@
  * Creates portraits in the style of William "Dever" Timmons
  */
 
-import { AutoModel, AutoProcessor, RawImage, env } from '@huggingface/transformers'
-
 import { setupInactivityTimer } from './inactivity.js'
 import { audioManager } from './audio-manager.js'
 
 // Import modules
 import * as state from './photobooth/state.js'
-import { applyTimmonsFilters } from './photobooth/filters.js'
-import { createSoftMask, createSoftMaskFromConfidence } from './photobooth/mask.js'
-
-// Configure Transformers.js - download models from Hugging Face CDN
-env.allowLocalModels = false
-env.allowRemoteModels = true
-
-// MODNet model and processor for background removal
-let model = null
-let processor = null
-import { applyDirectionalLighting } from './photobooth/lighting.js'
-import { cropToSubject as doCropToSubject, cropImageData } from './photobooth/crop.js'
+import { cropToSubject as doCropToSubject } from './photobooth/crop.js'
 import * as debug from './photobooth/debug.js'
-import { isWebGPUSupported, initWebGPU, applyFiltersGPU } from './photobooth/gpu-filters.js'
-import { initUpscaleGPU, upscaleImageGPU, upscaleMaskGPU, calculateScale } from './photobooth/gpu-upscale.js'
-import { initEnhanceGPU, applyEnhancement } from './photobooth/gpu-enhance.js'
-
-// GPU acceleration state
-let useGPU = false
+import { calculateScale } from './photobooth/gpu-upscale.js'
+import { createStroke } from './photobooth/dodge-burn.js'
+import { createRecipe, encodeSource } from './photobooth/recipe.js'
+import { createPipeline } from './photobooth/pipeline/client.js'
+import {
+    createOutbox, createIndexedDbStorage, createIdempotencyKey, submitPrintJob
+} from './photobooth/outbox.js'
+import { SEGMENTERS, createSegmenterChain, segmenterOrder } from './photobooth/segmenters/index.js'
+
+// Filters, lighting and crop run in a worker so the page never freezes
+const pipeline = createPipeline()
+
+// Latest full resolution render, which may still be running
+let fullRender = null
+
+// Whether the worker renders with the WebGPU filters, for print recipes
+let pipelineGPU = false
+
+// Portraits are upscaled to this long edge for print (8" at 300dpi)
+const PRINT_LONG_EDGE = 2400
+
+// Print jobs waiting for the server to come back
+const outbox = createOutbox({
+    storage: createIndexedDbStorage(),
+    onChange: updateOutboxIndicator
+})
 
 // Initialize on load
 document.addEventListener('DOMContentLoaded', init)
@@ -48,27 +55,26 @@ async function init() {
     }, { passive: false })
 
     setupLevelButtons()
+    setupCompare()
+    setupBrushPainting()
+    setupLampDrag()
+    document.getElementById('outbox-indicator')?.addEventListener('click', saveFailedPrintJobs)
+    outbox.start()
     setupInactivityTimer(() => {
         window.location.href = '/'
     })
 
-    // Initialize WebGPU for accelerated filters
-    if (await isWebGPUSupported()) {
-        useGPU = await initWebGPU()
-        if (useGPU) {
-            console.log('Using WebGPU for accelerated image processing')
-            // Also init upscaler and enhancer
-            await initUpscaleGPU()
-            await initEnhanceGPU()
-        }
-    } else {
-        console.log('WebGPU not supported, using CPU filters')
+    // Set up WebGPU in the worker for accelerated filters
+    try {
+        pipelineGPU = await pipeline.init()
+    } catch (error) {
+        console.error('Failed to start the processing worker:', error)
     }
 }
 
 function setupLevelButtons() {
     // Set up click handlers for all level buttons
-    document.querySelectorAll('.level-buttons').forEach(container => {
+    document.querySelectorAll('.level-buttons[data-effect]').forEach(container => {
         const effect = container.dataset.effect
         container.querySelectorAll('.level-btn').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -77,28 +83,39 @@ function setupLevelButtons() {
             })
         })
     })
-}
 
-async function setEffectLevel(effectName, level) {
-    state.effectLevels[effectName] = level
+    // Choice rows pick an option, such as the toner, rather than a level
+    document.querySelectorAll('.level-buttons[data-choice]').forEach(container => {
+        const choice = container.dataset.choice
+        container.querySelectorAll('.level-btn').forEach(btn => {
+            btn.addEventListener('click', () => setEffectChoice(choice, btn.dataset.value))
+        })
+    })
 
-    // Update button states
-    const container = document.querySelector(`.level-buttons[data-effect="${effectName}"]`)
-    if (container) {
+    // Brush rows set up the dodge and burn brush
+    document.querySelectorAll('.level-buttons[data-brush]').forEach(container => {
+        const setting = container.dataset.brush
         container.querySelectorAll('.level-btn').forEach(btn => {
-            const btnLevel = parseInt(btn.dataset.level)
-            btn.classList.toggle('active', btnLevel === level)
+            btn.addEventListener('click', () => setBrush(setting, btn.dataset.value))
         })
-    }
+    })
+}
 
-    // Show brief processing indicator
-    showEditorProcessing('Applying...')
-    await yieldToMain()
+async function setEffectLevel(effectName, level) {
+    await performEdit({ type: 'level', effect: effectName, level })
+}
 
-    applyLevelSettings()
-    await updatePreview()
+async function setEffectChoice(choice, value) {
+    await performEdit({ type: 'choice', choice, value })
+}
 
-    hideEditorProcessing()
+function syncChoiceButtons() {
+    document.querySelectorAll('.level-buttons[data-choice]').forEach(container => {
+        const value = state.effectChoices[container.dataset.choice]
+        container.querySelectorAll('.level-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.value === value)
+        })
+    })
 }
 
 function syncLevelButtons() {
@@ -112,6 +129,7 @@ function syncLevelButtons() {
             })
         }
     })
+    syncChoiceButtons()
 }
 
 function enableDebugMode() {
@@ -130,6 +148,8 @@ async function startPhotobooth() {
     state.showPanel('camera')
     await initCamera()
     await loadSegmentationModel()
+    // Not waited for: photos taken before they're ready are lit from the frame
+    loadLightingModels()
 }
 
 async function initCamera() {
@@ -171,26 +191,83 @@ async function initCamera() {
 }
 
 async function loadSegmentationModel() {
-    if (model && processor) return
+    if (!state.segmenter) {
+        const configured = (await fetchPhotoboothConfig()).segmentation.backends
+        state.setSegmenter(createSegmenterChain({
+            order: segmenterOrder(debug.getPreferredSegmenter(), configured, Object.keys(SEGMENTERS)),
+            factories: SEGMENTERS,
+            // First run after install: the server may still be downloading the model
+            onProgress: (label, percent) => showCaptureProcessing(`Preparing filters ${percent}%...`)
+        }))
+    }
 
     try {
         showCaptureProcessing('Loading filters...')
-
-        // Use MODNet for portrait matting (properly configured for transformers.js)
-        model = await AutoModel.from_pretrained('Xenova/modnet', {
-            dtype: 'fp32',
-            device: 'webgpu',
-            progress_callback: (info) => console.log('Model progress:', info),
-        })
-
-        processor = await AutoProcessor.from_pretrained('Xenova/modnet')
-
-        console.log('MODNet segmenter loaded successfully')
+        await state.segmenter.load()
         hideCaptureProcessing()
     } catch (error) {
         console.error('Failed to load segmentation model:', error)
         hideCaptureProcessing()
     }
+    debug.showSegmenterTimings(state.segmenter)
+}
+
+// The face landmarker and depth estimator are imported on first use like the
+// segmenters, as they bring MediaPipe and Transformers.js with them
+async function loadLightingModels() {
+    if (!state.faceDetector) {
+        const detector = await loadOptionalModel('Face landmarker',
+            () => import('./photobooth/face-detector.js').then(m => m.createFaceDetector()))
+        state.setFaceDetector(detector)
+    }
+    if (!state.depthEstimator) {
+        const estimator = await loadOptionalModel('Depth estimator',
+            () => import('./photobooth/depth.js').then(m => m.createDepthEstimator()))
+        state.setDepthEstimator(estimator)
+    }
+}
+
+// The lighting only gets better with these, so the photobooth carries on without them
+async function loadOptionalModel(label, create) {
+    try {
+        const model = await create()
+        await model.load()
+        return model
+    } catch (error) {
+        console.warn(`${label} unavailable, lighting without it:`, error.message)
+        return null
+    }
+}
+
+// Settings from the server: the segmentation backend order (segmentation.backends)
+// and what it keeps of a print job besides the portrait (uploads); read once
+let photoboothConfig = null
+
+function fetchPhotoboothConfig() {
+    photoboothConfig ??= fetch('/api/photobooth/config')
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`)
+            return response.json()
+        })
+        .catch(error => {
+            console.warn('Could not read photobooth config, using defaults:', error.message)
+            photoboothConfig = null
+            // The server's own defaults
+            return {
+                segmentation: { backends: Object.keys(SEGMENTERS) },
+                uploads: { original: false, recipe: true }
+            }
+        })
+    return photoboothConfig
+}
+
+// Switch backend from the debug panel; the new one is loaded straight away
+async function selectSegmenter() {
+    debug.selectSegmenter()
+    const previous = state.segmenter
+    state.setSegmenter(null)
+    await previous?.dispose()
+    await loadSegmentationModel()
 }
 
 function stopCamera() {
@@ -207,6 +284,7 @@ function stopCamera() {
 function startCountdown() {
     if (!state.elements.video.videoWidth) return
 
+    state.elements.cameraLoading.classList.add('hidden')
     state.elements.captureBtn.classList.add('counting')
     state.elements.countdownOverlay.classList.remove('hidden')
 
@@ -290,93 +368,69 @@ async function capturePhoto(preCapuredCanvas) {
     const height = canvas.height
     const originalImage = ctx.getImageData(0, 0, width, height)
 
-    // Run segmentation with MODNet
-    let segMask = null
+    // Run segmentation (MODNet unless configured otherwise)
+    let matte = null
+    let backend = null
     try {
-        if (model && processor) {
+        if (state.segmenter) {
             showCaptureProcessing('Detecting subject...')
-            await yieldToMain()
-
-            // Convert canvas to RawImage
-            const imageDataUrl = canvas.toDataURL('image/png')
-            const image = await RawImage.fromURL(imageDataUrl)
-
-            showCaptureProcessing('Analyzing framing...')
-            await yieldToMain()
-
-            // Pre-process image
-            const { pixel_values } = await processor(image)
-
-            // Predict alpha matte
-            const { output } = await model({ input: pixel_values })
-
-            showCaptureProcessing('Processing mask...')
-            await yieldToMain()
+            const result = await state.segmenter.segment(originalImage)
+            console.log(`${result.backend} mask in ${Math.round(result.ms)}ms`)
+            debug.showSegmenterTimings(state.segmenter)
+            matte = result.matte
+            backend = result.backend
+        }
+    } catch (error) {
+        console.error('Segmentation failed:', error)
+    }
 
-            // MODNet outputs alpha values 0-1 directly
-            // output is array of tensors, first one is the mask
-            const maskTensor = output[0]
-            const outputData = maskTensor.data
+    // Find the face, so the portrait lights can be placed around it
+    let face = null
+    try {
+        if (state.faceDetector) face = await state.faceDetector.detect(originalImage)
+    } catch (error) {
+        console.error('Face detection failed:', error)
+    }
 
-            // Handle both 3D [batch, height, width] and 4D [batch, channels, height, width] formats
-            let maskHeight, maskWidth
-            if (maskTensor.dims.length === 4) {
-                // NCHW format
-                maskHeight = maskTensor.dims[2]
-                maskWidth = maskTensor.dims[3]
-            } else {
-                // NHW format (MODNet typically outputs this)
-                maskHeight = maskTensor.dims[1]
-                maskWidth = maskTensor.dims[2]
-            }
+    // Estimate depth, so the subject can be relit
+    let depth = null
+    try {
+        if (state.depthEstimator) depth = await state.depthEstimator.estimate(originalImage)
+    } catch (error) {
+        console.error('Depth estimation failed:', error)
+    }
 
-            console.log('MODNet mask:', maskWidth, 'x', maskHeight, 'tensor dims:', maskTensor.dims)
-
-            // Resize mask with bilinear interpolation
-            const resizedMask = new Float32Array(width * height)
-            const scaleX = maskWidth / width
-            const scaleY = maskHeight / height
-
-            for (let y = 0; y < height; y++) {
-                for (let x = 0; x < width; x++) {
-                    const srcX = x * scaleX
-                    const srcY = y * scaleY
-                    const x0 = Math.floor(srcX)
-                    const y0 = Math.floor(srcY)
-                    const x1 = Math.min(x0 + 1, maskWidth - 1)
-                    const y1 = Math.min(y0 + 1, maskHeight - 1)
-                    const xFrac = srcX - x0
-                    const yFrac = srcY - y0
-
-                    const v00 = outputData[y0 * maskWidth + x0]
-                    const v10 = outputData[y0 * maskWidth + x1]
-                    const v01 = outputData[y1 * maskWidth + x0]
-                    const v11 = outputData[y1 * maskWidth + x1]
-
-                    const v0 = v00 * (1 - xFrac) + v10 * xFrac
-                    const v1 = v01 * (1 - xFrac) + v11 * xFrac
-                    resizedMask[y * width + x] = v0 * (1 - yFrac) + v1 * yFrac
-                }
-            }
+    // A new photo starts from the levels and choices picked for the last one
+    state.resetImageState()
+    state.editHistory.reset(state.currentEdit())
 
-            // Check if any subject was detected
-            let subjectPixels = 0
-            for (let i = 0; i < resizedMask.length; i++) {
-                if (resizedMask[i] > 0.5) subjectPixels++
-            }
-            const subjectRatio = subjectPixels / resizedMask.length
+    // The worker takes the matte and depth, so keep copies for the print recipe
+    const sources = {
+        matte: matte && { ...matte, data: matte.data.slice() },
+        depth: depth && { ...depth, data: depth.data.slice() }
+    }
 
-            if (subjectRatio > 0.01 && subjectRatio < 0.99) {
-                segMask = createSoftMaskFromConfidence(resizedMask, width, height)
-                console.log(`MODNet: Subject detected (${(subjectRatio * 100).toFixed(1)}% of frame)`)
-            } else {
-                console.log('No clear subject detected, skipping background effects')
-            }
-        }
+    // Scale and soften the mask in the worker, which keeps the photo for the editor
+    showCaptureProcessing('Processing mask...')
+    let mask, subjectRatio, seed
+    try {
+        ({ mask, subjectRatio, seed } = await pipeline.capture(originalImage, matte, { face, depth }))
     } catch (error) {
-        console.error('MODNet segmentation failed:', error)
+        // Back to the live camera, where the visitor can simply take another
+        console.error('Failed to process photo:', error)
+        hideCaptureProcessing()
+        showCameraMessage('Your photo could not be processed. Please try again.')
+        state.elements.video.play()
+        state.elements.captureBtn.disabled = false
+        return
+    }
+    if (mask) {
+        console.log(`Subject detected (${(subjectRatio * 100).toFixed(1)}% of frame)`)
+    } else if (matte) {
+        console.log('No clear subject detected, skipping background effects')
     }
-    state.setSegmentationMask(segMask)
+    state.setSegmentationMask(mask)
+    state.setCaptureDetails({ segmenter: backend, seed, face, ...sources })
 
     // Store the original
     state.setOriginalWithBackground(originalImage)
@@ -410,6 +464,12 @@ function hideCaptureProcessing() {
     }
 }
 
+// Shown where the camera reports its own errors, until the next countdown
+function showCameraMessage(message) {
+    state.elements.cameraLoading.textContent = message
+    state.elements.cameraLoading.classList.remove('hidden')
+}
+
 function showEditorProcessing(message) {
     const overlay = document.getElementById('editor-processing')
     const text = document.getElementById('editor-processing-text')
@@ -422,8 +482,17 @@ function hideEditorProcessing() {
     if (overlay) overlay.classList.add('hidden')
 }
 
-function yieldToMain() {
-    return new Promise(resolve => setTimeout(resolve, 0))
+// Brief notice over the preview, e.g. when a print couldn't be prepared
+let editorMessageTimer = null
+
+function showEditorMessage(message) {
+    const element = document.getElementById('editor-message')
+    if (!element) return
+
+    element.textContent = message
+    element.classList.remove('hidden')
+    clearTimeout(editorMessageTimer)
+    editorMessageTimer = setTimeout(() => element.classList.add('hidden'), 6000)
 }
 
 // ==========================================
@@ -434,153 +503,79 @@ async function initEditor() {
     state.elements.editorCanvas.width = state.capturedImageData.width
     state.elements.editorCanvas.height = state.capturedImageData.height
 
-    syncLevelButtons()
+    syncEditorControls()
+    closeDodgeBurn()
     applyLevelSettings()
     await updatePreview()
     state.showPanel('editor')
 }
 
+function renderOptions() {
+    return {
+        enhance: state.enhanceSettings,
+        bounds: state.isCropped && state.subjectBounds ? state.subjectBounds : null,
+        strokes: state.editHistory.edit?.strokes ?? []
+    }
+}
+
+// Show a quick ~800px proxy straight away, then refine to full resolution in
+// the worker; another tap cancels whichever of the two is still running
 async function updatePreview() {
     if (!state.imageOriginal) return
 
-    // Get the source image (cropped or full)
-    let sourceImage = state.imageOriginal
-    let sourceMask = state.segmentationMask
-
-    if (state.isCropped && state.subjectBounds) {
-        sourceImage = cropImageData(state.imageOriginal, state.subjectBounds)
-        // Also crop the mask
-        if (state.segmentationMask) {
-            sourceMask = cropMask(state.segmentationMask, state.imageOriginal.width, state.subjectBounds)
-        }
-
-        // Upscale cropped image for higher quality output
-        const scale = calculateScale(sourceImage.width, sourceImage.height, 1400)
-        if (scale > 1) {
-            // Store pre-upscale dimensions for mask
-            const preUpscaleWidth = sourceImage.width
-            const preUpscaleHeight = sourceImage.height
+    // Anything still refining is for the old settings
+    state.setProcessedImageData(null)
+    fullRender = null
 
-            console.log(`Upscaling cropped image by ${scale.toFixed(2)}x...`)
-            sourceImage = await upscaleImageGPU(sourceImage, scale)
+    const preview = await pipeline.render(state.filterSettings, { ...renderOptions(), proxy: true })
 
-            if (sourceMask) {
-                sourceMask = await upscaleMaskGPU(sourceMask, preUpscaleWidth, preUpscaleHeight, scale)
-            }
+    // A newer preview replaced this one
+    if (!preview) return
+    drawPreview(preview)
 
-            // Verify dimensions match
-            const expectedMaskSize = sourceImage.width * sourceImage.height
-            if (sourceMask && sourceMask.length !== expectedMaskSize) {
-                console.warn(`Mask size mismatch: ${sourceMask.length} vs expected ${expectedMaskSize}, creating fallback mask`)
-                sourceMask = new Float32Array(expectedMaskSize).fill(1)
-            }
-        }
+    const render = pipeline.render(state.filterSettings, renderOptions())
+    fullRender = render
+    render.then(result => {
+        if (!result || fullRender !== render) return
+        drawPreview(result)
+        state.setProcessedImageData(result.image)
+    }).catch(error => console.error('Full resolution render failed:', error))
+}
 
-        console.log(`Applying effects to CROPPED image: ${sourceImage.width}x${sourceImage.height} (original: ${state.imageOriginal.width}x${state.imageOriginal.height})`)
-    } else {
-        console.log(`Applying effects to FULL image: ${sourceImage.width}x${sourceImage.height}`)
-    }
+function drawPreview({ image }) {
+    shownImage = image
+    if (!comparing) drawImage(image)
+}
 
+function drawImage(image) {
     // Update canvas size if needed
-    if (state.elements.editorCanvas.width !== sourceImage.width ||
-        state.elements.editorCanvas.height !== sourceImage.height) {
-        state.elements.editorCanvas.width = sourceImage.width
-        state.elements.editorCanvas.height = sourceImage.height
+    if (state.elements.editorCanvas.width !== image.width ||
+        state.elements.editorCanvas.height !== image.height) {
+        state.elements.editorCanvas.width = image.width
+        state.elements.editorCanvas.height = image.height
     }
 
     const ctx = state.elements.editorCanvas.getContext('2d')
-    let workingData = sourceImage
-    let workingMask = sourceMask
-
-    // Apply enhancement BEFORE filters if enabled and set to 'before'
-    if (state.enhanceSettings.enabled && state.enhanceSettings.order === 'before') {
-        try {
-            workingData = await applyEnhancement(workingData, workingMask, state.enhanceSettings)
-            console.log('Applied enhancement (before filters)')
-        } catch (e) {
-            console.warn('Enhancement failed:', e)
-        }
-    }
-
-    // Use GPU-accelerated filters if available
-    if (useGPU) {
-        try {
-            workingData = await applyFiltersGPU(workingData, workingMask, state.filterSettings)
-        } catch (e) {
-            console.warn('GPU filter failed, falling back to CPU:', e)
-            workingData = applyCPUFilters(workingData, workingMask)
-        }
-    } else {
-        workingData = applyCPUFilters(workingData, workingMask)
-    }
-
-    // Apply enhancement AFTER filters if enabled and set to 'after'
-    if (state.enhanceSettings.enabled && state.enhanceSettings.order === 'after') {
-        try {
-            workingData = await applyEnhancement(workingData, workingMask, state.enhanceSettings)
-            console.log('Applied enhancement (after filters)')
-        } catch (e) {
-            console.warn('Enhancement failed:', e)
-        }
-    }
-
-    state.setProcessedImageData(workingData)
-    ctx.putImageData(workingData, 0, 0)
-
-    if (state.filterSettings.blur > 0) {
-        ctx.filter = `blur(${state.filterSettings.blur}px)`
-        ctx.drawImage(state.elements.editorCanvas, 0, 0)
-        ctx.filter = 'none'
-    }
+    ctx.putImageData(image, 0, 0)
 }
 
-// CPU fallback for filters
-function applyCPUFilters(sourceImage, sourceMask) {
-    const workingData = new ImageData(
-        new Uint8ClampedArray(sourceImage.data),
-        sourceImage.width,
-        sourceImage.height
-    )
-
-    // Validate mask dimensions
-    const expectedMaskSize = sourceImage.width * sourceImage.height
-    let validMask = sourceMask
-    if (sourceMask && sourceMask.length !== expectedMaskSize) {
-        console.warn(`CPU filters: Mask size mismatch (${sourceMask.length} vs ${expectedMaskSize}), using fallback`)
-        validMask = null
-    }
+// The full resolution render of the current settings, for printing
+async function fullResolutionImage() {
+    if (state.processedImageData) return state.processedImageData
 
-    // Apply lighting if enabled (before other filters)
-    if (state.filterSettings.lightBoost > 0 && validMask) {
-        applyDirectionalLighting(
-            workingData.data,
-            workingData.width,
-            workingData.height,
-            validMask,
-            state.filterSettings.lightBoost
-        )
-    }
-
-    // Apply filters (with mask for subject-only effects when background is being handled)
-    const useMaskForFilters = state.filterSettings.backgroundDim > 0 && validMask
-    applyTimmonsFilters(workingData, useMaskForFilters ? validMask : null)
-
-    return workingData
-}
+    const result = await fullRender?.catch(error => {
+        console.error('Full resolution render failed, rendering again:', error)
+        return null
+    })
+    if (result) return result.image
 
-// Helper to crop mask to match cropped image
-function cropMask(mask, originalWidth, bounds) {
-    const croppedMask = new Float32Array(bounds.width * bounds.height)
-    for (let y = 0; y < bounds.height; y++) {
-        for (let x = 0; x < bounds.width; x++) {
-            const srcX = bounds.x + x
-            const srcY = bounds.y + y
-            const srcIndex = srcY * originalWidth + srcX
-            const dstIndex = y * bounds.width + x
-            croppedMask[dstIndex] = mask[srcIndex] || 0
-        }
+    // Refining was cancelled by a tap that never rendered, or failed; a newer
+    // render can cancel this one too, so try again until one finishes
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const rerender = await pipeline.render(state.filterSettings, renderOptions())
+        if (rerender) return rerender.image
     }
-    return croppedMask
+    throw new Error('Full resolution render was cancelled')
 }
 
 // ==========================================
@@ -588,11 +583,11 @@ function cropMask(mask, originalWidth, bounds) {
 // ==========================================
 
 function applyLevelSettings() {
-    // Start with base values
-    Object.assign(state.filterSettings, state.baseValues)
+    // Start with base values and the chosen options
+    Object.assign(state.filterSettings, state.baseValues, state.effectChoices)
 
     // Apply ALL effect values based on levels (including silhouette and lighting)
-    const effects = ['silhouette', 'lighting', 'highcontrast', 'crushedblacks', 'grain', 'vignette', 'sepia', 'softness']
+    const effects = ['silhouette', 'lighting', 'highcontrast', 'crushedblacks', 'grain', 'vignette', 'toning', 'softness']
     effects.forEach(effect => {
         const level = state.effectLevels[effect]
         if (level > 0 && state.effectValues[effect]) {
@@ -602,6 +597,89 @@ function applyLevelSettings() {
             })
         }
     })
+
+    // A debug preset is laid over the levels until they next change
+    const preset = state.editHistory.edit?.preset
+    if (preset) Object.assign(state.filterSettings, preset.values)
+
+    // The lamp stays where it was last dragged
+    const lamp = state.editHistory.edit?.lamp
+    if (lamp) Object.assign(state.filterSettings, { lampX: lamp.x, lampY: lamp.y })
+    showLampPosition()
+    debug.syncDebugPanel()
+}
+
+// ==========================================
+// EDIT HISTORY
+// ==========================================
+
+// Every change in the editor is a command in the history (see history.js), so it
+// can be undone and the session replayed for a reprint
+async function performEdit(command, message = 'Applying...') {
+    if (!state.editHistory.edit) return
+    await showEdit(state.editHistory.push(command), message)
+}
+
+async function showEdit(edit, message) {
+    state.applyEdit(edit)
+    syncEditorControls()
+
+    // Show brief processing indicator
+    showEditorProcessing(message)
+    applyLevelSettings()
+    await updatePreview()
+    hideEditorProcessing()
+}
+
+async function undoEdit() {
+    const edit = state.editHistory.undo()
+    if (edit) await showEdit(edit, 'Undoing...')
+}
+
+async function redoEdit() {
+    const edit = state.editHistory.redo()
+    if (edit) await showEdit(edit, 'Redoing...')
+}
+
+function syncEditorControls() {
+    syncLevelButtons()
+    document.querySelector('.crop-btn')?.classList.toggle('cropped', state.isCropped)
+    syncEnhanceControls()
+    syncHistoryButtons()
+}
+
+function syncHistoryButtons() {
+    const undo = document.getElementById('undo-btn')
+    const redo = document.getElementById('redo-btn')
+    if (undo) undo.disabled = !state.editHistory.canUndo
+    if (redo) redo.disabled = !state.editHistory.canRedo
+}
+
+// Latest render drawn on the preview, and whether the original is showing instead
+let shownImage = null
+let comparing = false
+
+// Press and hold to see the photo as it was taken
+function setupCompare() {
+    const button = document.getElementById('compare-btn')
+    if (!button) return
+
+    const showOriginal = event => {
+        if (!state.imageOriginal) return
+        event.preventDefault()
+        comparing = true
+        drawImage(state.imageOriginal)
+    }
+    const showEdited = () => {
+        if (!comparing) return
+        comparing = false
+        if (shownImage) drawImage(shownImage)
+    }
+
+    button.addEventListener('pointerdown', showOriginal)
+    button.addEventListener('pointerup', showEdited)
+    button.addEventListener('pointerleave', showEdited)
+    button.addEventListener('pointercancel', showEdited)
 }
 
 // ==========================================
@@ -615,32 +693,41 @@ function retakePhoto() {
 }
 
 async function sendToPrint() {
-    if (!state.processedImageData) return
+    if (!state.imageOriginal) return
+
+    try {
+        await printPortrait()
+    } catch (error) {
+        // Back to the editor, where the visitor can simply try again
+        console.error('Failed to send portrait to print:', error)
+        state.showPanel('editor')
+        showEditorMessage('Your portrait could not be prepared for print. Please try again.')
+    }
+}
 
+async function printPortrait() {
     // Show processing overlay
     state.showPanel('processing')
     const processingStatus = document.getElementById('processing-status')
 
+    // The editor may only have shown the proxy so far
+    if (processingStatus) processingStatus.textContent = 'Rendering full resolution...'
+    const processedImage = await fullResolutionImage()
+
     const canvas = document.createElement('canvas')
-    canvas.width = state.processedImageData.width
-    canvas.height = state.processedImageData.height
+    canvas.width = processedImage.width
+    canvas.height = processedImage.height
     const ctx = canvas.getContext('2d')
-    ctx.putImageData(state.processedImageData, 0, 0)
-
-    if (state.filterSettings.blur > 0) {
-        ctx.filter = `blur(${state.filterSettings.blur}px)`
-        ctx.drawImage(canvas, 0, 0)
-        ctx.filter = 'none'
-    }
+    ctx.putImageData(processedImage, 0, 0)
 
     // Get the current image data
     let finalImageData = ctx.getImageData(0, 0, canvas.width, canvas.height)
 
-    // Upscale for print quality (target 2400px for 8" at 300dpi)
-    const printScale = calculateScale(finalImageData.width, finalImageData.height, 2400)
+    // Upscale for print quality
+    const printScale = calculateScale(finalImageData.width, finalImageData.height, PRINT_LONG_EDGE)
     if (printScale > 1) {
         if (processingStatus) processingStatus.textContent = 'Enhancing for print...'
-        const upscaledImage = await upscaleImageGPU(finalImageData, printScale)
+        const upscaledImage = await pipeline.upscale(finalImageData, printScale)
         canvas.width = upscaledImage.width
         canvas.height = upscaledImage.height
         ctx.putImageData(upscaledImage, 0, 0)
@@ -651,27 +738,137 @@ async function sendToPrint() {
 
     const imageDataUrl = canvas.toDataURL('image/jpeg', 0.95)
 
-    try {
-        const response = await fetch('/api/print-queue', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                image: imageDataUrl,
-                timestamp: new Date().toISOString(),
-                settings: { ...state.filterSettings }
-            })
-        })
+    // The unedited photo only goes to the server when it keeps it: in the recipe,
+    // which it also makes the visitor's original from, or else on its own
+    const { uploads } = await fetchPhotoboothConfig()
+
+    const job = {
+        key: createIdempotencyKey(),
+        body: {
+            image: imageDataUrl,
+            timestamp: new Date().toISOString(),
+            settings: { ...state.filterSettings },
+            ...(uploads.recipe ? printRecipe() : {}),
+            original: uploads.original && !uploads.recipe ? imageDataToJpeg(state.originalWithBackground) : undefined
+        },
+        createdAt: new Date().toISOString()
+    }
 
-        if (response.ok) {
-            state.showPanel('success')
-        } else {
-            downloadImage(imageDataUrl)
-            state.showPanel('success')
+    const result = await submitPrintJob(job)
+    let queued = false
+
+    if (!result.ok && result.retry) {
+        // Server unreachable - keep the job and send it when it's back
+        try {
+            await outbox.add(job)
+            queued = true
+        } catch (error) {
+            console.error('Failed to save print job for retry:', error)
         }
-    } catch (error) {
-        console.error('Failed to send to print queue:', error)
+    }
+
+    if (!result.ok && !queued) {
+        // Last resort: keep a local copy so staff can still print it
         downloadImage(imageDataUrl)
-        state.showPanel('success')
+    }
+
+    showTicket(result.data?.ticket)
+    showDownloadCode(result.data?.download)
+    document.getElementById('success-queued')?.classList.toggle('hidden', !queued)
+    state.showPanel('success')
+}
+
+// Small badge showing portraits still waiting to reach the front desk, and any
+// the print queue rejected, which staff save by tapping it
+function updateOutboxIndicator(count, failed = 0) {
+    const indicator = document.getElementById('outbox-indicator')
+    if (!indicator) return
+
+    const portraits = n => n === 1 ? '1 portrait' : `${n} portraits`
+    indicator.textContent = failed > 0
+        ? `${portraits(failed)} could not be sent - staff, tap to save`
+        : `${portraits(count)} waiting to send`
+    indicator.classList.toggle('failed', failed > 0)
+    indicator.classList.toggle('hidden', count === 0 && failed === 0)
+}
+
+// Save portraits the print queue rejected to the kiosk, so staff can print them by hand
+async function saveFailedPrintJobs() {
+    try {
+        for (const job of await outbox.failed()) {
+            downloadImage(job.body.image)
+            await outbox.discard(job.key)
+        }
+    } catch (error) {
+        console.error('Failed to save rejected print jobs:', error)
+    }
+}
+
+// How the portrait was made and what from, so staff can render it again
+// (see recipe.js); the server keeps the capture as the visitor's original too
+function printRecipe() {
+    const details = state.captureDetails
+    const capture = state.originalWithBackground
+    if (!details || !capture) return {}
+
+    return {
+        recipe: createRecipe(
+            { photo: capture, segmenter: details.segmenter, seed: details.seed, face: details.face },
+            {
+                settings: state.filterSettings,
+                enhance: state.enhanceSettings,
+                history: state.editHistory.toJSON(),
+                gpu: pipelineGPU,
+                printLongEdge: PRINT_LONG_EDGE
+            }
+        ),
+        sources: {
+            capture: imageDataToPng(capture),
+            matte: encodeSource(details.matte),
+            depth: encodeSource(details.depth)
+        }
+    }
+}
+
+function imageDataToCanvas(imageData) {
+    const canvas = document.createElement('canvas')
+    canvas.width = imageData.width
+    canvas.height = imageData.height
+    canvas.getContext('2d').putImageData(imageData, 0, 0)
+    return canvas
+}
+
+// Lossless, so a re-render starts from exactly the pixels the kiosk did
+function imageDataToPng(imageData) {
+    return imageDataToCanvas(imageData).toDataURL('image/png')
+}
+
+function imageDataToJpeg(imageData) {
+    if (!imageData) return undefined
+    return imageDataToCanvas(imageData).toDataURL('image/jpeg', 0.92)
+}
+
+// Pickup ticket the visitor gives at the front desk, e.g. "A-042"
+function showTicket(ticket) {
+    const element = document.getElementById('success-ticket')
+    if (!element) return
+
+    element.querySelector('strong').textContent = ticket || ''
+    element.classList.toggle('hidden', !ticket)
+}
+
+// QR code linking to the visitor's digital copy (hidden when the server didn't issue one)
+function showDownloadCode(download) {
+    const container = document.getElementById('download-qr')
+    if (!container) return
+
+    if (download?.qrSvg) {
+        // SVG markup generated by our own server
+        container.querySelector('.download-qr-code').innerHTML = download.qrSvg
+        container.classList.remove('hidden')
+    } else {
+        container.querySelector('.download-qr-code').innerHTML = ''
+        container.classList.add('hidden')
     }
 }
 
@@ -721,16 +918,21 @@ function goBack() {
 
 async function cropToSubject() {
     showEditorProcessing('Framing subject...')
-    await yieldToMain()
     await doCropToSubject(applyLevelSettings, updatePreview)
     hideEditorProcessing()
+
+    // Framing works the crop out from the mask; the history keeps what it chose
+    const bounds = state.isCropped ? { ...state.subjectBounds } : null
+    if (JSON.stringify(bounds) !== JSON.stringify(state.editHistory.edit.bounds)) {
+        state.editHistory.push({ type: 'crop', bounds })
+        syncHistoryButtons()
+    }
 }
 
 async function applyPreset(presetName) {
-    showEditorProcessing('Applying preset...')
-    await yieldToMain()
-    await debug.applyPreset(presetName, updatePreview)
-    hideEditorProcessing()
+    const values = state.presetValues[presetName]
+    if (!values) return
+    await performEdit({ type: 'preset', name: presetName, values }, 'Applying preset...')
 }
 
 // ==========================================
@@ -749,6 +951,7 @@ let manualCropState = {
 async function openManualCrop() {
     const overlay = document.getElementById('crop-overlay')
     if (!overlay) return
+    closeDodgeBurn()
 
     // Reset to uncropped state first
     if (state.isCropped) {
@@ -925,31 +1128,126 @@ async function applyCrop() {
     if (overlay._cleanup) overlay._cleanup()
     overlay.classList.add('hidden')
 
-    showEditorProcessing('Applying crop...')
-    await yieldToMain()
-
     const box = manualCropState.box
     const imgWidth = state.imageOriginal.width
     const imgHeight = state.imageOriginal.height
 
-    state.setSubjectBounds({
-        x: Math.round(box.x * imgWidth),
-        y: Math.round(box.y * imgHeight),
-        width: Math.round(box.width * imgWidth),
-        height: Math.round(box.height * imgHeight)
-    })
-    state.setIsCropped(true)
-
     manualCropState.active = false
-    await updatePreview()
-    hideEditorProcessing()
+    await performEdit({
+        type: 'crop',
+        bounds: {
+            x: Math.round(box.x * imgWidth),
+            y: Math.round(box.y * imgHeight),
+            width: Math.round(box.width * imgWidth),
+            height: Math.round(box.height * imgHeight)
+        }
+    }, 'Applying crop...')
 }
 
-function cancelCrop() {
+async function cancelCrop() {
     const overlay = document.getElementById('crop-overlay')
     if (overlay._cleanup) overlay._cleanup()
     overlay.classList.add('hidden')
     manualCropState.active = false
+
+    // Opening the crop showed the whole photo; go back to the crop there was
+    if (state.editHistory.edit.bounds) await showEdit(state.editHistory.edit, 'Restoring crop...')
+}
+
+// ==========================================
+// DODGE AND BURN
+// ==========================================
+
+// While the brushes are open, painting on the preview adds strokes
+let painting = false
+let stroke = null
+
+function openDodgeBurn() {
+    setLampDrag(false)
+    painting = true
+    document.getElementById('dodge-burn-panel')?.classList.remove('hidden')
+    state.elements.editorCanvas.style.touchAction = 'none'
+    syncBrushButtons()
+}
+
+function closeDodgeBurn() {
+    painting = false
+    stroke = null
+    document.getElementById('dodge-burn-panel')?.classList.add('hidden')
+    state.elements.editorCanvas.style.touchAction = lampDrag ? 'none' : ''
+}
+
+function setBrush(setting, value) {
+    state.brushSettings[setting] = setting === 'mode' ? value : parseFloat(value)
+    syncBrushButtons()
+}
+
+function syncBrushButtons() {
+    document.querySelectorAll('.level-buttons[data-brush]').forEach(container => {
+        const value = String(state.brushSettings[container.dataset.brush])
+        container.querySelectorAll('.level-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.value === value)
+        })
+    })
+}
+
+// Where a pointer is over the photo, 0-1 across and down; the photo is
+// letterboxed inside the canvas element (object-fit: contain)
+function canvasPoint(event) {
+    const canvas = state.elements.editorCanvas
+    const rect = canvas.getBoundingClientRect()
+    const scale = Math.min(rect.width / canvas.width, rect.height / canvas.height)
+    const left = rect.left + (rect.width - canvas.width * scale) / 2
+    const top = rect.top + (rect.height - canvas.height * scale) / 2
+    return {
+        x: Math.min(1, Math.max(0, (event.clientX - left) / (canvas.width * scale))),
+        y: Math.min(1, Math.max(0, (event.clientY - top) / (canvas.height * scale)))
+    }
+}
+
+// A point on the preview, normalized to the whole photo rather than the crop it shows
+function photoPoint(event) {
+    const { x, y } = canvasPoint(event)
+    const { bounds } = renderOptions()
+    if (!bounds) return { x, y }
+    return {
+        x: (bounds.x + x * bounds.width) / state.imageOriginal.width,
+        y: (bounds.y + y * bounds.height) / state.imageOriginal.height
+    }
+}
+
+function setupBrushPainting() {
+    const canvas = state.elements.editorCanvas
+    const repaint = () => updatePreview().catch(error => console.error('Preview failed:', error))
+
+    canvas.addEventListener('pointerdown', event => {
+        if (!painting) return
+        canvas.setPointerCapture(event.pointerId)
+        // The stroke goes into the history now, and grows as the pointer moves
+        stroke = createStroke(state.brushSettings, photoPoint(event))
+        state.editHistory.push({ type: 'stroke', stroke })
+        syncHistoryButtons()
+        repaint()
+    })
+
+    canvas.addEventListener('pointermove', event => {
+        if (!painting || !stroke || !event.buttons) return
+
+        // Points closer than an eighth of the brush add nothing but work
+        const point = photoPoint(event)
+        const last = stroke.points.at(-1)
+        const { width, height } = state.imageOriginal
+        const spacing = stroke.size * Math.max(width, height) / 8
+        if (Math.hypot((point.x - last.x) * width, (point.y - last.y) * height) < spacing) return
+
+        stroke.points.push(point)
+        // Each move supersedes the render before it, so only the last one finishes
+        repaint()
+    })
+
+    const endStroke = () => { stroke = null }
+    canvas.addEventListener('pointerup', endStroke)
+    canvas.addEventListener('pointercancel', endStroke)
 }
 
 // ==========================================
@@ -969,37 +1267,54 @@ window.cropToSubject = cropToSubject
 window.openManualCrop = openManualCrop
 window.applyCrop = applyCrop
 window.cancelCrop = cancelCrop
+window.openDodgeBurn = openDodgeBurn
+window.closeDodgeBurn = closeDodgeBurn
+window.undoEdit = undoEdit
+window.redoEdit = redoEdit
 window.toggleDebugPanel = () => {
-    debug.setUpdatePreviewCallback(updatePreview)  // Enable live updates
+    debug.setEditorCallbacks({ updatePreview, applyValues: applyDebugValues })  // Enable live updates
     debug.toggleDebugPanel()
 }
 window.selectDebugPreset = debug.selectDebugPreset
+window.selectSegmenter = selectSegmenter
 window.updateDebugValue = debug.updateDebugValue
-window.applyDebugSettings = () => debug.applyDebugSettings(updatePreview)
-window.saveDebugPreset = () => debug.saveDebugPreset(applyPreset, updatePreview)
+window.commitDebugValues = debug.commitDebugValues
+window.applyDebugSettings = debug.applyDebugSettings
+window.saveDebugPreset = () => debug.saveDebugPreset(applyPreset)
 window.exportPresets = debug.exportPresets
 window.resetToDefault = debug.resetToDefault
 window.setToNeutral = debug.setToNeutral
 
-// Enhancement controls
+// The debug panel's sliders, laid over the levels as a preset of their own; `shown`
+// when the preview already has them, as it does once a slider is let go
+async function applyDebugValues(values, { shown = false } = {}) {
+    const command = { type: 'preset', name: 'debug', values }
+    if (!shown) return performEdit(command)
+    if (!state.editHistory.edit) return
+    state.editHistory.push(command)
+    syncHistoryButtons()
+}
+
+// Enhancement controls: each change is an edit command, so undo takes it back;
+// without a photo yet, the next capture starts from it
+async function changeEnhancement(settings) {
+    if (state.editHistory.edit) {
+        await performEdit({ type: 'enhance', settings })
+    } else {
+        Object.assign(state.enhanceSettings, settings)
+        syncEnhanceControls()
+    }
+}
+
 async function setEnhanceEnabled(enabled) {
-    state.enhanceSettings.enabled = enabled
-    // Update button states
-    document.getElementById('enhance-off-btn')?.classList.toggle('active', !enabled)
-    document.getElementById('enhance-on-btn')?.classList.toggle('active', enabled)
-    await updatePreview()
+    await changeEnhancement({ enabled })
 }
 
 async function setEnhanceOrder(order) {
-    state.enhanceSettings.order = order
-    // Update button states
-    document.getElementById('enhance-before-btn')?.classList.toggle('active', order === 'before')
-    document.getElementById('enhance-after-btn')?.classList.toggle('active', order === 'after')
-    if (state.enhanceSettings.enabled) {
-        await updatePreview()
-    }
+    await changeEnhancement({ order })
 }
 
+// While a slider moves, the preview follows it; letting go records it (commitEnhanceValue)
 async function updateEnhanceValue(field) {
     const slider = document.getElementById(`debug-${field}`)
     const valueDisplay = document.getElementById(`debug-val-${field}`)
@@ -1013,9 +1328,81 @@ async function updateEnhanceValue(field) {
     }
 }
 
+function commitEnhanceValue(field) {
+    if (!state.editHistory.edit) return
+    state.editHistory.push({ type: 'enhance', settings: { [field]: state.enhanceSettings[field] } })
+    syncHistoryButtons()
+}
+
+function syncEnhanceControls() {
+    const { enabled, order } = state.enhanceSettings
+    document.getElementById('enhance-off-btn')?.classList.toggle('active', !enabled)
+    document.getElementById('enhance-on-btn')?.classList.toggle('active', enabled)
+    document.getElementById('enhance-before-btn')?.classList.toggle('active', order === 'before')
+    document.getElementById('enhance-after-btn')?.classList.toggle('active', order === 'after')
+
+    Object.entries(state.enhanceSettings).forEach(([field, value]) => {
+        const slider = document.getElementById(`debug-${field}`)
+        const valueDisplay = document.getElementById(`debug-val-${field}`)
+        if (slider) slider.value = value
+        if (valueDisplay) valueDisplay.textContent = value
+    })
+}
+
 window.setEnhanceEnabled = setEnhanceEnabled
 window.setEnhanceOrder = setEnhanceOrder
 window.updateEnhanceValue = updateEnhanceValue
+window.commitEnhanceValue = commitEnhanceValue
+
+// Relighting lamp: while on, dragging over the preview moves the lamp
+let lampDrag = false
+
+function setLampDrag(enabled) {
+    if (enabled) closeDodgeBurn()
+    lampDrag = enabled
+    document.getElementById('lamp-drag-off-btn')?.classList.toggle('active', !enabled)
+    document.getElementById('lamp-drag-on-btn')?.classList.toggle('active', enabled)
+    state.elements.editorCanvas.style.touchAction = enabled ? 'none' : ''
+}
+
+function setupLampDrag() {
+    const canvas = state.elements.editorCanvas
+    // Where the lamp is being dragged; it goes into the history when let go
+    let dragged = null
+
+    const moveLamp = event => {
+        if (!lampDrag || !event.buttons || !state.editHistory.edit) return
+
+        dragged = canvasPoint(event)
+        state.filterSettings.lampX = dragged.x
+        state.filterSettings.lampY = dragged.y
+        showLampPosition()
+
+        // Each move supersedes the render before it, so only the last one finishes
+        updatePreview().catch(error => console.error('Preview failed:', error))
+    }
+
+    // The preview already shows the lamp there, so the command needs no render
+    const dropLamp = () => {
+        if (!dragged) return
+        state.editHistory.push({ type: 'lamp', ...dragged })
+        dragged = null
+        syncHistoryButtons()
+    }
+
+    canvas.addEventListener('pointerdown', moveLamp)
+    canvas.addEventListener('pointermove', moveLamp)
+    canvas.addEventListener('pointerup', dropLamp)
+    canvas.addEventListener('pointercancel', dropLamp)
+}
+
+function showLampPosition() {
+    const readout = document.getElementById('debug-val-lamp')
+    const { lampX, lampY } = state.filterSettings
+    if (readout) readout.textContent = `${lampX.toFixed(2)}, ${lampY.toFixed(2)}`
+}
+
+window.setLampDrag = setLampDrag
 
 // Technique info modal
 const techniqueInfo = {
@@ -1025,7 +1412,7 @@ const techniqueInfo = {
     },
     lighting: {
         title: 'Portrait Lighting',
-        text: 'Timmons used a single powerful tungsten lamp, positioned high and to one side of the subject—a technique called "Rembrandt lighting" after the Dutch master painter. A white reflector on the opposite side would gently fill the shadows. This created dramatic dimension and sculpted the face with light and shadow.'
+        text: 'Timmons used a single powerful tungsten lamp, positioned high and to one side of the subject—a technique called "Rembrandt lighting" after the Dutch master painter. A white reflector on the opposite side would gently fill the shadows. This created dramatic dimension and sculpted the face with light and shadow. Portrait photographers named their lighting patterns after the shadows a lamp threw across the face: a small triangle of light on the shadowed cheek for Rembrandt, a little loop of shadow beside the nose for loop lighting, one half of the face lit and the other dark for split lighting, and a butterfly of shadow under the nose from a lamp high and straight ahead.'
     },
     contrast: {
         title: 'High Contrast',
@@ -1045,7 +1432,11 @@ const techniqueInfo = {
     },
     tone: {
         title: 'Warm Tone',
-        text: 'After developing and fixing a print, photographers would bathe it in selenium or gold toner solutions. These chemical baths shifted the image color from cool neutral gray toward warm brown tones, while also making the print more archival and resistant to fading. The warm tone gives portraits a timeless, elegant quality.'
+        text: 'After developing and fixing a print, photographers would bathe it in toner solutions that converted its silver and made it more archival and resistant to fading. Selenium reaches the dense shadows first, turning them a deep purple-brown. A sepia bath bleaches the lighter tones and redevelops them warm brown. Gold gives a cool blue-black, and printers would split-tone a print by combining baths: warm shadows, cool highlights.'
+    },
+    dodgeburn: {
+        title: 'Dodging and Burning',
+        text: 'A print was made by shining light through the negative onto the paper, and the more light a part of the paper received, the darker it printed. While the enlarger lamp was on, Timmons would keep his hands or a small card on a wire moving in the beam to hold light back from a face or a hand, lightening it ("dodging"), then give the rest of the print extra time through a hole in a sheet of card to darken a distracting background ("burning in"). Kept moving, the tools left no hard edges, only light and shadow that seemed to belong to the scene.'
     },
     softfocus: {
         title: 'Soft Focus',
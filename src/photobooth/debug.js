@@ -7,18 +7,19 @@ import { filterSettings, presetValues, baseValues } from './state.js'
 
 let debugPresetName = 'classic'
 let updatePreviewFn = null  // Store reference for live updates
+let applyValuesFn = null    // Lays the sliders' values over the edit (see setEditorCallbacks)
 
 // Neutral values - essentially no effect
 const neutralValues = {
     backgroundDim: 0,
     lightBoost: 0,
-    contrast: 1.0,
-    brightness: 1.0,
-    shadows: 0,
-    highlights: 0,
+    relight: 0,
+    lampHeight: 0.6,
+    grade: 2,
+    exposure: 0,
     grain: 0,
     vignette: 0,
-    sepia: 0,
+    toning: 0,
     blur: 0
 }
 
@@ -26,18 +27,21 @@ const neutralValues = {
 const defaultValues = {
     backgroundDim: 1.0,
     lightBoost: 0.6,
-    contrast: 1.6,
-    brightness: 0.95,
-    shadows: 35,
-    highlights: 20,
+    relight: 0.5,
+    lampHeight: 0.6,
+    grade: 3.5,
+    exposure: 0.3,
     grain: 24,
     vignette: 40,
-    sepia: 14,
+    toning: 28,
     blur: 0.6
 }
 
+// Segmentation backend picked in the debug panel, remembered on this kiosk
+const SEGMENTER_STORAGE_KEY = 'timmons-segmenter'
+
 // All adjustable fields
-const allFields = ['backgroundDim', 'lightBoost', 'contrast', 'brightness', 'shadows', 'highlights', 'grain', 'vignette', 'sepia', 'blur']
+const allFields = ['backgroundDim', 'lightBoost', 'relight', 'lampHeight', 'grade', 'exposure', 'grain', 'vignette', 'toning', 'blur']
 
 export function toggleDebugPanel() {
     const panel = document.getElementById('debug-panel')
@@ -45,13 +49,15 @@ export function toggleDebugPanel() {
         panel.classList.toggle('hidden')
         if (!panel.classList.contains('hidden')) {
             // Sync sliders with current filter settings
-            syncSlidersToCurrentSettings()
+            syncDebugPanel()
+            const segmenterSelect = document.getElementById('debug-segmenter')
+            if (segmenterSelect) segmenterSelect.value = getPreferredSegmenter() || ''
         }
     }
 }
 
-// Sync debug sliders to current filterSettings values
-function syncSlidersToCurrentSettings() {
+// Sync debug sliders to current filterSettings values, e.g. after an undo
+export function syncDebugPanel() {
     allFields.forEach(field => {
         const slider = document.getElementById(`debug-${field}`)
         const valueDisplay = document.getElementById(`debug-val-${field}`)
@@ -85,6 +91,48 @@ export function selectDebugPreset() {
     }
 }
 
+export function getPreferredSegmenter() {
+    return localStorage.getItem(SEGMENTER_STORAGE_KEY)
+}
+
+// Remember the backend chosen in the selector ("" for the configured order)
+export function selectSegmenter() {
+    const selector = document.getElementById('debug-segmenter')
+    if (!selector) return
+
+    if (selector.value) {
+        localStorage.setItem(SEGMENTER_STORAGE_KEY, selector.value)
+    } else {
+        localStorage.removeItem(SEGMENTER_STORAGE_KEY)
+    }
+}
+
+// Load and mask times for every backend the chain has tried
+export function showSegmenterTimings(chain) {
+    const readout = document.getElementById('debug-segmenter-timing')
+    if (!readout || !chain) return
+
+    const active = chain.current()
+    readout.textContent = Object.entries(chain.timings).map(([name, t]) => {
+        if (t.error && name !== active?.name) return `${t.label}: unavailable (${t.error})`
+
+        const parts = [`${t.label} on ${t.device}`, `load ${Math.round(t.loadMs)}ms`]
+        if (t.segmentMs !== undefined) parts.push(`mask ${Math.round(t.segmentMs)}ms`)
+        return parts.join(' · ')
+    }).join('\n') || 'Not loaded yet'
+}
+
+// The sliders' values, field by field
+function sliderValues() {
+    const values = {}
+    allFields.forEach(field => {
+        const slider = document.getElementById(`debug-${field}`)
+        if (slider) values[field] = parseFloat(slider.value)
+    })
+    return values
+}
+
+// While a slider moves, the preview follows it; letting go records it (commitDebugValues)
 export async function updateDebugValue(field) {
     const slider = document.getElementById(`debug-${field}`)
     const valueDisplay = document.getElementById(`debug-val-${field}`)
@@ -98,23 +146,25 @@ export async function updateDebugValue(field) {
     }
 }
 
-export async function applyDebugSettings(updatePreviewCallback) {
-    // Store reference for live updates
-    updatePreviewFn = updatePreviewCallback
-
-    allFields.forEach(field => {
-        const slider = document.getElementById(`debug-${field}`)
-        if (slider) {
-            filterSettings[field] = parseFloat(slider.value)
-        }
-    })
+// A slider was let go where the preview already shows it
+export async function commitDebugValues() {
+    if (applyValuesFn) await applyValuesFn(sliderValues(), { shown: true })
+}
 
-    await updatePreviewCallback()
+export async function applyDebugSettings() {
+    if (applyValuesFn) await applyValuesFn(sliderValues())
 }
 
-// Set the update preview callback (called when debug panel opens)
-export function setUpdatePreviewCallback(callback) {
-    updatePreviewFn = callback
+/**
+ * Set the editor's callbacks (called when debug panel opens)
+ * @param {Object} callbacks
+ * @param {Function} callbacks.updatePreview - Renders the preview for live updates
+ * @param {Function} callbacks.applyValues - Called with (values, { shown }) to make the
+ *   sliders' values an edit; `shown` when the preview already has them
+ */
+export function setEditorCallbacks({ updatePreview, applyValues }) {
+    updatePreviewFn = updatePreview
+    applyValuesFn = applyValues
 }
 
 // Reset sliders to default values
@@ -127,13 +177,10 @@ export async function resetToDefault() {
             if (valueDisplay) {
                 valueDisplay.textContent = defaultValues[field]
             }
-            filterSettings[field] = defaultValues[field]
         }
     })
 
-    if (updatePreviewFn) {
-        await updatePreviewFn()
-    }
+    await applyDebugSettings()
 }
 
 // Set all effects to neutral (no change)
@@ -146,24 +193,14 @@ export async function setToNeutral() {
             if (valueDisplay) {
                 valueDisplay.textContent = neutralValues[field]
             }
-            filterSettings[field] = neutralValues[field]
         }
     })
 
-    if (updatePreviewFn) {
-        await updatePreviewFn()
-    }
+    await applyDebugSettings()
 }
 
-export function saveDebugPreset(applyPresetCallback, updatePreviewCallback) {
-    const newValues = {}
-
-    allFields.forEach(field => {
-        const slider = document.getElementById(`debug-${field}`)
-        if (slider) {
-            newValues[field] = parseFloat(slider.value)
-        }
-    })
+export function saveDebugPreset(applyPresetCallback) {
+    const newValues = sliderValues()
 
     presetValues[debugPresetName] = newValues
     console.log(`Saved preset '${debugPresetName}':`, newValues)
@@ -180,11 +217,3 @@ export function exportPresets() {
         console.log('Preset Export:\n', output)
     }
 }
-
-export async function applyPreset(presetName, updatePreviewCallback) {
-    const preset = presetValues[presetName]
-    if (preset) {
-        Object.assign(filterSettings, preset)
-        await updatePreviewCallback()
-    }
-}
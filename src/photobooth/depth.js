@@ -0,0 +1,54 @@
+/**
+ * Depth Estimation
+ * Depth Anything (small, 8-bit quantized) through Transformers.js, run on the page at
+ * capture like the segmenters; the worker shades the subject from its depth (see relight.js)
+ */
+
+import { RawImage } from '@huggingface/transformers'
+import { loadTransformersModel } from './segmenters/transformers-model.js'
+
+const REPO = 'Xenova/depth-anything-small-hf'
+
+export function createDepthEstimator() {
+    let model = null
+    let processor = null
+
+    const estimator = { device: null, load, estimate, dispose }
+
+    async function load(onProgress) {
+        const loaded = await loadTransformersModel({
+            repo: REPO,
+            label: 'Depth Anything',
+            modelOptions: { dtype: 'q8' },
+            onProgress
+        })
+        model = loaded.model
+        processor = loaded.processor
+        estimator.device = loaded.device
+    }
+
+    /**
+     * Estimate a photo's depth
+     * @param {ImageData} imageData
+     * @returns {Promise<{ width: number, height: number, data: Float32Array }>} Relative depth
+     *   at the model's resolution, larger where nearer (see prepareDepth in pipeline/stages.js)
+     */
+    async function estimate(imageData) {
+        const image = new RawImage(imageData.data, imageData.width, imageData.height, 4)
+
+        const inputs = await processor(image)
+        const { predicted_depth } = await model(inputs)
+
+        // [1, height, width]: this photo's depth
+        const [height, width] = predicted_depth.dims.slice(-2)
+        return { data: Float32Array.from(predicted_depth.data), width, height }
+    }
+
+    async function dispose() {
+        await model?.dispose()
+        model = null
+        processor = null
+    }
+
+    return estimator
+}
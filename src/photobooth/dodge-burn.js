@@ -0,0 +1,116 @@
+/**
+ * Dodge and Burn
+ * Brush strokes painted over the print in the editor. Under the enlarger a printer
+ * held light back from part of the paper to lighten it (dodging) or gave it more to
+ * darken it (burning in); each stroke here adds or takes away stops of exposure in a
+ * layer the filter graph applies before the tone curve (see the dodgeburn node).
+ *
+ * Strokes are kept in coordinates normalized to the photo, so they stay put however
+ * it is cropped or scaled, and are painted into a layer at each render's size.
+ */
+
+// However many strokes pile up, a pixel is lightened or darkened at most this many stops
+const MAX_STOPS = 2
+
+/**
+ * Brush modes: dodging lightens, burning darkens
+ */
+export const BRUSH_MODES = ['dodge', 'burn']
+
+/**
+ * Start a stroke
+ * @param {Object} brush
+ * @param {'dodge'|'burn'} brush.mode
+ * @param {number} brush.size - Diameter, as a fraction of the photo's long edge
+ * @param {number} brush.strength - Stops of exposure under the brush's centre
+ * @param {number} brush.softness - 0 (hard edged) to 1 (fading all the way from the centre)
+ * @param {{ x: number, y: number }} point - Where it starts, normalized to the photo
+ * @returns {{ mode: string, size: number, strength: number, softness: number, points: Array<{ x: number, y: number }> }}
+ */
+export function createStroke({ mode, size, strength, softness }, point) {
+    return { mode, size, strength, softness, points: [point] }
+}
+
+/**
+ * How much of the brush reaches a point
+ * @param {number} distance - From the stroke, in brush radii
+ * @param {number} softness - 0-1, see createStroke
+ * @returns {number} 1 at the centre, falling to 0 at the brush's edge
+ */
+export function brushFalloff(distance, softness) {
+    if (distance >= 1) return 0
+    const core = 1 - softness
+    if (distance <= core) return 1
+
+    const t = (distance - core) / softness
+    return 1 - t * t * (3 - 2 * t)
+}
+
+// Distance from (px, py) to the segment from a to b
+function segmentDistance(px, py, [ax, ay], [bx, by]) {
+    const dx = bx - ax
+    const dy = by - ay
+    const length2 = dx * dx + dy * dy
+    const t = length2 > 0 ? Math.min(1, Math.max(0, ((px - ax) * dx + (py - ay) * dy) / length2)) : 0
+    return Math.hypot(px - ax - dx * t, py - ay - dy * t)
+}
+
+/**
+ * Paint strokes into an exposure layer
+ * @param {Array<Object>} strokes - From createStroke, oldest first
+ * @param {number} width - Layer width
+ * @param {number} height - Layer height
+ * @param {Object} view - The part of the photo the layer covers
+ * @param {number} view.photoWidth - Photo width
+ * @param {number} view.photoHeight - Photo height
+ * @param {Object|null} [view.bounds] - Crop, in photo pixels; null for the whole photo
+ * @returns {Float32Array} Stops, positive where lightened, one value per pixel
+ */
+export function exposureLayer(strokes, width, height, { photoWidth, photoHeight, bounds = null }) {
+    const frame = bounds || { x: 0, y: 0, width: photoWidth, height: photoHeight }
+    const scaleX = width / frame.width
+    const scaleY = height / frame.height
+    const layer = new Float32Array(width * height)
+    const coverage = new Float32Array(width * height)
+
+    for (const stroke of strokes) {
+        const radius = stroke.size / 2 * Math.max(photoWidth, photoHeight) * scaleX
+        if (radius <= 0 || !stroke.points.length) continue
+
+        const points = stroke.points.map(({ x, y }) => [(x * photoWidth - frame.x) * scaleX, (y * photoHeight - frame.y) * scaleY])
+        const segments = points.length > 1 ? points.slice(1).map((point, i) => [points[i], point]) : [[points[0], points[0]]]
+
+        // The stroke's dabs overlap; each pixel takes the brush at its closest pass, so
+        // going over a spot within one stroke doesn't build up like a second stroke does
+        const left = Math.max(0, Math.floor(Math.min(...points.map(p => p[0])) - radius))
+        const right = Math.min(width - 1, Math.ceil(Math.max(...points.map(p => p[0])) + radius))
+        const top = Math.max(0, Math.floor(Math.min(...points.map(p => p[1])) - radius))
+        const bottom = Math.min(height - 1, Math.ceil(Math.max(...points.map(p => p[1])) + radius))
+        if (left > right || top > bottom) continue
+
+        for (const [a, b] of segments) {
+            const x0 = Math.max(left, Math.floor(Math.min(a[0], b[0]) - radius))
+            const x1 = Math.min(right, Math.ceil(Math.max(a[0], b[0]) + radius))
+            const y0 = Math.max(top, Math.floor(Math.min(a[1], b[1]) - radius))
+            const y1 = Math.min(bottom, Math.ceil(Math.max(a[1], b[1]) + radius))
+
+            for (let y = y0; y <= y1; y++) {
+                for (let x = x0; x <= x1; x++) {
+                    const reach = brushFalloff(segmentDistance(x + 0.5, y + 0.5, a, b) / radius, stroke.softness)
+                    const i = y * width + x
+                    if (reach > coverage[i]) coverage[i] = reach
+                }
+            }
+        }
+
+        const stops = stroke.mode === 'burn' ? -stroke.strength : stroke.strength
+        for (let y = top; y <= bottom; y++) {
+            for (let x = left; x <= right; x++) {
+                const i = y * width + x
+                layer[i] = Math.min(MAX_STOPS, Math.max(-MAX_STOPS, layer[i] + coverage[i] * stops))
+                coverage[i] = 0
+            }
+        }
+    }
+    return layer
+}
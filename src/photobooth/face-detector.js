@@ -0,0 +1,107 @@
+/**
+ * Face Detector
+ * Finds the sitter's face with MediaPipe's face landmarker and reduces its
+ * landmarks to a pose, which the lighting uses to place the key and fill lights
+ */
+
+import { FaceLandmarker, FilesetResolver } from '@mediapipe/tasks-vision'
+import { waitForModel } from './model-status.js'
+
+const REPO = 'mediapipe/face_landmarker'
+const MODEL_URL = `/models/${REPO}/face_landmarker.task`
+
+// WebAssembly runtime served by our server (see /mediapipe/ in server.js)
+const WASM_PATH = '/mediapipe/'
+
+// Landmarks of MediaPipe's face mesh; "right" is the sitter's right, on the image's left
+const NOSE_TIP = 1
+const FOREHEAD = 10
+const CHIN = 152
+const RIGHT_EYE = 33
+const LEFT_EYE = 263
+const RIGHT_CHEEK = 234
+const LEFT_CHEEK = 454
+
+/**
+ * The pose of a face from its landmarks
+ * @param {Array<{ x: number, y: number }>} landmarks - Face mesh landmarks, normalized to the image
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{ x: number, y: number, width: number, height: number, roll: number, yaw: number, noseX: number, noseY: number }}
+ *   Centre, size and nose tip normalized to the image; roll (clockwise tilt of the eyes)
+ *   and yaw (turn towards the image's right) in radians
+ */
+export function facePose(landmarks, width, height) {
+    const aspect = width / height
+    const eyes = [landmarks[RIGHT_EYE], landmarks[LEFT_EYE]]
+    const roll = Math.atan2(eyes[1].y - eyes[0].y, (eyes[1].x - eyes[0].x) * aspect)
+
+    // Measured upright, in units of the image height
+    const cos = Math.cos(roll)
+    const sin = Math.sin(roll)
+    const upright = ({ x, y }) => ({ u: x * aspect * cos + y * sin, v: -x * aspect * sin + y * cos })
+
+    const right = upright(landmarks[RIGHT_CHEEK])
+    const left = upright(landmarks[LEFT_CHEEK])
+    const top = upright(landmarks[FOREHEAD])
+    const chin = upright(landmarks[CHIN])
+    const nose = landmarks[NOSE_TIP]
+    const faceWidth = Math.abs(left.u - right.u)
+
+    // The nose swings away from the middle of the cheeks as the head turns
+    const swing = (upright(nose).u - (left.u + right.u) / 2) / (faceWidth / 2)
+
+    return {
+        x: (landmarks[FOREHEAD].x + landmarks[CHIN].x) / 2,
+        y: (landmarks[FOREHEAD].y + landmarks[CHIN].y) / 2,
+        width: faceWidth / aspect,
+        height: Math.abs(chin.v - top.v),
+        roll,
+        yaw: Math.asin(Math.min(1, Math.max(-1, swing))),
+        noseX: nose.x,
+        noseY: nose.y
+    }
+}
+
+export function createFaceDetector() {
+    let landmarker = null
+
+    const detector = { device: null, load, detect, dispose }
+
+    async function load(onProgress) {
+        await waitForModel(REPO, onProgress)
+        const vision = await FilesetResolver.forVisionTasks(WASM_PATH)
+
+        for (const delegate of ['GPU', 'CPU']) {
+            try {
+                landmarker = await FaceLandmarker.createFromOptions(vision, {
+                    baseOptions: { modelAssetPath: MODEL_URL, delegate },
+                    runningMode: 'IMAGE',
+                    numFaces: 1
+                })
+                detector.device = delegate.toLowerCase()
+                return
+            } catch (error) {
+                if (delegate === 'CPU') throw error
+                console.warn('Face landmarker GPU delegate unavailable, falling back:', error.message)
+            }
+        }
+    }
+
+    /**
+     * Find the face in a photo
+     * @param {ImageData} imageData
+     * @returns {Promise<Object|null>} Its pose (see facePose), or null if there's no face
+     */
+    async function detect(imageData) {
+        const [landmarks] = landmarker.detect(imageData).faceLandmarks
+        return landmarks ? facePose(landmarks, imageData.width, imageData.height) : null
+    }
+
+    async function dispose() {
+        landmarker?.close()
+        landmarker = null
+    }
+
+    return detector
+}
@@ -0,0 +1,208 @@
+/**
+ * Filter Graph
+ * Turns filter settings into the list of nodes to run, then runs them on the
+ * CPU or compiles them into WebGPU passes (see gpu-filters.js)
+ */
+
+import { FILTER_NODES, WGSL_HELPERS } from './nodes.js'
+
+/**
+ * Seed for the grain noise, picked once per capture so every render of a photo
+ * has the same grain; 24 bits, so it survives the trip through an f32 uniform
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 0x1000000)
+}
+
+/**
+ * Pick the nodes the settings switch on
+ * @param {Object} settings - Filter settings
+ * @param {Object} [options]
+ * @param {Float32Array|null} [options.mask] - Subject mask; dimming and lighting need one
+ * @param {number} [options.scale=1] - Image size relative to full resolution, for the blur radius
+ * @param {number} [options.seed=0] - Grain seed (see randomSeed)
+ * @param {Object|null} [options.face] - Face pose in the image's coordinates, for the lighting (see lightingRig)
+ * @param {Float32Array|null} [options.depth] - Depth at the image's size, 0 far to 1 near; relighting needs it
+ * @param {Float32Array|null} [options.dodgeBurn] - Dodged and burnt stops at the image's size (see exposureLayer)
+ * @returns {Array<{ node: Object, params: Object }>}
+ */
+export function buildFilterGraph(settings, { mask = null, scale = 1, seed = 0, face = null, depth = null, dodgeBurn = null } = {}) {
+    const context = { mask, scale, seed, face, depth, dodgeBurn }
+    return FILTER_NODES
+        .filter(node => node.enabled(settings, context))
+        .map(node => ({ node, params: node.params(settings, context) }))
+}
+
+/**
+ * Group the graph into passes: runs of pixel nodes are fused into one pass,
+ * and each separable node gets its own
+ * @returns {Array<{ type: 'pixel'|'separable', steps: Array<{ node: Object, params: Object }> }>}
+ */
+export function graphPasses(graph) {
+    const passes = []
+    for (const step of graph) {
+        const last = passes.at(-1)
+        if (step.node.pass === 'pixel' && last?.type === 'pixel') {
+            last.steps.push(step)
+        } else {
+            passes.push({ type: step.node.pass, steps: [step] })
+        }
+    }
+    return passes
+}
+
+/**
+ * Run the graph on the CPU
+ * @param {ImageData} imageData - Modified in place
+ * @param {Float32Array|null} mask - Subject mask at the image's size
+ * @param {Array} graph - From buildFilterGraph()
+ */
+export function runFilterGraph(imageData, mask, graph) {
+    const { width, height } = imageData
+    const image = { width, height, data: Float32Array.from(imageData.data, value => value / 255) }
+
+    for (const pass of graphPasses(graph)) {
+        if (pass.type === 'separable') {
+            pass.steps[0].node.cpu(image, pass.steps[0].params)
+        } else {
+            runPixelPass(image, mask, pass.steps)
+        }
+    }
+
+    for (let i = 0; i < imageData.data.length; i += 4) {
+        imageData.data[i] = image.data[i] * 255
+        imageData.data[i + 1] = image.data[i + 1] * 255
+        imageData.data[i + 2] = image.data[i + 2] * 255
+    }
+}
+
+function runPixelPass(image, mask, steps) {
+    const { width, height, data } = image
+    const color = { r: 0, g: 0, b: 0 }
+    const pixel = { x: 0, y: 0, width, height, mask: 1 }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x
+            pixel.x = x
+            pixel.y = y
+            pixel.mask = mask ? mask[i] : 1
+            color.r = data[i * 4]
+            color.g = data[i * 4 + 1]
+            color.b = data[i * 4 + 2]
+
+            for (const { node, params } of steps) node.cpu(color, pixel, params)
+
+            data[i * 4] = Math.min(1, Math.max(0, color.r))
+            data[i * 4 + 1] = Math.min(1, Math.max(0, color.g))
+            data[i * 4 + 2] = Math.min(1, Math.max(0, color.b))
+        }
+    }
+}
+
+/**
+ * Uniform values for a pass, in the order of its Params struct
+ * (namespaced by node, e.g. dim_factor; separable passes add their direction)
+ */
+function passFields(pass) {
+    const fields = [['width'], ['height']]
+    for (const { node, params } of pass.steps) {
+        for (const key of Object.keys(params)) {
+            if (!ArrayBuffer.isView(params[key])) fields.push([`${node.name}_${key}`, params[key]])
+        }
+    }
+    if (pass.type === 'separable') fields.push(['directionX'], ['directionY'])
+
+    // Uniform buffers are sized in 16 byte steps
+    while (fields.length % 4) fields.push([`_pad${fields.length}`, 0])
+    return fields
+}
+
+/**
+ * Pack a pass's uniforms
+ * @param {Object} pass - From graphPasses()
+ * @param {number} width
+ * @param {number} height
+ * @param {number[]} [direction] - [1, 0] or [0, 1] for separable passes
+ * @returns {Float32Array}
+ */
+export function passParams(pass, width, height, direction = [0, 0]) {
+    const values = { width, height, directionX: direction[0], directionY: direction[1] }
+    return Float32Array.from(passFields(pass), ([name, value]) => value ?? values[name])
+}
+
+/**
+ * Lookup tables a pass reads, each bound as its own storage buffer
+ * @param {Object} pass - From graphPasses()
+ * @returns {Array<{ name: string, binding: number, data: Float32Array }>}
+ */
+export function passTables(pass) {
+    const tables = []
+    for (const { node, params } of pass.steps) {
+        for (const key of Object.keys(params)) {
+            if (ArrayBuffer.isView(params[key])) {
+                tables.push({ name: `${node.name}_${key}`, binding: 4 + tables.length, data: params[key] })
+            }
+        }
+    }
+    return tables
+}
+
+/**
+ * Compile a pass into a WGSL compute shader
+ * Bindings: 0 = input pixels, 1 = output pixels, 2 = mask (pixel passes only), 3 = params,
+ * 4 onwards = lookup tables (see passTables)
+ * @returns {string}
+ */
+export function passShader(pass) {
+    const struct = `struct Params {\n${passFields(pass).map(([name]) => `    ${name}: f32,`).join('\n')}\n}`
+    const functions = pass.steps.map(({ node }) => node.wgsl).join('\n')
+
+    const bindings = `
+@group(0) @binding(0) var<storage, read> input: array<vec4<f32>>;
+@group(0) @binding(1) var<storage, read_write> output: array<vec4<f32>>;
+${pass.type === 'pixel' ? '@group(0) @binding(2) var<storage, read> mask: array<f32>;' : ''}
+@group(0) @binding(3) var<uniform> params: Params;
+${passTables(pass).map(({ name, binding }) => `@group(0) @binding(${binding}) var<storage, read> ${name}: array<f32>;`).join('\n')}`
+
+    const main = pass.type === 'pixel' ? `
+struct Pixel {
+    x: f32,
+    y: f32,
+    width: f32,
+    height: f32,
+    mask: f32,
+}
+
+${functions}
+
+@compute @workgroup_size(8, 8)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+    let width = u32(params.width);
+    if (id.x >= width || id.y >= u32(params.height)) {
+        return;
+    }
+    let idx = id.y * width + id.x;
+    let source = input[idx];
+    let pixel = Pixel(f32(id.x), f32(id.y), params.width, params.height, mask[idx]);
+
+    var color = source.rgb;
+${pass.steps.map(({ node }) => `    color = ${node.name}(color, pixel);`).join('\n')}
+
+    output[idx] = vec4<f32>(clamp(color, vec3<f32>(0.0), vec3<f32>(1.0)), source.a);
+}` : `
+${functions}
+
+@compute @workgroup_size(8, 8)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+    let width = u32(params.width);
+    if (id.x >= width || id.y >= u32(params.height)) {
+        return;
+    }
+    let idx = id.y * width + id.x;
+    let direction = vec2<i32>(i32(params.directionX), i32(params.directionY));
+    output[idx] = vec4<f32>(${pass.steps[0].node.name}(i32(id.x), i32(id.y), direction), input[idx].a);
+}`
+
+    return `${struct}\n${bindings}\n${WGSL_HELPERS}${main}\n`
+}
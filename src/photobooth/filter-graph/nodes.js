@@ -0,0 +1,462 @@
+/**
+ * Filter Graph Nodes
+ * Each step of the Timmons look, written twice: once in JavaScript for the CPU
+ * and once in WGSL for WebGPU. tests/filter-graph.test.js keeps the two in step.
+ *
+ * Colours are 0-1 floats. Pixel nodes map one colour to another and run fused in a
+ * single pass; separable nodes read neighbouring pixels and run one pass per axis.
+ * Params are numbers, or Float32Array tables the WGSL reads as <node>_<param>[].
+ */
+
+import { lightingFactor, lightingRig } from '../lighting.js'
+import {
+    AMBIENT, DEPTH_RANGE, DEPTH_SAMPLES, DIFFUSE, SHININESS, SPECULAR, relightShading
+} from '../relight.js'
+import { CURVE_SIZE, paperCurve, sampleCurve } from './paper.js'
+import { TONER_NAMES, tonerTable } from './toning.js'
+
+/**
+ * PCG hash (Jarzynski & Olano), matching pcg() in the WGSL below
+ */
+function pcg(value) {
+    const state = (Math.imul(value, 747796405) + 2891336453) >>> 0
+    const word = Math.imul((state >>> ((state >>> 28) + 4)) ^ state, 277803737) >>> 0
+    return ((word >>> 22) ^ word) >>> 0
+}
+
+/**
+ * Random 32-bit value for a pixel, the same on the CPU and the GPU
+ */
+export function hash(x, y, seed) {
+    return pcg((x + pcg((y + pcg(seed)) >>> 0)) >>> 0)
+}
+
+// Shared by every generated shader
+export const WGSL_HELPERS = `
+fn pcg(value: u32) -> u32 {
+    let state = value * 747796405u + 2891336453u;
+    let word = ((state >> ((state >> 28u) + 4u)) ^ state) * 277803737u;
+    return (word >> 22u) ^ word;
+}
+
+fn hash(x: u32, y: u32, seed: u32) -> u32 {
+    return pcg(x + pcg(y + pcg(seed)));
+}
+`
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)))
+    return t * t * (3 - 2 * t)
+}
+
+/**
+ * Background dimming - pushes the background towards black, leaving the subject alone
+ */
+const dim = {
+    name: 'dim',
+    pass: 'pixel',
+    enabled: (settings, { mask }) => Boolean(mask) && settings.backgroundDim > 0,
+    // Non-linear: the stronger the dim, the steeper the fall to black
+    params: ({ backgroundDim }) => ({ factor: Math.pow(1 - backgroundDim, 1 + backgroundDim * 2) }),
+    cpu(color, pixel, params) {
+        // Smoothstep the mask for crisper edges: 0 = background, 1 = subject
+        const edge = smoothstep(0.2, 0.8, pixel.mask)
+        const keep = params.factor + (1 - params.factor) * edge
+        color.r *= keep
+        color.g *= keep
+        color.b *= keep
+    },
+    wgsl: `
+fn dim(color: vec3<f32>, pixel: Pixel) -> vec3<f32> {
+    let edge = smoothstep(0.2, 0.8, pixel.mask);
+    return color * mix(params.dim_factor, 1.0, edge);
+}`
+}
+
+/**
+ * Studio portrait lighting on the subject, placed around the face when there is one
+ * (see lighting.js)
+ */
+const lighting = {
+    name: 'lighting',
+    pass: 'pixel',
+    enabled: (settings, { mask }) => Boolean(mask) && settings.lightBoost > 0,
+    params: ({ lightBoost, lightingPattern }, { face }) => ({
+        intensity: lightBoost,
+        ...lightingRig(face, lightingPattern)
+    }),
+    cpu(color, pixel, params) {
+        const factor = lightingFactor(
+            pixel.x / pixel.width, pixel.y / pixel.height, pixel.mask, params.intensity,
+            params, pixel.width / pixel.height
+        )
+        color.r = Math.min(1, Math.max(0, color.r * factor))
+        color.g = Math.min(1, Math.max(0, color.g * factor))
+        color.b = Math.min(1, Math.max(0, color.b * factor))
+    },
+    wgsl: `
+fn toFace(coord: vec2<f32>, aspect: f32) -> vec2<f32> {
+    let d = vec2<f32>((coord.x - params.lighting_faceX) * aspect, coord.y - params.lighting_faceY);
+    return vec2<f32>(
+        (d.x * params.lighting_rollCos + d.y * params.lighting_rollSin) / (params.lighting_faceWidth * aspect / 2.0),
+        (-d.x * params.lighting_rollSin + d.y * params.lighting_rollCos) / (params.lighting_faceHeight / 2.0)
+    );
+}
+
+fn faceShade(coord: vec2<f32>, aspect: f32) -> f32 {
+    let uv = toFace(coord, aspect);
+    let r2 = dot(uv, uv);
+    let weight = 1.0 - smoothstep(0.8, 1.4, r2);
+    if (weight <= 0.0) {
+        return 1.0;
+    }
+
+    // The head as an ellipsoid, and the nose's shadow falling away from the light
+    let normal = vec3<f32>(uv, sqrt(max(0.0, 1.0 - r2)));
+    let light = vec3<f32>(params.lighting_lightX, params.lighting_lightY, params.lighting_lightZ);
+    let lambert = max(0.0, dot(normal, light) / max(1e-4, length(normal)));
+
+    let shadow = vec2<f32>(params.lighting_shadowX, params.lighting_shadowY);
+    let fromNose = uv - toFace(vec2<f32>(params.lighting_noseX, params.lighting_noseY), aspect);
+    let along = clamp(dot(fromNose, shadow) / max(1e-4, dot(shadow, shadow)), 0.0, 1.0);
+    let off = fromNose - shadow * along;
+    let nose = 1.0 - 0.6 * exp(-dot(off, off) / (2.0 * 0.12 * 0.12));
+
+    return 1.0 + ((0.3 + 0.7 * lambert) * nose - 1.0) * weight;
+}
+
+fn lighting(color: vec3<f32>, pixel: Pixel) -> vec3<f32> {
+    if (pixel.mask < 0.05) {
+        return color;
+    }
+    let coord = vec2<f32>(pixel.x / pixel.width, pixel.y / pixel.height);
+
+    // Key and fill lights from the rig, rim light on the mask's edge
+    let toKey = vec2<f32>(params.lighting_keyX, params.lighting_keyY) - coord;
+    var keyLight = 0.7 / (1.0 + length(toKey) * 2.0) +
+        max(0.0, toKey.x * params.lighting_keyAimX + toKey.y * params.lighting_keyAimY) * 0.5;
+    if (params.lighting_face > 0.5) {
+        keyLight = keyLight * faceShade(coord, pixel.width / pixel.height);
+    }
+    let toFill = vec2<f32>(params.lighting_fillX, params.lighting_fillY) - coord;
+    let fillLight = params.lighting_fill / (1.0 + length(toFill) * 2.0);
+    let rimLight = pixel.mask * (1.0 - pixel.mask) * 2.0;
+
+    let adjusted = 0.3 + (keyLight * 1.6 + fillLight + rimLight) * 1.4;
+    let lightEffect = 1.0 + (adjusted - 1.0) * params.lighting_intensity * 1.5;
+    let factor = 1.0 + (lightEffect - 1.0) * pixel.mask;
+    return clamp(color * factor, vec3<f32>(0.0), vec3<f32>(1.0));
+}`
+}
+
+/**
+ * The subject shaded from a virtual lamp, with normals from its estimated depth
+ * (see relight.js); the depth map is a table like the tone curve
+ */
+const relight = {
+    name: 'relight',
+    pass: 'pixel',
+    enabled: (settings, { mask, depth }) => Boolean(mask && depth) && settings.relight > 0,
+    params: ({ relight, lampX = 0.75, lampY = 0.2, lampHeight = 0.6 }, { depth }) => ({
+        strength: relight, lampX, lampY, lampHeight, depth
+    }),
+    cpu(color, pixel, params) {
+        const shading = relightShading(params.depth, pixel.x, pixel.y, pixel.width, pixel.height, params)
+        const factor = 1 + (shading - 1) * params.strength * pixel.mask
+        color.r = Math.min(1, Math.max(0, color.r * factor))
+        color.g = Math.min(1, Math.max(0, color.g * factor))
+        color.b = Math.min(1, Math.max(0, color.b * factor))
+    },
+    wgsl: `
+fn relightDepth(x: i32, y: i32, width: i32, height: i32) -> f32 {
+    return relight_depth[u32(clamp(y, 0, height - 1) * width + clamp(x, 0, width - 1))];
+}
+
+fn relight(color: vec3<f32>, pixel: Pixel) -> vec3<f32> {
+    let x = i32(pixel.x);
+    let y = i32(pixel.y);
+    let width = i32(pixel.width);
+    let height = i32(pixel.height);
+    let longEdge = max(pixel.width, pixel.height);
+
+    // Normal from depth samples 1/${DEPTH_SAMPLES} of the long edge apart; depth spans ${DEPTH_RANGE} long edges
+    let spacing = max(1, i32(floor(longEdge / ${DEPTH_SAMPLES}.0)));
+    let scale = longEdge * ${DEPTH_RANGE} / (2.0 * f32(spacing));
+    let dx = (relightDepth(x + spacing, y, width, height) - relightDepth(x - spacing, y, width, height)) * scale;
+    let dy = (relightDepth(x, y + spacing, width, height) - relightDepth(x, y - spacing, width, height)) * scale;
+    let normal = vec3<f32>(-dx, -dy, 1.0) / sqrt(dx * dx + dy * dy + 1.0);
+
+    let toLamp = normalize(vec3<f32>(
+        (params.relight_lampX * pixel.width - pixel.x) / longEdge,
+        (params.relight_lampY * pixel.height - pixel.y) / longEdge,
+        ${DEPTH_RANGE} + params.relight_lampHeight - relightDepth(x, y, width, height) * ${DEPTH_RANGE}
+    ));
+
+    // Ambient, Lambertian and a soft Blinn-Phong sheen seen from the front
+    let lambert = max(0.0, dot(normal, toLamp));
+    let sheen = max(0.0, dot(normal, normalize(toLamp + vec3<f32>(0.0, 0.0, 1.0))));
+    let shading = ${AMBIENT} + ${DIFFUSE} * lambert + ${SPECULAR} * pow(sheen, ${SHININESS}.0);
+
+    let factor = 1.0 + (shading - 1.0) * params.relight_strength * pixel.mask;
+    return clamp(color * factor, vec3<f32>(0.0), vec3<f32>(1.0));
+}`
+}
+
+/**
+ * Dodging and burning painted in the editor: stops of exposure from a layer
+ * (see dodge-burn.js), given before the tone curve as under the enlarger
+ */
+const dodgeburn = {
+    name: 'dodgeburn',
+    pass: 'pixel',
+    enabled: (settings, { dodgeBurn }) => Boolean(dodgeBurn),
+    params: (settings, { dodgeBurn }) => ({ layer: dodgeBurn }),
+    cpu(color, pixel, params) {
+        // A stop doubles the light, which is 1/2.2 of a stop in display values
+        const factor = Math.pow(2, params.layer[pixel.y * pixel.width + pixel.x] / 2.2)
+        color.r = Math.min(1, Math.max(0, color.r * factor))
+        color.g = Math.min(1, Math.max(0, color.g * factor))
+        color.b = Math.min(1, Math.max(0, color.b * factor))
+    },
+    wgsl: `
+fn dodgeburn(color: vec3<f32>, pixel: Pixel) -> vec3<f32> {
+    let stops = dodgeburn_layer[u32(pixel.y) * u32(pixel.width) + u32(pixel.x)];
+    return clamp(color * exp2(stops / 2.2), vec3<f32>(0.0), vec3<f32>(1.0));
+}`
+}
+
+/**
+ * Black and white conversion, printed on paper of the chosen grade and exposure
+ * (see paper.js); the curve is a lookup table on the GPU as well
+ */
+const tone = {
+    name: 'tone',
+    pass: 'pixel',
+    enabled: () => true,
+    params: ({ grade = 2, exposure = 0 }) => ({ curve: paperCurve(grade, exposure) }),
+    cpu(color, pixel, params) {
+        const gray = sampleCurve(params.curve, 0.299 * color.r + 0.587 * color.g + 0.114 * color.b)
+        color.r = color.g = color.b = gray
+    },
+    wgsl: `
+fn tone(color: vec3<f32>, pixel: Pixel) -> vec3<f32> {
+    let position = clamp(dot(color, vec3<f32>(0.299, 0.587, 0.114)), 0.0, 1.0) * ${CURVE_SIZE - 1}.0;
+    let i = min(u32(floor(position)), ${CURVE_SIZE - 2}u);
+    return vec3<f32>(mix(tone_curve[i], tone_curve[i + 1u], position - f32(i)));
+}`
+}
+
+/**
+ * Darkened corners, never below 30%
+ */
+const vignette = {
+    name: 'vignette',
+    pass: 'pixel',
+    enabled: settings => settings.vignette > 0,
+    params: ({ vignette }) => ({ strength: vignette / 100 }),
+    cpu(color, pixel, params) {
+        const centerX = pixel.width / 2
+        const centerY = pixel.height / 2
+        const dx = pixel.x - centerX
+        const dy = pixel.y - centerY
+        const distance = Math.sqrt(dx * dx + dy * dy) / Math.sqrt(centerX * centerX + centerY * centerY)
+        const factor = Math.max(0.3, 1 - distance * distance * params.strength)
+        color.r *= factor
+        color.g *= factor
+        color.b *= factor
+    },
+    wgsl: `
+fn vignette(color: vec3<f32>, pixel: Pixel) -> vec3<f32> {
+    let center = vec2<f32>(pixel.width, pixel.height) / 2.0;
+    let offset = length(vec2<f32>(pixel.x, pixel.y) - center) / length(center);
+    return color * max(0.3, 1.0 - offset * offset * params.vignette_strength);
+}`
+}
+
+/**
+ * Toning - the chosen toner's colour for each gray, from a table (see toning.js).
+ * Every node before this one keeps the print neutral, so gray is all it needs.
+ */
+const toning = {
+    name: 'toning',
+    pass: 'pixel',
+    enabled: ({ toner = 'sepia', toning }) => toning > 0 && TONER_NAMES.includes(toner),
+    params: ({ toner = 'sepia', toning }) => ({ table: tonerTable(toner, Math.min(1, toning / 100)) }),
+    cpu(color, pixel, params) {
+        const gray = Math.min(1, Math.max(0, 0.299 * color.r + 0.587 * color.g + 0.114 * color.b))
+        const position = gray * (CURVE_SIZE - 1)
+        const i = Math.min(CURVE_SIZE - 2, Math.floor(position))
+        const t = position - i
+        const table = params.table
+        color.r = table[i * 3] + (table[i * 3 + 3] - table[i * 3]) * t
+        color.g = table[i * 3 + 1] + (table[i * 3 + 4] - table[i * 3 + 1]) * t
+        color.b = table[i * 3 + 2] + (table[i * 3 + 5] - table[i * 3 + 2]) * t
+    },
+    wgsl: `
+fn toningEntry(i: u32) -> vec3<f32> {
+    return vec3<f32>(toning_table[i * 3u], toning_table[i * 3u + 1u], toning_table[i * 3u + 2u]);
+}
+
+fn toning(color: vec3<f32>, pixel: Pixel) -> vec3<f32> {
+    let position = clamp(dot(color, vec3<f32>(0.299, 0.587, 0.114)), 0.0, 1.0) * ${CURVE_SIZE - 1}.0;
+    let i = min(u32(floor(position)), ${CURVE_SIZE - 2}u);
+    return mix(toningEntry(i), toningEntry(i + 1u), position - f32(i));
+}`
+}
+
+// Grain is measured on a simulated 4x5 inch negative, whatever the image's resolution
+const NEGATIVE_LONG_EDGE = 127000 // micrometres
+
+// Clumps of silver halide, finest first; the weights add up to 1
+const GRAIN_OCTAVES = [
+    { size: 60, weight: 0.5 },
+    { size: 120, weight: 0.3 },
+    { size: 240, weight: 0.2 }
+]
+
+// Smooth noise is gentler than per-pixel noise; this keeps the grain levels as strong as before
+const GRAIN_GAIN = 2.5
+
+/**
+ * Smooth value noise on a lattice of cells, -0.5 to 0.5
+ */
+function valueNoise(u, v, seed) {
+    const x = Math.floor(u)
+    const y = Math.floor(v)
+    const sx = smoothstep(0, 1, u - x)
+    const sy = smoothstep(0, 1, v - y)
+
+    const a = hash(x, y, seed) / 4294967296
+    const b = hash(x + 1, y, seed) / 4294967296
+    const c = hash(x, y + 1, seed) / 4294967296
+    const d = hash(x + 1, y + 1, seed) / 4294967296
+    const top = a + (b - a) * sx
+    const bottom = c + (d - c) * sx
+    return top + (bottom - top) * sy - 0.5
+}
+
+/**
+ * Film grain - clumped, multi-octave noise, strongest in the midtones and the
+ * same on every channel. Octaves finer than a pixel are averaged away, as they
+ * would be when scanning the negative at that resolution.
+ */
+const grain = {
+    name: 'grain',
+    pass: 'pixel',
+    enabled: settings => settings.grain > 0,
+    params: ({ grain }, { seed }) => ({ amount: grain / 255 * GRAIN_GAIN, seed }),
+    cpu(color, pixel, params) {
+        const pixelSize = NEGATIVE_LONG_EDGE / Math.max(pixel.width, pixel.height)
+        const u = (pixel.x + 0.5) * pixelSize
+        const v = (pixel.y + 0.5) * pixelSize
+
+        let noise = 0
+        GRAIN_OCTAVES.forEach(({ size, weight }, octave) => {
+            const visible = Math.min(1, size / pixelSize)
+            noise += valueNoise(u / size, v / size, params.seed + octave) * weight * visible
+        })
+
+        const luminance = Math.min(1, Math.max(0, 0.299 * color.r + 0.587 * color.g + 0.114 * color.b))
+        const response = 0.3 + 0.7 * 4 * luminance * (1 - luminance)
+        noise *= response * params.amount
+        color.r += noise
+        color.g += noise
+        color.b += noise
+    },
+    wgsl: `
+fn valueNoise(position: vec2<f32>, seed: u32) -> f32 {
+    let cell = floor(position);
+    let s = smoothstep(vec2<f32>(0.0), vec2<f32>(1.0), position - cell);
+    let x = u32(cell.x);
+    let y = u32(cell.y);
+
+    let a = f32(hash(x, y, seed)) / 4294967296.0;
+    let b = f32(hash(x + 1u, y, seed)) / 4294967296.0;
+    let c = f32(hash(x, y + 1u, seed)) / 4294967296.0;
+    let d = f32(hash(x + 1u, y + 1u, seed)) / 4294967296.0;
+    return mix(mix(a, b, s.x), mix(c, d, s.x), s.y) - 0.5;
+}
+
+fn grainOctave(position: vec2<f32>, pixelSize: f32, size: f32, weight: f32, seed: u32) -> f32 {
+    return valueNoise(position / size, seed) * weight * min(1.0, size / pixelSize);
+}
+
+fn grain(color: vec3<f32>, pixel: Pixel) -> vec3<f32> {
+    let pixelSize = ${NEGATIVE_LONG_EDGE}.0 / max(pixel.width, pixel.height);
+    let position = (vec2<f32>(pixel.x, pixel.y) + 0.5) * pixelSize;
+    let seed = u32(params.grain_seed);
+
+    var noise = 0.0;
+${GRAIN_OCTAVES.map(({ size, weight }, octave) =>
+        `    noise = noise + grainOctave(position, pixelSize, ${size}.0, ${weight}, seed + ${octave}u);`).join('\n')}
+
+    let luminance = clamp(dot(color, vec3<f32>(0.299, 0.587, 0.114)), 0.0, 1.0);
+    let response = 0.3 + 0.7 * 4.0 * luminance * (1.0 - luminance);
+    return color + noise * response * params.grain_amount;
+}`
+}
+
+/**
+ * Softness - a Gaussian blur, sized in full resolution pixels
+ */
+const blur = {
+    name: 'blur',
+    pass: 'separable',
+    enabled: (settings, { scale }) => settings.blur * scale >= 0.1,
+    params: ({ blur }, { scale }) => ({ sigma: blur * scale, radius: Math.ceil(blur * scale * 3) }),
+    cpu(image, params) {
+        const { sigma, radius } = params
+        const weights = []
+        let total = 0
+        for (let i = -radius; i <= radius; i++) {
+            const weight = Math.exp(-(i * i) / (2 * sigma * sigma))
+            weights.push(weight)
+            total += weight
+        }
+
+        for (const [stepX, stepY] of [[1, 0], [0, 1]]) {
+            const source = image.data.slice()
+            for (let y = 0; y < image.height; y++) {
+                for (let x = 0; x < image.width; x++) {
+                    let r = 0, g = 0, b = 0
+                    for (let i = -radius; i <= radius; i++) {
+                        const sx = Math.min(image.width - 1, Math.max(0, x + i * stepX))
+                        const sy = Math.min(image.height - 1, Math.max(0, y + i * stepY))
+                        const s = (sy * image.width + sx) * 4
+                        const weight = weights[i + radius]
+                        r += source[s] * weight
+                        g += source[s + 1] * weight
+                        b += source[s + 2] * weight
+                    }
+                    const o = (y * image.width + x) * 4
+                    image.data[o] = r / total
+                    image.data[o + 1] = g / total
+                    image.data[o + 2] = b / total
+                }
+            }
+        }
+    },
+    wgsl: `
+fn blur(x: i32, y: i32, direction: vec2<i32>) -> vec3<f32> {
+    let width = i32(params.width);
+    let height = i32(params.height);
+    let radius = i32(params.blur_radius);
+    let sigma = params.blur_sigma;
+
+    var sum = vec3<f32>(0.0);
+    var total = 0.0;
+    for (var i = -radius; i <= radius; i++) {
+        let sx = clamp(x + i * direction.x, 0, width - 1);
+        let sy = clamp(y + i * direction.y, 0, height - 1);
+        let weight = exp(-f32(i * i) / (2.0 * sigma * sigma));
+        sum = sum + input[sy * width + sx].rgb * weight;
+        total = total + weight;
+    }
+    return sum / total;
+}`
+}
+
+/**
+ * The Timmons look, in order
+ */
+export const FILTER_NODES = [dim, lighting, relight, dodgeburn, tone, vignette, toning, grain, blur]
@@ -0,0 +1,125 @@
+/**
+ * Printing Paper
+ * The print's tone curve, from a model of silver gelatin paper: its H&D
+ * characteristic curve of print density against log exposure, with a toe in the
+ * highlights, a straight line and a shoulder into the blacks.
+ *
+ * Paper grade (0 soft - 5 hard) sets the exposure range the paper spreads from
+ * white to black; print exposure (in stops) slides the negative along the curve.
+ */
+
+// Density of the paper base (white) and of its deepest black
+const D_MIN = 0.05
+const D_MAX = 2.1
+
+// Log exposure range of each ISO paper grade, 0 to 5
+const GRADE_RANGES = [1.6, 1.3, 1.1, 0.9, 0.75, 0.6]
+
+// Share of a grade's range spent in the toe and in the shoulder
+const TOE = 0.25
+const SHOULDER = 0.25
+
+// Contrast of the negative: scene log luminance to negative density
+const NEGATIVE_GAMMA = 0.45
+
+// 18% grey, which prints as 18% grey at no extra exposure on any grade
+const MID_GREY = 0.18
+
+const LOG_STOP = Math.log10(2)
+
+// Entries in the lookup table the filters sample
+export const CURVE_SIZE = 256
+
+/**
+ * Shape of a paper grade's characteristic curve; fractional grades interpolate,
+ * like variable contrast paper under a filter between two grades
+ * @param {number} grade - 0 to 5
+ * @returns {{ gamma: number, toe: number, shoulder: number }} Straight line slope,
+ *   and the log exposure spent in the toe and shoulder
+ */
+export function paperGrade(grade) {
+    const g = Math.min(5, Math.max(0, grade))
+    const lower = Math.floor(g)
+    const upper = Math.min(5, lower + 1)
+    const range = GRADE_RANGES[lower] + (GRADE_RANGES[upper] - GRADE_RANGES[lower]) * (g - lower)
+
+    return {
+        gamma: (D_MAX - D_MIN) / (range * (1 - (TOE + SHOULDER) / 2)),
+        toe: range * TOE,
+        shoulder: range * SHOULDER
+    }
+}
+
+/**
+ * Print density for a log exposure, measured from where the paper starts to darken
+ * @param {number} logExposure
+ * @param {{ gamma: number, toe: number, shoulder: number }} paper - From paperGrade()
+ * @returns {number} D_MIN (paper white) to D_MAX (maximum black)
+ */
+export function printDensity(logExposure, { gamma, toe, shoulder }) {
+    if (logExposure <= 0) return D_MIN
+
+    // Toe: the slope builds up from nothing to gamma
+    if (logExposure < toe) return D_MIN + gamma * logExposure * logExposure / (2 * toe)
+
+    // Straight line, until it bends into the shoulder and flattens out at D_MAX
+    const line = D_MIN + gamma * (logExposure - toe / 2)
+    const shoulderStart = D_MAX - gamma * shoulder / 2
+    if (line <= shoulderStart) return line
+
+    const into = Math.min(shoulder, (line - shoulderStart) / gamma)
+    return shoulderStart + gamma * into - gamma * into * into / (2 * shoulder)
+}
+
+// Log exposure of the scene's mid-grey on the paper, before any extra exposure
+function midGreyExposure(paper) {
+    // Invert the straight line (mid-grey never falls in the toe or shoulder)
+    return (-Math.log10(MID_GREY) - D_MIN) / paper.gamma + paper.toe / 2
+}
+
+/**
+ * The print's tone curve as a lookup table
+ * @param {number} [grade=2] - Paper grade, 0 to 5
+ * @param {number} [exposure=0] - Extra print exposure in stops; more prints darker
+ * @returns {Float32Array} Output gray for CURVE_SIZE evenly spaced input grays, both 0-1 display values
+ */
+export function paperCurve(grade = 2, exposure = 0) {
+    const paper = paperGrade(grade)
+    const offset = midGreyExposure(paper) + NEGATIVE_GAMMA * Math.log10(MID_GREY) + exposure * LOG_STOP
+    const white = Math.pow(10, -D_MIN)
+    const black = Math.pow(10, -D_MAX)
+
+    const curve = new Float32Array(CURVE_SIZE)
+    for (let i = 0; i < CURVE_SIZE; i++) {
+        const luminance = Math.max(1e-6, Math.pow(i / (CURVE_SIZE - 1), 2.2))
+
+        // A brighter scene makes a denser negative, which lets less light onto the paper
+        const logExposure = offset - NEGATIVE_GAMMA * Math.log10(luminance)
+        const reflectance = Math.pow(10, -printDensity(logExposure, paper))
+
+        // Shown between paper white and maximum black
+        curve[i] = Math.pow((reflectance - black) / (white - black), 1 / 2.2)
+    }
+    return curve
+}
+
+/**
+ * Where a printed gray sits between paper white and maximum black, in density
+ * @param {number} gray - 0-1 display value, as paperCurve() prints it
+ * @returns {number} 0 (paper white) to 1 (maximum black)
+ */
+export function relativeDensity(gray) {
+    const white = Math.pow(10, -D_MIN)
+    const black = Math.pow(10, -D_MAX)
+    const reflectance = black + Math.pow(Math.min(1, Math.max(0, gray)), 2.2) * (white - black)
+    return (-Math.log10(reflectance) - D_MIN) / (D_MAX - D_MIN)
+}
+
+/**
+ * Look a 0-1 gray up in a curve, interpolating between entries
+ */
+export function sampleCurve(curve, gray) {
+    const position = Math.min(1, Math.max(0, gray)) * (curve.length - 1)
+    const i = Math.min(curve.length - 2, Math.floor(position))
+    return curve[i] + (curve[i + 1] - curve[i]) * (position - i)
+}
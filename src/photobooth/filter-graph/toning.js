@@ -0,0 +1,111 @@
+/**
+ * Print Toning
+ * Toner baths for the black and white print, worked out in the OKLab colour
+ * space so a toner keeps its hue from the highlights to the shadows.
+ *
+ * A toner converts the print's silver, so how much colour a tone takes depends on
+ * its density: selenium reaches the dense shadows first, a sepia bleach takes the
+ * thin highlights first, and gold acts more evenly. Split toning runs two baths.
+ */
+
+import { CURVE_SIZE, relativeDensity } from './paper.js'
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)))
+    return t * t * (3 - 2 * t)
+}
+
+/**
+ * A bath's colour (OKLCh hue in degrees and chroma at full strength), the change in
+ * lightness it makes, and how strongly it acts at each density (0 white - 1 black)
+ */
+const selenium = {
+    hue: 15,
+    chroma: 0.035,
+    // Selenium also deepens the blacks
+    lightness: -0.05,
+    response: density => smoothstep(0.3, 0.85, density)
+}
+
+const sepia = {
+    hue: 70,
+    chroma: 0.07,
+    // The bleach lightens what it reaches
+    lightness: 0.03,
+    response: density => 1 - smoothstep(0.25, 0.9, density)
+}
+
+const gold = {
+    hue: 250,
+    chroma: 0.03,
+    lightness: 0,
+    response: density => 0.6 + 0.4 * (1 - density)
+}
+
+// The toners on offer, each the baths it runs
+const TONERS = {
+    selenium: [selenium],
+    sepia: [sepia],
+    gold: [gold],
+    // Warm selenium shadows, cool gold highlights
+    split: [selenium, { ...gold, response: density => 1 - smoothstep(0.2, 0.6, density) }]
+}
+
+/**
+ * Names of the toners, for the editor and print settings
+ */
+export const TONER_NAMES = Object.keys(TONERS)
+
+function oklabToLinear(L, a, b) {
+    const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3
+    const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3
+    const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3
+    return [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ]
+}
+
+/**
+ * Colour of a toned gray
+ * @param {string} toner - One of TONER_NAMES
+ * @param {number} gray - 0-1 display value of the untoned print
+ * @param {number} strength - 0 (untoned) to 1 (fully toned)
+ * @returns {number[]} [r, g, b], 0-1 display values
+ */
+export function toneGray(toner, gray, strength) {
+    const density = relativeDensity(gray)
+
+    // Neutral grays sit on OKLab's L axis
+    let L = Math.cbrt(Math.pow(gray, 2.2))
+    let a = 0
+    let b = 0
+    for (const bath of TONERS[toner]) {
+        const amount = bath.response(density) * strength
+        const angle = bath.hue * Math.PI / 180
+        a += Math.cos(angle) * bath.chroma * amount
+        b += Math.sin(angle) * bath.chroma * amount
+        L += bath.lightness * amount
+    }
+
+    // Bare paper has no silver to tone, and colour fades into the deepest black
+    L = Math.max(0, L)
+    const visible = smoothstep(0, 0.08, density) * Math.min(1, L / 0.3)
+    return oklabToLinear(L, a * visible, b * visible)
+        .map(value => Math.pow(Math.min(1, Math.max(0, value)), 1 / 2.2))
+}
+
+/**
+ * A toner as a lookup table from gray to colour
+ * @param {string} toner - One of TONER_NAMES
+ * @param {number} strength - 0 (untoned) to 1 (fully toned)
+ * @returns {Float32Array} r, g, b for CURVE_SIZE evenly spaced grays
+ */
+export function tonerTable(toner, strength) {
+    const table = new Float32Array(CURVE_SIZE * 3)
+    for (let i = 0; i < CURVE_SIZE; i++) {
+        table.set(toneGray(toner, i / (CURVE_SIZE - 1), strength), i * 3)
+    }
+    return table
+}
@@ -1,14 +1,18 @@
 /**
  * WebGPU-accelerated image filters
  * Provides 50-100x speedup over CPU-based filtering
+ * Runs the same filter graph as the CPU path (see filter-graph/), compiled to WGSL
  */
 
+import { buildFilterGraph, graphPasses, passParams, passShader, passTables } from './filter-graph/graph.js'
+
 let device = null
-let pipeline = null
-let sampler = null
 let initialized = false
 let supported = null
 
+// Compiled passes, by shader source - a handful, one per combination of enabled nodes
+const pipelines = new Map()
+
 /**
  * Check if WebGPU is supported
  */
@@ -31,7 +35,7 @@ export async function isWebGPUSupported() {
 }
 
 /**
- * Initialize WebGPU device and pipeline
+ * Initialize the WebGPU device (filter passes are compiled on first use)
  */
 export async function initWebGPU() {
     if (initialized) return true
@@ -41,26 +45,6 @@ export async function initWebGPU() {
         const adapter = await navigator.gpu.requestAdapter()
         device = await adapter.requestDevice()
 
-        // Create the filter shader
-        const shaderModule = device.createShaderModule({
-            code: FILTER_SHADER
-        })
-
-        // Create pipeline
-        pipeline = device.createComputePipeline({
-            layout: 'auto',
-            compute: {
-                module: shaderModule,
-                entryPoint: 'main'
-            }
-        })
-
-        // Create sampler for texture operations
-        sampler = device.createSampler({
-            magFilter: 'linear',
-            minFilter: 'linear'
-        })
-
         initialized = true
         console.log('WebGPU initialized successfully')
         return true
@@ -70,14 +54,28 @@ export async function initWebGPU() {
     }
 }
 
+function getPipeline(code) {
+    if (!pipelines.has(code)) {
+        pipelines.set(code, device.createComputePipeline({
+            layout: 'auto',
+            compute: {
+                module: device.createShaderModule({ code }),
+                entryPoint: 'main'
+            }
+        }))
+    }
+    return pipelines.get(code)
+}
+
 /**
  * Apply all Timmons filters using WebGPU
  * @param {ImageData} imageData - Source image
  * @param {Float32Array|null} mask - Segmentation mask (0-1 values)
  * @param {Object} settings - Filter settings
+ * @param {Object} [options] - Blur scale, grain seed, face and depth (see buildFilterGraph)
  * @returns {ImageData} - Processed image
  */
-export async function applyFiltersGPU(imageData, mask, settings) {
+export async function applyFiltersGPU(imageData, mask, settings, options = {}) {
     if (!initialized) {
         throw new Error('WebGPU not initialized')
     }
@@ -86,100 +84,71 @@ export async function applyFiltersGPU(imageData, mask, settings) {
     const height = imageData.height
     const pixelCount = width * height
 
-    // Create input buffer (RGBA as float32)
-    const inputData = new Float32Array(pixelCount * 4)
-    for (let i = 0; i < pixelCount; i++) {
-        inputData[i * 4] = imageData.data[i * 4] / 255
-        inputData[i * 4 + 1] = imageData.data[i * 4 + 1] / 255
-        inputData[i * 4 + 2] = imageData.data[i * 4 + 2] / 255
-        inputData[i * 4 + 3] = imageData.data[i * 4 + 3] / 255
+    // Use all 1s if no mask or if mask has wrong dimensions
+    let validMask = mask
+    if (mask && mask.length !== pixelCount) {
+        console.warn(`GPU filters: Mask size mismatch (${mask.length} vs ${pixelCount}), using fallback`)
+        validMask = null
     }
+    const passes = graphPasses(buildFilterGraph(settings, { ...options, mask: validMask }))
 
-    const inputBuffer = device.createBuffer({
-        size: inputData.byteLength,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    })
-    device.queue.writeBuffer(inputBuffer, 0, inputData)
-
-    // Create output buffer
-    const outputBuffer = device.createBuffer({
-        size: inputData.byteLength,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
-    })
-
-    // Create mask buffer (use all 1s if no mask or if mask has wrong dimensions)
-    let maskData
-    if (mask && mask.length === pixelCount) {
-        maskData = mask
-    } else {
-        if (mask && mask.length !== pixelCount) {
-            console.warn(`GPU filters: Mask size mismatch (${mask.length} vs ${pixelCount}), using fallback`)
-        }
-        maskData = new Float32Array(pixelCount).fill(1)
+    // Create input buffer (RGBA as float32)
+    const inputData = Float32Array.from(imageData.data, value => value / 255)
+    const buffers = []
+    const createBuffer = (size, usage) => {
+        const buffer = device.createBuffer({ size, usage })
+        buffers.push(buffer)
+        return buffer
     }
-    const maskBuffer = device.createBuffer({
-        size: maskData.byteLength,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    })
-    device.queue.writeBuffer(maskBuffer, 0, maskData)
 
-    // Create uniforms buffer
-    const uniforms = new Float32Array([
-        width,
-        height,
-        settings.contrast || 1.0,
-        settings.brightness || 1.0,
-        settings.shadows || 0,
-        settings.highlights || 0,
-        settings.vignette || 0,
-        settings.sepia || 0,
-        settings.grain || 0,
-        settings.backgroundDim || 0,
-        settings.lightBoost || 0,
-        settings.lightAngle || 0.785,  // 45 degrees
-        settings.lightElevation || 0.785,
-        Math.random() * 1000,  // Random seed for grain
-        0, 0  // Padding
-    ])
+    // Passes ping-pong between two pixel buffers
+    let source = createBuffer(inputData.byteLength, GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC)
+    let target = createBuffer(inputData.byteLength, GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC)
+    device.queue.writeBuffer(source, 0, inputData)
 
-    const uniformBuffer = device.createBuffer({
-        size: uniforms.byteLength,
-        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
-    })
-    device.queue.writeBuffer(uniformBuffer, 0, uniforms)
-
-    // Create bind group
-    const bindGroup = device.createBindGroup({
-        layout: pipeline.getBindGroupLayout(0),
-        entries: [
-            { binding: 0, resource: { buffer: inputBuffer } },
-            { binding: 1, resource: { buffer: outputBuffer } },
-            { binding: 2, resource: { buffer: maskBuffer } },
-            { binding: 3, resource: { buffer: uniformBuffer } }
-        ]
-    })
-
-    // Create staging buffer for reading results
-    const stagingBuffer = device.createBuffer({
-        size: inputData.byteLength,
-        usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
-    })
+    const maskData = validMask || new Float32Array(pixelCount).fill(1)
+    const maskBuffer = createBuffer(maskData.byteLength, GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST)
+    device.queue.writeBuffer(maskBuffer, 0, maskData)
 
-    // Encode and submit commands
     const commandEncoder = device.createCommandEncoder()
-    const computePass = commandEncoder.beginComputePass()
-    computePass.setPipeline(pipeline)
-    computePass.setBindGroup(0, bindGroup)
-
-    // Dispatch workgroups (8x8 threads per workgroup)
-    const workgroupsX = Math.ceil(width / 8)
-    const workgroupsY = Math.ceil(height / 8)
-    computePass.dispatchWorkgroups(workgroupsX, workgroupsY)
-    computePass.end()
+    for (const pass of passes) {
+        const pipeline = getPipeline(passShader(pass))
+        const directions = pass.type === 'separable' ? [[1, 0], [0, 1]] : [undefined]
+
+        // Lookup tables, e.g. the tone curve, are shared by both directions
+        const tables = passTables(pass).map(({ binding, data }) => {
+            const buffer = createBuffer(data.byteLength, GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST)
+            device.queue.writeBuffer(buffer, 0, data)
+            return { binding, resource: { buffer } }
+        })
 
-    // Copy output to staging buffer
-    commandEncoder.copyBufferToBuffer(outputBuffer, 0, stagingBuffer, 0, inputData.byteLength)
+        for (const direction of directions) {
+            const uniforms = passParams(pass, width, height, direction)
+            const uniformBuffer = createBuffer(uniforms.byteLength, GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST)
+            device.queue.writeBuffer(uniformBuffer, 0, uniforms)
+
+            const entries = [
+                { binding: 0, resource: { buffer: source } },
+                { binding: 1, resource: { buffer: target } },
+                { binding: 3, resource: { buffer: uniformBuffer } },
+                ...tables
+            ]
+            if (pass.type === 'pixel') entries.push({ binding: 2, resource: { buffer: maskBuffer } })
+
+            const computePass = commandEncoder.beginComputePass()
+            computePass.setPipeline(pipeline)
+            computePass.setBindGroup(0, device.createBindGroup({ layout: pipeline.getBindGroupLayout(0), entries }))
+            // Dispatch workgroups (8x8 threads per workgroup)
+            computePass.dispatchWorkgroups(Math.ceil(width / 8), Math.ceil(height / 8))
+            computePass.end()
+
+            ;[source, target] = [target, source]
+        }
+    }
 
+    // Copy the last pass's output to a staging buffer for reading
+    const stagingBuffer = createBuffer(inputData.byteLength, GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST)
+    commandEncoder.copyBufferToBuffer(source, 0, stagingBuffer, 0, inputData.byteLength)
     device.queue.submit([commandEncoder.finish()])
 
     // Read results
@@ -189,243 +158,14 @@ export async function applyFiltersGPU(imageData, mask, settings) {
 
     // Convert back to ImageData
     const result = new ImageData(width, height)
-    for (let i = 0; i < pixelCount; i++) {
-        result.data[i * 4] = Math.round(resultData[i * 4] * 255)
-        result.data[i * 4 + 1] = Math.round(resultData[i * 4 + 1] * 255)
-        result.data[i * 4 + 2] = Math.round(resultData[i * 4 + 2] * 255)
-        result.data[i * 4 + 3] = 255
+    for (let i = 0; i < resultData.length; i++) {
+        result.data[i] = Math.round(resultData[i] * 255)
     }
 
     // Cleanup
-    inputBuffer.destroy()
-    outputBuffer.destroy()
-    maskBuffer.destroy()
-    uniformBuffer.destroy()
-    stagingBuffer.destroy()
+    buffers.forEach(buffer => buffer.destroy())
 
     return result
 }
 
-/**
- * WGSL Compute Shader for Timmons filters
- */
-const FILTER_SHADER = `
-struct Uniforms {
-    width: f32,
-    height: f32,
-    contrast: f32,
-    brightness: f32,
-    shadows: f32,
-    highlights: f32,
-    vignette: f32,
-    sepia: f32,
-    grain: f32,
-    backgroundDim: f32,
-    lightBoost: f32,
-    lightAngle: f32,
-    lightElevation: f32,
-    randomSeed: f32,
-    _pad1: f32,
-    _pad2: f32,
-}
-
-@group(0) @binding(0) var<storage, read> input: array<vec4<f32>>;
-@group(0) @binding(1) var<storage, read_write> output: array<vec4<f32>>;
-@group(0) @binding(2) var<storage, read> mask: array<f32>;
-@group(0) @binding(3) var<uniform> uniforms: Uniforms;
-
-// Hash function for pseudo-random numbers
-fn hash(p: vec2<f32>) -> f32 {
-    var p3 = fract(vec3<f32>(p.x, p.y, p.x) * 0.1031);
-    p3 = p3 + dot(p3, p3.yzx + 33.33);
-    return fract((p3.x + p3.y) * p3.z);
-}
-
-// Random number based on pixel position and seed
-fn random(x: f32, y: f32, seed: f32) -> f32 {
-    return hash(vec2<f32>(x + seed, y + seed * 1.3)) * 2.0 - 1.0;
-}
-
-// Apply contrast around midpoint
-fn applyContrast(value: f32, contrast: f32) -> f32 {
-    return clamp(0.5 + (value - 0.5) * contrast, 0.0, 1.0);
-}
-
-// Crush shadows (darken dark values)
-fn crushShadows(value: f32, amount: f32) -> f32 {
-    let threshold = 0.5;
-    if (value < threshold) {
-        let crushFactor = 1.0 - (amount / 100.0);
-        return value * crushFactor;
-    }
-    return value;
-}
-
-// Lift highlights
-fn liftHighlights(value: f32, amount: f32) -> f32 {
-    let threshold = 0.7;
-    if (value > threshold) {
-        let liftAmount = (amount / 100.0) * (1.0 - value) * 0.5;
-        return value + liftAmount;
-    }
-    return value;
-}
-
-// Calculate vignette factor
-fn calcVignette(x: f32, y: f32, width: f32, height: f32, intensity: f32) -> f32 {
-    let centerX = width / 2.0;
-    let centerY = height / 2.0;
-    let maxDist = sqrt(centerX * centerX + centerY * centerY);
-
-    let dx = x - centerX;
-    let dy = y - centerY;
-    let dist = sqrt(dx * dx + dy * dy);
-    let normDist = dist / maxDist;
-
-    let vignette = 1.0 - (normDist * normDist * (intensity / 100.0));
-    return max(0.3, vignette);
-}
-
-// Calculate dramatic Rembrandt-style portrait lighting
-fn calcLighting(x: f32, y: f32, width: f32, height: f32, maskVal: f32, boost: f32) -> f32 {
-    if (boost <= 0.0 || maskVal < 0.05) {
-        return 1.0;
-    }
-
-    let normX = x / width;
-    let normY = y / height;
-
-    // Key light position: upper-left, classic portrait position
-    let keyLightX: f32 = 0.15;
-    let keyLightY: f32 = 0.1;
-
-    // Fill light position: right side, lower
-    let fillLightX: f32 = 0.85;
-    let fillLightY: f32 = 0.4;
-
-    // Distance from key light (creates falloff)
-    let toKeyX = keyLightX - normX;
-    let toKeyY = keyLightY - normY;
-    let keyDist = sqrt(toKeyX * toKeyX + toKeyY * toKeyY);
-
-    // Key light intensity - stronger falloff for more drama
-    // Closer to light = brighter, uses inverse square-ish falloff
-    let keyIntensity = 1.0 / (1.0 + keyDist * 2.5);
-
-    // Directional component - face the light to be brighter
-    // Negate toKeyX since light is on the left (pixels to the right are in shadow)
-    let keyDirection = max(0.0, -toKeyX * 0.7 + toKeyY * 0.3);
-
-    // Combined key light contribution
-    let keyLight = (keyIntensity * 0.6 + keyDirection * 0.4);
-
-    // Fill light - softer, from opposite side
-    let toFillX = fillLightX - normX;
-    let toFillY = fillLightY - normY;
-    let fillDist = sqrt(toFillX * toFillX + toFillY * toFillY);
-    let fillLight = 0.3 / (1.0 + fillDist * 2.0);
-
-    // Rim/edge lighting - brightens edges of subject for separation
-    // Stronger where mask transitions from subject to background
-    let edgeFactor = maskVal * (1.0 - maskVal) * 4.0;  // Peaks at maskVal = 0.5
-    let rimLight = edgeFactor * 0.4;
-
-    // Combine lights - key is dominant, fill softens shadows, rim adds pop
-    let totalLight = keyLight * 1.6 + fillLight + rimLight;
-
-    // Create more dramatic range: dark shadows to bright highlights
-    // Range: ~0.3 (deep shadow) to ~1.6 (bright highlight)
-    let adjusted = 0.3 + totalLight * 1.3;
-
-    // Apply boost intensity
-    let lightEffect = mix(1.0, adjusted, boost * 1.5);
-
-    // Only apply to subject (smooth blend at edges)
-    return mix(1.0, lightEffect, maskVal);
-}
-
-@compute @workgroup_size(8, 8)
-fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
-    let x = global_id.x;
-    let y = global_id.y;
-    let width = u32(uniforms.width);
-    let height = u32(uniforms.height);
-
-    if (x >= width || y >= height) {
-        return;
-    }
-
-    let idx = y * width + x;
-    let pixel = input[idx];
-    let maskVal = mask[idx];  // 0.0 = background, 1.0 = subject, smooth values in between
-
-    var r = pixel.x;
-    var g = pixel.y;
-    var b = pixel.z;
-
-    // 1. Background dimming - smooth blend based on mask value
-    // maskVal 0 = full dim (background), maskVal 1 = no dim (subject)
-    if (uniforms.backgroundDim > 0.0) {
-        // Non-linear dimming: push background to black more aggressively
-        let dimPower = 1.0 + uniforms.backgroundDim * 2.0; // 1-3 range
-        let baseDim = pow(1.0 - uniforms.backgroundDim, dimPower);
-        let dimmedR = r * baseDim;
-        let dimmedG = g * baseDim;
-        let dimmedB = b * baseDim;
-        // Apply smoothstep to mask for crisper edges
-        let edgeMask = smoothstep(0.2, 0.8, maskVal);
-        r = mix(dimmedR, r, edgeMask);
-        g = mix(dimmedG, g, edgeMask);
-        b = mix(dimmedB, b, edgeMask);
-    }
-
-    // 2. Apply directional lighting (before grayscale) - already uses smooth mask
-    let lightMult = calcLighting(f32(x), f32(y), f32(width), f32(height), maskVal, uniforms.lightBoost);
-    r = clamp(r * lightMult, 0.0, 1.0);
-    g = clamp(g * lightMult, 0.0, 1.0);
-    b = clamp(b * lightMult, 0.0, 1.0);
-
-    // 3. Convert to grayscale
-    var gray = 0.299 * r + 0.587 * g + 0.114 * b;
-
-    // 4-7. Apply all tonal effects uniformly (only dimming is mask-dependent)
-    gray = gray * uniforms.brightness;
-    gray = applyContrast(gray, uniforms.contrast);
-    gray = crushShadows(gray, uniforms.shadows);
-    gray = liftHighlights(gray, uniforms.highlights);
-
-    // 8. Apply vignette
-    let vignetteFactor = calcVignette(f32(x), f32(y), f32(width), f32(height), uniforms.vignette);
-    gray = gray * vignetteFactor;
-
-    // 9. Apply sepia toning
-    var finalR = gray;
-    var finalG = gray;
-    var finalB = gray;
-
-    if (uniforms.sepia > 0.0) {
-        let sepiaAmount = uniforms.sepia / 100.0;
-        finalR = gray + (gray * 0.15 * sepiaAmount);
-        finalG = gray + (gray * 0.05 * sepiaAmount);
-        finalB = gray - (gray * 0.1 * sepiaAmount);
-    }
-
-    // 10. Add film grain uniformly
-    if (uniforms.grain > 0.0) {
-        let grainAmount = random(f32(x), f32(y), uniforms.randomSeed) * (uniforms.grain / 255.0);
-        finalR = finalR + grainAmount;
-        finalG = finalG + grainAmount;
-        finalB = finalB + grainAmount;
-    }
-
-    // Clamp and output
-    output[idx] = vec4<f32>(
-        clamp(finalR, 0.0, 1.0),
-        clamp(finalG, 0.0, 1.0),
-        clamp(finalB, 0.0, 1.0),
-        1.0
-    );
-}
-`
-
 export { device, initialized }
@@ -200,18 +200,15 @@ function upscaleCPU(imageData, scale) {
     const dstWidth = Math.round(srcWidth * scale)
     const dstHeight = Math.round(srcHeight * scale)
 
-    const canvas = document.createElement('canvas')
-    canvas.width = dstWidth
-    canvas.height = dstHeight
+    // OffscreenCanvas, so this also works in the pipeline worker
+    const canvas = new OffscreenCanvas(dstWidth, dstHeight)
     const ctx = canvas.getContext('2d')
 
     // Use browser's built-in high-quality scaling
     ctx.imageSmoothingEnabled = true
     ctx.imageSmoothingQuality = 'high'
 
-    const srcCanvas = document.createElement('canvas')
-    srcCanvas.width = srcWidth
-    srcCanvas.height = srcHeight
+    const srcCanvas = new OffscreenCanvas(srcWidth, srcHeight)
     const srcCtx = srcCanvas.getContext('2d')
     srcCtx.putImageData(imageData, 0, 0)
 
@@ -0,0 +1,134 @@
+/**
+ * Edit History
+ * Every change made in the editor is a command: a plain object that can be undone,
+ * redone and saved as JSON. The edit on screen is the capture's starting edit with
+ * the commands replayed over it, so a saved session rebuilds the portrait exactly.
+ *
+ * An edit is { levels, choices, preset, bounds, strokes, lamp, enhance }: the effect
+ * levels and choices (see state.js), a debug preset laid over them, the crop in photo
+ * pixels, the dodge and burn strokes (see dodge-burn.js), where the relighting lamp
+ * was dragged to (null until it is) and the enhancement settings.
+ */
+
+// Bumped whenever commands or edits change shape, so old sessions can be recognised
+export const HISTORY_VERSION = 2
+
+/**
+ * Commands, each (edit, command) => the edit after it
+ */
+const COMMANDS = {
+    // { effect, level } - Set an effect's level; the levels replace a preset
+    level: (edit, { effect, level }) => ({ ...edit, levels: { ...edit.levels, [effect]: level }, preset: null }),
+
+    // { choice, value } - Pick an option, such as the toner
+    choice: (edit, { choice, value }) => ({ ...edit, choices: { ...edit.choices, [choice]: value }, preset: null }),
+
+    // { name, values } - Lay a preset's filter settings over the levels; the values
+    // are kept, as presets can be edited in the debug panel
+    preset: (edit, { name, values }) => ({ ...edit, preset: { name, values: { ...values } } }),
+
+    // { bounds } - Crop to bounds in photo pixels, or back to the whole photo with null
+    crop: (edit, { bounds }) => ({ ...edit, bounds: bounds && { ...bounds } }),
+
+    // { stroke } - Paint a dodge or burn stroke, which may still be growing
+    stroke: (edit, { stroke }) => ({ ...edit, strokes: [...edit.strokes, stroke] }),
+
+    // { x, y } - Move the relighting lamp, 0-1 across and down the preview (see relight.js)
+    lamp: (edit, { x, y }) => ({ ...edit, lamp: { x, y } }),
+
+    // { settings } - Change some enhancement settings: on or off, before or after
+    // the filters, or a strength (see enhanceSettings in state.js)
+    enhance: (edit, { settings }) => ({ ...edit, enhance: { ...edit.enhance, ...settings } })
+}
+
+/**
+ * The edit after a command
+ * @param {Object} edit
+ * @param {{ type: string }} command - See COMMANDS
+ * @returns {Object} A new edit; the one given is left untouched
+ */
+export function applyCommand(edit, command) {
+    const apply = COMMANDS[command.type]
+    if (!apply) throw new Error(`Unknown edit command "${command.type}"`)
+    return apply(edit, command)
+}
+
+/**
+ * The history of one capture's edits
+ * @param {Object|null} [initial] - The edit the capture starts from
+ * @param {Array<Object>} [commands] - Commands already made, oldest first
+ */
+export function createEditHistory(initial = null, commands = []) {
+    let start = initial
+    let done = [...commands]
+    let undone = []
+    let edit = done.reduce(applyCommand, start)
+
+    return {
+        /** The edit on screen, or null before a capture */
+        get edit() { return edit },
+        get canUndo() { return done.length > 0 },
+        get canRedo() { return undone.length > 0 },
+
+        /**
+         * Make a change; anything undone can no longer be redone
+         * @returns {Object} The edit after it
+         */
+        push(command) {
+            edit = applyCommand(edit, command)
+            done.push(command)
+            undone = []
+            return edit
+        },
+
+        /**
+         * Take back the latest change
+         * @returns {Object|null} The edit before it, or null if there was nothing to undo
+         */
+        undo() {
+            if (!done.length) return null
+            undone.push(done.pop())
+            edit = done.reduce(applyCommand, start)
+            return edit
+        },
+
+        /**
+         * Make the change undone last again
+         * @returns {Object|null} The edit after it, or null if there was nothing to redo
+         */
+        redo() {
+            if (!undone.length) return null
+            const command = undone.pop()
+            edit = applyCommand(edit, command)
+            done.push(command)
+            return edit
+        },
+
+        /** Start over from a new capture's edit */
+        reset(initialEdit) {
+            start = initialEdit
+            done = []
+            undone = []
+            edit = start
+        },
+
+        /**
+         * The session so far, as plain data for JSON (see restoreEditHistory)
+         * @returns {{ version: number, initial: Object, commands: Array<Object> }}
+         */
+        toJSON() {
+            return structuredClone({ version: HISTORY_VERSION, initial: start, commands: done })
+        }
+    }
+}
+
+/**
+ * Rebuild a history from a saved session
+ * @param {{ version: number, initial: Object, commands: Array<Object> }} session - From toJSON()
+ */
+export function restoreEditHistory({ version, initial, commands }) {
+    if (version !== HISTORY_VERSION) {
+        throw new Error(`Unsupported edit history version ${version} (expected ${HISTORY_VERSION})`)
+    }
+    return createEditHistory(initial, commands)
+}
@@ -1,31 +1,222 @@
 /**
  * Directional Lighting Simulation
  * Simulates studio portrait lighting in the style of Timmons' dramatic portraits
- * Key light from upper-right creates the classic Rembrandt lighting pattern
+ *
+ * With a face found in the photo (see face-detector.js) the key and fill lights are
+ * placed around it for a classic portrait pattern, and the face is shaded as a rounded
+ * head with a nose shadow. Without one, the key stands at the frame's upper right.
  */
 
 import { clamp } from './filters.js'
 
+/**
+ * Portrait lighting patterns: where the key light stands, in degrees around from the
+ * way the face looks and above the eyes, and the fill light's strength
+ */
+export const LIGHTING_PATTERNS = {
+    // A triangle of light on the shadow-side cheek
+    rembrandt: { azimuth: 45, elevation: 35, fill: 0.15 },
+    // The nose shadow falls in a small loop towards the mouth's corner
+    loop: { azimuth: 30, elevation: 25, fill: 0.2 },
+    // Half the face lit, half in shadow
+    split: { azimuth: 90, elevation: 0, fill: 0.1 },
+    // Straight on and high, with a butterfly shadow under the nose
+    butterfly: { azimuth: 0, elevation: 40, fill: 0.25 }
+}
+
+// How far the nose stands out, in half face widths; sets the length of its shadow
+const NOSE_DEPTH = 0.35
+
+// Softness of the nose shadow's edge, in half face widths
+const NOSE_SHADOW_SOFTNESS = 0.12
 
 /**
- * Apply dramatic Rembrandt-style portrait lighting
+ * The lights when there's no face to place them around: key at the upper right,
+ * fill at the left and lower (positions in normalized frame coordinates)
+ */
+export const FRAME_RIG = {
+    keyX: 0.85,
+    keyY: 0.1,
+    // Pixels towards the key's side are lit more
+    keyAimX: 0.8,
+    keyAimY: 0.4,
+    fillX: 0.15,
+    fillY: 0.4,
+    fill: 0.2,
+    // No face shading
+    face: 0,
+    faceX: 0,
+    faceY: 0,
+    faceWidth: 1,
+    faceHeight: 1,
+    rollCos: 1,
+    rollSin: 0,
+    noseX: 0,
+    noseY: 0,
+    lightX: 0,
+    lightY: 0,
+    lightZ: 1,
+    shadowX: 0,
+    shadowY: 0
+}
+
+/**
+ * The lights for a lighting pattern, placed around a face
+ * @param {Object|null} face - Face pose (see facePose in face-detector.js), in the
+ *   coordinates of the image being lit; null for the frame rig
+ * @param {string} [pattern='rembrandt'] - One of LIGHTING_PATTERNS
+ * @returns {Object} Rig for lightingFactor(), all numbers
+ */
+export function lightingRig(face, pattern = 'rembrandt') {
+    if (!face) return FRAME_RIG
+    const { azimuth, elevation, fill } = LIGHTING_PATTERNS[pattern] || LIGHTING_PATTERNS.rembrandt
+
+    // Short lighting: the key lights the side turned away from the camera,
+    // which is the side the face looks towards (the right when it looks straight on)
+    const side = face.yaw < -0.05 ? -1 : 1
+    const around = face.yaw + side * azimuth * Math.PI / 180
+    const up = elevation * Math.PI / 180
+
+    // The key's direction from the face (x right, y down, z towards the camera),
+    // turned with the face's roll into its upright frame
+    const toKey = [Math.sin(around) * Math.cos(up), -Math.sin(up), Math.cos(around) * Math.cos(up)]
+    const rollCos = Math.cos(face.roll)
+    const rollSin = Math.sin(face.roll)
+    const lightX = toKey[0] * rollCos + toKey[1] * rollSin
+    const lightY = -toKey[0] * rollSin + toKey[1] * rollCos
+
+    // The nose's shadow falls away from the light, longer as the light comes from the side
+    const reach = NOSE_DEPTH / Math.max(0.3, toKey[2])
+
+    return {
+        keyX: face.x + Math.sin(around) * face.width,
+        keyY: face.y - face.height * (0.3 + Math.sin(up)),
+        keyAimX: Math.sin(around) * 0.8,
+        keyAimY: 0.4,
+        fillX: face.x - side * face.width * 1.5,
+        fillY: face.y + face.height * 0.3,
+        fill,
+        face: 1,
+        faceX: face.x,
+        faceY: face.y,
+        faceWidth: face.width,
+        faceHeight: face.height,
+        rollCos,
+        rollSin,
+        noseX: face.noseX,
+        noseY: face.noseY,
+        lightX,
+        lightY,
+        lightZ: toKey[2],
+        shadowX: -lightX * reach,
+        shadowY: -lightY * reach
+    }
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)))
+    return t * t * (3 - 2 * t)
+}
+
+// A point in the face's upright frame, in half face widths and heights from its centre
+function toFace(normX, normY, rig, aspect) {
+    const dx = (normX - rig.faceX) * aspect
+    const dy = normY - rig.faceY
+    return [
+        (dx * rig.rollCos + dy * rig.rollSin) / (rig.faceWidth * aspect / 2),
+        (-dx * rig.rollSin + dy * rig.rollCos) / (rig.faceHeight / 2)
+    ]
+}
+
+/**
+ * How much of the key light reaches a point of the face: 1 off the face
+ */
+function faceShade(normX, normY, rig, aspect) {
+    const [u, v] = toFace(normX, normY, rig, aspect)
+    const r2 = u * u + v * v
+    const weight = 1 - smoothstep(0.8, 1.4, r2)
+    if (weight <= 0) return 1
+
+    // The head as an ellipsoid: its surface turns away from the camera towards the edge
+    const depth = Math.sqrt(Math.max(0, 1 - r2))
+    const length = Math.max(1e-4, Math.sqrt(r2 + depth * depth))
+    const lambert = Math.max(0, (u * rig.lightX + v * rig.lightY + depth * rig.lightZ) / length)
+
+    // Nose shadow: a soft stroke from the nose tip, away from the light
+    const [noseU, noseV] = toFace(rig.noseX, rig.noseY, rig, aspect)
+    const along = clamp(((u - noseU) * rig.shadowX + (v - noseV) * rig.shadowY) /
+        Math.max(1e-4, rig.shadowX * rig.shadowX + rig.shadowY * rig.shadowY), 0, 1)
+    const offU = u - noseU - rig.shadowX * along
+    const offV = v - noseV - rig.shadowY * along
+    const nose = 1 - 0.6 * Math.exp(-(offU * offU + offV * offV) / (2 * NOSE_SHADOW_SOFTNESS * NOSE_SHADOW_SOFTNESS))
+
+    const shade = (0.3 + 0.7 * lambert) * nose
+    return 1 + (shade - 1) * weight
+}
+
+/**
+ * Brightness multiplier for one pixel of the subject
+ * @param {number} normX - x / width
+ * @param {number} normY - y / height
+ * @param {number} maskVal - Segmentation mask value (0-1)
+ * @param {number} intensity - Lighting intensity (0-1.2)
+ * @param {Object} [rig=FRAME_RIG] - Light placement (see lightingRig)
+ * @param {number} [aspect=1] - Image width / height, for the shape of the face
+ * @returns {number} 1 leaves the pixel unchanged
+ */
+export function lightingFactor(normX, normY, maskVal, intensity, rig = FRAME_RIG, aspect = 1) {
+    if (maskVal < 0.05) return 1
+
+    // Distance from key light (creates falloff)
+    const toKeyX = rig.keyX - normX
+    const toKeyY = rig.keyY - normY
+    const keyDist = Math.sqrt(toKeyX * toKeyX + toKeyY * toKeyY)
+
+    // Key light intensity - stronger falloff for more drama
+    const keyIntensity = 1.0 / (1.0 + keyDist * 2.0)
+
+    // Directional component - face the light to be brighter
+    const keyDirection = Math.max(0, toKeyX * rig.keyAimX + toKeyY * rig.keyAimY)
+
+    // Combined key light contribution, shaded across the face
+    let keyLight = (keyIntensity * 0.7 + keyDirection * 0.5)
+    if (rig.face > 0.5) keyLight *= faceShade(normX, normY, rig, aspect)
+
+    // Fill light - softer, from opposite side
+    const toFillX = rig.fillX - normX
+    const toFillY = rig.fillY - normY
+    const fillDist = Math.sqrt(toFillX * toFillX + toFillY * toFillY)
+    const fillLight = rig.fill / (1.0 + fillDist * 2.0)
+
+    // Rim/edge lighting - brightens edges of subject for separation
+    const edgeFactor = maskVal * (1.0 - maskVal) * 4.0
+    const rimLight = edgeFactor * 0.5
+
+    // Combine lights - key is dominant, fill softens shadows, rim adds pop
+    const totalLight = keyLight * 1.6 + fillLight + rimLight
+
+    // Create more dramatic range: ~0.3 (deep shadow) to ~1.7 (bright highlight)
+    const adjusted = 0.3 + totalLight * 1.4
+
+    // Apply boost intensity
+    const lightEffect = 1.0 + (adjusted - 1.0) * intensity * 1.5
+
+    // Blend based on mask value
+    return 1.0 + (lightEffect - 1.0) * maskVal
+}
+
+/**
+ * Apply dramatic portrait lighting
  * @param {Uint8ClampedArray} pixels - Pixel data to modify
  * @param {number} width - Image width
  * @param {number} height - Image height
  * @param {Float32Array} mask - Segmentation mask
  * @param {number} intensity - Lighting intensity (0-1.2)
+ * @param {Object} [rig=FRAME_RIG] - Light placement (see lightingRig)
  */
-export function applyDirectionalLighting(pixels, width, height, mask, intensity = 0.6) {
+export function applyDirectionalLighting(pixels, width, height, mask, intensity = 0.6, rig = FRAME_RIG) {
     if (intensity <= 0) return
 
-    // Key light position: upper-right, classic portrait position
-    const keyLightX = 0.85
-    const keyLightY = 0.1
-
-    // Fill light position: left side, lower
-    const fillLightX = 0.15
-    const fillLightY = 0.4
-
     // Apply lighting to each pixel
     for (let y = 0; y < height; y++) {
         for (let x = 0; x < width; x++) {
@@ -35,44 +226,7 @@ export function applyDirectionalLighting(pixels, width, height, mask, intensity
 
             if (maskVal < 0.05) continue
 
-            const normX = x / width
-            const normY = y / height
-
-            // Distance from key light (creates falloff)
-            const toKeyX = keyLightX - normX
-            const toKeyY = keyLightY - normY
-            const keyDist = Math.sqrt(toKeyX * toKeyX + toKeyY * toKeyY)
-
-            // Key light intensity - stronger falloff for more drama
-            const keyIntensity = 1.0 / (1.0 + keyDist * 2.0)
-
-            // Directional component - face the light to be brighter
-            const keyDirection = Math.max(0, toKeyX * 0.8 + toKeyY * 0.4)
-
-            // Combined key light contribution
-            const keyLight = (keyIntensity * 0.7 + keyDirection * 0.5)
-
-            // Fill light - softer, from opposite side
-            const toFillX = fillLightX - normX
-            const toFillY = fillLightY - normY
-            const fillDist = Math.sqrt(toFillX * toFillX + toFillY * toFillY)
-            const fillLight = 0.2 / (1.0 + fillDist * 2.0)
-
-            // Rim/edge lighting - brightens edges of subject for separation
-            const edgeFactor = maskVal * (1.0 - maskVal) * 4.0
-            const rimLight = edgeFactor * 0.5
-
-            // Combine lights - key is dominant, fill softens shadows, rim adds pop
-            const totalLight = keyLight * 1.6 + fillLight + rimLight
-
-            // Create more dramatic range: ~0.3 (deep shadow) to ~1.7 (bright highlight)
-            const adjusted = 0.3 + totalLight * 1.4
-
-            // Apply boost intensity
-            const lightEffect = 1.0 + (adjusted - 1.0) * intensity * 1.5
-
-            // Blend based on mask value
-            const lightFactor = 1.0 + (lightEffect - 1.0) * maskVal
+            const lightFactor = lightingFactor(x / width, y / height, maskVal, intensity, rig, width / height)
 
             pixels[pixelIndex] = clamp(pixels[pixelIndex] * lightFactor, 0, 255)
             pixels[pixelIndex + 1] = clamp(pixels[pixelIndex + 1] * lightFactor, 0, 255)
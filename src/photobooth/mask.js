@@ -173,3 +173,38 @@ export function gaussianBlurMask(mask, width, height, radius) {
     return result
 }
 
+
+/**
+ * Resize a mask with bilinear interpolation
+ * Segmentation models work at their own input size (e.g. 512x512); masks are
+ * scaled back up to the captured photo's size before any other processing.
+ */
+export function resizeMask(mask, srcWidth, srcHeight, width, height) {
+    const result = new Float32Array(width * height)
+    const scaleX = srcWidth / width
+    const scaleY = srcHeight / height
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const srcX = x * scaleX
+            const srcY = y * scaleY
+            const x0 = Math.floor(srcX)
+            const y0 = Math.floor(srcY)
+            const x1 = Math.min(x0 + 1, srcWidth - 1)
+            const y1 = Math.min(y0 + 1, srcHeight - 1)
+            const xFrac = srcX - x0
+            const yFrac = srcY - y0
+
+            const v00 = mask[y0 * srcWidth + x0]
+            const v10 = mask[y0 * srcWidth + x1]
+            const v01 = mask[y1 * srcWidth + x0]
+            const v11 = mask[y1 * srcWidth + x1]
+
+            const v0 = v00 * (1 - xFrac) + v10 * xFrac
+            const v1 = v01 * (1 - xFrac) + v11 * xFrac
+            result[y * width + x] = v0 * (1 - yFrac) + v1 * yFrac
+        }
+    }
+
+    return result
+}
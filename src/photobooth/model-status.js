@@ -0,0 +1,37 @@
+/**
+ * Model Download Status
+ * Asks the server to get a model ready and reports its download progress,
+ * so the photobooth can say "Preparing filters 63%" instead of hanging
+ */
+
+const POLL_INTERVAL_MS = 500
+
+/**
+ * Resolve once every file of a model is downloaded and verified on the server
+ * @param {string} repo - Model ID from server/model-manifest.json, e.g. "Xenova/modnet"
+ * @param {Function} [onProgress] - Called with the percentage downloaded so far
+ */
+export async function waitForModel(repo, onProgress = () => {}) {
+    // 409: downloads are disabled on the server, but the files may already be there
+    const prepare = await fetch('/api/models/prepare', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ repo })
+    })
+    if (!prepare.ok && prepare.status !== 409) {
+        throw new Error(`Could not prepare ${repo} (HTTP ${prepare.status})`)
+    }
+
+    for (;;) {
+        const response = await fetch('/api/models/status')
+        const model = (await response.json()).models[repo]
+
+        if (!model) throw new Error(`Unknown model ${repo}`)
+        if (model.state === 'ready') return
+        if (model.state === 'failed') throw new Error(`${repo} download failed: ${model.error}`)
+        if (model.state === 'missing') throw new Error(`${repo} is not installed. Run npm run fetch-models.`)
+
+        onProgress(model.percent)
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS))
+    }
+}
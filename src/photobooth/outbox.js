@@ -0,0 +1,218 @@
+/**
+ * Photobooth Outbox
+ * Keeps print jobs the server couldn't accept in IndexedDB and retries them
+ * with backoff, so a network outage never loses a visitor's portrait.
+ * Jobs the server rejects outright are kept too, marked failed, until staff
+ * save them from the kiosk.
+ */
+
+const DB_NAME = 'timmons-photobooth'
+const STORE_NAME = 'outbox'
+
+// Retry after 5s, 10s, 20s, ... up to every 5 minutes
+const BASE_DELAY_MS = 5000
+const MAX_DELAY_MS = 5 * 60 * 1000
+
+/**
+ * Random key identifying one submission, so retries are never queued twice
+ * (crypto.randomUUID needs a secure context, which a kiosk on the LAN may not have)
+ */
+export function createIdempotencyKey() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16))
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Delay before the next attempt, doubling each time with ±20% jitter
+ * so several kiosks don't all retry at the same moment
+ * @param {number} attempts - Failed attempts so far (1 or more)
+ */
+export function retryDelay(attempts, random = Math.random) {
+    const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1))
+    return Math.round(delay * (0.8 + random() * 0.4))
+}
+
+/**
+ * POST a job to the print queue
+ * @param {{ key: string, body: Object }} job
+ * @returns {Promise<{ ok: boolean, retry: boolean, status?: number, data?: Object }>}
+ *   retry is false when the server rejected the job itself, so retrying can't help
+ */
+export async function submitPrintJob(job) {
+    let response
+    try {
+        response = await fetch('/api/print-queue', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': job.key
+            },
+            body: JSON.stringify(job.body)
+        })
+    } catch (error) {
+        console.warn('Print queue unreachable:', error.message)
+        return { ok: false, retry: true }
+    }
+
+    if (response.ok) {
+        return { ok: true, retry: false, data: await response.json() }
+    }
+
+    const retry = response.status >= 500 || response.status === 408 || response.status === 429
+    return { ok: false, retry, status: response.status }
+}
+
+/**
+ * Outbox storage backed by IndexedDB
+ * @returns {{ getAll: Function, put: Function, remove: Function }}
+ */
+export function createIndexedDbStorage(dbName = DB_NAME) {
+    let dbPromise = null
+
+    function open() {
+        dbPromise ??= new Promise((resolve, reject) => {
+            const request = indexedDB.open(dbName, 1)
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'key' })
+            }
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => {
+                dbPromise = null
+                reject(request.error)
+            }
+        })
+        return dbPromise
+    }
+
+    async function run(mode, operation) {
+        const db = await open()
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME))
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => reject(request.error)
+        })
+    }
+
+    return {
+        getAll: () => run('readonly', store => store.getAll()),
+        put: (job) => run('readwrite', store => store.put(job)),
+        remove: (key) => run('readwrite', store => store.delete(key))
+    }
+}
+
+/**
+ * Create the outbox
+ * @param {Object} options
+ * @param {Object} options.storage - From createIndexedDbStorage() (or an in-memory stand-in)
+ * @param {Function} [options.send=submitPrintJob]
+ * @param {Function} [options.onChange] - Called with the number of waiting jobs and of failed ones
+ * @param {Function} [options.now=Date.now]
+ */
+export function createOutbox({ storage, send = submitPrintJob, onChange = () => {}, now = Date.now }) {
+    let timer = null
+    let flushing = null
+
+    // Jobs still being retried; failed ones wait for staff instead
+    async function notify() {
+        const jobs = await storage.getAll()
+        const waiting = jobs.filter(job => !job.failed)
+        onChange(waiting.length, jobs.length - waiting.length)
+        return waiting
+    }
+
+    /**
+     * Keep a job for later delivery
+     * @param {{ key: string, body: Object, createdAt: string }} job
+     */
+    async function add(job) {
+        await storage.put({ ...job, attempts: 1, nextAttemptAt: now() + retryDelay(1) })
+        const jobs = await notify()
+        schedule(jobs)
+    }
+
+    /**
+     * Try to deliver waiting jobs
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - Ignore backoff, e.g. when the network comes back
+     */
+    function flush({ force = false } = {}) {
+        // One delivery run at a time, or the same job could be sent twice at once
+        flushing ??= deliver(force).finally(() => { flushing = null })
+        return flushing
+    }
+
+    async function deliver(force) {
+        const jobs = await storage.getAll()
+        const due = jobs
+            .filter(job => !job.failed && (force || job.nextAttemptAt <= now()))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+
+        for (const job of due) {
+            const result = await send(job)
+
+            if (result.ok) {
+                await storage.remove(job.key)
+                console.log(`Delivered queued print job ${job.key}`)
+            } else if (!result.retry) {
+                // The visitor was told it would be printed; never lose it silently
+                const error = result.status ? `HTTP ${result.status}` : 'rejected'
+                await storage.put({ ...job, failed: true, failedAt: new Date(now()).toISOString(), error })
+                console.error(`Print queue rejected job ${job.key} (${error}); kept for staff`)
+            } else {
+                const attempts = job.attempts + 1
+                await storage.put({ ...job, attempts, nextAttemptAt: now() + retryDelay(attempts) })
+            }
+        }
+
+        schedule(await notify())
+    }
+
+    // Wake up when the earliest waiting job is due
+    function schedule(jobs) {
+        clearTimeout(timer)
+        timer = null
+        if (jobs.length === 0) return
+
+        const next = Math.min(...jobs.map(job => job.nextAttemptAt))
+        timer = setTimeout(() => {
+            flush().catch(error => console.error('Outbox delivery failed:', error))
+        }, Math.max(0, next - now()))
+    }
+
+    /**
+     * Deliver anything left from before a reload, and retry as soon as the network returns
+     */
+    function start() {
+        const retryAll = () => flush({ force: true }).catch(error => console.error('Outbox unavailable:', error))
+        window.addEventListener('online', retryAll)
+        return retryAll()
+    }
+
+    function stop() {
+        clearTimeout(timer)
+        timer = null
+    }
+
+    /**
+     * Jobs the server rejected, oldest first, for staff to print by hand
+     * @returns {Promise<Array<{ key: string, body: Object, createdAt: string, failedAt: string, error: string }>>}
+     */
+    async function failed() {
+        return (await storage.getAll())
+            .filter(job => job.failed)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    }
+
+    /**
+     * Forget a failed job once staff have saved it
+     */
+    async function discard(key) {
+        await storage.remove(key)
+        await notify()
+    }
+
+    return {
+        add, flush, start, stop, failed, discard,
+        count: async () => (await storage.getAll()).filter(job => !job.failed).length
+    }
+}
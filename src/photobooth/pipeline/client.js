@@ -0,0 +1,110 @@
+/**
+ * Pipeline Client
+ * The page's side of the processing worker: sends requests, matches up
+ * responses and drops previews that a newer one has replaced
+ */
+
+import { Request, Response, fromPixels } from './protocol.js'
+
+function createWorker() {
+    return new Worker(new URL('./worker.js', import.meta.url), { type: 'module' })
+}
+
+/**
+ * Start the processing worker
+ * @param {Worker} [worker] - Replaceable in tests
+ */
+export function createPipeline(worker = createWorker()) {
+    let nextId = 1
+    const pending = new Map()
+
+    worker.onmessage = ({ data }) => {
+        const request = pending.get(data.id)
+        if (!request) return
+        pending.delete(data.id)
+
+        if (data.type === Response.ERROR) {
+            request.reject(new Error(data.message))
+        } else {
+            request.resolve(data)
+        }
+    }
+
+    // The worker itself failed (e.g. a syntax error); nothing pending will be answered
+    worker.onerror = (event) => {
+        console.error('Pipeline worker error:', event.message)
+        pending.forEach(request => request.reject(new Error(event.message || 'Pipeline worker failed')))
+        pending.clear()
+    }
+
+    function request(message, transfer = []) {
+        const id = nextId++
+        return new Promise((resolve, reject) => {
+            pending.set(id, { resolve, reject })
+            worker.postMessage({ ...message, id }, transfer)
+        })
+    }
+
+    // Copy, so transferring the buffer doesn't empty the caller's image
+    function copyPixels(imageData) {
+        return { width: imageData.width, height: imageData.height, data: new Uint8ClampedArray(imageData.data) }
+    }
+
+    /**
+     * Set up WebGPU in the worker
+     * @returns {Promise<boolean>} Whether the GPU filters are in use
+     */
+    async function init() {
+        const { gpu } = await request({ type: Request.INIT })
+        return gpu
+    }
+
+    /**
+     * Hand a new photo to the worker and turn the segmenter's matte into a soft mask
+     * @param {ImageData} imageData - Not modified
+     * @param {{ width: number, height: number, data: Float32Array }|null} matte - Transferred
+     * @param {Object} [options]
+     * @param {Object|null} [options.face] - Face pose, to place the portrait lights (see face-detector.js)
+     * @param {{ width: number, height: number, data: Float32Array }|null} [options.depth] - Estimated depth,
+     *   for relighting (see depth.js); transferred
+     * @param {number} [options.seed] - Grain seed, to render a photo as before; random if omitted
+     * @returns {Promise<{ mask: Float32Array|null, subjectRatio: number, seed: number }>}
+     */
+    async function capture(imageData, matte, { face = null, depth = null, seed } = {}) {
+        const image = copyPixels(imageData)
+        const transfer = [image.data.buffer]
+        if (matte) transfer.push(matte.data.buffer)
+        if (depth) transfer.push(depth.data.buffer)
+
+        const response = await request({ type: Request.CAPTURE, image, matte, face, depth, seed }, transfer)
+        return { mask: response.mask, subjectRatio: response.subjectRatio, seed: response.seed }
+    }
+
+    /**
+     * Render the styled portrait
+     * @param {Object} settings - Filter settings
+     * @param {Object} options
+     * @param {Object} options.enhance - Enhancement settings
+     * @param {Object|null} options.bounds - Crop, or null for the full photo
+     * @param {boolean} [options.proxy] - Render a quick ~800px preview instead of full resolution
+     * @param {Array<Object>} [options.strokes] - Dodge and burn strokes (see dodge-burn.js)
+     * @returns {Promise<{ image: ImageData, resolution: number }|null>} null when a newer render replaced this one
+     */
+    async function render(settings, { enhance, bounds, proxy = false, strokes = [] }) {
+        const response = await request({ type: Request.RENDER, settings, enhance, bounds, proxy, strokes })
+        if (response.type === Response.CANCELLED) return null
+        return { image: fromPixels(response.image), resolution: response.resolution }
+    }
+
+    /**
+     * Upscale an image on the worker's GPU (or canvas, without one)
+     * @param {ImageData} imageData - Not modified
+     */
+    async function upscale(imageData, scale) {
+        const image = copyPixels(imageData)
+        const response = await request({ type: Request.UPSCALE, image, scale }, [image.data.buffer])
+        return fromPixels(response.image)
+    }
+
+    return { init, capture, render, upscale, terminate: () => worker.terminate() }
+}
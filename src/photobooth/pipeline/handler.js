@@ -0,0 +1,142 @@
+/**
+ * Pipeline Worker Handler
+ * Holds the captured photo and its mask inside the worker and answers
+ * requests from the page (see protocol.js)
+ */
+
+import { isWebGPUSupported, initWebGPU } from '../gpu-filters.js'
+import { initUpscaleGPU, upscaleImageGPU } from '../gpu-upscale.js'
+import { initEnhanceGPU } from '../gpu-enhance.js'
+import { Request, Response, toPixels, fromPixels } from './protocol.js'
+import { randomSeed } from '../filter-graph/graph.js'
+import { resizeMask } from '../mask.js'
+import { cancelledError, prepareDepth, prepareMask, proxySize, renderImage, renderSize, resizeImage } from './stages.js'
+
+// Let queued messages (e.g. a newer render) arrive before carrying on
+function nextTask() {
+    return new Promise(resolve => setTimeout(resolve, 0))
+}
+
+/**
+ * Create the worker's message handler
+ * @param {Function} post - (message, transfer) => void, i.e. self.postMessage
+ */
+export function createPipelineHandler(post) {
+    let image = null
+    let mask = null
+    let depth = null
+    let proxyPhoto = null
+    let face = null
+    let seed = 0
+    let useGPU = false
+    let latestRender = 0
+
+    async function init() {
+        // Initialize WebGPU for accelerated filters
+        if (await isWebGPUSupported()) {
+            useGPU = await initWebGPU()
+            if (useGPU) {
+                console.log('Using WebGPU for accelerated image processing')
+                // Also init upscaler and enhancer
+                await initUpscaleGPU()
+                await initEnhanceGPU()
+            }
+        } else {
+            console.log('WebGPU not supported, using CPU filters')
+        }
+        return { reply: { type: Response.READY, gpu: useGPU } }
+    }
+
+    async function capture(message) {
+        image = fromPixels(message.image)
+        const prepared = message.matte
+            ? prepareMask(message.matte, image.width, image.height)
+            : { mask: null, subjectRatio: 0 }
+        mask = prepared.mask
+        face = message.face ?? null
+        depth = message.depth ? prepareDepth(message.depth, image.width, image.height) : null
+
+        // The grain stays put while the photo is edited
+        seed = message.seed ?? randomSeed()
+
+        // Shrunk once, as every uncropped preview starts from it
+        const size = proxySize(image)
+        proxyPhoto = {
+            ...await resizeImage(image, mask, size.width, size.height),
+            depth: depth && resizeMask(depth, image.width, image.height, size.width, size.height)
+        }
+
+        // The page keeps its own copy for auto-framing
+        const copy = mask ? mask.slice() : null
+        return {
+            reply: { type: Response.CAPTURED, mask: copy, subjectRatio: prepared.subjectRatio, seed },
+            transfer: copy ? [copy.buffer] : []
+        }
+    }
+
+    async function render(message) {
+        if (!image) throw new Error('No photo captured')
+
+        const { id, settings, enhance, bounds, proxy, strokes = [] } = message
+        latestRender = id
+        const checkpoint = async () => {
+            await nextTask()
+            if (id !== latestRender) throw cancelledError()
+        }
+
+        // Slider drags send renders in bursts; only the last one is worth finishing
+        await checkpoint()
+
+        // Proxies are sized from the full render, and start from the shrunk photo when uncropped
+        const fullSize = renderSize(image.width, image.height, bounds)
+        const size = proxy ? proxySize(fullSize) : fullSize
+        const source = proxy && !bounds ? proxyPhoto : { image, mask, depth }
+
+        const scale = size.width / fullSize.width
+        let result = await renderImage({
+            ...source, settings, enhance, bounds, size, scale, seed, face, strokes, gpu: useGPU, checkpoint
+        })
+        if (result === source.image) {
+            result = new ImageData(new Uint8ClampedArray(result.data), result.width, result.height)
+        }
+
+        return {
+            reply: { type: Response.RENDERED, image: toPixels(result), resolution: scale },
+            transfer: [result.data.buffer]
+        }
+    }
+
+    async function upscale(message) {
+        const result = await upscaleImageGPU(fromPixels(message.image), message.scale)
+        return { reply: { type: Response.UPSCALED, image: toPixels(result) }, transfer: [result.data.buffer] }
+    }
+
+    const handlers = {
+        [Request.INIT]: init,
+        [Request.CAPTURE]: capture,
+        [Request.RENDER]: render,
+        [Request.UPSCALE]: upscale
+    }
+
+    /**
+     * Handle one request and post its response
+     */
+    async function handle(message) {
+        try {
+            const handler = handlers[message.type]
+            if (!handler) throw new Error(`Unknown request "${message.type}"`)
+
+            const { reply, transfer = [] } = await handler(message)
+            post({ ...reply, id: message.id }, transfer)
+        } catch (error) {
+            if (error.cancelled) {
+                post({ type: Response.CANCELLED, id: message.id }, [])
+                return
+            }
+            console.error(`Pipeline ${message.type} failed:`, error)
+            post({ type: Response.ERROR, id: message.id, message: error.message }, [])
+        }
+    }
+
+    return { handle }
+}
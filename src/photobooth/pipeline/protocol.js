@@ -0,0 +1,69 @@
+/**
+ * Pipeline Worker Protocol
+ * Messages between the photobooth page and the processing worker
+ *
+ * Every request carries an `id`; the worker answers with the same id.
+ * Pixel, mask and depth buffers are transferred, not copied, in both directions.
+ *
+ * @typedef {{ width: number, height: number, data: Uint8ClampedArray }} Pixels - RGBA
+ * @typedef {{ width: number, height: number, data: Float32Array }} Matte - Subject confidence, 0-1
+ * @typedef {{ x: number, y: number, width: number, height: number }} Bounds
+ * @typedef {{ x: number, y: number, width: number, height: number, roll: number, yaw: number, noseX: number, noseY: number }} Face
+ *   The face's pose, normalized to the photo (see facePose in face-detector.js)
+ * @typedef {{ mode: 'dodge'|'burn', size: number, strength: number, softness: number, points: Array<{ x: number, y: number }> }} Stroke
+ *   A dodge or burn brush stroke, normalized to the photo (see createStroke in dodge-burn.js)
+ *
+ * Requests (page -> worker):
+ * @typedef {{ type: 'init', id: number }} InitRequest
+ * @typedef {{ width: number, height: number, data: Float32Array }} Depth - Relative depth, larger where nearer
+ * @typedef {{ type: 'capture', id: number, image: Pixels, matte: Matte|null, face?: Face|null, depth?: Depth|null, seed?: number }} CaptureRequest
+ *   A new photo and the segmenter's raw matte, at any resolution; face places the portrait lights
+ *   (the frame's fixed lights if omitted); depth, at any resolution, lets the subject be relit;
+ *   seed fixes the grain (random if omitted)
+ * @typedef {{ type: 'render', id: number, settings: Object, enhance: Object, bounds: Bounds|null, proxy: boolean, strokes?: Stroke[] }} RenderRequest
+ *   Filter the captured photo, or a quick ~800px proxy of it, with any strokes painted in;
+ *   a newer render cancels this one
+ * @typedef {{ type: 'upscale', id: number, image: Pixels, scale: number }} UpscaleRequest
+ *
+ * Responses (worker -> page):
+ * @typedef {{ type: 'ready', id: number, gpu: boolean }} ReadyResponse
+ * @typedef {{ type: 'captured', id: number, mask: Float32Array|null, subjectRatio: number, seed: number }} CapturedResponse
+ *   mask is the soft mask at the photo's size, or null when no clear subject was found;
+ *   seed is the grain seed every render of this photo uses
+ * @typedef {{ type: 'rendered', id: number, image: Pixels, resolution: number }} RenderedResponse
+ *   resolution is the image's width relative to the full resolution render (1 unless a proxy)
+ * @typedef {{ type: 'upscaled', id: number, image: Pixels }} UpscaledResponse
+ * @typedef {{ type: 'cancelled', id: number }} CancelledResponse
+ * @typedef {{ type: 'error', id: number, message: string }} ErrorResponse
+ */
+
+export const Request = {
+    INIT: 'init',
+    CAPTURE: 'capture',
+    RENDER: 'render',
+    UPSCALE: 'upscale'
+}
+
+export const Response = {
+    READY: 'ready',
+    CAPTURED: 'captured',
+    RENDERED: 'rendered',
+    UPSCALED: 'upscaled',
+    CANCELLED: 'cancelled',
+    ERROR: 'error'
+}
+
+/**
+ * ImageData -> Pixels (ImageData itself can be cloned but not transferred)
+ * @returns {Pixels}
+ */
+export function toPixels(imageData) {
+    return { width: imageData.width, height: imageData.height, data: imageData.data }
+}
+
+/**
+ * Pixels -> ImageData
+ */
+export function fromPixels(pixels) {
+    return new ImageData(pixels.data, pixels.width, pixels.height)
+}
@@ -0,0 +1,55 @@
+/**
+ * Recipe Replay
+ * Renders a print job's portrait again from its recipe and sources (see recipe.js),
+ * without the kiosk: the capture and render stages the worker ran, with the same
+ * mask, depth, seed, face, crop and strokes, at the print's resolution or any other
+ */
+
+import { checkRecipe } from '../recipe.js'
+import { restoreEditHistory } from '../history.js'
+import { prepareDepth, prepareMask, renderImage, renderSize } from './stages.js'
+
+/**
+ * Render a recipe
+ * @param {Object} recipe - From createRecipe
+ * @param {Object} sources
+ * @param {ImageData} sources.capture - The capture, decoded from the job's PNG
+ * @param {{ width: number, height: number, data: Float32Array }|null} sources.matte - See decodeSource
+ * @param {{ width: number, height: number, data: Float32Array }|null} sources.depth - See decodeSource
+ * @param {Object} [options]
+ * @param {number} [options.longEdge] - Render at this long edge instead of the kiosk's full
+ *   resolution (which was then upscaled to recipe.print.longEdge for print); blur follows
+ *   the size, grain stays one grain per pixel
+ * @param {boolean} [options.gpu=false] - Use the WebGPU filters; set up with initWebGPU first.
+ *   Matches the kiosk exactly only when recipe.gpu is the same
+ * @returns {Promise<ImageData>}
+ */
+export async function replayRecipe(recipe, { capture, matte, depth }, { longEdge, gpu = false } = {}) {
+    checkRecipe(recipe)
+    if (capture.width !== recipe.photo.width || capture.height !== recipe.photo.height) {
+        throw new Error(`Capture is ${capture.width}x${capture.height}, recipe expects ${recipe.photo.width}x${recipe.photo.height}`)
+    }
+
+    const { width, height } = capture
+    const { mask } = matte ? prepareMask(matte, width, height) : { mask: null }
+    const { bounds, strokes } = restoreEditHistory(recipe.history).edit
+
+    const fullSize = renderSize(width, height, bounds)
+    const ratio = longEdge ? longEdge / Math.max(fullSize.width, fullSize.height) : 1
+    const size = { width: Math.round(fullSize.width * ratio), height: Math.round(fullSize.height * ratio) }
+
+    return renderImage({
+        image: capture,
+        mask,
+        depth: depth ? prepareDepth(depth, width, height) : null,
+        settings: recipe.settings,
+        enhance: recipe.enhance,
+        bounds,
+        size,
+        scale: size.width / fullSize.width,
+        seed: recipe.seed,
+        face: recipe.face,
+        strokes,
+        gpu
+    })
+}
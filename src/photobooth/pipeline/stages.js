@@ -0,0 +1,333 @@
+/**
+ * Pipeline Stages
+ * The photobooth's image processing, run inside the pipeline worker:
+ * mask and depth preparation, crop, upscale, dodging and burning, enhancement,
+ * lighting and filters
+ */
+
+import { buildFilterGraph, runFilterGraph } from '../filter-graph/graph.js'
+import { createSoftMaskFromConfidence, resizeMask } from '../mask.js'
+import { exposureLayer } from '../dodge-burn.js'
+import { applyFiltersGPU } from '../gpu-filters.js'
+import { applyEnhancement } from '../gpu-enhance.js'
+import { calculateScale, upscaleImageGPU } from '../gpu-upscale.js'
+
+// Cropped portraits are upscaled to at least this size before filtering
+const CROP_MIN_DIMENSION = 1400
+
+// Editor previews render this long first, then refine to full resolution
+export const PROXY_LONG_EDGE = 800
+
+/**
+ * Error thrown at a checkpoint when a newer render has replaced this one
+ */
+export function cancelledError() {
+    return Object.assign(new Error('Render superseded by a newer one'), { cancelled: true })
+}
+
+/**
+ * Turn a segmenter's matte into the soft mask the filters use
+ * @param {{ width: number, height: number, data: Float32Array }} matte - At the model's resolution
+ * @param {number} width - Photo width
+ * @param {number} height - Photo height
+ * @returns {{ mask: Float32Array|null, subjectRatio: number }} mask is null when there's no clear subject
+ */
+export function prepareMask(matte, width, height) {
+    const confidence = matte.width === width && matte.height === height
+        ? matte.data
+        : resizeMask(matte.data, matte.width, matte.height, width, height)
+
+    // Check if any subject was detected
+    let subjectPixels = 0
+    for (let i = 0; i < confidence.length; i++) {
+        if (confidence[i] > 0.5) subjectPixels++
+    }
+    const subjectRatio = subjectPixels / confidence.length
+
+    if (subjectRatio <= 0.01 || subjectRatio >= 0.99) {
+        return { mask: null, subjectRatio }
+    }
+    return { mask: createSoftMaskFromConfidence(confidence, width, height), subjectRatio }
+}
+
+/**
+ * Scale an estimated depth map to the photo and stretch it over 0-1
+ * @param {{ width: number, height: number, data: Float32Array }} estimate - At the model's resolution, larger where nearer
+ * @param {number} width - Photo width
+ * @param {number} height - Photo height
+ * @returns {Float32Array} 0 (farthest) to 1 (nearest), one value per pixel
+ */
+export function prepareDepth(estimate, width, height) {
+    const depth = resizeMask(estimate.data, estimate.width, estimate.height, width, height)
+
+    let min = Infinity
+    let max = -Infinity
+    for (const value of depth) {
+        if (value < min) min = value
+        if (value > max) max = value
+    }
+
+    const range = max - min || 1
+    for (let i = 0; i < depth.length; i++) depth[i] = (depth[i] - min) / range
+    return depth
+}
+
+/**
+ * Crop image data to bounds (areas outside the photo stay transparent)
+ */
+export function cropImage(image, bounds) {
+    const result = new ImageData(bounds.width, bounds.height)
+    const rowStart = Math.max(0, bounds.x)
+    const rowEnd = Math.min(image.width, bounds.x + bounds.width)
+    if (rowEnd <= rowStart) return result
+
+    for (let y = 0; y < bounds.height; y++) {
+        const srcY = bounds.y + y
+        if (srcY < 0 || srcY >= image.height) continue
+
+        const src = (srcY * image.width + rowStart) * 4
+        const dst = (y * bounds.width + rowStart - bounds.x) * 4
+        result.data.set(image.data.subarray(src, src + (rowEnd - rowStart) * 4), dst)
+    }
+    return result
+}
+
+/**
+ * Crop a mask to match a cropped image
+ */
+export function cropMask(mask, originalWidth, bounds) {
+    const croppedMask = new Float32Array(bounds.width * bounds.height)
+    for (let y = 0; y < bounds.height; y++) {
+        for (let x = 0; x < bounds.width; x++) {
+            const srcX = bounds.x + x
+            const srcY = bounds.y + y
+            const srcIndex = srcY * originalWidth + srcX
+            const dstIndex = y * bounds.width + x
+            croppedMask[dstIndex] = mask[srcIndex] || 0
+        }
+    }
+    return croppedMask
+}
+
+/**
+ * A face pose normalized to the photo, renormalized to a crop of it
+ * @param {Object} face - See facePose in face-detector.js
+ * @param {number} width - Photo width
+ * @param {number} height - Photo height
+ * @param {Object} bounds - Crop, in photo pixels
+ */
+export function cropFace(face, width, height, bounds) {
+    const toX = x => (x * width - bounds.x) / bounds.width
+    const toY = y => (y * height - bounds.y) / bounds.height
+
+    // Roll and yaw are angles in pixels, which the crop doesn't change
+    return {
+        ...face,
+        x: toX(face.x),
+        y: toY(face.y),
+        width: face.width * width / bounds.width,
+        height: face.height * height / bounds.height,
+        noseX: toX(face.noseX),
+        noseY: toY(face.noseY)
+    }
+}
+
+/**
+ * Size of the full resolution render, before any proxy scaling
+ * @param {number} width - Photo width
+ * @param {number} height - Photo height
+ * @param {Object|null} bounds - Crop, or null for the full photo
+ * @returns {{ width: number, height: number }}
+ */
+export function renderSize(width, height, bounds) {
+    if (!bounds) return { width, height }
+
+    const scale = calculateScale(bounds.width, bounds.height, CROP_MIN_DIMENSION)
+    return { width: Math.round(bounds.width * scale), height: Math.round(bounds.height * scale) }
+}
+
+/**
+ * Size of the quick preview for a render of the given size (never larger)
+ * @returns {{ width: number, height: number }}
+ */
+export function proxySize({ width, height }) {
+    const scale = Math.min(1, PROXY_LONG_EDGE / Math.max(width, height))
+    return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) }
+}
+
+/**
+ * Shrink an image by averaging each block of source pixels
+ * (bicubic sampling would alias when shrinking a 4K photo five times)
+ */
+export function downscaleImage(image, width, height) {
+    const result = new ImageData(width, height)
+    const scaleX = image.width / width
+    const scaleY = image.height / height
+
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.floor(y * scaleY)
+        const y1 = Math.max(y0 + 1, Math.floor((y + 1) * scaleY))
+
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.floor(x * scaleX)
+            const x1 = Math.max(x0 + 1, Math.floor((x + 1) * scaleX))
+
+            let r = 0, g = 0, b = 0, a = 0
+            for (let sy = y0; sy < y1; sy++) {
+                let i = (sy * image.width + x0) * 4
+                for (let sx = x0; sx < x1; sx++, i += 4) {
+                    r += image.data[i]
+                    g += image.data[i + 1]
+                    b += image.data[i + 2]
+                    a += image.data[i + 3]
+                }
+            }
+
+            const count = (y1 - y0) * (x1 - x0)
+            const o = (y * width + x) * 4
+            result.data[o] = r / count
+            result.data[o + 1] = g / count
+            result.data[o + 2] = b / count
+            result.data[o + 3] = a / count
+        }
+    }
+    return result
+}
+
+/**
+ * Resize an image and its mask: block averaging to shrink, bicubic to enlarge
+ * @returns {Promise<{ image: ImageData, mask: Float32Array|null }>}
+ */
+export async function resizeImage(image, mask, width, height) {
+    if (width === image.width && height === image.height) return { image, mask }
+
+    const resized = width < image.width
+        ? downscaleImage(image, width, height)
+        : await upscaleImageGPU(image, width / image.width)
+
+    // The mask follows the image, which may be a pixel off after upscaling
+    const resizedMask = mask && resizeMask(mask, image.width, image.height, resized.width, resized.height)
+    return { image: resized, mask: resizedMask }
+}
+
+/**
+ * The filter graph on the CPU: dimming, lighting, relighting, dodging and burning, tone,
+ * vignette, toning, grain and blur
+ * @param {Object} [options] - Blur scale, grain seed, face, depth and dodging and burning (see buildFilterGraph)
+ * @returns {ImageData} A new image; the source is left untouched
+ */
+export function applyCPUFilters(sourceImage, sourceMask, settings, options = {}) {
+    const workingData = new ImageData(
+        new Uint8ClampedArray(sourceImage.data),
+        sourceImage.width,
+        sourceImage.height
+    )
+
+    // Validate mask dimensions
+    const expectedMaskSize = sourceImage.width * sourceImage.height
+    let validMask = sourceMask
+    if (sourceMask && sourceMask.length !== expectedMaskSize) {
+        console.warn(`CPU filters: Mask size mismatch (${sourceMask.length} vs ${expectedMaskSize}), using fallback`)
+        validMask = null
+    }
+
+    runFilterGraph(workingData, validMask, buildFilterGraph(settings, { ...options, mask: validMask }))
+    return workingData
+}
+
+/**
+ * Render the styled portrait
+ * @param {Object} options
+ * @param {ImageData} options.image - The captured photo, or its proxy
+ * @param {Float32Array|null} options.mask - Soft mask at the image's size
+ * @param {Object} options.settings - Filter settings
+ * @param {Object} options.enhance - Enhancement settings
+ * @param {Object|null} options.bounds - Crop, or null for the whole image
+ * @param {{ width: number, height: number }} [options.size] - Output size (see renderSize and proxySize)
+ * @param {number} [options.scale=1] - Output size relative to the full resolution render, for the blur radius
+ * @param {number} [options.seed=0] - Grain seed
+ * @param {Object|null} [options.face] - Face pose normalized to the image, for the lighting
+ * @param {Float32Array|null} [options.depth] - Depth at the image's size, for relighting (see prepareDepth)
+ * @param {Array<Object>} [options.strokes] - Dodge and burn strokes, normalized to the image (see createStroke)
+ * @param {boolean} options.gpu - Use the WebGPU filters
+ * @param {Function} [options.checkpoint] - Awaited between stages; throws to abandon the render
+ * @returns {Promise<ImageData>} A new image; the source is left untouched
+ */
+export async function renderImage({
+    image, mask, settings, enhance, bounds, gpu,
+    size = renderSize(image.width, image.height, bounds),
+    scale = 1,
+    seed = 0,
+    face = null,
+    depth = null,
+    strokes = [],
+    checkpoint = async () => {}
+}) {
+    let sourceImage = image
+    let sourceMask = mask
+    let sourceFace = face
+    let sourceDepth = depth
+
+    if (bounds) {
+        sourceImage = cropImage(image, bounds)
+        if (mask) sourceMask = cropMask(mask, image.width, bounds)
+        if (face) sourceFace = cropFace(face, image.width, image.height, bounds)
+        if (depth) sourceDepth = cropMask(depth, image.width, bounds)
+        await checkpoint()
+    }
+
+    // Cropped portraits are upscaled for quality, proxies shrunk for speed
+    if (sourceImage.width !== size.width || sourceImage.height !== size.height) {
+        console.log(`Resizing ${sourceImage.width}x${sourceImage.height} to ${size.width}x${size.height}...`)
+        const resized = await resizeImage(sourceImage, sourceMask, size.width, size.height)
+        if (sourceDepth) {
+            sourceDepth = resizeMask(sourceDepth, sourceImage.width, sourceImage.height, resized.image.width, resized.image.height)
+        }
+        sourceImage = resized.image
+        sourceMask = resized.mask
+        await checkpoint()
+    }
+
+    // Strokes are painted at the render's size, so they're as sharp as the image
+    const dodgeBurn = strokes.length
+        ? exposureLayer(strokes, sourceImage.width, sourceImage.height, { photoWidth: image.width, photoHeight: image.height, bounds })
+        : null
+
+    let workingData = sourceImage
+
+    // Apply enhancement BEFORE filters if enabled and set to 'before'
+    if (enhance.enabled && enhance.order === 'before') {
+        workingData = await tryEnhancement(workingData, sourceMask, enhance)
+        await checkpoint()
+    }
+
+    // Use GPU-accelerated filters if available
+    const options = { scale, seed, face: sourceFace, depth: sourceDepth, dodgeBurn }
+    if (gpu) {
+        try {
+            workingData = await applyFiltersGPU(workingData, sourceMask, settings, options)
+        } catch (e) {
+            console.warn('GPU filter failed, falling back to CPU:', e)
+            workingData = applyCPUFilters(workingData, sourceMask, settings, options)
+        }
+    } else {
+        workingData = applyCPUFilters(workingData, sourceMask, settings, options)
+    }
+
+    // Apply enhancement AFTER filters if enabled and set to 'after'
+    if (enhance.enabled && enhance.order === 'after') {
+        await checkpoint()
+        workingData = await tryEnhancement(workingData, sourceMask, enhance)
+    }
+
+    return workingData
+}
+
+async function tryEnhancement(imageData, mask, enhance) {
+    try {
+        return await applyEnhancement(imageData, mask, enhance)
+    } catch (e) {
+        console.warn('Enhancement failed:', e)
+        return imageData
+    }
+}
@@ -0,0 +1,11 @@
+/**
+ * Pipeline Worker
+ * Entry point for the photobooth's processing worker, so filtering a 4K photo
+ * never freezes the page
+ */
+
+import { createPipelineHandler } from './handler.js'
+
+const handler = createPipelineHandler((message, transfer) => self.postMessage(message, transfer))
+
+self.onmessage = (event) => handler.handle(event.data)
@@ -0,0 +1,92 @@
+/**
+ * Print Recipes
+ * Everything the pipeline used to make a print, saved with the print job so staff
+ * can render the portrait again: the filter settings, the edit session that led to
+ * them (crop, levels, choices and strokes, see history.js), the enhancement, the
+ * grain seed, the face pose and which segmenter made the matte.
+ *
+ * The recipe is plain JSON. What it was made from travels beside it as the job's
+ * sources: the capture as a lossless PNG, and the segmenter's raw matte and depth
+ * estimate as exact floats (see encodeSource), so a replay runs every stage again
+ * from the start (see pipeline/replay.js).
+ */
+
+// Bumped whenever a recipe changes shape, so old ones can be recognised
+export const RECIPE_VERSION = 1
+
+/**
+ * Write down how a print was made
+ * @param {Object} capture
+ * @param {{ width: number, height: number }} capture.photo - The capture's size
+ * @param {string|null} capture.segmenter - Backend that made the matte, null if none did
+ * @param {number} capture.seed - Grain seed (see randomSeed)
+ * @param {Object|null} capture.face - Face pose normalized to the photo (see facePose)
+ * @param {Object} render
+ * @param {Object} render.settings - Filter settings the print was rendered with
+ * @param {Object} render.enhance - Enhancement settings
+ * @param {Object} render.history - The edit session (see toJSON in history.js)
+ * @param {boolean} render.gpu - Whether the WebGPU filters rendered it
+ * @param {number} render.printLongEdge - Long edge the render was upscaled to for print
+ * @returns {Object} A copy of everything given, safe to keep after the editor moves on
+ */
+export function createRecipe({ photo, segmenter, seed, face }, { settings, enhance, history, gpu, printLongEdge }) {
+    return structuredClone({
+        version: RECIPE_VERSION,
+        photo: { width: photo.width, height: photo.height },
+        segmenter,
+        seed,
+        face,
+        settings,
+        enhance,
+        history,
+        gpu,
+        print: { longEdge: printLongEdge }
+    })
+}
+
+/**
+ * Make sure a recipe can be replayed by this version of the pipeline
+ * @returns {Object} The recipe
+ */
+export function checkRecipe(recipe) {
+    if (recipe?.version !== RECIPE_VERSION) {
+        throw new Error(`Unsupported recipe version ${recipe?.version} (expected ${RECIPE_VERSION})`)
+    }
+    return recipe
+}
+
+// btoa takes a string of bytes; build it in chunks, as spreading a whole matte overflows the stack
+function bytesToBase64(bytes) {
+    let binary = ''
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000))
+    }
+    return btoa(binary)
+}
+
+/**
+ * A matte or depth estimate as JSON, every float kept exactly (little-endian, base64)
+ * @param {{ width: number, height: number, data: Float32Array }|null} source
+ * @returns {{ width: number, height: number, data: string }|null}
+ */
+export function encodeSource(source) {
+    if (!source) return null
+    const { width, height, data } = source
+    return { width, height, data: bytesToBase64(new Uint8Array(data.buffer, data.byteOffset, data.byteLength)) }
+}
+
+/**
+ * Undo encodeSource
+ * @returns {{ width: number, height: number, data: Float32Array }|null}
+ */
+export function decodeSource(encoded) {
+    if (!encoded) return null
+    const binary = atob(encoded.data)
+    const bytes = new Uint8Array(binary.length)
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+
+    if (bytes.length !== encoded.width * encoded.height * 4) {
+        throw new Error(`Source holds ${bytes.length} bytes, expected ${encoded.width}x${encoded.height} floats`)
+    }
+    return { width: encoded.width, height: encoded.height, data: new Float32Array(bytes.buffer) }
+}
@@ -0,0 +1,86 @@
+/**
+ * Depth Relighting
+ * Shades the subject from a movable virtual lamp, using surface normals worked out
+ * from an estimated depth map (see depth.js): a Lambertian term for the form and a
+ * soft specular sheen where the surface turns towards both the lamp and the camera
+ *
+ * Positions are in units of the image's long edge, with z towards the camera.
+ * The relight node in filter-graph/nodes.js repeats this in WGSL, with these constants.
+ */
+
+// Depth 0-1 spans this far towards the camera
+export const DEPTH_RANGE = 0.5
+
+// Normals come from depth this many samples across the long edge, whatever the
+// image's resolution, so a full resolution render shades like its proxy
+export const DEPTH_SAMPLES = 256
+
+export const AMBIENT = 0.45
+export const DIFFUSE = 0.75
+export const SPECULAR = 0.2
+export const SHININESS = 12
+
+/**
+ * Distance between the depth samples a normal is worked out from, in pixels
+ */
+export function normalStep(width, height) {
+    return Math.max(1, Math.floor(Math.max(width, height) / DEPTH_SAMPLES))
+}
+
+function depthAt(depth, x, y, width, height) {
+    const cx = Math.min(width - 1, Math.max(0, x))
+    const cy = Math.min(height - 1, Math.max(0, y))
+    return depth[cy * width + cx]
+}
+
+/**
+ * Surface normal of the depth map at a pixel
+ * @param {Float32Array} depth - 0 (far) to 1 (near), one value per pixel
+ * @returns {number[]} [x, y, z], unit length
+ */
+export function surfaceNormal(depth, x, y, width, height) {
+    const step = normalStep(width, height)
+    const scale = Math.max(width, height) * DEPTH_RANGE / (2 * step)
+    const dx = (depthAt(depth, x + step, y, width, height) - depthAt(depth, x - step, y, width, height)) * scale
+    const dy = (depthAt(depth, x, y + step, width, height) - depthAt(depth, x, y - step, width, height)) * scale
+
+    const length = Math.sqrt(dx * dx + dy * dy + 1)
+    return [-dx / length, -dy / length, 1 / length]
+}
+
+/**
+ * Brightness multiplier for one pixel of the subject
+ * @param {Float32Array} depth - 0 (far) to 1 (near), one value per pixel
+ * @param {number} x - Pixel column
+ * @param {number} y - Pixel row
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} lamp
+ * @param {number} lamp.lampX - Position over the image, 0-1 across
+ * @param {number} lamp.lampY - Position over the image, 0-1 down
+ * @param {number} lamp.lampHeight - Distance in front of the nearest point, in long edges
+ * @returns {number} Shading, around 1 for a surface facing a nearby lamp
+ */
+export function relightShading(depth, x, y, width, height, { lampX, lampY, lampHeight }) {
+    const long = Math.max(width, height)
+    const [nx, ny, nz] = surfaceNormal(depth, x, y, width, height)
+
+    // Direction to the lamp from this point of the surface
+    let lx = (lampX * width - x) / long
+    let ly = (lampY * height - y) / long
+    let lz = DEPTH_RANGE + lampHeight - depthAt(depth, x, y, width, height) * DEPTH_RANGE
+    const toLamp = Math.sqrt(lx * lx + ly * ly + lz * lz)
+    lx /= toLamp
+    ly /= toLamp
+    lz /= toLamp
+
+    const lambert = Math.max(0, nx * lx + ny * ly + nz * lz)
+
+    // Blinn-Phong, seen from straight in front
+    const hz = lz + 1
+    const halfway = Math.sqrt(lx * lx + ly * ly + hz * hz)
+    const sheen = Math.max(0, (nx * lx + ny * ly + nz * hz) / halfway)
+
+    return AMBIENT + DIFFUSE * lambert + SPECULAR * Math.pow(sheen, SHININESS)
+}
+
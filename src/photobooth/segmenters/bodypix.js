@@ -0,0 +1,52 @@
+/**
+ * BodyPix Segmenter
+ * TensorFlow.js person segmentation - the oldest and coarsest backend, but it
+ * runs on WebGL or plain CPU, so it is the last resort in the chain
+ */
+
+import * as tf from '@tensorflow/tfjs'
+import * as bodyPix from '@tensorflow-models/body-pix'
+import { waitForModel } from '../model-status.js'
+
+const REPO = 'tensorflow/bodypix-mobilenet-050'
+
+export function createBodyPixSegmenter() {
+    let net = null
+
+    const segmenter = { name: 'bodypix', label: 'BodyPix', device: null, load, segment, dispose }
+
+    async function load(onProgress) {
+        await waitForModel(REPO, onProgress)
+        await tf.ready()
+
+        net = await bodyPix.load({
+            architecture: 'MobileNetV1',
+            outputStride: 16,
+            multiplier: 0.5,
+            quantBytes: 4,
+            modelUrl: `/models/${REPO}/model-stride16.json`
+        })
+        segmenter.device = tf.getBackend()
+    }
+
+    async function segment(imageData) {
+        const segmentation = await net.segmentPerson(imageData, {
+            internalResolution: 'medium',
+            segmentationThreshold: 0.7
+        })
+
+        // Binary 0/1 per pixel, already at the photo's size
+        return {
+            data: Float32Array.from(segmentation.data),
+            width: segmentation.width,
+            height: segmentation.height
+        }
+    }
+
+    async function dispose() {
+        net?.dispose()
+        net = null
+    }
+
+    return segmenter
+}
@@ -0,0 +1,112 @@
+/**
+ * Segmenter Chain
+ * Tries segmentation backends in order of preference, falling back to the
+ * next one when a model can't be loaded or fails on a photo
+ *
+ * Every backend implements the same interface:
+ *   name      - key used in config, e.g. "modnet"
+ *   label     - shown in the debug panel, e.g. "MODNet"
+ *   device    - what it ended up running on once loaded, e.g. "webgpu"
+ *   load(onProgress)   - fetch and initialise the model; onProgress(percent)
+ *   segment(imageData) - Subject confidence (0-1) at the model's own resolution,
+ *                        as { data: Float32Array, width, height }; the pipeline
+ *                        worker scales it to the photo
+ *   dispose()          - release the model
+ */
+
+/**
+ * Backend order with the preferred one first
+ * @param {string|null} preferred - e.g. picked in the debug panel
+ * @param {string[]} configured - Order from the server config
+ * @param {string[]} available - Backends that exist
+ * @returns {string[]}
+ */
+export function segmenterOrder(preferred, configured, available) {
+    const order = preferred ? [preferred, ...configured] : configured
+    return [...new Set(order)].filter(name => available.includes(name))
+}
+
+/**
+ * Create a chain of segmentation backends
+ * @param {Object} options
+ * @param {string[]} options.order - Backend names, most preferred first
+ * @param {Object<string, Function>} options.factories - Name -> async function returning a segmenter
+ * @param {Function} [options.onProgress] - Called with (label, percent) while a model downloads
+ * @param {Function} [options.now=performance.now]
+ */
+export function createSegmenterChain({ order, factories, onProgress = () => {}, now = () => performance.now() }) {
+    const remaining = [...order]
+    let active = null
+    let loading = null
+    let disposed = false
+
+    // Per-backend results for the debug panel: { label, device, loadMs, segmentMs, error }
+    const timings = {}
+
+    /**
+     * Load the first backend that works
+     * @returns {Promise<Object>} The active segmenter
+     */
+    function load() {
+        if (active) return Promise.resolve(active)
+        loading ??= loadNext().finally(() => { loading = null })
+        return loading
+    }
+
+    async function loadNext() {
+        while (remaining.length > 0) {
+            const name = remaining.shift()
+            const started = now()
+            let segmenter = null
+
+            try {
+                segmenter = await factories[name]()
+                await segmenter.load(percent => onProgress(segmenter.label, percent))
+                if (disposed) throw new Error('chain was disposed while loading')
+                timings[name] = { label: segmenter.label, device: segmenter.device, loadMs: now() - started }
+                console.log(`${segmenter.label} segmenter loaded on ${segmenter.device} in ${Math.round(now() - started)}ms`)
+                active = segmenter
+                return active
+            } catch (error) {
+                console.warn(`Segmenter ${name} unavailable:`, error.message)
+                timings[name] = { label: segmenter?.label || name, error: error.message }
+                await segmenter?.dispose()
+            }
+        }
+        throw new Error('No segmentation backend could be loaded')
+    }
+
+    /**
+     * Segment a photo, moving down the chain if a backend fails
+     * @param {ImageData} imageData
+     * @returns {Promise<{ matte: { data: Float32Array, width: number, height: number }, backend: string, ms: number }>}
+     */
+    async function segment(imageData) {
+        for (;;) {
+            const segmenter = await load()
+            const started = now()
+
+            try {
+                const matte = await segmenter.segment(imageData)
+                const ms = now() - started
+                timings[segmenter.name].segmentMs = ms
+                return { matte, backend: segmenter.name, ms }
+            } catch (error) {
+                console.error(`${segmenter.label} segmentation failed, trying the next backend:`, error)
+                timings[segmenter.name].error = error.message
+                active = null
+                await segmenter.dispose()
+            }
+        }
+    }
+
+    async function dispose() {
+        const segmenter = active
+        active = null
+        disposed = true
+        remaining.length = 0
+        await segmenter?.dispose()
+    }
+
+    return { load, segment, dispose, timings, current: () => active }
+}
@@ -0,0 +1,15 @@
+/**
+ * Segmentation Backends
+ * Each backend is imported on first use, so a kiosk running MODNet never
+ * downloads TensorFlow.js or MediaPipe
+ */
+
+export { createSegmenterChain, segmenterOrder } from './chain.js'
+
+export const SEGMENTERS = {
+    modnet: () => import('./modnet.js').then(m => m.createModnetSegmenter()),
+    server: () => import('./remote.js').then(m => m.createRemoteSegmenter()),
+    rmbg: () => import('./rmbg.js').then(m => m.createRmbgSegmenter()),
+    mediapipe: () => import('./mediapipe.js').then(m => m.createMediaPipeSegmenter()),
+    bodypix: () => import('./bodypix.js').then(m => m.createBodyPixSegmenter())
+}
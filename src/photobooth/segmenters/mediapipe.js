@@ -0,0 +1,63 @@
+/**
+ * MediaPipe Segmenter
+ * Google's selfie segmenter - tiny and fast, with harder edges than the matting models
+ */
+
+import { FilesetResolver, ImageSegmenter } from '@mediapipe/tasks-vision'
+import { waitForModel } from '../model-status.js'
+
+const REPO = 'mediapipe/selfie_segmenter'
+const MODEL_URL = `/models/${REPO}/selfie_segmenter.tflite`
+
+// WebAssembly runtime served by our server (see /mediapipe/ in server.js)
+const WASM_PATH = '/mediapipe/'
+
+export function createMediaPipeSegmenter() {
+    let imageSegmenter = null
+
+    const segmenter = { name: 'mediapipe', label: 'MediaPipe', device: null, load, segment, dispose }
+
+    async function load(onProgress) {
+        await waitForModel(REPO, onProgress)
+        const vision = await FilesetResolver.forVisionTasks(WASM_PATH)
+
+        for (const delegate of ['GPU', 'CPU']) {
+            try {
+                imageSegmenter = await ImageSegmenter.createFromOptions(vision, {
+                    baseOptions: { modelAssetPath: MODEL_URL, delegate },
+                    runningMode: 'IMAGE',
+                    outputConfidenceMasks: true,
+                    outputCategoryMask: false
+                })
+                segmenter.device = delegate.toLowerCase()
+                return
+            } catch (error) {
+                if (delegate === 'CPU') throw error
+                console.warn('MediaPipe GPU delegate unavailable, falling back:', error.message)
+            }
+        }
+    }
+
+    async function segment(imageData) {
+        const result = imageSegmenter.segment(imageData)
+        try {
+            // The person is the last category (the only one for single-output models)
+            const confidence = result.confidenceMasks.at(-1)
+            // Copied, as the mask's memory is freed by close()
+            return {
+                data: confidence.getAsFloat32Array().slice(),
+                width: confidence.width,
+                height: confidence.height
+            }
+        } finally {
+            result.close()
+        }
+    }
+
+    async function dispose() {
+        imageSegmenter?.close()
+        imageSegmenter = null
+    }
+
+    return segmenter
+}
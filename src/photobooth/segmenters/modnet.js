@@ -0,0 +1,14 @@
+/**
+ * MODNet Segmenter
+ * Portrait matting with soft hair edges - the photobooth's default
+ */
+
+import { createTransformersSegmenter } from './transformers-model.js'
+
+export function createModnetSegmenter() {
+    return createTransformersSegmenter({
+        name: 'modnet',
+        label: 'MODNet',
+        repo: 'Xenova/modnet'
+    })
+}
@@ -0,0 +1,81 @@
+/**
+ * Server Segmenter
+ * Sends the photo to POST /api/segment, where the server runs RMBG-1.4 on its CPU -
+ * for kiosks whose GPUs are too slow, and for the same mask on every kiosk
+ */
+
+import { waitForModel } from '../model-status.js'
+
+const REPO = 'briaai/RMBG-1.4'
+
+/**
+ * Decode IEEE 754 half precision values
+ * @param {Uint16Array} half
+ * @returns {Float32Array}
+ */
+export function fromFloat16(half) {
+    const result = new Float32Array(half.length)
+    for (let i = 0; i < half.length; i++) {
+        const h = half[i]
+        const sign = h & 0x8000 ? -1 : 1
+        const exponent = (h >> 10) & 0x1f
+        const mantissa = h & 0x3ff
+
+        if (exponent === 0) {
+            result[i] = sign * mantissa * 2 ** -24
+        } else if (exponent === 31) {
+            result[i] = mantissa ? NaN : sign * Infinity
+        } else {
+            result[i] = sign * (1 + mantissa / 1024) * 2 ** (exponent - 15)
+        }
+    }
+    return result
+}
+
+// JPEG is plenty for a mask computed at 1024x1024, and far smaller than PNG
+function encodeJpeg(imageData) {
+    const canvas = document.createElement('canvas')
+    canvas.width = imageData.width
+    canvas.height = imageData.height
+    canvas.getContext('2d').putImageData(imageData, 0, 0)
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode photo')), 'image/jpeg', 0.9)
+    })
+}
+
+async function errorMessage(response) {
+    const body = await response.json().catch(() => ({}))
+    return body.error || `HTTP ${response.status}`
+}
+
+export function createRemoteSegmenter() {
+    const segmenter = { name: 'server', label: 'Server (RMBG-1.4)', device: 'server', load, segment, dispose }
+
+    async function load(onProgress) {
+        await waitForModel(REPO, onProgress)
+
+        // Loads the model on the server, and fails if it has no ONNX Runtime
+        const response = await fetch('/api/segment')
+        if (!response.ok) throw new Error(await errorMessage(response))
+    }
+
+    async function segment(imageData) {
+        const response = await fetch('/api/segment?format=float16', {
+            method: 'POST',
+            headers: { 'Content-Type': 'image/jpeg' },
+            body: await encodeJpeg(imageData)
+        })
+        if (!response.ok) throw new Error(await errorMessage(response))
+
+        return {
+            data: fromFloat16(new Uint16Array(await response.arrayBuffer())),
+            width: Number(response.headers.get('X-Mask-Width')),
+            height: Number(response.headers.get('X-Mask-Height'))
+        }
+    }
+
+    async function dispose() {}
+
+    return segmenter
+}
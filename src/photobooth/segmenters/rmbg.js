@@ -0,0 +1,31 @@
+/**
+ * RMBG-1.4 Segmenter
+ * BRIA's background removal model - slower and larger than MODNet,
+ * but better with props and busy backgrounds
+ */
+
+import { createTransformersSegmenter } from './transformers-model.js'
+
+export function createRmbgSegmenter() {
+    return createTransformersSegmenter({
+        name: 'rmbg',
+        label: 'RMBG-1.4',
+        repo: 'briaai/RMBG-1.4',
+        // The repo's config.json doesn't name a Transformers.js architecture
+        modelOptions: { config: { model_type: 'custom' } },
+        processorOptions: {
+            config: {
+                do_normalize: true,
+                do_pad: false,
+                do_rescale: true,
+                do_resize: true,
+                image_mean: [0.5, 0.5, 0.5],
+                image_std: [1, 1, 1],
+                feature_extractor_type: 'ImageFeatureExtractor',
+                resample: 2,
+                rescale_factor: 1 / 255,
+                size: { width: 1024, height: 1024 }
+            }
+        }
+    })
+}
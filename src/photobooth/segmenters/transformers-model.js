@@ -0,0 +1,93 @@
+/**
+ * Transformers.js Segmenters
+ * Shared loader for matting models run through Transformers.js (MODNet, RMBG-1.4),
+ * which both take an image and return a single-channel alpha matte; the depth
+ * estimator (see depth.js) loads through it too
+ */
+
+import { AutoModel, AutoProcessor, RawImage, env } from '@huggingface/transformers'
+import { waitForModel } from '../model-status.js'
+
+// Models and runtime come from our own server (see server/model-registry.js),
+// so the photobooth works without internet
+env.allowLocalModels = true
+env.allowRemoteModels = false
+env.localModelPath = '/models/'
+env.backends.onnx.wasm.wasmPaths = '/ort/'
+
+/**
+ * Load a model and its processor from the server's model registry, on WebGPU when
+ * the browser has it and otherwise WebAssembly on the CPU
+ * @param {Object} options
+ * @param {string} options.repo - Registry name, e.g. "Xenova/modnet"
+ * @param {string} options.label - Display name, for warnings
+ * @param {Object} [options.modelOptions] - Extra AutoModel.from_pretrained() options
+ * @param {Object} [options.processorOptions] - Extra AutoProcessor.from_pretrained() options
+ * @param {Function} [options.onProgress] - Download progress (see waitForModel)
+ * @returns {Promise<{ model: Object, processor: Object, device: string }>}
+ */
+export async function loadTransformersModel({ repo, label, modelOptions = {}, processorOptions = {}, onProgress }) {
+    // First run after install: the server may still be downloading the model
+    await waitForModel(repo, onProgress)
+
+    let model = null
+    let device = null
+    const devices = navigator.gpu ? ['webgpu', 'wasm'] : ['wasm']
+    for (device of devices) {
+        try {
+            model = await AutoModel.from_pretrained(repo, { dtype: 'fp32', device, ...modelOptions })
+            break
+        } catch (error) {
+            if (device === devices.at(-1)) throw error
+            console.warn(`${label} failed on ${device}, falling back:`, error.message)
+        }
+    }
+
+    const processor = await AutoProcessor.from_pretrained(repo, processorOptions)
+    return { model, processor, device }
+}
+
+/**
+ * Create a segmenter for a model in the server's model registry
+ * @param {Object} options
+ * @param {string} options.name - Config key, e.g. "modnet"
+ * @param {string} options.label - Display name
+ * @param {string} options.repo - Registry name, e.g. "Xenova/modnet"
+ * @param {Object} [options.modelOptions] - Extra AutoModel.from_pretrained() options
+ * @param {Object} [options.processorOptions] - Extra AutoProcessor.from_pretrained() options
+ */
+export function createTransformersSegmenter({ name, label, repo, modelOptions = {}, processorOptions = {} }) {
+    let model = null
+    let processor = null
+
+    const segmenter = { name, label, device: null, load, segment, dispose }
+
+    async function load(onProgress) {
+        const loaded = await loadTransformersModel({ repo, label, modelOptions, processorOptions, onProgress })
+        model = loaded.model
+        processor = loaded.processor
+        segmenter.device = loaded.device
+    }
+
+    async function segment(imageData) {
+        const image = new RawImage(imageData.data, imageData.width, imageData.height, 4)
+
+        const { pixel_values } = await processor(image)
+        const { output } = await model({ input: pixel_values })
+
+        // output is batched; the first entry is this photo's alpha matte,
+        // either [channels, height, width] or [height, width] depending on the model
+        const maskTensor = output[0]
+        const [height, width] = maskTensor.dims.slice(-2)
+
+        return { data: Float32Array.from(maskTensor.data), width, height }
+    }
+
+    async function dispose() {
+        await model?.dispose()
+        model = null
+        processor = null
+    }
+
+    return segmenter
+}
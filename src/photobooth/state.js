@@ -3,8 +3,16 @@
  * Centralized state for the photobooth application
  */
 
+import { createEditHistory } from './history.js'
+
 // Models
-export let bodyPixModel = null
+// Segmenter chain (see segmenters/chain.js)
+export let segmenter = null
+
+// Face landmarker that places the portrait lights (see face-detector.js)
+export let faceDetector = null
+// Depth estimator for relighting (see depth.js)
+export let depthEstimator = null
 export let upscaler = null
 
 // Video stream
@@ -21,22 +29,30 @@ export let imageOriginal = null
 export let imageNoLightingWithBg = null
 export let imageNoLightingNoBg = null
 
+// How the photo was captured, for its print recipe (see recipe.js): the segmenter
+// backend, grain seed and face pose, with copies of the raw matte and depth estimate
+export let captureDetails = null
+
 // Crop state
 export let subjectBounds = null
 export let isCropped = false
 
 // Filter settings
 export const filterSettings = {
-    contrast: 1.4,
-    brightness: 0.9,
-    shadows: 40,
-    highlights: 20,
+    grade: 3,        // paper grade, 0 (soft) to 5 (hard)
+    exposure: 0.2,   // extra print exposure in stops
     grain: 20,
     vignette: 30,
-    sepia: 10,
+    toner: 'sepia',  // see filter-graph/toning.js
+    toning: 20,      // toner strength, 0-100
     blur: 0.5,
     backgroundDim: 1.0,
-    lightBoost: 0.6
+    lightBoost: 0.6,
+    lightingPattern: 'rembrandt',  // see lighting.js
+    relight: 0.5,    // depth relighting strength, 0-1 (see relight.js)
+    lampX: 0.75,     // relighting lamp over the image, 0-1
+    lampY: 0.2,
+    lampHeight: 0.6  // lamp's distance in front of the subject, in long edges
 }
 
 // Effect levels: 0 = off, 1 = medium, 2 = high, 3 = max (debug only)
@@ -47,10 +63,29 @@ export const effectLevels = {
     crushedblacks: 0,
     grain: 0,
     vignette: 0,
-    sepia: 0,
+    toning: 0,
     softness: 0
 }
 
+// Options picked in the editor alongside the levels: the lighting pattern
+// (see LIGHTING_PATTERNS in lighting.js) and the toner (see filter-graph/toning.js)
+export const effectChoices = {
+    lightingPattern: 'rembrandt',
+    toner: 'sepia'
+}
+
+// Dodge and burn brush (see dodge-burn.js): size is the diameter as a fraction of
+// the photo's long edge, strength is in stops, softness 0 (hard) to 1
+export const brushSettings = {
+    mode: 'dodge',
+    size: 0.08,
+    strength: 0.5,
+    softness: 0.6
+}
+
+// Every change made to the current capture, with undo and redo (see history.js)
+export const editHistory = createEditHistory()
+
 // Debug mode flag
 export let debugMode = false
 export function setDebugMode(enabled) { debugMode = enabled }
@@ -68,33 +103,27 @@ export const enhanceSettings = {
 // Preset values for debug panel
 export const presetValues = {
     classic: {
-        contrast: 1.4,
-        brightness: 0.9,
-        shadows: 40,
-        highlights: 20,
+        grade: 3,
+        exposure: 0.2,
         grain: 20,
         vignette: 30,
-        sepia: 10,
+        toning: 20,
         blur: 0.5
     },
     silhouette: {
-        contrast: 1.8,
-        brightness: 0.7,
-        shadows: 80,
-        highlights: 10,
+        grade: 4.5,
+        exposure: 0.6,
         grain: 15,
         vignette: 50,
-        sepia: 5,
+        toning: 10,
         blur: 0
     },
     foggy: {
-        contrast: 1.1,
-        brightness: 1.1,
-        shadows: 10,
-        highlights: 40,
+        grade: 1,
+        exposure: -0.3,
         grain: 25,
         vignette: 20,
-        sepia: 15,
+        toning: 30,
         blur: 1.5
     }
 }
@@ -102,27 +131,28 @@ export const presetValues = {
 // Effect values for each level: [off, medium, high, max]
 export const effectValues = {
     silhouette: { backgroundDim: [0, 0.55, 1.0, 1.0] },  // 0=none, 0.55=dark, 1.0=black
-    lighting: { lightBoost: [0, 0.85, 1.2, 1.6] },  // lighting intensity - stronger
-    highcontrast: { contrast: [1.0, 1.3, 1.6, 2.2] },
-    crushedblacks: { shadows: [0, 8, 18, 35] },
+    lighting: { lightBoost: [0, 0.85, 1.2, 1.6], relight: [0, 0.35, 0.5, 0.7] },  // lighting intensity - stronger
+    highcontrast: { grade: [2, 3, 4, 5] },  // paper grade
+    crushedblacks: { exposure: [0, 0.25, 0.5, 0.9] },  // printing longer pushes the shadows into the paper's black
     grain: { grain: [0, 6, 12, 22] },
     vignette: { vignette: [0, 30, 55, 85] },
-    sepia: { sepia: [0, 15, 30, 50] },
+    toning: { toning: [0, 30, 60, 100] },
     softness: { blur: [0, 0.8, 1.5, 2.5] }
 }
 
 // Base values (applied first, then effects modify them)
 export const baseValues = {
-    contrast: 1.0,
-    brightness: 0.95,
-    shadows: 0,
-    highlights: 20,
+    grade: 2,
+    exposure: 0,
     grain: 0,
     vignette: 0,
-    sepia: 0,
+    toning: 0,
     blur: 0,
     backgroundDim: 0,
-    lightBoost: 0
+    lightBoost: 0,
+    relight: 0,
+    lampX: 0.75,
+    lampY: 0.2
 }
 
 // DOM Elements cache
@@ -149,13 +179,16 @@ export const elements = {
 }
 
 // Setters for mutable state
-export function setBodyPixModel(model) { bodyPixModel = model }
+export function setSegmenter(chain) { segmenter = chain }
+export function setFaceDetector(detector) { faceDetector = detector }
+export function setDepthEstimator(estimator) { depthEstimator = estimator }
 export function setUpscaler(u) { upscaler = u }
 export function setVideoStream(stream) { videoStream = stream }
 export function setCapturedImageData(data) { capturedImageData = data }
 export function setProcessedImageData(data) { processedImageData = data }
 export function setOriginalWithBackground(data) { originalWithBackground = data }
 export function setSegmentationMask(mask) { segmentationMask = mask }
+export function setCaptureDetails(details) { captureDetails = details }
 export function setImageWithBackground(data) { imageWithBackground = data }
 export function setImageWithoutBackground(data) { imageWithoutBackground = data }
 export function setImageOriginal(data) { imageOriginal = data }
@@ -175,10 +208,39 @@ export function resetImageState() {
     imageNoLightingWithBg = null
     imageNoLightingNoBg = null
     segmentationMask = null
+    captureDetails = null
     subjectBounds = null
     isCropped = false
 }
 
+/**
+ * The editor's levels, choices, crop and enhancement as an edit, for a new capture
+ * to start from (see history.js)
+ */
+export function currentEdit() {
+    return {
+        levels: { ...effectLevels },
+        choices: { ...effectChoices },
+        preset: null,
+        bounds: isCropped && subjectBounds ? { ...subjectBounds } : null,
+        strokes: [],
+        lamp: null,
+        enhance: { ...enhanceSettings }
+    }
+}
+
+/**
+ * Put an edit's levels, choices, crop and enhancement into the editor's state;
+ * filterSettings follow from them (see applyLevelSettings in photobooth.js)
+ */
+export function applyEdit(edit) {
+    Object.assign(effectLevels, edit.levels)
+    Object.assign(effectChoices, edit.choices)
+    Object.assign(enhanceSettings, edit.enhance)
+    subjectBounds = edit.bounds && { ...edit.bounds }
+    isCropped = Boolean(edit.bounds)
+}
+
 // Initialize DOM element cache
 export function initElements() {
     panels.intro = document.getElementById('panel-intro')
@@ -0,0 +1,43 @@
+/**
+ * Portrait Pickup Screen
+ * Read-only lobby display of tickets being printed and ready to collect
+ */
+
+// Enough to fill a lobby screen; older tickets scroll off
+const MAX_TICKETS = 12
+
+document.addEventListener('DOMContentLoaded', () => {
+    loadBoard()
+    connectLiveUpdates()
+})
+
+async function loadBoard() {
+    try {
+        const response = await fetch('/api/pickup')
+        renderBoard(await response.json())
+    } catch (error) {
+        console.error('Failed to load pickup board:', error)
+    }
+}
+
+function connectLiveUpdates() {
+    const eventSource = new EventSource('/api/pickup/events')
+
+    eventSource.addEventListener('board', e => renderBoard(JSON.parse(e.data)))
+    // EventSource reconnects on its own; the server sends the board again on connect
+    eventSource.addEventListener('error', () => console.warn('Pickup updates disconnected, retrying...'))
+}
+
+function renderBoard(board) {
+    renderTickets(document.getElementById('printing-list'), board.printing)
+    renderTickets(document.getElementById('ready-list'), board.ready)
+}
+
+function renderTickets(list, tickets) {
+    list.replaceChildren(...tickets.slice(0, MAX_TICKETS).map(ticket => {
+        const item = document.createElement('li')
+        item.className = 'ticket'
+        item.textContent = ticket
+        return item
+    }))
+}
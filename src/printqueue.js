@@ -4,65 +4,282 @@
  */
 
 let currentJobId = null
-let autoRefreshInterval = null
+let currentJob = null
+let eventSource = null
+
+// True when the server prints jobs itself (CUPS, hot folder) instead of the browser dialog
+let serverPrinting = false
+
+// Jobs currently shown, keyed by ID (patched in place from live events)
+const jobs = new Map()
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
-    refreshQueue()
-    toggleAutoRefresh()
+    document.getElementById('login-form').addEventListener('submit', login)
+    checkSession()
 
     // Expose functions globally
+    window.logout = logout
     window.refreshQueue = refreshQueue
     window.clearCompleted = clearCompleted
-    window.toggleAutoRefresh = toggleAutoRefresh
+    window.toggleLiveUpdates = toggleLiveUpdates
+    window.openPreview = openPreview
     window.closePreview = closePreview
     window.printImage = printImage
     window.markCompleted = markCompleted
     window.cancelJob = cancelJob
+    window.changeTemplate = changeTemplate
 })
 
+// ==========================================
+// STAFF LOGIN
+// ==========================================
+
+async function checkSession() {
+    try {
+        const response = await fetch('/api/auth/session')
+        const session = await response.json()
+
+        if (session.role === 'staff') {
+            startQueue()
+        } else {
+            showLogin(session.loginEnabled ? '' : 'Staff login is not set up on this server.')
+        }
+    } catch (error) {
+        console.error('Failed to check session:', error)
+        showLogin('Could not reach the server.')
+    }
+}
+
+function startQueue() {
+    document.getElementById('login-modal').classList.add('hidden')
+    loadPrinterMode()
+    loadTemplates()
+    refreshQueue()
+    toggleLiveUpdates()
+}
+
+function showLogin(message = '') {
+    disconnectLiveUpdates()
+    closePreview()
+    jobs.clear()
+    renderQueue()
+    updateStats()
+
+    document.getElementById('login-error').textContent = message
+    document.getElementById('login-modal').classList.remove('hidden')
+    document.getElementById('login-pin').focus()
+}
+
+async function login(event) {
+    event.preventDefault()
+    const input = document.getElementById('login-pin')
+
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ pin: input.value })
+        })
+        input.value = ''
+
+        if (!response.ok) {
+            const data = await response.json()
+            document.getElementById('login-error').textContent = data.error || 'Login failed'
+            input.focus()
+            return
+        }
+
+        startQueue()
+    } catch (error) {
+        console.error('Failed to log in:', error)
+        document.getElementById('login-error').textContent = 'Could not reach the server.'
+    }
+}
+
+async function logout() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST' })
+    } catch (error) {
+        console.error('Failed to log out:', error)
+    }
+    showLogin()
+}
+
+// fetch() for staff-only endpoints; an expired session sends staff back to the login
+async function staffFetch(url, options) {
+    const response = await fetch(url, options)
+    if (response.status === 401) {
+        showLogin('Your session has expired. Please log in again.')
+        throw new Error('Staff login required')
+    }
+    return response
+}
+
 async function refreshQueue() {
     try {
-        const response = await fetch('/api/print-queue')
+        const response = await staffFetch('/api/print-queue')
         const data = await response.json()
 
-        updateStats(data)
-        renderQueue(data.items)
+        jobs.clear()
+        data.items.forEach(item => jobs.set(item.id, item))
+
+        updateStats()
+        renderQueue()
     } catch (error) {
         console.error('Failed to refresh queue:', error)
     }
 }
 
-function updateStats(data) {
-    document.getElementById('pending-count').textContent = data.pending
-    document.getElementById('total-count').textContent = data.total
+async function loadPrinterMode() {
+    try {
+        const response = await staffFetch('/api/printer')
+        const data = await response.json()
+        serverPrinting = data.serverPrinting
+    } catch (error) {
+        console.error('Failed to load printer mode:', error)
+    }
+}
+
+async function loadTemplates() {
+    try {
+        const response = await staffFetch('/api/layout-templates')
+        const data = await response.json()
+
+        document.getElementById('preview-template').innerHTML = data.templates
+            .map(template => `<option value="${template.id}">${template.label}</option>`)
+            .join('')
+    } catch (error) {
+        console.error('Failed to load layout templates:', error)
+    }
+}
+
+function updateStats() {
+    const items = [...jobs.values()]
+    document.getElementById('pending-count').textContent = items.filter(item => item.status === 'pending').length
+    document.getElementById('total-count').textContent = items.length
 }
 
-function renderQueue(items) {
+function renderQueue() {
     const container = document.getElementById('queue-list')
+    container.innerHTML = ''
 
-    if (items.length === 0) {
+    const items = [...jobs.values()].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    items.forEach(item => container.appendChild(createQueueItemElement(item)))
+
+    renderEmptyState()
+}
+
+function renderEmptyState() {
+    const container = document.getElementById('queue-list')
+    const empty = container.querySelector('.queue-empty')
+
+    if (jobs.size === 0 && !empty) {
         container.innerHTML = `
             <div class="queue-empty">
                 <p>No print jobs in queue</p>
                 <p class="hint">Photos sent from the Photobooth will appear here</p>
             </div>
         `
-        return
+    } else if (jobs.size > 0 && empty) {
+        empty.remove()
     }
+}
 
-    container.innerHTML = items.map(item => `
-        <div class="queue-item ${item.status}" onclick="openPreview('${item.id}')" data-id="${item.id}">
-            <div class="queue-item-preview">
-                ${item.image ? `<img src="${item.image}" alt="Photo preview">` : '<span>No preview</span>'}
-            </div>
-            <div class="queue-item-info">
-                <span class="queue-item-status">${item.status}</span>
-                <div class="queue-item-id">ID: ${item.id}</div>
-                <div class="queue-item-time">${formatTime(item.createdAt)}</div>
-            </div>
+function createQueueItemElement(item) {
+    const element = document.createElement('div')
+    element.className = `queue-item ${item.status}`
+    element.dataset.id = item.id
+    element.innerHTML = `
+        <div class="queue-item-preview">
+            ${item.thumbnail ? `<img src="${item.thumbnail}" alt="Photo preview" loading="lazy">` : '<span>No preview</span>'}
+        </div>
+        <div class="queue-item-info">
+            <span class="queue-item-status">${item.status}</span>
+            ${item.ticket ? `<div class="queue-item-ticket">${escapeHtml(item.ticket)}</div>` : ''}
+            <div class="queue-item-id">ID: ${item.id}</div>
+            <div class="queue-item-time">${formatTime(item.createdAt)}</div>
+            ${item.printError ? `<div class="queue-item-error">${escapeHtml(item.printError)}</div>` : ''}
         </div>
-    `).join('')
+    `
+    element.addEventListener('click', () => openPreview(item.id))
+    return element
+}
+
+// ==========================================
+// LIVE UPDATES
+// ==========================================
+
+// Add or replace a single job without re-rendering the whole list
+function upsertJob(item) {
+    const container = document.getElementById('queue-list')
+    const existing = container.querySelector(`.queue-item[data-id="${item.id}"]`)
+    const element = createQueueItemElement(item)
+
+    jobs.set(item.id, item)
+
+    if (existing) {
+        existing.replaceWith(element)
+    } else {
+        // New jobs are the newest, so they go first
+        renderEmptyState()
+        container.prepend(element)
+    }
+
+    updateStats()
+}
+
+function removeJob(id) {
+    jobs.delete(id)
+    document.querySelector(`#queue-list .queue-item[data-id="${id}"]`)?.remove()
+
+    if (id === currentJobId) {
+        closePreview()
+    }
+
+    renderEmptyState()
+    updateStats()
+}
+
+function connectLiveUpdates() {
+    eventSource = new EventSource('/api/print-queue/events')
+
+    eventSource.addEventListener('job-added', e => upsertJob(JSON.parse(e.data)))
+    eventSource.addEventListener('status-changed', e => upsertJob(JSON.parse(e.data)))
+    eventSource.addEventListener('deleted', e => removeJob(JSON.parse(e.data).id))
+
+    eventSource.addEventListener('open', () => {
+        setLiveStatus('connected')
+        // Catch up on anything missed while disconnected
+        refreshQueue()
+    })
+    eventSource.addEventListener('error', () => {
+        // EventSource reconnects on its own; refreshing shows the login if the session expired
+        setLiveStatus('reconnecting')
+        refreshQueue()
+    })
+}
+
+function disconnectLiveUpdates() {
+    if (eventSource) {
+        eventSource.close()
+        eventSource = null
+    }
+    setLiveStatus('off')
+}
+
+function setLiveStatus(status) {
+    const indicator = document.getElementById('live-status')
+    if (indicator) {
+        indicator.dataset.status = status
+        indicator.title = status
+    }
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML
 }
 
 function formatTime(isoString) {
@@ -80,12 +297,15 @@ async function openPreview(jobId) {
     currentJobId = jobId
 
     try {
-        const response = await fetch(`/api/print-queue/${jobId}`)
+        const response = await staffFetch(`/api/print-queue/${jobId}`)
         const job = await response.json()
+        currentJob = job
 
-        document.getElementById('preview-image').src = job.image || ''
+        showPreviewImage(job)
         document.getElementById('preview-job-id').textContent = job.id
+        document.getElementById('preview-ticket').textContent = job.ticket || '—'
         document.getElementById('preview-time').textContent = formatTime(job.createdAt)
+        document.getElementById('preview-template').value = job.layout.template
 
         document.getElementById('preview-modal').classList.remove('hidden')
     } catch (error) {
@@ -93,16 +313,53 @@ async function openPreview(jobId) {
     }
 }
 
+// Show the laid-out print when it is an image, otherwise the bare portrait
+function showPreviewImage(job) {
+    const src = job.layout.format === 'jpeg' ? job.layout.url : job.imageUrl
+    // Cache-bust so a template change shows the new layout
+    document.getElementById('preview-image').src = src ? `${src}?template=${job.layout.template}` : ''
+}
+
+async function changeTemplate() {
+    if (!currentJobId) return
+
+    const template = document.getElementById('preview-template').value
+
+    try {
+        await staffFetch(`/api/print-queue/${currentJobId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ template })
+        })
+        await openPreview(currentJobId)
+    } catch (error) {
+        console.error('Failed to change layout:', error)
+    }
+}
+
 function closePreview() {
     document.getElementById('preview-modal').classList.add('hidden')
     currentJobId = null
+    currentJob = null
 }
 
-function printImage() {
-    const img = document.getElementById('preview-image')
-    if (!img.src) return
+async function printImage() {
+    if (serverPrinting) {
+        await sendToPrinter()
+        return
+    }
+
+    if (!currentJob) return
+
+    const { url, format, paper } = currentJob.layout
+
+    // PDFs print from the browser's own viewer at their embedded page size
+    if (format === 'pdf') {
+        window.open(url, '_blank')
+        return
+    }
 
-    // Open print dialog with just the image
+    // Open print dialog with just the laid-out sheet, at its real paper size
     const printWindow = window.open('', '_blank')
     printWindow.document.write(`
         <!DOCTYPE html>
@@ -110,6 +367,10 @@ function printImage() {
         <head>
             <title>Print Photo</title>
             <style>
+                @page {
+                    size: ${paper.width}in ${paper.height}in;
+                    margin: 0;
+                }
                 body {
                     margin: 0;
                     display: flex;
@@ -125,23 +386,47 @@ function printImage() {
                 }
                 @media print {
                     body { margin: 0; }
-                    img { max-height: none; width: 100%; }
+                    img { max-height: none; width: ${paper.width}in; height: ${paper.height}in; }
                 }
             </style>
         </head>
         <body>
-            <img src="${img.src}" onload="window.print(); setTimeout(() => window.close(), 500);">
+            <img src="${url}" onload="window.print(); setTimeout(() => window.close(), 500);">
         </body>
         </html>
     `)
     printWindow.document.close()
 }
 
+// Hand the job to the server's printer; completion arrives as a live status update
+async function sendToPrinter() {
+    if (!currentJobId) return
+
+    try {
+        const response = await staffFetch(`/api/print-queue/${currentJobId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ status: 'printing' })
+        })
+
+        if (!response.ok) {
+            const data = await response.json()
+            alert(data.error || 'Could not send to printer')
+            return
+        }
+
+        closePreview()
+        refreshQueue()
+    } catch (error) {
+        console.error('Failed to send to printer:', error)
+    }
+}
+
 async function markCompleted() {
     if (!currentJobId) return
 
     try {
-        await fetch(`/api/print-queue/${currentJobId}`, {
+        await staffFetch(`/api/print-queue/${currentJobId}`, {
             method: 'PATCH',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ status: 'completed' })
@@ -160,7 +445,7 @@ async function cancelJob() {
     if (!confirm('Are you sure you want to cancel this print job?')) return
 
     try {
-        await fetch(`/api/print-queue/${currentJobId}`, {
+        await staffFetch(`/api/print-queue/${currentJobId}`, {
             method: 'PATCH',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ status: 'cancelled' })
@@ -175,23 +460,20 @@ async function cancelJob() {
 
 async function clearCompleted() {
     try {
-        await fetch('/api/print-queue/clear-completed', { method: 'POST' })
+        await staffFetch('/api/print-queue/clear-completed', { method: 'POST' })
         refreshQueue()
     } catch (error) {
         console.error('Failed to clear completed:', error)
     }
 }
 
-function toggleAutoRefresh() {
-    const checkbox = document.getElementById('auto-refresh')
+function toggleLiveUpdates() {
+    const checkbox = document.getElementById('live-updates')
 
-    if (autoRefreshInterval) {
-        clearInterval(autoRefreshInterval)
-        autoRefreshInterval = null
-    }
+    disconnectLiveUpdates()
 
     if (checkbox.checked) {
-        autoRefreshInterval = setInterval(refreshQueue, 10000) // 10 seconds
+        connectLiveUpdates()
     }
 }
 
@@ -0,0 +1,136 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import { createAuth, hashSecret, verifySecret, parseCookies, SESSION_COOKIE } from '../server/auth.js'
+
+const PIN_HASH = hashSecret('2468')
+
+// Minimal Express response double
+function mockResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        status(code) { this.statusCode = code; return this },
+        set(name, value) { this.headers[name] = value; return this },
+        json(body) { this.body = body; return this }
+    }
+}
+
+function cookieFor(token) {
+    return { headers: { cookie: `other=1; ${SESSION_COOKIE}=${token}` } }
+}
+
+describe('Secret hashing', () => {
+    it('should verify the right PIN and reject others', () => {
+        expect(verifySecret('2468', PIN_HASH)).toBe(true)
+        expect(verifySecret('1357', PIN_HASH)).toBe(false)
+    })
+
+    it('should salt each hash', () => {
+        expect(hashSecret('2468')).not.toBe(hashSecret('2468'))
+    })
+
+    it('should reject malformed stored hashes', () => {
+        expect(verifySecret('2468', '')).toBe(false)
+        expect(verifySecret('2468', 'plain-text-pin')).toBe(false)
+    })
+
+    it('should reject stored hashes with an empty salt or hash of the wrong length', () => {
+        const [, salt, hash] = PIN_HASH.split('$')
+        expect(verifySecret('anything', 'scrypt$AAAA$=')).toBe(false)
+        expect(verifySecret('2468', `scrypt$=$${hash}`)).toBe(false)
+        expect(verifySecret('2468', `scrypt$${salt}$${Buffer.from(hash, 'base64').subarray(0, 16).toString('base64')}`)).toBe(false)
+    })
+})
+
+describe('parseCookies', () => {
+    it('should split and decode cookies', () => {
+        expect(parseCookies('a=1; b=hello%20world')).toEqual({ a: '1', b: 'hello world' })
+        expect(parseCookies(undefined)).toEqual({})
+    })
+
+    it('should skip cookies that fail to decode', () => {
+        expect(parseCookies('bad=%E0; good=1')).toEqual({ good: '1' })
+    })
+})
+
+describe('Staff sessions', () => {
+    it('should treat requests without a session as kiosks', () => {
+        const auth = createAuth({ staffPinHash: PIN_HASH })
+        expect(auth.roleOf({ headers: {} })).toBe('kiosk')
+    })
+
+    it('should grant the staff role after login', () => {
+        const auth = createAuth({ staffPinHash: PIN_HASH })
+        const { ok, token } = auth.login('2468', '10.0.0.5')
+
+        expect(ok).toBe(true)
+        expect(auth.roleOf(cookieFor(token))).toBe('staff')
+
+        auth.logout(token)
+        expect(auth.roleOf(cookieFor(token))).toBe('kiosk')
+    })
+
+    it('should expire sessions', () => {
+        let clock = 0
+        const auth = createAuth({ staffPinHash: PIN_HASH, sessionHours: 1, now: () => clock })
+        const { token } = auth.login('2468')
+
+        clock = 59 * 60 * 1000
+        expect(auth.roleOf(cookieFor(token))).toBe('staff')
+        clock = 61 * 60 * 1000
+        expect(auth.roleOf(cookieFor(token))).toBe('kiosk')
+    })
+
+    it('should lock out a client after repeated wrong PINs', () => {
+        let clock = 0
+        const auth = createAuth({ staffPinHash: PIN_HASH, now: () => clock })
+
+        for (let i = 0; i < 5; i++) {
+            expect(auth.login('0000', '10.0.0.5').reason).toBe('invalid')
+        }
+        expect(auth.login('2468', '10.0.0.5').reason).toBe('locked')
+        expect(auth.login('2468', '10.0.0.6').ok).toBe(true)
+
+        clock = 6 * 60 * 1000
+        expect(auth.login('2468', '10.0.0.5').ok).toBe(true)
+    })
+
+    it('should disable login when no PIN is configured', () => {
+        const auth = createAuth({ staffPinHash: '' })
+        expect(auth.login('').reason).toBe('disabled')
+    })
+})
+
+describe('requireStaff', () => {
+    it('should reject kiosks with 401', () => {
+        const auth = createAuth({ staffPinHash: PIN_HASH })
+        const res = mockResponse()
+        let called = false
+
+        auth.requireStaff({ headers: {} }, res, () => { called = true })
+
+        expect(called).toBe(false)
+        expect(res.statusCode).toBe(401)
+    })
+
+    it('should let staff through', () => {
+        const auth = createAuth({ staffPinHash: PIN_HASH })
+        const { token } = auth.login('2468')
+        let called = false
+
+        auth.requireStaff(cookieFor(token), mockResponse(), () => { called = true })
+
+        expect(called).toBe(true)
+    })
+
+    it('should set an HttpOnly, SameSite cookie on login', () => {
+        const auth = createAuth({ staffPinHash: PIN_HASH })
+        const res = mockResponse()
+
+        auth.routes.login({ body: { pin: '2468' }, ip: '10.0.0.5', headers: {} }, res)
+
+        expect(res.body).toEqual({ role: 'staff' })
+        expect(res.headers['Set-Cookie']).toMatch(/HttpOnly; SameSite=Strict/)
+    })
+})
@@ -0,0 +1,54 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { defaults, loadConfig, mergeConfig } from '../server/config.js'
+
+describe('mergeConfig', () => {
+    it('should override nested settings and replace arrays', () => {
+        const merged = mergeConfig(defaults, { printer: { driver: 'cups' }, segmentation: { backends: ['server'] } })
+        expect(merged.printer).toMatchObject({ driver: 'cups', timeoutSeconds: 300 })
+        expect(merged.segmentation.backends).toEqual(['server'])
+    })
+
+    it('should never share objects with the base', () => {
+        const merged = mergeConfig(defaults, {})
+        merged.auth.staffPinHash = 'changed'
+        merged.printer.options.push('media=4x6')
+
+        expect(defaults.auth.staffPinHash).toBe('')
+        expect(defaults.printer.options).toEqual([])
+    })
+})
+
+describe('loadConfig', () => {
+    let dir
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'timmons-config-'))
+    })
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should read config.json over the defaults', () => {
+        writeFileSync(join(dir, 'config.json'), JSON.stringify({ tickets: { prefix: 'B' } }))
+        const config = loadConfig(dir, {})
+        expect(config.tickets.prefix).toBe('B')
+        expect(config.retention.maxAgeHours).toBe(24)
+    })
+
+    it('should not let environment overrides leak into later loads', () => {
+        const config = loadConfig(dir, { PRINTER_DRIVER: 'cups', STAFF_PIN_HASH: 'scrypt$a$b', PUBLIC_URL: 'https://example.org' })
+        expect(config.printer.driver).toBe('cups')
+        expect(config.auth.staffPinHash).toBe('scrypt$a$b')
+
+        const later = loadConfig(dir, {})
+        expect(later.printer.driver).toBe('manual')
+        expect(later.auth.staffPinHash).toBe('')
+        expect(later.downloads.publicUrl).toBe('')
+        expect(defaults.printer.driver).toBe('manual')
+    })
+})
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import { brushFalloff, createStroke, exposureLayer } from '../src/photobooth/dodge-burn.js'
+
+const brush = { mode: 'dodge', size: 0.25, strength: 0.5, softness: 0.5 }
+const whole = { photoWidth: 40, photoHeight: 40 }
+
+// A stroke through normalized points
+function strokeThrough(points, settings = {}) {
+    const stroke = createStroke({ ...brush, ...settings }, points[0])
+    stroke.points.push(...points.slice(1))
+    return stroke
+}
+
+const at = (layer, x, y, width = 40) => layer[y * width + x]
+
+describe('Brush Falloff', () => {
+    it('should be full in the core and fade out to the edge', () => {
+        expect(brushFalloff(0, 0.5)).toBe(1)
+        expect(brushFalloff(0.5, 0.5)).toBe(1)
+        expect(brushFalloff(0.75, 0.5)).toBeCloseTo(0.5)
+        expect(brushFalloff(1, 0.5)).toBe(0)
+    })
+
+    it('should have a hard edge without softness', () => {
+        expect(brushFalloff(0.99, 0)).toBe(1)
+        expect(brushFalloff(1, 0)).toBe(0)
+        expect(brushFalloff(0.5, 1)).toBeLessThan(1)
+    })
+})
+
+describe('Exposure Layer', () => {
+    it('should lighten under a dodge and darken under a burn', () => {
+        const dodged = exposureLayer([strokeThrough([{ x: 0.5, y: 0.5 }])], 40, 40, whole)
+        expect(at(dodged, 20, 20)).toBeCloseTo(0.5)
+        expect(at(dodged, 2, 2)).toBe(0)
+
+        const burnt = exposureLayer([strokeThrough([{ x: 0.5, y: 0.5 }], { mode: 'burn' })], 40, 40, whole)
+        expect(at(burnt, 20, 20)).toBeCloseTo(-0.5)
+    })
+
+    it('should paint along the stroke between its points', () => {
+        const layer = exposureLayer([strokeThrough([{ x: 0.2, y: 0.5 }, { x: 0.8, y: 0.5 }])], 40, 40, whole)
+        expect(at(layer, 20, 20)).toBeCloseTo(0.5)
+        expect(at(layer, 20, 2)).toBe(0)
+    })
+
+    it('should build up over strokes but not within one', () => {
+        const back = strokeThrough([{ x: 0.3, y: 0.5 }, { x: 0.7, y: 0.5 }, { x: 0.3, y: 0.5 }])
+        expect(at(exposureLayer([back], 40, 40, whole), 20, 20)).toBeCloseTo(0.5)
+
+        const twice = [strokeThrough([{ x: 0.5, y: 0.5 }]), strokeThrough([{ x: 0.5, y: 0.5 }])]
+        expect(at(exposureLayer(twice, 40, 40, whole), 20, 20)).toBeCloseTo(1)
+    })
+
+    it('should never go past two stops', () => {
+        const strokes = Array.from({ length: 6 }, () => strokeThrough([{ x: 0.5, y: 0.5 }], { strength: 1 }))
+        expect(at(exposureLayer(strokes, 40, 40, whole), 20, 20)).toBe(2)
+    })
+
+    it('should follow the photo into a crop and a smaller layer', () => {
+        // Painted at the photo's (30, 10), which is (10, 10) of a crop from x = 20
+        const stroke = strokeThrough([{ x: 0.75, y: 0.25 }], { size: 0.1, softness: 0 })
+        const cropped = exposureLayer([stroke], 20, 20, { ...whole, bounds: { x: 20, y: 0, width: 20, height: 20 } })
+        expect(at(cropped, 10, 10, 20)).toBeCloseTo(0.5)
+        expect(at(cropped, 10, 16, 20)).toBe(0)
+
+        // At half size the brush's 2 pixel radius becomes 1 pixel
+        const half = exposureLayer([stroke], 20, 20, whole)
+        expect(at(half, 15, 5, 20)).toBeCloseTo(0.5)
+        expect(at(half, 15, 7, 20)).toBe(0)
+    })
+})
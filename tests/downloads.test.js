@@ -0,0 +1,47 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import {
+    createDownloadToken, isDownloadExpired, downloadUrl, qrCodeSvg, downloadPage
+} from '../server/downloads.js'
+
+const NOW = new Date('2024-06-15T12:00:00Z')
+
+describe('Download tokens', () => {
+    it('should issue unique URL-safe tokens', () => {
+        const a = createDownloadToken(6, NOW)
+        const b = createDownloadToken(6, NOW)
+        expect(a.token).toMatch(/^[\w-]{22}$/)
+        expect(a.token).not.toBe(b.token)
+    })
+
+    it('should expire after the TTL', () => {
+        const download = createDownloadToken(6, NOW)
+        expect(download.expiresAt).toBe('2024-06-15T18:00:00.000Z')
+        expect(isDownloadExpired(download, new Date('2024-06-15T17:59:00Z'))).toBe(false)
+        expect(isDownloadExpired(download, new Date('2024-06-15T18:00:00Z'))).toBe(true)
+        expect(isDownloadExpired(undefined, NOW)).toBe(true)
+    })
+
+    it('should build the public URL without doubled slashes', () => {
+        expect(downloadUrl('https://booth.example.org/', 'abc')).toBe('https://booth.example.org/p/abc')
+    })
+})
+
+describe('Download page', () => {
+    it('should encode the URL as an SVG QR code', async () => {
+        const svg = await qrCodeSvg('https://booth.example.org/p/abc')
+        expect(svg).toMatch(/^<svg[^>]*xmlns="http:\/\/www.w3.org\/2000\/svg"/)
+    })
+
+    it('should only offer the original when one was kept', () => {
+        const page = downloadPage({ token: 'abc', expiresAt: NOW.toISOString(), hasOriginal: false })
+        expect(page).toContain('/p/abc/portrait.jpg')
+        expect(page).not.toContain('original.jpg')
+        expect(downloadPage({ token: 'abc', expiresAt: NOW.toISOString(), hasOriginal: true }))
+            .toContain('/p/abc/original.jpg')
+    })
+
+    it('should explain expired links', () => {
+        expect(downloadPage({ token: null, expiresAt: null })).toContain('expired')
+    })
+})
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import { facePose } from '../src/photobooth/face-detector.js'
+
+const WIDTH = 1000
+const HEIGHT = 800
+
+// Face mesh landmarks for a face at (0.5, 0.4), 100 x 160 pixels; the rest stay at the centre
+function landmarks({ tilt = 0, noseShift = 0 } = {}) {
+    const points = Array.from({ length: 478 }, () => ({ x: 0.5, y: 0.4, z: 0 }))
+    const place = (index, x, y) => {
+        // Tilted clockwise about the face's centre, in pixels
+        const dx = (x - 0.5) * WIDTH
+        const dy = (y - 0.4) * HEIGHT
+        points[index] = {
+            x: 0.5 + (dx * Math.cos(tilt) - dy * Math.sin(tilt)) / WIDTH,
+            y: 0.4 + (dx * Math.sin(tilt) + dy * Math.cos(tilt)) / HEIGHT,
+            z: 0
+        }
+    }
+    place(1, 0.5 + noseShift, 0.42)     // nose tip
+    place(10, 0.5, 0.3)                 // forehead
+    place(152, 0.5, 0.5)                // chin
+    place(33, 0.47, 0.37)               // right eye, on the image's left
+    place(263, 0.53, 0.37)              // left eye
+    place(234, 0.45, 0.4)               // right cheek
+    place(454, 0.55, 0.4)               // left cheek
+    return points
+}
+
+describe('Face Pose', () => {
+    it('should find the centre and size of a face looking at the camera', () => {
+        const pose = facePose(landmarks(), WIDTH, HEIGHT)
+
+        expect(pose.x).toBeCloseTo(0.5)
+        expect(pose.y).toBeCloseTo(0.4)
+        expect(pose.width).toBeCloseTo(0.1)
+        expect(pose.height).toBeCloseTo(0.2)
+        expect(pose.roll).toBeCloseTo(0)
+        expect(pose.yaw).toBeCloseTo(0)
+        expect([pose.noseX, pose.noseY]).toEqual([0.5, 0.42])
+    })
+
+    it('should measure a tilted head upright', () => {
+        const pose = facePose(landmarks({ tilt: 0.35 }), WIDTH, HEIGHT)
+
+        expect(pose.roll).toBeCloseTo(0.35)
+        expect(pose.width).toBeCloseTo(0.1)
+        expect(pose.height).toBeCloseTo(0.2)
+    })
+
+    it('should tell which way the face turns from the nose', () => {
+        // Halfway from the middle of the face to the cheek: turned 30 degrees
+        expect(facePose(landmarks({ noseShift: 0.025 }), WIDTH, HEIGHT).yaw).toBeCloseTo(Math.PI / 6)
+        expect(facePose(landmarks({ noseShift: -0.025 }), WIDTH, HEIGHT).yaw).toBeCloseTo(-Math.PI / 6)
+    })
+})
@@ -0,0 +1,283 @@
+import { describe, it, expect } from 'vitest'
+import { WgslExec, WgslParser } from 'wgsl_reflect/wgsl_reflect.module.js'
+import { buildFilterGraph, graphPasses, passParams, passShader, passTables, runFilterGraph } from '../src/photobooth/filter-graph/graph.js'
+import { applyDirectionalLighting } from '../src/photobooth/lighting.js'
+
+// Polyfill ImageData for Node environment
+class ImageDataPolyfill {
+    constructor(width, height) {
+        this.width = width
+        this.height = height
+        this.data = new Uint8ClampedArray(width * height * 4)
+    }
+}
+
+const WIDTH = 16
+const HEIGHT = 12
+
+const settings = {
+    grade: 3.5,
+    exposure: 0.3,
+    grain: 0,
+    vignette: 55,
+    toner: 'split',
+    toning: 60,
+    blur: 1.5,
+    backgroundDim: 0.55,
+    lightBoost: 0.85,
+    relight: 0.6,
+    lampX: 0.8,
+    lampY: 0.25,
+    lampHeight: 0.4
+}
+
+// Colour gradients, so every channel and tone is covered
+function testImage() {
+    const image = new ImageDataPolyfill(WIDTH, HEIGHT)
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const i = (y * WIDTH + x) * 4
+            image.data[i] = x * 16
+            image.data[i + 1] = y * 21
+            image.data[i + 2] = 255 - x * 8
+            image.data[i + 3] = 255
+        }
+    }
+    return image
+}
+
+// Subject in the middle, with soft edges
+function testMask() {
+    const mask = new Float32Array(WIDTH * HEIGHT)
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            mask[y * WIDTH + x] = Math.max(0, Math.min(1, 1.5 - Math.abs(x - WIDTH / 2) / 3))
+        }
+    }
+    return mask
+}
+
+// A rounded subject in front of a sloping background, 0 far to 1 near
+function testDepth() {
+    const depth = new Float32Array(WIDTH * HEIGHT)
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const r = Math.hypot((x - WIDTH / 2) / 5, (y - HEIGHT / 2) / 6)
+            depth[y * WIDTH + x] = 0.2 * y / HEIGHT + 0.7 * Math.sqrt(Math.max(0, 1 - r * r))
+        }
+    }
+    return depth
+}
+
+// Dodged on the left, burnt on the right, in stops
+function testLayer() {
+    const layer = new Float32Array(WIDTH * HEIGHT)
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            layer[y * WIDTH + x] = 1 - 2 * x / (WIDTH - 1)
+        }
+    }
+    return layer
+}
+
+function grayImage(value, width = WIDTH, height = HEIGHT) {
+    const image = new ImageDataPolyfill(width, height)
+    for (let i = 0; i < image.data.length; i += 4) {
+        image.data.set([value, value, value, 255], i)
+    }
+    return image
+}
+
+function runOnCPU(image, mask, graph) {
+    const result = new ImageDataPolyfill(image.width, image.height)
+    result.data.set(image.data)
+    runFilterGraph(result, mask, graph)
+    return result.data
+}
+
+// Run the graph's WGSL through a CPU interpreter of the shading language,
+// pass by pass and with the same uniforms as applyFiltersGPU
+function runShaders(image, mask, graph) {
+    const { width, height } = image
+    const maskData = mask || new Float32Array(width * height).fill(1)
+    let source = Float32Array.from(image.data, value => value / 255)
+
+    for (const pass of graphPasses(graph)) {
+        const exec = new WgslExec(new WgslParser().parse(passShader(pass)))
+        const directions = pass.type === 'separable' ? [[1, 0], [0, 1]] : [undefined]
+
+        for (const direction of directions) {
+            const target = new Float32Array(source.length)
+            const bindings = { 0: source, 1: target, 3: passParams(pass, width, height, direction) }
+            if (pass.type === 'pixel') bindings[2] = maskData
+            for (const { binding, data } of passTables(pass)) bindings[binding] = data
+
+            exec.dispatchWorkgroups('main', [Math.ceil(width / 8), Math.ceil(height / 8)], { 0: bindings })
+            source = target
+        }
+    }
+    return Uint8ClampedArray.from(source, value => Math.round(value * 255))
+}
+
+function maxDifference(a, b) {
+    let max = 0
+    for (let i = 0; i < a.length; i++) max = Math.max(max, Math.abs(a[i] - b[i]))
+    return max
+}
+
+function only(names, graph) {
+    return graph.filter(({ node }) => names.includes(node.name))
+}
+
+function stats(data) {
+    const values = []
+    for (let i = 0; i < data.length; i += 4) values.push(data[i])
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length
+    const spread = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length)
+    return { mean, spread }
+}
+
+const names = graph => graph.map(({ node }) => node.name)
+
+describe('Filter Graph', () => {
+    it('should only include the nodes the settings turn on', () => {
+        const off = { ...settings, grain: 0, vignette: 0, toning: 0, blur: 0, backgroundDim: 0, lightBoost: 0 }
+        expect(names(buildFilterGraph(off))).toEqual(['tone'])
+
+        const all = { ...settings, grain: 12 }
+        expect(names(buildFilterGraph(all, { mask: testMask() })))
+            .toEqual(['dim', 'lighting', 'tone', 'vignette', 'toning', 'grain', 'blur'])
+    })
+
+    it('should skip dimming and lighting without a mask', () => {
+        expect(names(buildFilterGraph(settings))).toEqual(['tone', 'vignette', 'toning', 'blur'])
+    })
+
+    it('should only relight with a depth map', () => {
+        expect(names(buildFilterGraph(settings, { mask: testMask() }))).not.toContain('relight')
+        expect(names(buildFilterGraph(settings, { mask: testMask(), depth: testDepth() })))
+            .toEqual(['dim', 'lighting', 'relight', 'tone', 'vignette', 'toning', 'blur'])
+        expect(names(buildFilterGraph({ ...settings, relight: 0 }, { mask: testMask(), depth: testDepth() })))
+            .not.toContain('relight')
+    })
+
+    it('should dodge and burn before the tone curve, given a layer', () => {
+        expect(names(buildFilterGraph(settings, { dodgeBurn: testLayer() })))
+            .toEqual(['dodgeburn', 'tone', 'vignette', 'toning', 'blur'])
+
+        const graph = only(['dodgeburn', 'tone'], buildFilterGraph(settings, { dodgeBurn: testLayer() }))
+        const data = runOnCPU(grayImage(100), null, graph)
+        expect(data[0]).toBeGreaterThan(data[(WIDTH - 1) * 4] + 40)
+    })
+
+    it('should scale the blur with the image', () => {
+        const [{ params }] = only(['blur'], buildFilterGraph(settings, { scale: 0.5 }))
+        expect(params.sigma).toBe(0.75)
+        expect(names(buildFilterGraph({ ...settings, blur: 0.1 }, { scale: 0.2 }))).not.toContain('blur')
+    })
+
+    it('should bind lookup tables instead of packing them into the uniforms', () => {
+        const [pass] = graphPasses(buildFilterGraph(settings))
+        const tables = passTables(pass)
+
+        expect(tables.map(({ name, binding }) => [name, binding])).toEqual([['tone_curve', 4], ['toning_table', 5]])
+        expect(passParams(pass, 4, 4).length % 4).toBe(0)
+        expect(passShader(pass)).toMatch('@binding(4) var<storage, read> tone_curve: array<f32>;')
+    })
+
+    it('should fuse pixel nodes into one pass', () => {
+        const passes = graphPasses(buildFilterGraph(settings, { mask: testMask() }))
+        expect(passes.map(pass => pass.type)).toEqual(['pixel', 'separable'])
+        expect(passes[0].steps).toHaveLength(5)
+    })
+
+    it('should light the subject as applyDirectionalLighting does', () => {
+        const image = testImage()
+        const mask = testMask()
+        const expected = new Uint8ClampedArray(image.data)
+        applyDirectionalLighting(expected, WIDTH, HEIGHT, mask, settings.lightBoost)
+
+        const graph = only(['lighting'], buildFilterGraph(settings, { mask }))
+        // Without tone there's nothing else in the pass
+        expect(maxDifference(runOnCPU(image, mask, graph), expected)).toBeLessThanOrEqual(1)
+    })
+
+    it('should keep a flat image flat when blurring', () => {
+        const graph = only(['blur'], buildFilterGraph(settings))
+        expect(maxDifference(runOnCPU(grayImage(90), null, graph), grayImage(90).data)).toBe(0)
+    })
+
+    it('should give the same grain for the same seed', () => {
+        const graph = seed => buildFilterGraph({ ...settings, grain: 22 }, { seed })
+        const image = grayImage(128)
+
+        expect(runOnCPU(image, null, graph(7))).toEqual(runOnCPU(image, null, graph(7)))
+        expect(runOnCPU(image, null, graph(8))).not.toEqual(runOnCPU(image, null, graph(7)))
+    })
+
+    it('should grain the midtones more than the shadows and highlights', () => {
+        const graph = buildFilterGraph({ ...settings, grain: 30 }, { seed: 3 })
+        const spread = value => stats(runOnCPU(grayImage(value, 800, 4), null, only(['grain'], graph))).spread
+
+        expect(spread(128)).toBeGreaterThan(spread(15) * 1.5)
+        expect(spread(128)).toBeGreaterThan(spread(240) * 1.5)
+    })
+
+    it('should clump the grain on a high resolution negative', () => {
+        // Pixel size comes from the long edge: ~32um at 4000 pixels, ~318um at 400
+        const correlation = width => {
+            const graph = only(['grain'], buildFilterGraph({ ...settings, grain: 30 }, { seed: 5 }))
+            const data = runOnCPU(grayImage(128, width, 1), null, graph)
+            let same = 0, total = 0
+            for (let i = 4; i < data.length; i += 4) {
+                same += (data[i] - 128) * (data[i - 4] - 128)
+                total += (data[i] - 128) ** 2
+            }
+            return same / total
+        }
+
+        expect(correlation(4000)).toBeGreaterThan(0.5)
+        expect(Math.abs(correlation(400))).toBeLessThan(0.3)
+    })
+})
+
+describe('CPU and WGSL parity', () => {
+    const image = testImage()
+    const mask = testMask()
+    const graph = buildFilterGraph(settings, { mask, depth: testDepth(), dodgeBurn: testLayer() })
+
+    for (const name of ['dim', 'lighting', 'relight', 'dodgeburn', 'tone', 'vignette', 'toning', 'blur']) {
+        it(`should match for ${name}`, () => {
+            const nodes = only([name], graph)
+            expect(maxDifference(runShaders(image, mask, nodes), runOnCPU(image, mask, nodes))).toBeLessThanOrEqual(1)
+        })
+    }
+
+    it('should match for lighting placed around a face', () => {
+        const face = { x: 0.5, y: 0.45, width: 0.35, height: 0.6, roll: 0.2, yaw: -0.3, noseX: 0.47, noseY: 0.5 }
+        for (const lightingPattern of ['rembrandt', 'butterfly']) {
+            const nodes = only(['lighting'], buildFilterGraph({ ...settings, lightingPattern }, { mask, face }))
+            expect(maxDifference(runShaders(image, mask, nodes), runOnCPU(image, mask, nodes))).toBeLessThanOrEqual(1)
+        }
+    })
+
+    it('should match for the whole graph', () => {
+        expect(maxDifference(runShaders(image, mask, graph), runOnCPU(image, mask, graph))).toBeLessThanOrEqual(2)
+    })
+
+    it('should match for the whole graph without a mask', () => {
+        const unmasked = buildFilterGraph(settings)
+        expect(maxDifference(runShaders(image, null, unmasked), runOnCPU(image, null, unmasked))).toBeLessThanOrEqual(2)
+    })
+
+    it('should keep grain within its amount', () => {
+        // The interpreter's 32-bit integer maths isn't exact, so the noise itself
+        // can't be compared; it must still stay within its range (22 * 2.5 / 2) and vary
+        const grain = only(['grain'], buildFilterGraph({ ...settings, grain: 22 }, { seed: 1234 }))
+        const image = grayImage(128, 800, 2)
+        for (const data of [runShaders(image, null, grain), runOnCPU(image, null, grain)]) {
+            expect(maxDifference(data, image.data)).toBeLessThanOrEqual(28)
+            expect(stats(data).spread).toBeGreaterThan(1)
+        }
+    })
+})
@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest'
+import { HISTORY_VERSION, applyCommand, createEditHistory, restoreEditHistory } from '../src/photobooth/history.js'
+
+const initial = {
+    levels: { silhouette: 1, grain: 2 },
+    choices: { toner: 'sepia' },
+    preset: null,
+    bounds: null,
+    strokes: [],
+    lamp: null,
+    enhance: { enabled: true, order: 'before', localContrast: 0.4 }
+}
+
+const stroke = { mode: 'dodge', size: 0.08, strength: 0.5, softness: 0.6, points: [{ x: 0.5, y: 0.5 }] }
+
+describe('Edit Commands', () => {
+    it('should set levels and choices without touching the edit given', () => {
+        const edit = applyCommand(initial, { type: 'level', effect: 'grain', level: 0 })
+        expect(edit.levels).toEqual({ silhouette: 1, grain: 0 })
+        expect(initial.levels.grain).toBe(2)
+
+        expect(applyCommand(edit, { type: 'choice', choice: 'toner', value: 'gold' }).choices.toner).toBe('gold')
+    })
+
+    it('should drop a preset once a level changes', () => {
+        const preset = applyCommand(initial, { type: 'preset', name: 'foggy', values: { grade: 1 } })
+        expect(preset.preset).toEqual({ name: 'foggy', values: { grade: 1 } })
+        expect(applyCommand(preset, { type: 'level', effect: 'grain', level: 1 }).preset).toBeNull()
+    })
+
+    it('should crop, uncrop and paint', () => {
+        const bounds = { x: 10, y: 20, width: 300, height: 375 }
+        const cropped = applyCommand(initial, { type: 'crop', bounds })
+        expect(cropped.bounds).toEqual(bounds)
+        expect(applyCommand(cropped, { type: 'crop', bounds: null }).bounds).toBeNull()
+        expect(applyCommand(initial, { type: 'stroke', stroke }).strokes).toEqual([stroke])
+    })
+
+    it('should move the lamp', () => {
+        const moved = applyCommand(initial, { type: 'lamp', x: 0.2, y: 0.4 })
+        expect(moved.lamp).toEqual({ x: 0.2, y: 0.4 })
+        expect(applyCommand(moved, { type: 'lamp', x: 0.9, y: 0.1 }).lamp).toEqual({ x: 0.9, y: 0.1 })
+        expect(initial.lamp).toBeNull()
+    })
+
+    it('should change some enhancement settings and keep the rest', () => {
+        const edit = applyCommand(initial, { type: 'enhance', settings: { enabled: false } })
+        expect(edit.enhance).toEqual({ enabled: false, order: 'before', localContrast: 0.4 })
+        expect(applyCommand(edit, { type: 'enhance', settings: { localContrast: 0.8 } }).enhance.localContrast).toBe(0.8)
+        expect(initial.enhance.enabled).toBe(true)
+    })
+
+    it('should reject commands it does not know', () => {
+        expect(() => applyCommand(initial, { type: 'rotate' })).toThrow('Unknown edit command')
+    })
+})
+
+describe('Edit History', () => {
+    it('should undo and redo back to the same edits', () => {
+        const history = createEditHistory(initial)
+        const first = history.push({ type: 'level', effect: 'grain', level: 3 })
+        const second = history.push({ type: 'crop', bounds: { x: 0, y: 0, width: 4, height: 5 } })
+
+        expect(history.undo()).toEqual(first)
+        expect(history.undo()).toEqual(initial)
+        expect(history.undo()).toBeNull()
+        expect(history.canUndo).toBe(false)
+
+        expect(history.redo()).toEqual(first)
+        expect(history.redo()).toEqual(second)
+        expect(history.redo()).toBeNull()
+    })
+
+    it('should forget undone changes once a new one is made', () => {
+        const history = createEditHistory(initial)
+        history.push({ type: 'level', effect: 'grain', level: 3 })
+        history.undo()
+        history.push({ type: 'choice', choice: 'toner', value: 'selenium' })
+
+        expect(history.canRedo).toBe(false)
+        expect(history.edit.levels.grain).toBe(2)
+    })
+
+    it('should paint a stroke that grows after it was pushed', () => {
+        const history = createEditHistory(initial)
+        const growing = { ...stroke, points: [{ x: 0.1, y: 0.1 }] }
+        history.push({ type: 'stroke', stroke: growing })
+        growing.points.push({ x: 0.2, y: 0.2 })
+
+        expect(history.edit.strokes[0].points).toHaveLength(2)
+        expect(history.toJSON().commands[0].stroke.points).toHaveLength(2)
+    })
+
+    it('should start over from a new capture', () => {
+        const history = createEditHistory(initial)
+        history.push({ type: 'stroke', stroke })
+        history.reset({ ...initial, levels: { grain: 0 } })
+
+        expect(history.edit.levels).toEqual({ grain: 0 })
+        expect(history.canUndo).toBe(false)
+        expect(history.canRedo).toBe(false)
+    })
+})
+
+describe('Edit Sessions', () => {
+    it('should rebuild the same edit from JSON', () => {
+        const history = createEditHistory(initial)
+        history.push({ type: 'level', effect: 'silhouette', level: 2 })
+        history.push({ type: 'preset', name: 'classic', values: { grade: 3, grain: 20 } })
+        history.push({ type: 'crop', bounds: { x: 5, y: 5, width: 40, height: 50 } })
+        history.push({ type: 'stroke', stroke })
+        history.push({ type: 'lamp', x: 0.3, y: 0.1 })
+
+        const session = JSON.parse(JSON.stringify(history))
+        expect(session.version).toBe(HISTORY_VERSION)
+        expect(restoreEditHistory(session).edit).toEqual(history.edit)
+
+        // Undo keeps working after a restore
+        expect(restoreEditHistory(session).undo().lamp).toBeNull()
+    })
+
+    it('should keep a snapshot apart from later changes', () => {
+        const history = createEditHistory(initial)
+        const growing = { ...stroke, points: [{ x: 0.1, y: 0.1 }] }
+        history.push({ type: 'stroke', stroke: growing })
+        const snapshot = history.toJSON()
+        growing.points.push({ x: 0.9, y: 0.9 })
+
+        expect(snapshot.commands[0].stroke.points).toHaveLength(1)
+    })
+
+    it('should refuse a session from another version', () => {
+        expect(() => restoreEditHistory({ version: HISTORY_VERSION + 1, initial, commands: [] }))
+            .toThrow('Unsupported edit history version')
+    })
+})
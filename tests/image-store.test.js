@@ -0,0 +1,87 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtempSync, rmSync, existsSync, readFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { createHash } from 'crypto'
+import sharp from 'sharp'
+import { createImageStore, decodeDataUrl, THUMBNAIL_SIZE } from '../server/image-store.js'
+
+async function makeDataUrl(format = 'jpeg', width = 800, height = 1000) {
+    const buffer = await sharp({
+        create: { width, height, channels: 3, background: { r: 120, g: 90, b: 60 } }
+    })[format]().toBuffer()
+    return `data:image/${format};base64,${buffer.toString('base64')}`
+}
+
+describe('decodeDataUrl', () => {
+    it('should return the MIME type and decoded bytes', () => {
+        const { mimeType, buffer } = decodeDataUrl('data:image/jpeg;base64,AQID')
+        expect(mimeType).toBe('image/jpeg')
+        expect([...buffer]).toEqual([1, 2, 3])
+    })
+
+    it('should reject values that are not data URLs', () => {
+        expect(() => decodeDataUrl('https://example.com/a.jpg')).toThrow()
+        expect(() => decodeDataUrl(undefined)).toThrow()
+    })
+})
+
+describe('Image Store', () => {
+    let dir
+    let store
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'timmons-images-'))
+        store = createImageStore(dir)
+    })
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should name JPEG files by the SHA-256 of their contents', async () => {
+        const dataUrl = await makeDataUrl()
+        const { hash, size } = await store.put(dataUrl)
+
+        const bytes = readFileSync(store.imagePath(hash))
+        expect(createHash('sha256').update(bytes).digest('hex')).toBe(hash)
+        expect(size).toBe(bytes.length)
+        expect(store.has(hash)).toBe(true)
+    })
+
+    it('should store identical uploads once', async () => {
+        const dataUrl = await makeDataUrl()
+        const first = await store.put(dataUrl)
+        const second = await store.put(dataUrl)
+        expect(second.hash).toBe(first.hash)
+    })
+
+    it('should convert PNG uploads to JPEG', async () => {
+        const { hash } = await store.put(await makeDataUrl('png', 40, 50))
+        const metadata = await sharp(store.imagePath(hash)).metadata()
+        expect(metadata.format).toBe('jpeg')
+    })
+
+    it('should write a thumbnail that fits within the thumbnail size', async () => {
+        const { hash } = await store.put(await makeDataUrl())
+        const metadata = await sharp(store.thumbnailPath(hash)).metadata()
+        expect(Math.max(metadata.width, metadata.height)).toBe(THUMBNAIL_SIZE)
+        expect(metadata.width / metadata.height).toBeCloseTo(0.8, 1)
+    })
+
+    it('should remove the image and thumbnail', async () => {
+        const { hash } = await store.put(await makeDataUrl())
+        await store.remove(hash)
+        expect(existsSync(store.imagePath(hash))).toBe(false)
+        expect(existsSync(store.thumbnailPath(hash))).toBe(false)
+        // Removing again is a no-op
+        await expect(store.remove(hash)).resolves.toBeUndefined()
+    })
+    it('should list stored images but not thumbnails or temp files', async () => {
+        const { hash } = await store.put(await makeDataUrl())
+        const images = await store.list()
+        expect(images.map(image => image.hash)).toEqual([hash])
+        expect(images[0].modifiedAt).toBeInstanceOf(Date)
+    })
+})
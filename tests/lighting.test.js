@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { applyDirectionalLighting } from '../src/photobooth/lighting.js'
+import { FRAME_RIG, applyDirectionalLighting, lightingFactor, lightingRig } from '../src/photobooth/lighting.js'
 
 describe('Directional Lighting', () => {
     it('should not modify pixels when intensity is 0', () => {
@@ -114,9 +114,9 @@ describe('Directional Lighting', () => {
 })
 
 describe('Lighting with Different Mask Values', () => {
-    it('should skip pixels with mask < 0.1', () => {
+    it('should skip pixels with mask < 0.05', () => {
         const pixels = new Uint8ClampedArray([100, 100, 100, 255])
-        const mask = new Float32Array([0.05])  // Below threshold
+        const mask = new Float32Array([0.04])  // Below threshold
 
         const original = pixels[0]
         applyDirectionalLighting(pixels, 1, 1, mask, 0.6)
@@ -124,7 +124,7 @@ describe('Lighting with Different Mask Values', () => {
         expect(pixels[0]).toBe(original)
     })
 
-    it('should apply partial lighting to edge pixels (mask 0.1-1.0)', () => {
+    it('should apply partial lighting to edge pixels (mask 0.05-1.0)', () => {
         // Pixel at mask edge
         const pixelsEdge = new Uint8ClampedArray([100, 100, 100, 255])
         const maskEdge = new Float32Array([0.5])
@@ -141,3 +141,40 @@ describe('Lighting with Different Mask Values', () => {
         expect(pixelsCenter[0]).not.toBe(100)
     })
 })
+
+describe('Portrait Lighting Patterns', () => {
+    // A face looking straight at the camera, filling the middle of the frame
+    const face = { x: 0.5, y: 0.5, width: 0.4, height: 0.5, roll: 0, yaw: 0, noseX: 0.5, noseY: 0.55 }
+    const light = (rig, x, y) => lightingFactor(x, y, 1, 0.85, rig)
+
+    // Brightness of the cheek on the image's right over the one on its left
+    const cheeks = rig => light(rig, 0.62, 0.5) / light(rig, 0.38, 0.5)
+
+    it('should keep the frame lights without a face', () => {
+        expect(lightingRig(null, 'split')).toBe(FRAME_RIG)
+    })
+
+    it('should light one side of the face and leave the other in shadow', () => {
+        expect(cheeks(lightingRig(face, 'rembrandt'))).toBeGreaterThan(1.4)
+        expect(cheeks(lightingRig(face, 'split'))).toBeGreaterThan(cheeks(lightingRig(face, 'loop')))
+    })
+
+    it('should light both sides evenly for butterfly, with a shadow under the nose', () => {
+        const rig = lightingRig(face, 'butterfly')
+        expect(cheeks(rig)).toBeCloseTo(1, 0)
+        expect(light(rig, 0.5, 0.6)).toBeLessThan(light(rig, 0.44, 0.6) * 0.8)
+        expect(light(rig, 0.5, 0.6)).toBeLessThan(light(rig, 0.56, 0.6) * 0.8)
+    })
+
+    it('should put the key on the side the face turns towards', () => {
+        const turned = { ...face, yaw: -0.4, noseX: 0.45 }
+        expect(cheeks(lightingRig(turned, 'rembrandt'))).toBeLessThan(1 / 1.4)
+    })
+
+    it('should leave the rest of the subject lit', () => {
+        const body = rig => light(rig, 0.5, 0.9)
+        for (const pattern of ['rembrandt', 'loop', 'split', 'butterfly']) {
+            expect(body(lightingRig(face, pattern))).toBeGreaterThan(0.9)
+        }
+    })
+})
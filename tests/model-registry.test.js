@@ -0,0 +1,307 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtempSync, rmSync, writeFileSync, mkdirSync, existsSync, readFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { createHash } from 'crypto'
+import { createServer } from 'http'
+import { createModelRegistry, verifyFile, hashFile } from '../server/model-registry.js'
+
+const CONTENTS = Buffer.from('pretend this is an onnx model'.repeat(2000))
+const SHA256 = createHash('sha256').update(CONTENTS).digest('hex')
+
+describe('verifyFile', () => {
+    let dir
+    let path
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'timmons-models-'))
+        path = join(dir, 'model.onnx')
+    })
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should report missing files', async () => {
+        expect((await verifyFile(path, { size: null, sha256: null })).reason).toBe('missing')
+    })
+
+    it('should accept a file matching its pinned hash', async () => {
+        writeFileSync(path, CONTENTS)
+        expect(await hashFile(path)).toBe(SHA256)
+        expect(await verifyFile(path, { size: CONTENTS.length, sha256: SHA256 }))
+            .toMatchObject({ ok: true, pinned: true })
+    })
+
+    it('should reject truncated files by size', async () => {
+        writeFileSync(path, CONTENTS.subarray(0, 10))
+        const result = await verifyFile(path, { size: CONTENTS.length, sha256: SHA256 })
+        expect(result.ok).toBe(false)
+        expect(result.reason).toMatch(/^size 10,/)
+    })
+
+    it('should reject tampered files of the right size', async () => {
+        const tampered = Buffer.from(CONTENTS)
+        tampered[0] ^= 1
+        writeFileSync(path, tampered)
+        expect((await verifyFile(path, { size: CONTENTS.length, sha256: SHA256 })).reason).toBe('hash mismatch')
+    })
+
+    it('should refuse a file without a pinned hash', async () => {
+        writeFileSync(path, CONTENTS)
+        expect(await verifyFile(path, { size: null, sha256: null }))
+            .toMatchObject({ ok: false, pinned: false, reason: 'hash not pinned' })
+    })
+
+    it('should only check the size of an unpinned file when allowed to', async () => {
+        writeFileSync(path, CONTENTS)
+        expect(await verifyFile(path, { size: null, sha256: null }, { allowUnpinned: true }))
+            .toMatchObject({ ok: true, pinned: false })
+        expect((await verifyFile(path, { size: 10, sha256: null }, { allowUnpinned: true })).ok).toBe(false)
+    })
+})
+
+describe('Model Registry', () => {
+    let dir
+    let server
+    let baseUrl
+    let served
+    let requests
+    let ifRanges
+    let honourRange
+    let honourIfRange
+    let dropAfter
+
+    const manifest = () => ({
+        models: {
+            'Test/model': {
+                source: `${baseUrl}/Test/model`,
+                files: { 'onnx/model.onnx': { size: CONTENTS.length, sha256: SHA256 } }
+            }
+        }
+    })
+
+    beforeEach(async () => {
+        dir = mkdtempSync(join(tmpdir(), 'timmons-models-'))
+        served = CONTENTS
+        requests = []
+        ifRanges = []
+        honourRange = true
+        honourIfRange = true
+        dropAfter = null
+
+        // Minimal file server with Range and If-Range support and a way to cut a transfer short
+        server = createServer((req, res) => {
+            requests.push(req.headers.range || null)
+            ifRanges.push(req.headers['if-range'] || null)
+            const etag = `"${createHash('sha256').update(served).digest('hex').slice(0, 16)}"`
+            const range = /^bytes=(\d+)-$/.exec(req.headers.range || '')
+            const sameFile = !honourIfRange || !req.headers['if-range'] || req.headers['if-range'] === etag
+
+            if (range && honourRange && sameFile) {
+                const start = Number(range[1])
+                if (start >= served.length) {
+                    res.writeHead(416)
+                    return res.end()
+                }
+                res.writeHead(206, {
+                    ETag: etag,
+                    'Content-Length': served.length - start,
+                    'Content-Range': `bytes ${start}-${served.length - 1}/${served.length}`
+                })
+                return res.end(served.subarray(start))
+            }
+
+            res.writeHead(200, { ETag: etag, 'Content-Length': served.length })
+            if (dropAfter !== null) {
+                const bytes = dropAfter
+                dropAfter = null
+                return res.write(served.subarray(0, bytes), () => res.socket.destroy())
+            }
+            res.end(served)
+        })
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+        baseUrl = `http://127.0.0.1:${server.address().port}`
+    })
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve))
+        rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should only resolve files listed in the manifest', () => {
+        const registry = createModelRegistry({ manifest: manifest(), rootDir: dir, retryDelayMs: 0 })
+        expect(registry.resolve('Test/model/onnx/model.onnx').path).toBe(join(dir, 'Test/model/onnx/model.onnx'))
+        expect(registry.resolve('Test/model/../../etc/passwd')).toBeNull()
+        expect(registry.resolve('Other/model/config.json')).toBeNull()
+    })
+
+    it('should download and verify a missing file', async () => {
+        const registry = createModelRegistry({ manifest: manifest(), rootDir: dir, retryDelayMs: 0 })
+        const entry = registry.resolve('Test/model/onnx/model.onnx')
+
+        expect((await registry.check(entry)).ok).toBe(false)
+        expect((await registry.download(entry)).ok).toBe(true)
+        expect(readFileSync(entry.path)).toEqual(CONTENTS)
+    })
+
+    it('should never put a tampered download in place', async () => {
+        const registry = createModelRegistry({ manifest: manifest(), rootDir: dir, retryDelayMs: 0 })
+        const entry = registry.resolve('Test/model/onnx/model.onnx')
+        served = Buffer.from('something else entirely!!!!!!')
+
+        await expect(registry.download(entry)).rejects.toThrow(/failed verification/)
+        expect(existsSync(entry.path)).toBe(false)
+        expect(existsSync(`${entry.path}.partial`)).toBe(false)
+    })
+
+    it('should notice a file changed on disk after it was verified', async () => {
+        const registry = createModelRegistry({ manifest: manifest(), rootDir: dir, retryDelayMs: 0 })
+        const entry = registry.resolve('Test/model/onnx/model.onnx')
+        mkdirSync(join(dir, 'Test/model/onnx'), { recursive: true })
+        writeFileSync(entry.path, CONTENTS)
+        expect((await registry.check(entry)).ok).toBe(true)
+
+        writeFileSync(entry.path, 'tampered')
+        expect((await registry.check(entry)).ok).toBe(false)
+    })
+    // A partial download of `contents`, as an earlier attempt that got this far would leave it
+    function writePartial(entry, contents, bytes = 1000) {
+        const etag = `"${createHash('sha256').update(contents).digest('hex').slice(0, 16)}"`
+        mkdirSync(join(dir, 'Test/model/onnx'), { recursive: true })
+        writeFileSync(`${entry.path}.partial`, contents.subarray(0, bytes))
+        writeFileSync(`${entry.path}.partial.json`, JSON.stringify({ etag, lastModified: null, total: contents.length }))
+    }
+
+    it('should resume a partial download with a Range request for the same file', async () => {
+        const registry = createModelRegistry({ manifest: manifest(), rootDir: dir, retryDelayMs: 0 })
+        const entry = registry.resolve('Test/model/onnx/model.onnx')
+        writePartial(entry, CONTENTS)
+
+        expect((await registry.download(entry)).ok).toBe(true)
+        expect(requests).toEqual(['bytes=1000-'])
+        expect(ifRanges[0]).toMatch(/^"[0-9a-f]{16}"$/)
+        expect(readFileSync(entry.path)).toEqual(CONTENTS)
+        expect(existsSync(`${entry.path}.partial.json`)).toBe(false)
+    })
+
+    it('should start over when the file changed upstream since the partial was fetched', async () => {
+        const registry = createModelRegistry({ manifest: manifest(), rootDir: dir, retryDelayMs: 0 })
+        const entry = registry.resolve('Test/model/onnx/model.onnx')
+        writePartial(entry, Buffer.alloc(CONTENTS.length, 7))
+
+        expect((await registry.download(entry)).ok).toBe(true)
+        expect(requests).toEqual(['bytes=1000-'])
+        expect(readFileSync(entry.path)).toEqual(CONTENTS)
+    })
+
+    it('should start over when a resumed range belongs to a file of another size', async () => {
+        const registry = createModelRegistry({ manifest: manifest(), rootDir: dir, retryDelayMs: 0 })
+        const entry = registry.resolve('Test/model/onnx/model.onnx')
+        writePartial(entry, CONTENTS)
+        writeFileSync(`${entry.path}.partial.json`, JSON.stringify({
+            ...JSON.parse(readFileSync(`${entry.path}.partial.json`, 'utf-8')), total: CONTENTS.length + 5
+        }))
+        honourIfRange = false
+
+        expect((await registry.download(entry)).ok).toBe(true)
+        expect(requests).toEqual(['bytes=1000-', null])
+        expect(readFileSync(entry.path)).toEqual(CONTENTS)
+    })
+
+    it('should not resume a partial download it can\'t tell the source of', async () => {
+        const registry = createModelRegistry({ manifest: manifest(), rootDir: dir, retryDelayMs: 0 })
+        const entry = registry.resolve('Test/model/onnx/model.onnx')
+        mkdirSync(join(dir, 'Test/model/onnx'), { recursive: true })
+        writeFileSync(`${entry.path}.partial`, CONTENTS.subarray(0, 1000))
+
+        expect((await registry.download(entry)).ok).toBe(true)
+        expect(requests).toEqual([null])
+        expect(readFileSync(entry.path)).toEqual(CONTENTS)
+    })
+
+    it('should retry an interrupted transfer from where it stopped', async () => {
+        const registry = createModelRegistry({ manifest: manifest(), rootDir: dir, retryDelayMs: 0 })
+        const entry = registry.resolve('Test/model/onnx/model.onnx')
+        dropAfter = 20000
+
+        expect((await registry.download(entry)).ok).toBe(true)
+        expect(requests).toHaveLength(2)
+        expect(readFileSync(entry.path)).toEqual(CONTENTS)
+    })
+
+    it('should start over when the server ignores the Range header', async () => {
+        const registry = createModelRegistry({ manifest: manifest(), rootDir: dir, retryDelayMs: 0 })
+        const entry = registry.resolve('Test/model/onnx/model.onnx')
+        writePartial(entry, CONTENTS)
+        honourRange = false
+
+        expect((await registry.download(entry)).ok).toBe(true)
+        expect(readFileSync(entry.path)).toEqual(CONTENTS)
+    })
+
+    it('should share one download between concurrent callers', async () => {
+        const registry = createModelRegistry({ manifest: manifest(), rootDir: dir, retryDelayMs: 0 })
+        const entry = registry.resolve('Test/model/onnx/model.onnx')
+
+        await Promise.all([registry.download(entry), registry.download(entry)])
+        expect(requests).toHaveLength(1)
+    })
+
+    it('should report each model\'s state and progress', async () => {
+        const registry = createModelRegistry({ manifest: manifest(), rootDir: dir, retryDelayMs: 0 })
+        const entry = registry.resolve('Test/model/onnx/model.onnx')
+        mkdirSync(join(dir, 'Test/model/onnx'), { recursive: true })
+        writeFileSync(`${entry.path}.partial`, CONTENTS.subarray(0, CONTENTS.length / 4))
+
+        expect((await registry.status())['Test/model']).toMatchObject({ state: 'missing', percent: 25 })
+
+        await registry.download(entry)
+        expect((await registry.status())['Test/model']).toMatchObject({
+            state: 'ready', percent: 100, totalBytes: CONTENTS.length
+        })
+    })
+
+    it('should pin a file the manifest doesn\'t on its first download', async () => {
+        const unpinned = manifest()
+        unpinned.models['Test/model'].files['onnx/model.onnx'] = { size: null, sha256: null }
+        const registry = createModelRegistry({ manifest: unpinned, rootDir: dir, retryDelayMs: 0 })
+        const entry = registry.resolve('Test/model/onnx/model.onnx')
+
+        expect(await registry.download(entry)).toMatchObject({ ok: true, pinned: true, sha256: SHA256 })
+        expect(JSON.parse(readFileSync(join(dir, 'pins.json'), 'utf-8'))).toEqual({
+            'Test/model/onnx/model.onnx': { size: CONTENTS.length, sha256: SHA256 }
+        })
+
+        // Checked against the pin after a restart, and a changed upstream file is refused
+        const restarted = createModelRegistry({ manifest: unpinned, rootDir: dir, retries: 0 })
+        writeFileSync(entry.path, Buffer.alloc(CONTENTS.length))
+        expect((await restarted.check(entry)).reason).toBe('hash mismatch')
+        rmSync(entry.path)
+        served = Buffer.alloc(CONTENTS.length, 7)
+        await expect(restarted.download(entry)).rejects.toThrow(/hash mismatch/)
+    })
+
+    it('should refuse a file on disk that nothing has pinned', async () => {
+        const unpinned = manifest()
+        unpinned.models['Test/model'].files['onnx/model.onnx'].sha256 = null
+        const entry = createModelRegistry({ manifest: unpinned, rootDir: dir }).resolve('Test/model/onnx/model.onnx')
+        mkdirSync(join(dir, 'Test/model/onnx'), { recursive: true })
+        writeFileSync(entry.path, CONTENTS)
+
+        expect((await createModelRegistry({ manifest: unpinned, rootDir: dir }).check(entry)).reason).toBe('hash not pinned')
+        expect((await createModelRegistry({ manifest: unpinned, rootDir: dir, allowUnpinned: true }).check(entry)).ok).toBe(true)
+    })
+
+    it('should report failed downloads', async () => {
+        const registry = createModelRegistry({ manifest: manifest(), rootDir: dir, retries: 0 })
+        const entry = registry.resolve('Test/model/onnx/model.onnx')
+        served = Buffer.alloc(CONTENTS.length)
+
+        await expect(registry.download(entry)).rejects.toThrow()
+        const status = (await registry.status())['Test/model']
+        expect(status.state).toBe('failed')
+        expect(status.error).toMatch(/hash mismatch/)
+    })
+})
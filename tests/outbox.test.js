@@ -0,0 +1,136 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { createOutbox, retryDelay, createIdempotencyKey } from '../src/photobooth/outbox.js'
+
+// In-memory stand-in for the IndexedDB storage
+function memoryStorage() {
+    const jobs = new Map()
+    return {
+        jobs,
+        getAll: async () => [...jobs.values()],
+        put: async (job) => { jobs.set(job.key, job) },
+        remove: async (key) => { jobs.delete(key) }
+    }
+}
+
+function makeJob(key, createdAt = '2024-06-15T10:00:00.000Z') {
+    return { key, body: { image: 'data:image/jpeg;base64,AA==' }, createdAt }
+}
+
+describe('retryDelay', () => {
+    it('should double with each attempt', () => {
+        const noJitter = () => 0.5
+        expect(retryDelay(1, noJitter)).toBe(5000)
+        expect(retryDelay(2, noJitter)).toBe(10000)
+        expect(retryDelay(4, noJitter)).toBe(40000)
+    })
+
+    it('should be capped at five minutes', () => {
+        expect(retryDelay(20, () => 0.5)).toBe(5 * 60 * 1000)
+    })
+
+    it('should add up to 20% jitter', () => {
+        expect(retryDelay(1, () => 0)).toBe(4000)
+        expect(retryDelay(1, () => 1)).toBe(6000)
+    })
+})
+
+describe('createIdempotencyKey', () => {
+    it('should return distinct 32-character hex keys', () => {
+        const key = createIdempotencyKey()
+        expect(key).toMatch(/^[0-9a-f]{32}$/)
+        expect(createIdempotencyKey()).not.toBe(key)
+    })
+})
+
+describe('Outbox', () => {
+    let outbox
+
+    afterEach(() => {
+        outbox?.stop()
+    })
+
+    it('should keep jobs and report how many are waiting', async () => {
+        const counts = []
+        const storage = memoryStorage()
+        outbox = createOutbox({ storage, send: async () => ({ ok: false, retry: true }), onChange: n => counts.push(n) })
+
+        await outbox.add(makeJob('a'))
+        await outbox.add(makeJob('b'))
+
+        expect(await outbox.count()).toBe(2)
+        expect(counts).toEqual([1, 2])
+    })
+
+    it('should deliver due jobs oldest first and remove them', async () => {
+        const sent = []
+        const storage = memoryStorage()
+        let clock = 0
+        outbox = createOutbox({
+            storage,
+            now: () => clock,
+            send: async (job) => { sent.push(job.key); return { ok: true } }
+        })
+
+        await outbox.add(makeJob('later', '2024-06-15T10:05:00.000Z'))
+        await outbox.add(makeJob('earlier', '2024-06-15T10:00:00.000Z'))
+
+        // Not due yet
+        await outbox.flush()
+        expect(sent).toEqual([])
+
+        clock = 60 * 1000
+        await outbox.flush()
+        expect(sent).toEqual(['earlier', 'later'])
+        expect(await outbox.count()).toBe(0)
+    })
+
+    it('should back off after another failure', async () => {
+        const storage = memoryStorage()
+        outbox = createOutbox({ storage, now: () => 1000, send: async () => ({ ok: false, retry: true }) })
+
+        await outbox.add(makeJob('a'))
+        await outbox.flush({ force: true })
+
+        const job = storage.jobs.get('a')
+        expect(job.attempts).toBe(2)
+        expect(job.nextAttemptAt).toBeGreaterThanOrEqual(1000 + 8000)
+    })
+
+    it('should keep jobs the server rejects outright for staff, without retrying them', async () => {
+        let sends = 0
+        const counts = []
+        const storage = memoryStorage()
+        outbox = createOutbox({
+            storage,
+            send: async () => { sends++; return { ok: false, retry: false, status: 413 } },
+            onChange: (waiting, failed) => counts.push([waiting, failed])
+        })
+
+        await outbox.add(makeJob('a'))
+        await outbox.flush({ force: true })
+        await outbox.flush({ force: true })
+
+        expect(sends).toBe(1)
+        expect(await outbox.count()).toBe(0)
+        expect(counts.at(-1)).toEqual([0, 1])
+
+        const [failed] = await outbox.failed()
+        expect(failed).toMatchObject({ key: 'a', failed: true, error: 'HTTP 413' })
+        expect(failed.body.image).toBe(makeJob('a').body.image)
+
+        await outbox.discard('a')
+        expect(await outbox.failed()).toEqual([])
+        expect(counts.at(-1)).toEqual([0, 0])
+    })
+
+    it('should not send a job twice when flushes overlap', async () => {
+        let sends = 0
+        const storage = memoryStorage()
+        outbox = createOutbox({ storage, send: async () => { sends++; return { ok: true } } })
+
+        await outbox.add(makeJob('a'))
+        await Promise.all([outbox.flush({ force: true }), outbox.flush({ force: true })])
+
+        expect(sends).toBe(1)
+    })
+})
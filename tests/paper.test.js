@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest'
+import { CURVE_SIZE, paperCurve, paperGrade, printDensity, sampleCurve } from '../src/photobooth/filter-graph/paper.js'
+
+// Slope of a curve around a 0-1 input gray
+function slope(curve, gray) {
+    return (sampleCurve(curve, gray + 0.05) - sampleCurve(curve, gray - 0.05)) / 0.1
+}
+
+describe('Paper Grades', () => {
+    it('should get steeper with each grade', () => {
+        const gammas = [0, 1, 2, 3, 4, 5].map(grade => paperGrade(grade).gamma)
+        for (let i = 1; i < gammas.length; i++) {
+            expect(gammas[i]).toBeGreaterThan(gammas[i - 1])
+        }
+    })
+
+    it('should interpolate between grades', () => {
+        const gamma = paperGrade(2.5).gamma
+        expect(gamma).toBeGreaterThan(paperGrade(2).gamma)
+        expect(gamma).toBeLessThan(paperGrade(3).gamma)
+        expect(paperGrade(9)).toEqual(paperGrade(5))
+    })
+
+    it('should go from paper white through the straight line to maximum black', () => {
+        const paper = paperGrade(2)
+        const densities = []
+        for (let logExposure = -0.5; logExposure <= 3; logExposure += 0.01) {
+            densities.push(printDensity(logExposure, paper))
+        }
+
+        expect(densities[0]).toBeCloseTo(0.05)
+        expect(densities.at(-1)).toBeCloseTo(2.1)
+
+        // Never gets lighter with more exposure, and never jumps (no banding)
+        for (let i = 1; i < densities.length; i++) {
+            expect(densities[i]).toBeGreaterThanOrEqual(densities[i - 1])
+            expect(densities[i] - densities[i - 1]).toBeLessThanOrEqual(paper.gamma * 0.01 + 1e-9)
+        }
+    })
+})
+
+describe('Paper Curve', () => {
+    it('should print black as black and white near paper white', () => {
+        const curve = paperCurve(2, 0)
+        expect(curve).toHaveLength(CURVE_SIZE)
+        expect(curve[0]).toBeCloseTo(0, 3)
+        expect(curve[CURVE_SIZE - 1]).toBeGreaterThan(0.9)
+    })
+
+    it('should be smooth and never reverse', () => {
+        for (const [grade, exposure] of [[0, 0], [2, 0], [5, 0], [3, 0.9], [1, -0.5]]) {
+            const curve = paperCurve(grade, exposure)
+            for (let i = 1; i < curve.length; i++) {
+                expect(curve[i]).toBeGreaterThanOrEqual(curve[i - 1])
+                // The old thresholds jumped here; a curve only bends
+                expect(curve[i] - curve[i - 1]).toBeLessThan(0.03)
+            }
+        }
+    })
+
+    it('should have more midtone contrast on harder grades', () => {
+        expect(slope(paperCurve(5), 0.5)).toBeGreaterThan(slope(paperCurve(2), 0.5))
+        expect(slope(paperCurve(2), 0.5)).toBeGreaterThan(slope(paperCurve(0), 0.5))
+    })
+
+    it('should compress the highlights in the toe and the shadows in the shoulder', () => {
+        const curve = paperCurve(2)
+        expect(slope(curve, 0.9)).toBeLessThan(slope(curve, 0.5))
+        expect(slope(curve, 0.12)).toBeLessThan(slope(curve, 0.5))
+    })
+
+    it('should print darker and crush more shadows with more exposure', () => {
+        const normal = paperCurve(2, 0)
+        const longer = paperCurve(2, 0.9)
+
+        expect(sampleCurve(longer, 0.5)).toBeLessThan(sampleCurve(normal, 0.5))
+        const black = curve => curve.findIndex(value => value > 0.01)
+        expect(black(longer)).toBeGreaterThan(black(normal))
+    })
+
+    it('should interpolate between table entries', () => {
+        const curve = new Float32Array([0, 0.5, 1])
+        expect(sampleCurve(curve, 0.25)).toBeCloseTo(0.25)
+        expect(sampleCurve(curve, 1)).toBe(1)
+        expect(sampleCurve(curve, -1)).toBe(0)
+    })
+})
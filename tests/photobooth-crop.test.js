@@ -40,33 +40,33 @@ describe('Crop to Subject', () => {
         state.resetImageState()
     })
 
-    it('should return early if no segmentation mask', () => {
+    it('should return early if no segmentation mask', async () => {
         const applySettings = vi.fn()
         const updatePreview = vi.fn()
 
-        cropToSubject(applySettings, updatePreview)
+        await cropToSubject(applySettings, updatePreview)
 
         expect(applySettings).not.toHaveBeenCalled()
         expect(updatePreview).not.toHaveBeenCalled()
     })
 
-    it('should toggle crop off if already cropped', () => {
+    it('should toggle crop off if already cropped', async () => {
         // Setup cropped state
         state.setIsCropped(true)
         state.setSegmentationMask(new Float32Array([1, 1, 1, 1]))
-        state.setImageWithoutBackground(new ImageDataPolyfill(2, 2))
+        state.setImageOriginal(new ImageDataPolyfill(2, 2))
 
         const applySettings = vi.fn()
         const updatePreview = vi.fn()
 
-        cropToSubject(applySettings, updatePreview)
+        await cropToSubject(applySettings, updatePreview)
 
         expect(state.isCropped).toBe(false)
         expect(applySettings).toHaveBeenCalled()
         expect(updatePreview).toHaveBeenCalled()
     })
 
-    it('should find subject bounds from mask', () => {
+    it('should find subject bounds from mask', async () => {
         // Create 4x4 mask with subject in center
         const mask = new Float32Array([
             0, 0, 0, 0,
@@ -75,28 +75,28 @@ describe('Crop to Subject', () => {
             0, 0, 0, 0
         ])
         state.setSegmentationMask(mask)
-        state.setImageWithoutBackground(new ImageDataPolyfill(4, 4))
+        state.setImageOriginal(new ImageDataPolyfill(4, 4))
 
         const applySettings = vi.fn()
         const updatePreview = vi.fn()
 
-        cropToSubject(applySettings, updatePreview)
+        await cropToSubject(applySettings, updatePreview)
 
         expect(state.isCropped).toBe(true)
         expect(state.subjectBounds).toBeDefined()
         // Subject should be found at x:1, y:1 with width:2, height:2 (before padding)
     })
 
-    it('should handle mask with no subject detected', () => {
+    it('should handle mask with no subject detected', async () => {
         // All zeros mask
         const mask = new Float32Array(16).fill(0)
         state.setSegmentationMask(mask)
-        state.setImageWithoutBackground(new ImageDataPolyfill(4, 4))
+        state.setImageOriginal(new ImageDataPolyfill(4, 4))
 
         const applySettings = vi.fn()
         const updatePreview = vi.fn()
 
-        cropToSubject(applySettings, updatePreview)
+        await cropToSubject(applySettings, updatePreview)
 
         expect(state.isCropped).toBe(false)
     })
@@ -156,7 +156,7 @@ describe('Subject Bounds State', () => {
         expect(state.isCropped).toBe(false)
     })
 
-    it('should maintain 4:5 aspect ratio for bounds', () => {
+    it('should maintain 4:5 aspect ratio for bounds', async () => {
         // This tests the aspect ratio logic in cropToSubject
         // Create a tall narrow subject
         const mask = new Float32Array(100)  // 10x10
@@ -165,12 +165,12 @@ describe('Subject Bounds State', () => {
             mask[y * 10 + 5] = 1  // column 5
         }
         state.setSegmentationMask(mask)
-        state.setImageWithoutBackground(new ImageDataPolyfill(10, 10))
+        state.setImageOriginal(new ImageDataPolyfill(10, 10))
 
         const applySettings = vi.fn()
         const updatePreview = vi.fn()
 
-        cropToSubject(applySettings, updatePreview)
+        await cropToSubject(applySettings, updatePreview)
 
         if (state.subjectBounds) {
             const ratio = state.subjectBounds.width / state.subjectBounds.height
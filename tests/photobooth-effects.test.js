@@ -43,51 +43,51 @@ describe('Effect Level Integration', () => {
         // For each effect, level 0 should give the first value in the array
         expect(state.effectValues.silhouette.backgroundDim[level]).toBe(0)
         expect(state.effectValues.lighting.lightBoost[level]).toBe(0)
-        expect(state.effectValues.highcontrast.contrast[level]).toBe(1.0)
-        expect(state.effectValues.crushedblacks.shadows[level]).toBe(0)
+        expect(state.effectValues.highcontrast.grade[level]).toBe(2)
+        expect(state.effectValues.crushedblacks.exposure[level]).toBe(0)
         expect(state.effectValues.grain.grain[level]).toBe(0)
         expect(state.effectValues.vignette.vignette[level]).toBe(0)
-        expect(state.effectValues.sepia.sepia[level]).toBe(0)
+        expect(state.effectValues.toning.toning[level]).toBe(0)
         expect(state.effectValues.softness.blur[level]).toBe(0)
     })
 
     it('should apply correct values for level 1 (medium)', () => {
         const level = 1
 
-        expect(state.effectValues.silhouette.backgroundDim[level]).toBe(0.6)
-        expect(state.effectValues.lighting.lightBoost[level]).toBe(0.3)
-        expect(state.effectValues.highcontrast.contrast[level]).toBe(1.3)
-        expect(state.effectValues.crushedblacks.shadows[level]).toBe(30)
-        expect(state.effectValues.grain.grain[level]).toBe(12)
-        expect(state.effectValues.vignette.vignette[level]).toBe(20)
-        expect(state.effectValues.sepia.sepia[level]).toBe(6)
-        expect(state.effectValues.softness.blur[level]).toBe(0.3)
+        expect(state.effectValues.silhouette.backgroundDim[level]).toBe(0.55)
+        expect(state.effectValues.lighting.lightBoost[level]).toBe(0.85)
+        expect(state.effectValues.highcontrast.grade[level]).toBe(3)
+        expect(state.effectValues.crushedblacks.exposure[level]).toBe(0.25)
+        expect(state.effectValues.grain.grain[level]).toBe(6)
+        expect(state.effectValues.vignette.vignette[level]).toBe(30)
+        expect(state.effectValues.toning.toning[level]).toBe(30)
+        expect(state.effectValues.softness.blur[level]).toBe(0.8)
     })
 
     it('should apply correct values for level 2 (high)', () => {
         const level = 2
 
         expect(state.effectValues.silhouette.backgroundDim[level]).toBe(1.0)
-        expect(state.effectValues.lighting.lightBoost[level]).toBe(0.6)
-        expect(state.effectValues.highcontrast.contrast[level]).toBe(1.6)
-        expect(state.effectValues.crushedblacks.shadows[level]).toBe(60)
-        expect(state.effectValues.grain.grain[level]).toBe(24)
-        expect(state.effectValues.vignette.vignette[level]).toBe(40)
-        expect(state.effectValues.sepia.sepia[level]).toBe(14)
-        expect(state.effectValues.softness.blur[level]).toBe(0.6)
+        expect(state.effectValues.lighting.lightBoost[level]).toBe(1.2)
+        expect(state.effectValues.highcontrast.grade[level]).toBe(4)
+        expect(state.effectValues.crushedblacks.exposure[level]).toBe(0.5)
+        expect(state.effectValues.grain.grain[level]).toBe(12)
+        expect(state.effectValues.vignette.vignette[level]).toBe(55)
+        expect(state.effectValues.toning.toning[level]).toBe(60)
+        expect(state.effectValues.softness.blur[level]).toBe(1.5)
     })
 
     it('should apply correct values for level 3 (max)', () => {
         const level = 3
 
         expect(state.effectValues.silhouette.backgroundDim[level]).toBe(1.0)
-        expect(state.effectValues.lighting.lightBoost[level]).toBe(1.0)
-        expect(state.effectValues.highcontrast.contrast[level]).toBe(2.2)
-        expect(state.effectValues.crushedblacks.shadows[level]).toBe(90)
-        expect(state.effectValues.grain.grain[level]).toBe(40)
-        expect(state.effectValues.vignette.vignette[level]).toBe(70)
-        expect(state.effectValues.sepia.sepia[level]).toBe(25)
-        expect(state.effectValues.softness.blur[level]).toBe(1.2)
+        expect(state.effectValues.lighting.lightBoost[level]).toBe(1.6)
+        expect(state.effectValues.highcontrast.grade[level]).toBe(5)
+        expect(state.effectValues.crushedblacks.exposure[level]).toBe(0.9)
+        expect(state.effectValues.grain.grain[level]).toBe(22)
+        expect(state.effectValues.vignette.vignette[level]).toBe(85)
+        expect(state.effectValues.toning.toning[level]).toBe(100)
+        expect(state.effectValues.softness.blur[level]).toBe(2.5)
     })
 })
 
@@ -117,12 +117,10 @@ describe('Combined Filter and Lighting', () => {
         expect(imageData.data[centerIdx]).not.toBe(100)
 
         // Apply filters
-        state.filterSettings.contrast = 1.5
-        state.filterSettings.brightness = 1.0
-        state.filterSettings.shadows = 0
-        state.filterSettings.highlights = 0
+        state.filterSettings.grade = 4
+        state.filterSettings.exposure = 0
         state.filterSettings.vignette = 0
-        state.filterSettings.sepia = 0
+        state.filterSettings.toning = 0
         state.filterSettings.grain = 0
         state.filterSettings.backgroundDim = 0
 
@@ -147,12 +145,10 @@ describe('Combined Filter and Lighting', () => {
         // First pixel is background, second is subject
         const mask = new Float32Array([0, 1])
 
-        state.filterSettings.contrast = 1.0
-        state.filterSettings.brightness = 1.0
-        state.filterSettings.shadows = 0
-        state.filterSettings.highlights = 0
+        state.filterSettings.grade = 2
+        state.filterSettings.exposure = 0
         state.filterSettings.vignette = 0
-        state.filterSettings.sepia = 0
+        state.filterSettings.toning = 0
         state.filterSettings.grain = 0
         state.filterSettings.backgroundDim = 0.6  // 60% dim
 
@@ -175,12 +171,10 @@ describe('Combined Filter and Lighting', () => {
 
         const mask = new Float32Array([0])  // background pixel
 
-        state.filterSettings.contrast = 1.0
-        state.filterSettings.brightness = 1.0
-        state.filterSettings.shadows = 0
-        state.filterSettings.highlights = 0
+        state.filterSettings.grade = 2
+        state.filterSettings.exposure = 0
         state.filterSettings.vignette = 0
-        state.filterSettings.sepia = 0
+        state.filterSettings.toning = 0
         state.filterSettings.grain = 0
         state.filterSettings.backgroundDim = 1.0  // full black
 
@@ -204,12 +198,10 @@ describe('Vignette Effect', () => {
             imageData.data[i + 3] = 255
         }
 
-        state.filterSettings.contrast = 1.0
-        state.filterSettings.brightness = 1.0
-        state.filterSettings.shadows = 0
-        state.filterSettings.highlights = 0
+        state.filterSettings.grade = 2
+        state.filterSettings.exposure = 0
         state.filterSettings.vignette = 50  // 50% vignette
-        state.filterSettings.sepia = 0
+        state.filterSettings.toning = 0
         state.filterSettings.grain = 0
         state.filterSettings.backgroundDim = 0
 
@@ -238,12 +230,10 @@ describe('Grain Effect', () => {
         imageData2.data[2] = 128
         imageData2.data[3] = 255
 
-        state.filterSettings.contrast = 1.0
-        state.filterSettings.brightness = 1.0
-        state.filterSettings.shadows = 0
-        state.filterSettings.highlights = 0
+        state.filterSettings.grade = 2
+        state.filterSettings.exposure = 0
         state.filterSettings.vignette = 0
-        state.filterSettings.sepia = 0
+        state.filterSettings.toning = 0
         state.filterSettings.grain = 30  // grain enabled
         state.filterSettings.backgroundDim = 0
 
@@ -268,12 +258,10 @@ describe('Grain Effect', () => {
         imageData2.data[2] = 128
         imageData2.data[3] = 255
 
-        state.filterSettings.contrast = 1.0
-        state.filterSettings.brightness = 1.0
-        state.filterSettings.shadows = 0
-        state.filterSettings.highlights = 0
+        state.filterSettings.grade = 2
+        state.filterSettings.exposure = 0
         state.filterSettings.vignette = 0
-        state.filterSettings.sepia = 0
+        state.filterSettings.toning = 0
         state.filterSettings.grain = 0  // no grain
         state.filterSettings.backgroundDim = 0
 
@@ -53,7 +53,7 @@ vi.stubGlobal('document', {
 // Import state module
 import * as state from '../src/photobooth/state.js'
 import { applyTimmonsFilters, clamp } from '../src/photobooth/filters.js'
-import { createSoftMask, erodeMask, dilateMask, gaussianBlurMask } from '../src/photobooth/mask.js'
+import { createSoftMask, erodeMask, dilateMask, gaussianBlurMask, resizeMask } from '../src/photobooth/mask.js'
 import { cropImageData } from '../src/photobooth/crop.js'
 
 describe('Photobooth State', () => {
@@ -62,50 +62,50 @@ describe('Photobooth State', () => {
         state.resetImageState()
     })
 
-    it('should have correct initial effect levels', () => {
-        expect(state.effectLevels.silhouette).toBe(2)
-        expect(state.effectLevels.lighting).toBe(2)
-        expect(state.effectLevels.highcontrast).toBe(2)
-        expect(state.effectLevels.crushedblacks).toBe(2)
-        expect(state.effectLevels.grain).toBe(2)
-        expect(state.effectLevels.vignette).toBe(2)
-        expect(state.effectLevels.sepia).toBe(2)
-        expect(state.effectLevels.softness).toBe(2)
+    it('should start with every effect off', () => {
+        expect(state.effectLevels.silhouette).toBe(0)
+        expect(state.effectLevels.lighting).toBe(0)
+        expect(state.effectLevels.highcontrast).toBe(0)
+        expect(state.effectLevels.crushedblacks).toBe(0)
+        expect(state.effectLevels.grain).toBe(0)
+        expect(state.effectLevels.vignette).toBe(0)
+        expect(state.effectLevels.toning).toBe(0)
+        expect(state.effectLevels.softness).toBe(0)
     })
 
     it('should have effect values with 4 levels (off, medium, high, max)', () => {
         expect(state.effectValues.silhouette.backgroundDim).toHaveLength(4)
         expect(state.effectValues.lighting.lightBoost).toHaveLength(4)
-        expect(state.effectValues.highcontrast.contrast).toHaveLength(4)
-        expect(state.effectValues.crushedblacks.shadows).toHaveLength(4)
+        expect(state.effectValues.highcontrast.grade).toHaveLength(4)
+        expect(state.effectValues.crushedblacks.exposure).toHaveLength(4)
         expect(state.effectValues.grain.grain).toHaveLength(4)
         expect(state.effectValues.vignette.vignette).toHaveLength(4)
-        expect(state.effectValues.sepia.sepia).toHaveLength(4)
+        expect(state.effectValues.toning.toning).toHaveLength(4)
         expect(state.effectValues.softness.blur).toHaveLength(4)
     })
 
     it('should have off value of 0 for all effects', () => {
         expect(state.effectValues.silhouette.backgroundDim[0]).toBe(0)
         expect(state.effectValues.lighting.lightBoost[0]).toBe(0)
-        expect(state.effectValues.highcontrast.contrast[0]).toBe(1.0)
-        expect(state.effectValues.crushedblacks.shadows[0]).toBe(0)
+        expect(state.effectValues.highcontrast.grade[0]).toBe(2)
+        expect(state.effectValues.crushedblacks.exposure[0]).toBe(0)
         expect(state.effectValues.grain.grain[0]).toBe(0)
         expect(state.effectValues.vignette.vignette[0]).toBe(0)
-        expect(state.effectValues.sepia.sepia[0]).toBe(0)
+        expect(state.effectValues.toning.toning[0]).toBe(0)
         expect(state.effectValues.softness.blur[0]).toBe(0)
     })
 
-    it('should have medium background dim at 0.6 (not full black)', () => {
-        expect(state.effectValues.silhouette.backgroundDim[1]).toBe(0.6)
+    it('should have medium background dim at 0.55 (not full black)', () => {
+        expect(state.effectValues.silhouette.backgroundDim[1]).toBe(0.55)
         expect(state.effectValues.silhouette.backgroundDim[2]).toBe(1.0)
     })
 
     it('should have graduated lighting values', () => {
         const lightBoost = state.effectValues.lighting.lightBoost
         expect(lightBoost[0]).toBe(0)
-        expect(lightBoost[1]).toBe(0.3)
-        expect(lightBoost[2]).toBe(0.6)
-        expect(lightBoost[3]).toBe(1.0)
+        expect(lightBoost[1]).toBe(0.85)
+        expect(lightBoost[2]).toBe(1.2)
+        expect(lightBoost[3]).toBe(1.6)
     })
 
     it('should reset image state correctly', () => {
@@ -120,6 +120,28 @@ describe('Photobooth State', () => {
         expect(state.subjectBounds).toBeNull()
     })
 
+    it('should round trip the editor state through an edit', () => {
+        state.setIsCropped(true)
+        state.setSubjectBounds({ x: 1, y: 2, width: 30, height: 40 })
+        const edit = state.currentEdit()
+        expect(edit.bounds).toEqual({ x: 1, y: 2, width: 30, height: 40 })
+        expect(edit.strokes).toEqual([])
+        expect(edit.lamp).toBeNull()
+        expect(edit.enhance).toEqual(state.enhanceSettings)
+
+        const levels = { ...state.effectLevels }
+        state.applyEdit({ ...edit, levels: { ...levels, grain: 0 }, bounds: null, enhance: { ...edit.enhance, enabled: false } })
+        expect(state.effectLevels.grain).toBe(0)
+        expect(state.isCropped).toBe(false)
+        expect(state.subjectBounds).toBeNull()
+        expect(state.enhanceSettings.enabled).toBe(false)
+
+        state.applyEdit(edit)
+        expect(state.effectLevels).toEqual(levels)
+        expect(state.isCropped).toBe(true)
+        expect(state.enhanceSettings).toEqual(edit.enhance)
+    })
+
     it('should toggle debug mode', () => {
         expect(state.debugMode).toBe(false)
         state.setDebugMode(true)
@@ -136,53 +158,45 @@ describe('Filter Functions', () => {
     })
 
     it('should convert to grayscale', () => {
-        const imageData = new ImageData(2, 2)
-        // Set a red pixel
-        imageData.data[0] = 255  // R
-        imageData.data[1] = 0    // G
-        imageData.data[2] = 0    // B
-        imageData.data[3] = 255  // A
+        const imageData = new ImageData(2, 1)
+        // A red pixel, and a gray one of the same luminance
+        // Gray = 0.299*255 + 0.587*0 + 0.114*0 = 76.245
+        imageData.data.set([255, 0, 0, 255, 76, 76, 76, 255])
 
         // Set filter settings to minimal
-        state.filterSettings.contrast = 1.0
-        state.filterSettings.brightness = 1.0
-        state.filterSettings.shadows = 0
-        state.filterSettings.highlights = 0
+        state.filterSettings.grade = 2
+        state.filterSettings.exposure = 0
         state.filterSettings.vignette = 0
-        state.filterSettings.sepia = 0
+        state.filterSettings.toning = 0
         state.filterSettings.grain = 0
         state.filterSettings.backgroundDim = 0
 
         applyTimmonsFilters(imageData)
 
-        // Red (255,0,0) should become gray based on luminance formula
-        // Gray = 0.299*255 + 0.587*0 + 0.114*0 = 76.245
-        expect(imageData.data[0]).toBeCloseTo(76, 0)
-        expect(imageData.data[1]).toBeCloseTo(76, 0)
-        expect(imageData.data[2]).toBeCloseTo(76, 0)
+        // Red (255,0,0) should print as the same gray as its luminance
+        expect(imageData.data[0]).toBe(imageData.data[1])
+        expect(imageData.data[1]).toBe(imageData.data[2])
+        expect(imageData.data[0]).toBeCloseTo(imageData.data[4], -1)
     })
 
-    it('should apply contrast correctly', () => {
-        const imageData = new ImageData(1, 1)
-        imageData.data[0] = 100
-        imageData.data[1] = 100
-        imageData.data[2] = 100
-        imageData.data[3] = 255
+    it('should print harder paper grades with more contrast', () => {
+        const print = (grade) => {
+            const imageData = new ImageData(2, 1)
+            imageData.data.set([70, 70, 70, 255, 190, 190, 190, 255])
 
-        state.filterSettings.contrast = 2.0
-        state.filterSettings.brightness = 1.0
-        state.filterSettings.shadows = 0
-        state.filterSettings.highlights = 0
-        state.filterSettings.vignette = 0
-        state.filterSettings.sepia = 0
-        state.filterSettings.grain = 0
-        state.filterSettings.backgroundDim = 0
+            state.filterSettings.grade = grade
+            state.filterSettings.exposure = 0
+            state.filterSettings.vignette = 0
+            state.filterSettings.toning = 0
+            state.filterSettings.grain = 0
+            state.filterSettings.backgroundDim = 0
 
-        applyTimmonsFilters(imageData)
+            applyTimmonsFilters(imageData)
+            return imageData.data[4] - imageData.data[0]
+        }
 
-        // Contrast formula: 128 + (value - 128) * contrast
-        // 128 + (100 - 128) * 2 = 128 + (-28 * 2) = 128 - 56 = 72
-        expect(imageData.data[0]).toBeCloseTo(72, 0)
+        expect(print(4)).toBeGreaterThan(print(2))
+        expect(print(2)).toBeGreaterThan(print(0))
     })
 
     it('should apply background dim only to background pixels', () => {
@@ -201,12 +215,10 @@ describe('Filter Functions', () => {
         // Create mask: pixel 0 = background (0), pixel 1 = subject (1)
         const mask = new Float32Array([0.0, 1.0])
 
-        state.filterSettings.contrast = 1.0
-        state.filterSettings.brightness = 1.0
-        state.filterSettings.shadows = 0
-        state.filterSettings.highlights = 0
+        state.filterSettings.grade = 2
+        state.filterSettings.exposure = 0
         state.filterSettings.vignette = 0
-        state.filterSettings.sepia = 0
+        state.filterSettings.toning = 0
         state.filterSettings.grain = 0
         state.filterSettings.backgroundDim = 0.6  // 60% dim
 
@@ -223,12 +235,11 @@ describe('Filter Functions', () => {
         imageData.data[2] = 128
         imageData.data[3] = 255
 
-        state.filterSettings.contrast = 1.0
-        state.filterSettings.brightness = 1.0
-        state.filterSettings.shadows = 0
-        state.filterSettings.highlights = 0
+        state.filterSettings.grade = 2
+        state.filterSettings.exposure = 0
         state.filterSettings.vignette = 0
-        state.filterSettings.sepia = 50  // 50%
+        state.filterSettings.toner = 'sepia'
+        state.filterSettings.toning = 50  // 50%
         state.filterSettings.grain = 0
         state.filterSettings.backgroundDim = 0
 
@@ -283,6 +294,15 @@ describe('Mask Functions', () => {
         expect(blurred[11]).toBeGreaterThan(0)
         expect(blurred[13]).toBeGreaterThan(0)
     })
+    it('should resize mask with bilinear interpolation', () => {
+        // 2x1 mask scaled to 4x2: values blend from left to right
+        const mask = new Float32Array([0, 1])
+        const resized = resizeMask(mask, 2, 1, 4, 2)
+
+        expect(resized.length).toBe(8)
+        expect(Array.from(resized.slice(0, 4))).toEqual([0, 0.5, 1, 1])
+        expect(Array.from(resized.slice(4))).toEqual([0, 0.5, 1, 1])
+    })
 })
 
 describe('Crop Functions', () => {
@@ -306,18 +326,19 @@ describe('Crop Functions', () => {
 })
 
 describe('Effect Level Values', () => {
-    it('should have increasing values for contrast levels', () => {
-        const contrast = state.effectValues.highcontrast.contrast
-        expect(contrast[0]).toBeLessThan(contrast[1])
-        expect(contrast[1]).toBeLessThan(contrast[2])
-        expect(contrast[2]).toBeLessThan(contrast[3])
+    it('should have increasing values for paper grade levels', () => {
+        const grade = state.effectValues.highcontrast.grade
+        expect(grade[0]).toBeLessThan(grade[1])
+        expect(grade[1]).toBeLessThan(grade[2])
+        expect(grade[2]).toBeLessThan(grade[3])
+        expect(grade[3]).toBeLessThanOrEqual(5)
     })
 
-    it('should have increasing values for shadows levels', () => {
-        const shadows = state.effectValues.crushedblacks.shadows
-        expect(shadows[0]).toBeLessThan(shadows[1])
-        expect(shadows[1]).toBeLessThan(shadows[2])
-        expect(shadows[2]).toBeLessThan(shadows[3])
+    it('should have increasing values for print exposure levels', () => {
+        const exposure = state.effectValues.crushedblacks.exposure
+        expect(exposure[0]).toBeLessThan(exposure[1])
+        expect(exposure[1]).toBeLessThan(exposure[2])
+        expect(exposure[2]).toBeLessThan(exposure[3])
     })
 
     it('should have increasing values for grain levels', () => {
@@ -334,11 +355,11 @@ describe('Effect Level Values', () => {
         expect(vignette[2]).toBeLessThan(vignette[3])
     })
 
-    it('should have increasing values for sepia levels', () => {
-        const sepia = state.effectValues.sepia.sepia
-        expect(sepia[0]).toBeLessThan(sepia[1])
-        expect(sepia[1]).toBeLessThan(sepia[2])
-        expect(sepia[2]).toBeLessThan(sepia[3])
+    it('should have increasing values for toning levels', () => {
+        const toning = state.effectValues.toning.toning
+        expect(toning[0]).toBeLessThan(toning[1])
+        expect(toning[1]).toBeLessThan(toning[2])
+        expect(toning[2]).toBeLessThan(toning[3])
     })
 
     it('should have increasing values for blur levels', () => {
@@ -352,43 +373,40 @@ describe('Effect Level Values', () => {
 describe('Preset Values', () => {
     it('should have classic preset', () => {
         expect(state.presetValues.classic).toBeDefined()
-        expect(state.presetValues.classic.contrast).toBeDefined()
-        expect(state.presetValues.classic.brightness).toBeDefined()
+        expect(state.presetValues.classic.grade).toBeDefined()
+        expect(state.presetValues.classic.exposure).toBeDefined()
     })
 
     it('should have silhouette preset with higher contrast', () => {
         expect(state.presetValues.silhouette).toBeDefined()
-        expect(state.presetValues.silhouette.contrast).toBeGreaterThan(state.presetValues.classic.contrast)
+        expect(state.presetValues.silhouette.grade).toBeGreaterThan(state.presetValues.classic.grade)
     })
 
     it('should have foggy preset with lower contrast', () => {
         expect(state.presetValues.foggy).toBeDefined()
-        expect(state.presetValues.foggy.contrast).toBeLessThan(state.presetValues.classic.contrast)
+        expect(state.presetValues.foggy.grade).toBeLessThan(state.presetValues.classic.grade)
     })
 })
 
 describe('Filter Settings', () => {
     it('should have all required filter settings', () => {
-        expect(state.filterSettings.contrast).toBeDefined()
-        expect(state.filterSettings.brightness).toBeDefined()
-        expect(state.filterSettings.shadows).toBeDefined()
-        expect(state.filterSettings.highlights).toBeDefined()
+        expect(state.filterSettings.grade).toBeDefined()
+        expect(state.filterSettings.exposure).toBeDefined()
         expect(state.filterSettings.grain).toBeDefined()
         expect(state.filterSettings.vignette).toBeDefined()
-        expect(state.filterSettings.sepia).toBeDefined()
+        expect(state.filterSettings.toner).toBeDefined()
+        expect(state.filterSettings.toning).toBeDefined()
         expect(state.filterSettings.blur).toBeDefined()
         expect(state.filterSettings.backgroundDim).toBeDefined()
         expect(state.filterSettings.lightBoost).toBeDefined()
     })
 
     it('should have base values for all settings', () => {
-        expect(state.baseValues.contrast).toBe(1.0)
-        expect(state.baseValues.brightness).toBe(0.95)
-        expect(state.baseValues.shadows).toBe(0)
-        expect(state.baseValues.highlights).toBe(20)
+        expect(state.baseValues.grade).toBe(2)
+        expect(state.baseValues.exposure).toBe(0)
         expect(state.baseValues.grain).toBe(0)
         expect(state.baseValues.vignette).toBe(0)
-        expect(state.baseValues.sepia).toBe(0)
+        expect(state.baseValues.toning).toBe(0)
         expect(state.baseValues.blur).toBe(0)
         expect(state.baseValues.backgroundDim).toBe(0)
         expect(state.baseValues.lightBoost).toBe(0)
@@ -0,0 +1,310 @@
+import { describe, it, expect, vi } from 'vitest'
+
+// Polyfill ImageData for Node environment (both constructor forms)
+class ImageDataPolyfill {
+    constructor(dataOrWidth, width, height) {
+        if (typeof dataOrWidth === 'number') {
+            this.width = dataOrWidth
+            this.height = width
+            this.data = new Uint8ClampedArray(dataOrWidth * width * 4)
+        } else {
+            this.width = width
+            this.height = height
+            this.data = dataOrWidth
+        }
+    }
+}
+global.ImageData = ImageDataPolyfill
+
+import {
+    prepareMask, prepareDepth, cropImage, cropMask, cropFace, renderImage, renderSize, proxySize, downscaleImage
+} from '../src/photobooth/pipeline/stages.js'
+import { createPipelineHandler } from '../src/photobooth/pipeline/handler.js'
+import { createPipeline } from '../src/photobooth/pipeline/client.js'
+import { Request, Response } from '../src/photobooth/pipeline/protocol.js'
+
+const settings = {
+    contrast: 1.2, brightness: 1, shadows: 0, highlights: 0, grain: 0, vignette: 0,
+    lightBoost: 0, backgroundDim: 0, blur: 0
+}
+const enhance = { enabled: false, order: 'after' }
+
+function grayImage(width, height, value = 128) {
+    const image = new ImageData(width, height)
+    for (let i = 0; i < image.data.length; i += 4) {
+        image.data[i] = image.data[i + 1] = image.data[i + 2] = value
+        image.data[i + 3] = 255
+    }
+    return image
+}
+
+// Subject in the middle columns of a width x height matte
+function centredMatte(width, height) {
+    const data = new Float32Array(width * height)
+    for (let y = 0; y < height; y++) {
+        for (let x = width / 4; x < width * 3 / 4; x++) data[y * width + x] = 1
+    }
+    return { width, height, data }
+}
+
+describe('Pipeline Stages', () => {
+    it('should scale a matte to the photo and report the subject ratio', () => {
+        const { mask, subjectRatio } = prepareMask(centredMatte(4, 4), 8, 8)
+        expect(mask).toHaveLength(64)
+        expect(subjectRatio).toBeGreaterThan(0.3)
+        expect(subjectRatio).toBeLessThan(0.7)
+    })
+
+    it('should return no mask when the matte has no clear subject', () => {
+        const empty = { width: 4, height: 4, data: new Float32Array(16) }
+        expect(prepareMask(empty, 4, 4)).toEqual({ mask: null, subjectRatio: 0 })
+
+        const full = { width: 4, height: 4, data: new Float32Array(16).fill(1) }
+        expect(prepareMask(full, 4, 4).mask).toBeNull()
+    })
+
+    it('should stretch estimated depth over 0-1 at the size of the photo', () => {
+        const depth = prepareDepth({ width: 2, height: 1, data: new Float32Array([3, 7]) }, 4, 2)
+
+        expect(depth).toHaveLength(8)
+        expect(Math.min(...depth)).toBe(0)
+        expect(Math.max(...depth)).toBe(1)
+    })
+
+    it('should crop image rows and leave areas outside the photo transparent', () => {
+        const image = grayImage(4, 4)
+        image.data[(1 * 4 + 2) * 4] = 200
+
+        const cropped = cropImage(image, { x: 2, y: 1, width: 3, height: 2 })
+        expect(cropped.width).toBe(3)
+        expect(cropped.data[0]).toBe(200)
+        expect(cropped.data[3]).toBe(255)
+        // Column 4 is past the photo's right edge
+        expect(cropped.data[2 * 4 + 3]).toBe(0)
+    })
+
+    it('should crop a mask to the same bounds', () => {
+        const mask = Float32Array.from({ length: 16 }, (_, i) => i)
+        expect(Array.from(cropMask(mask, 4, { x: 1, y: 2, width: 2, height: 2 }))).toEqual([9, 10, 13, 14])
+    })
+
+    it('should move the face into the coordinates of a crop', () => {
+        const face = { x: 0.5, y: 0.25, width: 0.2, height: 0.25, roll: 0.1, yaw: -0.3, noseX: 0.5, noseY: 0.3 }
+        const cropped = cropFace(face, 1000, 800, { x: 300, y: 100, width: 400, height: 400 })
+
+        expect(cropped.x).toBeCloseTo(0.5)
+        expect(cropped.y).toBeCloseTo(0.25)
+        expect(cropped.width).toBeCloseTo(0.5)
+        expect(cropped.height).toBeCloseTo(0.5)
+        expect(cropped.noseY).toBeCloseTo(0.35)
+        expect([cropped.roll, cropped.yaw]).toEqual([0.1, -0.3])
+    })
+
+    it('should size cropped renders up and proxies down', () => {
+        expect(renderSize(3840, 2160, null)).toEqual({ width: 3840, height: 2160 })
+        expect(renderSize(3840, 2160, { x: 0, y: 0, width: 700, height: 1000 })).toEqual({ width: 1400, height: 2000 })
+        expect(proxySize({ width: 3840, height: 2160 })).toEqual({ width: 800, height: 450 })
+        expect(proxySize({ width: 640, height: 480 })).toEqual({ width: 640, height: 480 })
+    })
+
+    it('should average blocks of pixels when downscaling', () => {
+        const image = grayImage(4, 2, 0)
+        image.data.set([200, 200, 200, 255], 4)
+
+        const small = downscaleImage(image, 2, 1)
+        expect(small.width).toBe(2)
+        expect(small.data[0]).toBe(50)
+        expect(small.data[3]).toBe(255)
+        expect(small.data[4]).toBe(0)
+    })
+
+    it('should render on the CPU without touching the source', async () => {
+        const image = grayImage(4, 4)
+        const result = await renderImage({ image, mask: null, settings, enhance, bounds: null, gpu: false })
+
+        expect(result).not.toBe(image)
+        expect(result.width).toBe(4)
+        expect(image.data[0]).toBe(128)
+    })
+
+    it('should stop at a checkpoint that throws', async () => {
+        const checkpoint = vi.fn(async () => { throw new Error('stop') })
+        await expect(renderImage({
+            image: grayImage(8, 8), mask: null, settings, enhance, bounds: { x: 0, y: 0, width: 4, height: 4 }, gpu: false, checkpoint
+        })).rejects.toThrow('stop')
+        expect(checkpoint).toHaveBeenCalledTimes(1)
+    })
+})
+
+describe('Pipeline Handler', () => {
+    function setup() {
+        const post = vi.fn()
+        const handler = createPipelineHandler(post)
+        return { post, handler }
+    }
+
+    it('should prepare the mask on capture and hand back a copy', async () => {
+        const { post, handler } = setup()
+        await handler.handle({ type: Request.CAPTURE, id: 1, image: grayImage(8, 8), matte: centredMatte(4, 4) })
+
+        const [reply, transfer] = post.mock.calls[0]
+        expect(reply.type).toBe(Response.CAPTURED)
+        expect(reply.id).toBe(1)
+        expect(reply.mask).toHaveLength(64)
+        expect(transfer).toEqual([reply.mask.buffer])
+    })
+
+    it('should render the captured photo', async () => {
+        const { post, handler } = setup()
+        await handler.handle({ type: Request.CAPTURE, id: 1, image: grayImage(4, 4), matte: null })
+        await handler.handle({ type: Request.RENDER, id: 2, settings, enhance, bounds: null })
+
+        const [reply, transfer] = post.mock.calls[1]
+        expect(reply.type).toBe(Response.RENDERED)
+        expect(reply.image.width).toBe(4)
+        expect(reply.resolution).toBe(1)
+        expect(transfer).toEqual([reply.image.data.buffer])
+    })
+
+    it('should render a shrunk proxy of a large photo', async () => {
+        const { post, handler } = setup()
+        await handler.handle({ type: Request.CAPTURE, id: 1, image: grayImage(2000, 1500), matte: null })
+        await handler.handle({ type: Request.RENDER, id: 2, settings, enhance, bounds: null, proxy: true })
+        await handler.handle({ type: Request.RENDER, id: 3, settings, enhance, bounds: { x: 0, y: 0, width: 1600, height: 1400 }, proxy: true })
+
+        const [uncropped, cropped] = post.mock.calls.slice(1).map(([reply]) => reply)
+        expect(uncropped.image.width).toBe(800)
+        expect(uncropped.image.height).toBe(600)
+        expect(uncropped.resolution).toBe(0.4)
+        expect(cropped.image.width).toBe(800)
+        expect(cropped.image.height).toBe(700)
+        expect(cropped.resolution).toBe(0.5)
+    })
+
+    it('should keep the grain of a photo across renders', async () => {
+        const { post, handler } = setup()
+        const grainy = { ...settings, grain: 30 }
+        await handler.handle({ type: Request.CAPTURE, id: 1, image: grayImage(800, 4), matte: null })
+        await handler.handle({ type: Request.RENDER, id: 2, settings: grainy, enhance, bounds: null })
+        await handler.handle({ type: Request.RENDER, id: 3, settings: grainy, enhance, bounds: null })
+
+        // Capturing again with the reported seed brings the same grain back
+        const { seed } = post.mock.calls[0][0]
+        await handler.handle({ type: Request.CAPTURE, id: 4, image: grayImage(800, 4), matte: null, seed })
+        await handler.handle({ type: Request.RENDER, id: 5, settings: grainy, enhance, bounds: null })
+
+        const [first, second, restored] = [1, 2, 4].map(call => post.mock.calls[call][0].image.data)
+        expect(second).toEqual(first)
+        expect(restored).toEqual(first)
+        expect(new Set(first).size).toBeGreaterThan(2)
+    })
+
+    it('should relight a photo captured with depth, and its proxy', async () => {
+        const { post, handler } = setup()
+        const relit = { ...settings, relight: 1, lampX: 0, lampY: 0.5, lampHeight: 0.2 }
+        const depth = { width: 2, height: 1, data: new Float32Array([0, 1]) }
+        await handler.handle({ type: Request.CAPTURE, id: 1, image: grayImage(8, 8), matte: centredMatte(4, 4), depth })
+        await handler.handle({ type: Request.RENDER, id: 2, settings: relit, enhance, bounds: null })
+        await handler.handle({ type: Request.RENDER, id: 3, settings: relit, enhance, bounds: null, proxy: true })
+
+        for (const call of [1, 2]) {
+            const { type, image } = post.mock.calls[call][0]
+            expect(type).toBe(Response.RENDERED)
+            expect(new Set(image.data).size).toBeGreaterThan(2)
+        }
+    })
+
+    it('should paint dodge and burn strokes into renders and proxies', async () => {
+        const { post, handler } = setup()
+        const strokes = [
+            { mode: 'dodge', size: 0.2, strength: 1, softness: 0, points: [{ x: 0.25, y: 0.5 }] },
+            { mode: 'burn', size: 0.2, strength: 1, softness: 0, points: [{ x: 0.75, y: 0.5 }] }
+        ]
+        await handler.handle({ type: Request.CAPTURE, id: 1, image: grayImage(2000, 1000), matte: null })
+        await handler.handle({ type: Request.RENDER, id: 2, settings, enhance, bounds: null, proxy: true, strokes })
+        await handler.handle({ type: Request.RENDER, id: 3, settings, enhance, bounds: { x: 1000, y: 0, width: 1000, height: 1000 }, proxy: true, strokes })
+
+        // Sampled at the strokes and in between, in each render's own pixels
+        const sample = ({ image }, x, y) => image.data[(Math.round(y * image.height) * image.width + Math.round(x * image.width)) * 4]
+        const [whole, cropped] = post.mock.calls.slice(1).map(([reply]) => reply)
+        expect(sample(whole, 0.25, 0.5)).toBeGreaterThan(sample(whole, 0.5, 0.5))
+        expect(sample(whole, 0.75, 0.5)).toBeLessThan(sample(whole, 0.5, 0.5))
+        expect(sample(cropped, 0.5, 0.5)).toBe(sample(whole, 0.75, 0.5))
+    })
+
+    it('should cancel a render once a newer one arrives', async () => {
+        const { post, handler } = setup()
+        await handler.handle({ type: Request.CAPTURE, id: 1, image: grayImage(4, 4), matte: null })
+
+        await Promise.all([
+            handler.handle({ type: Request.RENDER, id: 2, settings, enhance, bounds: null }),
+            handler.handle({ type: Request.RENDER, id: 3, settings, enhance, bounds: null })
+        ])
+
+        const replies = Object.fromEntries(post.mock.calls.map(([reply]) => [reply.id, reply.type]))
+        expect(replies[2]).toBe(Response.CANCELLED)
+        expect(replies[3]).toBe(Response.RENDERED)
+    })
+
+    it('should report errors instead of throwing', async () => {
+        const { post, handler } = setup()
+        vi.spyOn(console, 'error').mockImplementation(() => {})
+
+        await handler.handle({ type: Request.RENDER, id: 1, settings, enhance, bounds: null })
+        await handler.handle({ type: 'paint', id: 2 })
+
+        expect(post.mock.calls[0][0]).toEqual({ type: Response.ERROR, id: 1, message: 'No photo captured' })
+        expect(post.mock.calls[1][0].message).toMatch('Unknown request')
+    })
+})
+
+describe('Pipeline Client', () => {
+    // In-process stand-in for the Worker, backed by the real handler
+    function fakeWorker() {
+        const worker = {
+            postMessage: vi.fn((message) => {
+                handler.handle(structuredClone(message))
+            }),
+            terminate: vi.fn()
+        }
+        const handler = createPipelineHandler((reply) => worker.onmessage({ data: reply }))
+        return worker
+    }
+
+    it('should capture and render through the worker', async () => {
+        const pipeline = createPipeline(fakeWorker())
+        const photo = grayImage(8, 8)
+
+        const { mask, subjectRatio } = await pipeline.capture(photo, centredMatte(4, 4))
+        expect(mask).toHaveLength(64)
+        expect(subjectRatio).toBeGreaterThan(0)
+        // The caller's photo is copied before transfer
+        expect(photo.data[0]).toBe(128)
+
+        const { image, resolution } = await pipeline.render(settings, { enhance, bounds: null })
+        expect(image.width).toBe(8)
+        expect(resolution).toBe(1)
+    })
+
+    it('should resolve superseded renders with null', async () => {
+        const pipeline = createPipeline(fakeWorker())
+        await pipeline.capture(grayImage(4, 4), null)
+
+        const [first, second] = await Promise.all([
+            pipeline.render(settings, { enhance, bounds: null }),
+            pipeline.render(settings, { enhance, bounds: null })
+        ])
+        expect(first).toBeNull()
+        expect(second.image.width).toBe(4)
+    })
+
+    it('should reject pending requests when the worker fails', async () => {
+        const worker = { postMessage: vi.fn(), terminate: vi.fn() }
+        const pipeline = createPipeline(worker)
+        vi.spyOn(console, 'error').mockImplementation(() => {})
+
+        const pending = pipeline.render(settings, { enhance, bounds: null })
+        worker.onerror({ message: 'boom' })
+        await expect(pending).rejects.toThrow('boom')
+    })
+})
@@ -0,0 +1,98 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import sharp from 'sharp'
+import {
+    LAYOUT_TEMPLATES, PRINT_DPI, resolveTemplate, paperPixels, computeLayout, renderLayout, formatPrintDate
+} from '../server/print-layout.js'
+import { jpegToPdf } from '../server/pdf.js'
+
+async function makePortrait(width = 800, height = 1000) {
+    return sharp({
+        create: { width, height, channels: 3, background: { r: 40, g: 40, b: 40 } }
+    }).jpeg().toBuffer()
+}
+
+describe('resolveTemplate', () => {
+    it('should return the named template with its ID', () => {
+        const template = resolveTemplate('classic-8x10')
+        expect(template.id).toBe('classic-8x10')
+        expect(template.paper).toBe('8x10')
+    })
+
+    it('should fall back for unknown or missing templates', () => {
+        expect(resolveTemplate('poster-24x36').id).toBe('classic-5x7')
+        expect(resolveTemplate(undefined, 'classic-4x6').id).toBe('classic-4x6')
+    })
+})
+
+describe('computeLayout', () => {
+    it('should size every paper at 300 dpi', () => {
+        expect(paperPixels(LAYOUT_TEMPLATES['classic-4x6'])).toEqual({ width: 1200, height: 1800 })
+        expect(paperPixels(LAYOUT_TEMPLATES['classic-5x7'])).toEqual({ width: 1500, height: 2100 })
+        expect(paperPixels(LAYOUT_TEMPLATES['classic-8x10'])).toEqual({ width: 2400, height: 3000 })
+    })
+
+    it('should center the portrait horizontally inside the mat', () => {
+        const layout = computeLayout(resolveTemplate('classic-4x6'), { width: 1008, height: 1260 })
+        expect(layout.portrait.left).toBe(96)
+        expect(layout.portrait.left).toBeGreaterThanOrEqual(layout.border)
+    })
+
+    it('should place the caption and date below the portrait, within the sheet', () => {
+        const layout = computeLayout(resolveTemplate('classic-5x7'), { width: 1260, height: 1575 })
+        const portraitBottom = layout.portrait.top + layout.portrait.height
+        expect(layout.captionY).toBeGreaterThan(portraitBottom)
+        expect(layout.dateY).toBeGreaterThan(layout.captionY)
+        expect(layout.dateY).toBeLessThan(layout.height - layout.border)
+    })
+})
+
+describe('renderLayout', () => {
+    it('should render a JPEG at the full paper size and print density', async () => {
+        const output = await renderLayout(await makePortrait(), resolveTemplate('classic-4x6'), {
+            date: '2026-10-19T15:00:00Z'
+        })
+
+        const metadata = await sharp(output.buffer).metadata()
+        expect(output.mimeType).toBe('image/jpeg')
+        expect(metadata.width).toBe(1200)
+        expect(metadata.height).toBe(1800)
+        expect(metadata.density).toBe(PRINT_DPI)
+    })
+
+    it('should fill the sheet for borderless templates', async () => {
+        const output = await renderLayout(await makePortrait(), resolveTemplate('borderless-4x6'))
+        const { data } = await sharp(output.buffer).raw().toBuffer({ resolveWithObject: true })
+        // Top-left pixel is portrait, not mat
+        expect(data[0]).toBeLessThan(100)
+    })
+
+    it('should render a PDF with the paper size as its page', async () => {
+        const output = await renderLayout(await makePortrait(), resolveTemplate('classic-5x7'), { format: 'pdf' })
+        const text = output.buffer.toString('latin1')
+
+        expect(output.mimeType).toBe('application/pdf')
+        expect(text.startsWith('%PDF-1.4')).toBe(true)
+        expect(text).toContain('/MediaBox [0 0 360 504]')
+        expect(text.trimEnd().endsWith('%%EOF')).toBe(true)
+    })
+})
+
+describe('jpegToPdf', () => {
+    it('should point the xref table at each object', () => {
+        const pdf = jpegToPdf(Buffer.from([0xff, 0xd8, 0xff, 0xd9]), { widthPx: 300, heightPx: 600, dpi: 300 })
+        const text = pdf.toString('latin1')
+        const xrefStart = Number(/startxref\n(\d+)/.exec(text)[1])
+        const offsets = text.slice(xrefStart).match(/^\d{10} 00000 n/gm).map(line => Number(line.slice(0, 10)))
+
+        offsets.forEach((offset, i) => {
+            expect(text.slice(offset, offset + `${i + 1} 0 obj`.length)).toBe(`${i + 1} 0 obj`)
+        })
+    })
+})
+
+describe('formatPrintDate', () => {
+    it('should spell out the month', () => {
+        expect(formatPrintDate('2026-10-19T15:00:00')).toBe('October 19, 2026')
+    })
+})
@@ -0,0 +1,104 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtempSync, rmSync, writeFileSync, readdirSync, unlinkSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { createPrinter } from '../server/printers/index.js'
+import { createNullPrinter } from '../server/printers/null.js'
+import { createHotFolderPrinter } from '../server/printers/hot-folder.js'
+import { createCupsPrinter, parseRequestId } from '../server/printers/cups.js'
+
+describe('createPrinter', () => {
+    it('should return null for manual printing', () => {
+        expect(createPrinter({ driver: 'manual', timeoutSeconds: 1 }, '/')).toBeNull()
+    })
+
+    it('should reject unknown drivers', () => {
+        expect(() => createPrinter({ driver: 'fax', timeoutSeconds: 1 }, '/')).toThrow(/Unknown printer driver/)
+    })
+})
+
+describe('Null Printer', () => {
+    it('should record jobs without printing', async () => {
+        const printer = createNullPrinter()
+        const result = await printer.print({ id: 'a', file: '/tmp/a.jpg' })
+        expect(result.driverJobId).toBe('null-1')
+        expect(printer.jobs).toHaveLength(1)
+    })
+
+    it('should simulate failures', async () => {
+        const printer = createNullPrinter({ failWith: 'Out of paper' })
+        await expect(printer.print({ id: 'a', file: '/tmp/a.jpg' })).rejects.toThrow('Out of paper')
+    })
+})
+
+describe('Hot Folder Printer', () => {
+    let dir
+    let source
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'timmons-hot-'))
+        source = join(dir, 'portrait.jpg')
+        writeFileSync(source, 'jpeg bytes')
+    })
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should drop the file named after the job', async () => {
+        const folder = join(dir, 'hot')
+        const printer = createHotFolderPrinter({ folder, waitForPickup: false })
+        await printer.print({ id: 'job1', file: source })
+        expect(readdirSync(folder)).toEqual(['job1.jpg'])
+    })
+
+    it('should complete once the printer software picks the file up', async () => {
+        const folder = join(dir, 'hot')
+        const printer = createHotFolderPrinter({ folder, pollIntervalMs: 5 })
+        const printing = printer.print({ id: 'job1', file: source })
+
+        setTimeout(() => unlinkSync(join(folder, 'job1.jpg')), 20)
+        await expect(printing).resolves.toEqual({ driverJobId: 'job1.jpg' })
+    })
+
+    it('should fail when the file is never picked up', async () => {
+        const printer = createHotFolderPrinter({ folder: join(dir, 'hot'), timeoutMs: 20, pollIntervalMs: 5 })
+        await expect(printer.print({ id: 'job1', file: source })).rejects.toThrow(/did not pick up/)
+    })
+})
+
+describe('CUPS Printer', () => {
+    it('should parse the request ID from lp output', () => {
+        expect(parseRequestId('request id is Canon_SELPHY-42 (1 file(s))\n')).toBe('Canon_SELPHY-42')
+        expect(parseRequestId('lp: error')).toBeNull()
+    })
+
+    it('should submit with lp and wait until lpstat no longer lists the job', async () => {
+        const calls = []
+        let polls = 0
+        const run = async (cmd, args) => {
+            calls.push([cmd, ...args])
+            if (cmd === 'lp') return { stdout: 'request id is Selphy-7 (1 file(s))\n' }
+            polls++
+            return { stdout: polls < 3 ? 'Selphy-7   museum   1024   Mon 19 Oct\n' : '' }
+        }
+
+        const printer = createCupsPrinter({ name: 'Selphy', options: ['media=4x6'], pollIntervalMs: 1, run })
+        const result = await printer.print({ id: 'a', file: '/tmp/a.jpg', title: 'Portrait', copies: 1 })
+
+        expect(result.driverJobId).toBe('Selphy-7')
+        expect(calls[0]).toEqual(['lp', '-d', 'Selphy', '-t', 'Portrait', '-o', 'media=4x6', '/tmp/a.jpg'])
+        expect(polls).toBe(3)
+    })
+
+    it('should report lp errors', async () => {
+        const run = async () => {
+            const error = new Error('Command failed')
+            error.stderr = 'lp: The printer or class does not exist.\n'
+            throw error
+        }
+        const printer = createCupsPrinter({ name: 'Missing', run })
+        await expect(printer.print({ id: 'a', file: '/tmp/a.jpg' })).rejects.toThrow('lp failed: lp: The printer or class does not exist.')
+    })
+})
@@ -0,0 +1,79 @@
+// @vitest-environment node
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { EventEmitter } from 'events'
+import { createEventStream } from '../server/queue-events.js'
+
+// Just enough of an Express response to record what a subscriber is sent
+function fakeResponse() {
+    return {
+        headers: {},
+        flushed: false,
+        chunks: [],
+        set(headers) { Object.assign(this.headers, headers) },
+        flushHeaders() { this.flushed = true },
+        write(chunk) { this.chunks.push(chunk) }
+    }
+}
+
+function subscriber(stream) {
+    const req = new EventEmitter()
+    const res = fakeResponse()
+    stream.subscribe(req, res)
+    return { req, res }
+}
+
+describe('Queue Event Stream', () => {
+    afterEach(() => {
+        vi.useRealTimers()
+    })
+
+    it('should open an unbuffered event stream and set the reconnect delay', () => {
+        const { res } = subscriber(createEventStream())
+
+        expect(res.headers).toMatchObject({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'X-Accel-Buffering': 'no'
+        })
+        expect(res.flushed).toBe(true)
+        expect(res.chunks).toEqual(['retry: 3000\n\n'])
+    })
+
+    it('should frame each event with an increasing id, its name and JSON data', () => {
+        const stream = createEventStream()
+        const first = subscriber(stream)
+        const second = subscriber(stream)
+
+        stream.broadcast('job-added', { id: 'abc', ticket: 'A-001' })
+        stream.broadcast('deleted', { id: 'abc' })
+
+        const expected = [
+            'id: 1\nevent: job-added\ndata: {"id":"abc","ticket":"A-001"}\n\n',
+            'id: 2\nevent: deleted\ndata: {"id":"abc"}\n\n'
+        ]
+        expect(first.res.chunks.slice(1)).toEqual(expected)
+        expect(second.res.chunks.slice(1)).toEqual(expected)
+    })
+
+    it('should stop sending to a client once its connection closes', () => {
+        const stream = createEventStream()
+        const leaving = subscriber(stream)
+        const staying = subscriber(stream)
+        expect(stream.clientCount()).toBe(2)
+
+        leaving.req.emit('close')
+        stream.broadcast('status-changed', { id: 'abc' })
+
+        expect(stream.clientCount()).toBe(1)
+        expect(leaving.res.chunks).toHaveLength(1)
+        expect(staying.res.chunks).toHaveLength(2)
+    })
+
+    it('should keep idle connections open with heartbeat comments', () => {
+        vi.useFakeTimers()
+        const { res } = subscriber(createEventStream())
+
+        vi.advanceTimersByTime(25000)
+        expect(res.chunks.at(-1)).toBe(': heartbeat\n\n')
+    })
+})
@@ -0,0 +1,127 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, appendFileSync, readdirSync, renameSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { createQueueStore, applyJournalEntry } from '../server/queue-store.js'
+
+const job = (id, status = 'pending') => ({ id, status, createdAt: '2026-01-01T00:00:00.000Z' })
+
+describe('applyJournalEntry', () => {
+    it('should add, replace and remove jobs', () => {
+        const items = []
+        applyJournalEntry(items, { op: 'put', item: job('a') })
+        applyJournalEntry(items, { op: 'put', item: job('b') })
+        applyJournalEntry(items, { op: 'put', item: job('a', 'completed') })
+        applyJournalEntry(items, { op: 'remove', id: 'b' })
+
+        expect(items).toEqual([job('a', 'completed')])
+    })
+
+    it('should be idempotent when an entry is replayed twice', () => {
+        const entry = { op: 'put', item: job('a') }
+        const items = applyJournalEntry(applyJournalEntry([], entry), entry)
+        expect(items).toHaveLength(1)
+    })
+})
+
+describe('Queue Store', () => {
+    let dir
+    let file
+    let store
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'timmons-queue-'))
+        file = join(dir, 'print-queue.json')
+        store = createQueueStore(file, { backupCount: 3 })
+        vi.spyOn(console, 'warn').mockImplementation(() => {})
+        vi.spyOn(console, 'error').mockImplementation(() => {})
+    })
+
+    afterEach(() => {
+        vi.restoreAllMocks()
+        rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should start empty on a fresh install', () => {
+        const result = store.load()
+        expect(result.items).toEqual([])
+        expect(result.recovered).toBe(false)
+    })
+
+    it('should read the legacy plain-array queue file', () => {
+        writeFileSync(file, JSON.stringify([job('a')], null, 2))
+        const result = store.load()
+        expect(result.items).toEqual([job('a')])
+        expect(result.recovered).toBe(false)
+    })
+
+    it('should replay journaled changes on top of the snapshot', () => {
+        store.snapshot([job('a')])
+        store.put(job('b'))
+        store.put(job('a', 'completed'))
+        store.remove('b')
+
+        const result = createQueueStore(file, { backupCount: 3 }).load()
+        expect(result.items).toEqual([job('a', 'completed')])
+        expect(result.replayed).toBe(3)
+    })
+
+    it('should start a new journal after each snapshot', () => {
+        store.put(job('a'))
+        expect(store.put(job('b'))).toBe(2)
+        store.snapshot([job('a'), job('b')])
+        expect(store.put(job('c'))).toBe(1)
+    })
+
+    it('should ignore a torn final journal line', () => {
+        store.snapshot([])
+        store.put(job('a'))
+        appendFileSync(store.journalPath, '{"op":"put","item":{"id":"b"')
+
+        expect(store.load().items).toEqual([job('a')])
+    })
+
+    it('should recover from a corrupted snapshot using the backup and journals', () => {
+        store.snapshot([job('a')])
+        store.put(job('b'))
+        store.snapshot([job('a'), job('b')])
+        store.put(job('c'))
+
+        // Simulate a torn write of the main file
+        writeFileSync(file, '[{"id": "a", "sta')
+
+        const result = createQueueStore(file, { backupCount: 3 }).load()
+        expect(result.recovered).toBe(true)
+        expect(result.source).toBe(`${file}.1`)
+        expect(result.items.map(item => item.id)).toEqual(['a', 'b', 'c'])
+
+        // The damaged file is kept aside, not deleted
+        expect(readdirSync(dir).some(name => name.startsWith('print-queue.json.corrupt-'))).toBe(true)
+        expect(existsSync(file)).toBe(false)
+    })
+
+    it('should recover when a crash left no main snapshot', () => {
+        store.snapshot([job('a')])
+        store.put(job('b'))
+
+        // A crash mid-snapshot: the old generation was rotated out but the new file never landed
+        renameSync(file, `${file}.1`)
+        renameSync(store.journalPath, `${store.journalPath}.1`)
+
+        const result = store.load()
+        expect(result.recovered).toBe(true)
+        expect(result.items.map(item => item.id)).toEqual(['a', 'b'])
+    })
+
+    it('should keep a limited number of rolling backups', () => {
+        for (let i = 0; i < 6; i++) {
+            store.snapshot([job(`v${i}`)])
+        }
+
+        expect(JSON.parse(readFileSync(file, 'utf-8'))[0].id).toBe('v5')
+        expect(JSON.parse(readFileSync(`${file}.1`, 'utf-8'))[0].id).toBe('v4')
+        expect(JSON.parse(readFileSync(`${file}.3`, 'utf-8'))[0].id).toBe('v2')
+        expect(existsSync(`${file}.4`)).toBe(false)
+    })
+})
@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest'
+
+// Polyfill ImageData for Node environment (both constructor forms)
+class ImageDataPolyfill {
+    constructor(dataOrWidth, width, height) {
+        if (typeof dataOrWidth === 'number') {
+            this.width = dataOrWidth
+            this.height = width
+            this.data = new Uint8ClampedArray(dataOrWidth * width * 4)
+        } else {
+            this.width = width
+            this.height = height
+            this.data = dataOrWidth
+        }
+    }
+}
+global.ImageData = ImageDataPolyfill
+
+import { RECIPE_VERSION, checkRecipe, createRecipe, decodeSource, encodeSource } from '../src/photobooth/recipe.js'
+import { createEditHistory } from '../src/photobooth/history.js'
+import { replayRecipe } from '../src/photobooth/pipeline/replay.js'
+import { createPipelineHandler } from '../src/photobooth/pipeline/handler.js'
+import { Request } from '../src/photobooth/pipeline/protocol.js'
+
+const settings = {
+    grade: 3, exposure: 0.2, grain: 20, vignette: 30, toner: 'sepia', toning: 20, blur: 0,
+    backgroundDim: 0.55, lightBoost: 0.85, lightingPattern: 'rembrandt',
+    relight: 0.5, lampX: 0.75, lampY: 0.2, lampHeight: 0.6
+}
+const enhance = { enabled: false, order: 'before' }
+const face = { x: 0.3, y: 0.2, width: 0.4, height: 0.5, roll: 0, yaw: 0, noseX: 0.5, noseY: 0.45 }
+const stroke = { mode: 'burn', size: 0.3, strength: 1, softness: 0.5, points: [{ x: 0.2, y: 0.8 }, { x: 0.6, y: 0.8 }] }
+
+// A gradient, so the grain and lights have something to show on
+function capture(width, height) {
+    const image = new ImageData(width, height)
+    for (let i = 0; i < width * height; i++) {
+        image.data.set([(i % width) * 8, Math.floor(i / width) * 8, 128, 255], i * 4)
+    }
+    return image
+}
+
+// Subject in the middle, nearest the camera in the middle too
+function field(width, height, inside, outside) {
+    const data = new Float32Array(width * height)
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data[y * width + x] = x >= width / 4 && x < width * 3 / 4 ? inside : outside
+        }
+    }
+    return { width, height, data }
+}
+
+function recipeFor(photo, history, seed) {
+    return createRecipe(
+        { photo, segmenter: 'modnet', seed, face },
+        { settings, enhance, history: history.toJSON(), gpu: false, printLongEdge: 2400 }
+    )
+}
+
+describe('Recipe Sources', () => {
+    it('should keep every float exactly', () => {
+        // Longer than one chunk of the base64 encoder
+        const data = Float32Array.from({ length: 20000 }, (_, i) => Math.sin(i) / 3)
+        const encoded = JSON.parse(JSON.stringify(encodeSource({ width: 200, height: 100, data })))
+
+        expect(typeof encoded.data).toBe('string')
+        expect(decodeSource(encoded)).toEqual({ width: 200, height: 100, data })
+        expect(encodeSource(null)).toBeNull()
+    })
+
+    it('should refuse a source of the wrong size', () => {
+        const encoded = encodeSource({ width: 2, height: 2, data: new Float32Array(4) })
+        expect(() => decodeSource({ ...encoded, height: 3 })).toThrow('expected 2x3')
+    })
+})
+
+describe('Recipes', () => {
+    it('should keep a copy apart from later edits', () => {
+        const history = createEditHistory({ levels: { grain: 1 }, choices: {}, preset: null, bounds: null, strokes: [] })
+        const recipe = recipeFor({ width: 4, height: 4 }, history, 7)
+        history.push({ type: 'stroke', stroke })
+
+        expect(recipe.version).toBe(RECIPE_VERSION)
+        expect(recipe.history.commands).toEqual([])
+        expect(recipe.print).toEqual({ longEdge: 2400 })
+        expect(JSON.parse(JSON.stringify(recipe))).toEqual(recipe)
+    })
+
+    it('should refuse a recipe from another version', () => {
+        expect(() => checkRecipe({ version: RECIPE_VERSION + 1 })).toThrow('Unsupported recipe version')
+    })
+})
+
+describe('Recipe Replay', () => {
+    const width = 16
+    const height = 12
+    const matte = field(8, 6, 1, 0)
+    const depth = field(8, 6, 5, 1)
+
+    function editedHistory() {
+        const history = createEditHistory({ levels: {}, choices: {}, preset: null, bounds: null, strokes: [] })
+        history.push({ type: 'stroke', stroke })
+        return history
+    }
+
+    it('should render the same portrait as the kiosk', async () => {
+        const history = editedHistory()
+        const replies = []
+        const handler = createPipelineHandler(reply => replies.push(reply))
+        await handler.handle({
+            type: Request.CAPTURE, id: 1, image: capture(width, height),
+            matte: decodeSource(encodeSource(matte)), depth: decodeSource(encodeSource(depth)), face, seed: 1234
+        })
+        await handler.handle({
+            type: Request.RENDER, id: 2, settings, enhance, bounds: null, proxy: false, strokes: history.edit.strokes
+        })
+        const kiosk = replies[1].image
+
+        const recipe = JSON.parse(JSON.stringify(recipeFor({ width, height }, history, replies[0].seed)))
+        const sources = { capture: capture(width, height), matte: decodeSource(encodeSource(matte)), depth: decodeSource(encodeSource(depth)) }
+        const replayed = await replayRecipe(recipe, sources)
+
+        expect(replayed.width).toBe(width)
+        expect([...replayed.data]).toEqual([...kiosk.data])
+
+        // Without the seed the grain falls elsewhere
+        const reseeded = await replayRecipe({ ...recipe, seed: 99 }, sources)
+        expect([...reseeded.data]).not.toEqual([...kiosk.data])
+    })
+
+    it('should render at another size', async () => {
+        const recipe = recipeFor({ width, height }, editedHistory(), 1)
+        const replayed = await replayRecipe(recipe, { capture: capture(width, height), matte, depth: null }, { longEdge: 8 })
+
+        expect(replayed.width).toBe(8)
+        expect(replayed.height).toBe(6)
+    })
+
+    it('should refuse a capture that is not the recipe\'s', async () => {
+        const recipe = recipeFor({ width, height }, editedHistory(), 1)
+        await expect(replayRecipe(recipe, { capture: capture(8, 8), matte: null, depth: null }))
+            .rejects.toThrow('recipe expects 16x12')
+    })
+})
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import { normalStep, relightShading, surfaceNormal } from '../src/photobooth/relight.js'
+
+const SIZE = 64
+
+// A dome rising towards the camera in the middle of the frame
+function dome(size = SIZE) {
+    const depth = new Float32Array(size * size)
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const r = Math.hypot(x - size / 2, y - size / 2) / (size / 3)
+            depth[y * size + x] = Math.sqrt(Math.max(0, 1 - r * r)) * 0.3
+        }
+    }
+    return depth
+}
+
+const lamp = (lampX, lampY, lampHeight = 0.6) => ({ lampX, lampY, lampHeight })
+
+describe('Depth Normals', () => {
+    it('should face the camera on flat depth', () => {
+        const [x, y, z] = surfaceNormal(new Float32Array(SIZE * SIZE).fill(0.5), 10, 10, SIZE, SIZE)
+        expect([x, y, z].map(v => Math.abs(v))).toEqual([0, 0, 1])
+    })
+
+    it('should tilt towards where the depth falls away', () => {
+        const depth = dome()
+        expect(surfaceNormal(depth, 44, 32, SIZE, SIZE)[0]).toBeGreaterThan(0.2)
+        expect(surfaceNormal(depth, 20, 32, SIZE, SIZE)[0]).toBeLessThan(-0.2)
+        expect(surfaceNormal(depth, 32, 20, SIZE, SIZE)[1]).toBeLessThan(-0.2)
+    })
+
+    it('should sample depth the same distance apart at any resolution', () => {
+        expect(normalStep(800, 600)).toBe(3)
+        expect(normalStep(3200, 4000)).toBe(15)
+        expect(normalStep(100, 80)).toBe(1)
+    })
+})
+
+describe('Relighting', () => {
+    it('should light the side of the form facing the lamp', () => {
+        const depth = dome()
+        const right = lamp(0.9, 0.5)
+        expect(relightShading(depth, 44, 32, SIZE, SIZE, right))
+            .toBeGreaterThan(relightShading(depth, 20, 32, SIZE, SIZE, right) * 1.3)
+
+        // Moving the lamp across moves the light with it
+        const left = lamp(0.1, 0.5)
+        expect(relightShading(depth, 20, 32, SIZE, SIZE, left))
+            .toBeGreaterThan(relightShading(depth, 44, 32, SIZE, SIZE, left) * 1.3)
+    })
+
+    it('should add a sheen where the surface faces the lamp and the camera', () => {
+        const flat = new Float32Array(SIZE * SIZE)
+        // Ambient, diffuse and sheen all at their brightest straight under the lamp
+        expect(relightShading(flat, 32, 32, SIZE, SIZE, lamp(0.5, 0.5))).toBeCloseTo(1.4, 1)
+    })
+
+    it('should light more evenly as the lamp rises away', () => {
+        const flat = new Float32Array(SIZE * SIZE)
+        const spread = height => relightShading(flat, 32, 32, SIZE, SIZE, lamp(0.5, 0.5, height)) -
+            relightShading(flat, 0, 0, SIZE, SIZE, lamp(0.5, 0.5, height))
+
+        expect(spread(0.1)).toBeGreaterThan(0.3)
+        expect(spread(2)).toBeLessThan(0.1)
+    })
+})
@@ -0,0 +1,89 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtempSync, rmSync, readFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { selectExpired, lastClosingTime, createAuditLog } from '../server/retention.js'
+
+// Local time, like the sweeper
+const NOW = new Date(2024, 5, 15, 19, 30)
+const hoursAgo = (hours) => new Date(NOW - hours * 60 * 60 * 1000).toISOString()
+
+const POLICY = { completedHours: 4, closingTime: '', maxAgeHours: 24 }
+
+describe('lastClosingTime', () => {
+    it('should return today\'s closing once it has passed', () => {
+        expect(lastClosingTime('18:00', NOW)).toEqual(new Date(2024, 5, 15, 18, 0))
+    })
+
+    it('should return yesterday\'s closing before today\'s', () => {
+        expect(lastClosingTime('20:00', NOW)).toEqual(new Date(2024, 5, 14, 20, 0))
+    })
+
+    it('should be disabled when empty or malformed', () => {
+        expect(lastClosingTime('', NOW)).toBeNull()
+        expect(lastClosingTime('6pm', NOW)).toBeNull()
+    })
+})
+
+describe('selectExpired', () => {
+    it('should keep recent and unfinished jobs', () => {
+        const items = [
+            { id: 'a', status: 'pending', createdAt: hoursAgo(10) },
+            { id: 'b', status: 'completed', createdAt: hoursAgo(3), printedAt: hoursAgo(2) }
+        ]
+        expect(selectExpired(items, POLICY, NOW)).toEqual([])
+    })
+
+    it('should delete finished jobs after the completed retention', () => {
+        const items = [
+            { id: 'a', status: 'completed', createdAt: hoursAgo(6), printedAt: hoursAgo(5) },
+            { id: 'b', status: 'cancelled', createdAt: hoursAgo(6), updatedAt: hoursAgo(4) }
+        ]
+        expect(selectExpired(items, POLICY, NOW).map(e => [e.item.id, e.reason]))
+            .toEqual([['a', 'completed'], ['b', 'completed']])
+    })
+
+    it('should delete any job past the maximum age, whatever its status', () => {
+        // A cancelled job restored to pending must not escape the policy
+        const items = [{ id: 'a', status: 'pending', createdAt: hoursAgo(25) }]
+        expect(selectExpired(items, POLICY, NOW)[0].reason).toBe('max-age')
+    })
+
+    it('should delete everything created before closing time', () => {
+        const items = [
+            { id: 'a', status: 'pending', createdAt: new Date(2024, 5, 15, 17, 55).toISOString() },
+            { id: 'b', status: 'pending', createdAt: new Date(2024, 5, 15, 18, 5).toISOString() }
+        ]
+        const expired = selectExpired(items, { ...POLICY, closingTime: '18:00' }, NOW)
+        expect(expired.map(e => [e.item.id, e.reason])).toEqual([['a', 'closing-time']])
+    })
+
+    it('should skip rules that are switched off', () => {
+        const items = [{ id: 'a', status: 'completed', createdAt: hoursAgo(100) }]
+        expect(selectExpired(items, { completedHours: null, maxAgeHours: 0 }, NOW)).toEqual([])
+    })
+})
+
+describe('Audit Log', () => {
+    let dir
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'timmons-audit-'))
+    })
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should append one JSON entry per line', () => {
+        const log = createAuditLog(join(dir, 'audit.log'))
+        log.record('delete', { jobId: 'a', reason: 'max-age' })
+        log.record('delete', { jobId: 'b', reason: 'staff' })
+
+        const entries = readFileSync(log.path, 'utf-8').trim().split('\n').map(line => JSON.parse(line))
+        expect(entries.map(e => e.jobId)).toEqual(['a', 'b'])
+        expect(entries[0]).toMatchObject({ action: 'delete', reason: 'max-age' })
+        expect(entries[0].at).toBeTruthy()
+    })
+})
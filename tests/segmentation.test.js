@@ -0,0 +1,131 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest'
+import sharp from 'sharp'
+import {
+    imageToTensorData, normalizeMatte, toFloat16, createServerSegmenter, INPUT_SIZE
+} from '../server/segmentation.js'
+import { fromFloat16 } from '../src/photobooth/segmenters/remote.js'
+
+function makeImage(width, height, background = { r: 255, g: 0, b: 0 }) {
+    return sharp({ create: { width, height, channels: 3, background } }).png().toBuffer()
+}
+
+// Stand-in for onnxruntime-node: a 2x2 "model" that returns a fixed matte
+function fakeRuntime(matte = [0, 2, 4, 8]) {
+    const session = {
+        inputNames: ['input'],
+        outputNames: ['output'],
+        run: vi.fn(async (feeds) => {
+            expect(feeds.input.dims).toEqual([1, 3, INPUT_SIZE, INPUT_SIZE])
+            return { output: { dims: [1, 1, 2, 2], data: Float32Array.from(matte) } }
+        })
+    }
+
+    return {
+        session,
+        InferenceSession: { create: vi.fn(async () => session) },
+        Tensor: class {
+            constructor(type, data, dims) {
+                Object.assign(this, { type, data, dims })
+            }
+        }
+    }
+}
+
+describe('imageToTensorData', () => {
+    it('should produce planar RGB shifted to -0.5..0.5', async () => {
+        const { data, width, height } = await imageToTensorData(await makeImage(40, 30))
+        const plane = INPUT_SIZE * INPUT_SIZE
+
+        expect([width, height]).toEqual([40, 30])
+        expect(data).toHaveLength(3 * plane)
+        expect(data[0]).toBeCloseTo(0.5)
+        expect(data[plane]).toBeCloseTo(-0.5)
+        expect(data[2 * plane + plane - 1]).toBeCloseTo(-0.5)
+    })
+
+    it('should reject data that is not an image with status 400', async () => {
+        await expect(imageToTensorData(Buffer.from('not an image'))).rejects.toMatchObject({ status: 400 })
+    })
+})
+
+describe('normalizeMatte', () => {
+    it('should stretch values to fill 0-1', () => {
+        expect(Array.from(normalizeMatte([2, 4, 6]))).toEqual([0, 0.5, 1])
+    })
+
+    it('should not divide by zero on a flat matte', () => {
+        expect(Array.from(normalizeMatte([3, 3]))).toEqual([0, 0])
+    })
+})
+
+describe('Float16', () => {
+    it('should encode common values exactly', () => {
+        expect(Array.from(toFloat16([0, 0.5, 1, -2]))).toEqual([0x0000, 0x3800, 0x3c00, 0xc000])
+    })
+
+    it('should round-trip mask values closely', () => {
+        const values = Float32Array.from({ length: 1001 }, (_, i) => i / 1000)
+        const decoded = fromFloat16(toFloat16(values))
+
+        decoded.forEach((v, i) => expect(Math.abs(v - values[i])).toBeLessThan(1e-3))
+    })
+
+    it('should keep tiny values as subnormals', () => {
+        const [decoded] = fromFloat16(toFloat16([1e-6]))
+        expect(decoded).toBeGreaterThan(0)
+        expect(decoded).toBeCloseTo(1e-6, 7)
+    })
+})
+
+describe('Server Segmenter', () => {
+    it('should return a PNG mask at the photo\'s size', async () => {
+        const runtime = fakeRuntime()
+        const segmenter = createServerSegmenter({ modelPath: async () => 'model.onnx', loadRuntime: async () => runtime })
+
+        const mask = await segmenter.segment(await makeImage(40, 30))
+        const { width, height, channels } = await sharp(mask.body).metadata()
+
+        expect(mask.contentType).toBe('image/png')
+        expect([mask.width, mask.height]).toEqual([40, 30])
+        expect([width, height, channels]).toEqual([40, 30, 1])
+    })
+
+    it('should return the raw matte as float16', async () => {
+        const segmenter = createServerSegmenter({ modelPath: async () => 'model.onnx', loadRuntime: async () => fakeRuntime() })
+
+        const mask = await segmenter.segment(await makeImage(40, 30), { format: 'float16' })
+        const matte = fromFloat16(new Uint16Array(mask.body.buffer, mask.body.byteOffset, mask.body.length / 2))
+
+        expect(mask.contentType).toBe('application/octet-stream')
+        expect([mask.width, mask.height]).toEqual([2, 2])
+        expect(Array.from(matte)).toEqual([0, 0.25, 0.5, 1])
+    })
+
+    it('should load the model once', async () => {
+        const runtime = fakeRuntime()
+        const segmenter = createServerSegmenter({ modelPath: async () => 'model.onnx', loadRuntime: async () => runtime })
+        const image = await makeImage(8, 8)
+
+        await Promise.all([segmenter.segment(image), segmenter.segment(image), segmenter.load()])
+        expect(runtime.InferenceSession.create).toHaveBeenCalledTimes(1)
+        expect(runtime.session.run).toHaveBeenCalledTimes(2)
+    })
+
+    it('should try loading again after a failure', async () => {
+        const modelPath = vi.fn()
+            .mockRejectedValueOnce(new Error('model missing'))
+            .mockResolvedValue('model.onnx')
+        const segmenter = createServerSegmenter({ modelPath, loadRuntime: async () => fakeRuntime() })
+
+        await expect(segmenter.load()).rejects.toThrow('model missing')
+        await expect(segmenter.load()).resolves.toHaveProperty('session')
+    })
+
+    it('should keep working after a bad photo', async () => {
+        const segmenter = createServerSegmenter({ modelPath: async () => 'model.onnx', loadRuntime: async () => fakeRuntime() })
+
+        await expect(segmenter.segment(Buffer.from('garbage'))).rejects.toMatchObject({ status: 400 })
+        await expect(segmenter.segment(await makeImage(8, 8))).resolves.toHaveProperty('contentType', 'image/png')
+    })
+})
@@ -0,0 +1,125 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createSegmenterChain, segmenterOrder } from '../src/photobooth/segmenters/chain.js'
+
+const ALL = ['modnet', 'rmbg', 'mediapipe', 'bodypix']
+
+// Stand-in backend; `failLoad` / `failSegment` make it misbehave
+function fakeSegmenter(name, { failLoad = false, failSegment = false } = {}) {
+    return {
+        name,
+        label: name.toUpperCase(),
+        device: null,
+        load: vi.fn(async function (onProgress) {
+            onProgress(100)
+            if (failLoad) throw new Error(`${name} has no model`)
+            this.device = 'wasm'
+        }),
+        segment: vi.fn(async () => {
+            if (failSegment) throw new Error(`${name} crashed`)
+            return { data: new Float32Array(4).fill(1), width: 2, height: 2 }
+        }),
+        dispose: vi.fn(async () => {})
+    }
+}
+
+function factoriesFor(segmenters) {
+    return Object.fromEntries(segmenters.map(s => [s.name, async () => s]))
+}
+
+const image = { width: 2, height: 2, data: new Uint8ClampedArray(16) }
+
+describe('Segmenter Order', () => {
+    it('should use the configured order by default', () => {
+        expect(segmenterOrder(null, ['rmbg', 'modnet'], ALL)).toEqual(['rmbg', 'modnet'])
+    })
+
+    it('should put the preferred backend first without repeating it', () => {
+        expect(segmenterOrder('bodypix', ['modnet', 'bodypix'], ALL)).toEqual(['bodypix', 'modnet'])
+    })
+
+    it('should drop unknown backends', () => {
+        expect(segmenterOrder('deeplab', ['modnet', 'u2net'], ALL)).toEqual(['modnet'])
+    })
+})
+
+describe('Segmenter Chain', () => {
+    it('should load the first backend in order', async () => {
+        const modnet = fakeSegmenter('modnet')
+        const rmbg = fakeSegmenter('rmbg')
+        const chain = createSegmenterChain({ order: ['modnet', 'rmbg'], factories: factoriesFor([modnet, rmbg]) })
+
+        expect(await chain.load()).toBe(modnet)
+        expect(rmbg.load).not.toHaveBeenCalled()
+    })
+
+    it('should fall back when a backend fails to load', async () => {
+        const modnet = fakeSegmenter('modnet', { failLoad: true })
+        const mediapipe = fakeSegmenter('mediapipe')
+        const chain = createSegmenterChain({ order: ['modnet', 'mediapipe'], factories: factoriesFor([modnet, mediapipe]) })
+
+        expect(await chain.load()).toBe(mediapipe)
+        expect(modnet.dispose).toHaveBeenCalled()
+        expect(chain.timings.modnet.error).toMatch(/no model/)
+    })
+
+    it('should fall back when a backend fails on a photo', async () => {
+        const modnet = fakeSegmenter('modnet', { failSegment: true })
+        const bodypix = fakeSegmenter('bodypix')
+        const chain = createSegmenterChain({ order: ['modnet', 'bodypix'], factories: factoriesFor([modnet, bodypix]) })
+
+        const { matte, backend } = await chain.segment(image)
+        expect(backend).toBe('bodypix')
+        expect(matte.data).toHaveLength(4)
+        expect(chain.current()).toBe(bodypix)
+    })
+
+    it('should reject once every backend has failed', async () => {
+        const chain = createSegmenterChain({
+            order: ['modnet', 'rmbg'],
+            factories: factoriesFor([fakeSegmenter('modnet', { failLoad: true }), fakeSegmenter('rmbg', { failSegment: true })])
+        })
+
+        await expect(chain.segment(image)).rejects.toThrow('No segmentation backend')
+    })
+
+    it('should share one load between concurrent callers', async () => {
+        const modnet = fakeSegmenter('modnet')
+        const chain = createSegmenterChain({ order: ['modnet'], factories: factoriesFor([modnet]) })
+
+        await Promise.all([chain.load(), chain.load(), chain.segment(image)])
+        expect(modnet.load).toHaveBeenCalledTimes(1)
+    })
+
+    it('should record load and segment times per backend', async () => {
+        let clock = 0
+        const chain = createSegmenterChain({
+            order: ['modnet'],
+            factories: { modnet: async () => { clock += 1500; return fakeSegmenter('modnet') } },
+            now: () => clock
+        })
+
+        await chain.load()
+        expect(chain.timings.modnet).toMatchObject({ label: 'MODNET', device: 'wasm', loadMs: 1500 })
+
+        await chain.segment(image)
+        expect(chain.timings.modnet.segmentMs).toBe(0)
+    })
+
+    it('should report download progress with the backend label', async () => {
+        const onProgress = vi.fn()
+        const chain = createSegmenterChain({ order: ['rmbg'], factories: factoriesFor([fakeSegmenter('rmbg')]), onProgress })
+
+        await chain.load()
+        expect(onProgress).toHaveBeenCalledWith('RMBG', 100)
+    })
+
+    it('should release the active backend on dispose', async () => {
+        const modnet = fakeSegmenter('modnet')
+        const chain = createSegmenterChain({ order: ['modnet'], factories: factoriesFor([modnet]) })
+
+        await chain.load()
+        await chain.dispose()
+        expect(modnet.dispose).toHaveBeenCalled()
+        expect(chain.current()).toBeNull()
+    })
+})
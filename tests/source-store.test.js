@@ -0,0 +1,92 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtempSync, rmSync, readFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import sharp from 'sharp'
+import { createSourceStore, validateRecipe, validateSources } from '../server/source-store.js'
+
+async function makeDataUrl(format = 'png') {
+    const buffer = await sharp({
+        create: { width: 8, height: 6, channels: 3, background: { r: 120, g: 90, b: 60 } }
+    })[format]().toBuffer()
+    return `data:image/${format};base64,${buffer.toString('base64')}`
+}
+
+// As encodeSource in src/photobooth/recipe.js sends them
+function floats(width, height) {
+    const data = Float32Array.from({ length: width * height }, (_, i) => i / 10)
+    return { width, height, data: Buffer.from(data.buffer).toString('base64') }
+}
+
+describe('validateSources', () => {
+    it('should take a PNG capture with or without a matte and depth', async () => {
+        const capture = await makeDataUrl()
+        expect(() => validateSources({ capture })).not.toThrow()
+        expect(() => validateSources({ capture, matte: floats(4, 3), depth: null })).not.toThrow()
+    })
+
+    it('should refuse a lossy capture or floats of the wrong size', async () => {
+        const capture = await makeDataUrl()
+        const jpeg = await makeDataUrl('jpeg')
+        expect(() => validateSources({ capture: jpeg })).toThrow('PNG')
+        expect(() => validateSources({ capture, matte: { ...floats(4, 3), height: 4 } })).toThrow('4x4 floats')
+        expect(() => validateSources({ capture, depth: { width: 2 } })).toThrow('Depth must be')
+    })
+})
+
+describe('validateRecipe', () => {
+    it('should only take a recipe with a version', () => {
+        expect(() => validateRecipe({ version: 1, settings: {} })).not.toThrow()
+        expect(() => validateRecipe({ settings: {} })).toThrow('with a version')
+        expect(() => validateRecipe('{"version":1}')).toThrow('with a version')
+        expect(() => validateRecipe(null)).toThrow('with a version')
+    })
+})
+
+describe('Source Store', () => {
+    let dir
+    let store
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'timmons-sources-'))
+        store = createSourceStore(dir)
+    })
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should keep the sources as sent, once', async () => {
+        const sources = { capture: await makeDataUrl(), matte: floats(4, 3), depth: null }
+        const { hash } = await store.put(sources)
+
+        expect(JSON.parse(readFileSync(store.filePath(hash), 'utf-8'))).toEqual(sources)
+        expect((await store.put({ ...sources })).hash).toBe(hash)
+        expect(await store.list()).toHaveLength(1)
+    })
+
+    it('should keep a recipe beside the sources it was rendered from', async () => {
+        const recipe = { version: 1, seed: 7, history: { version: 1, initial: {}, commands: [] } }
+        const sources = await store.put({ capture: await makeDataUrl() })
+        const { hash } = await store.putRecipe(recipe)
+
+        expect(hash).not.toBe(sources.hash)
+        expect(await store.read(hash)).toEqual(recipe)
+        expect((await store.list()).map(file => file.hash).sort()).toEqual([hash, sources.hash].sort())
+        await expect(store.putRecipe({ seed: 7 })).rejects.toThrow('with a version')
+    })
+
+    it('should not store invalid sources', async () => {
+        await expect(store.put({ capture: 'not a data URL' })).rejects.toThrow()
+        expect(await store.list()).toEqual([])
+    })
+
+    it('should remove sources and ignore ones already gone', async () => {
+        const { hash } = await store.put({ capture: await makeDataUrl() })
+        await store.remove(hash)
+        await store.remove(hash)
+
+        expect(store.has(hash)).toBe(false)
+    })
+})
@@ -0,0 +1,55 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { createTicketCounter, formatTicket } from '../server/tickets.js'
+
+describe('formatTicket', () => {
+    it('should pad numbers to three digits', () => {
+        expect(formatTicket('A', 7)).toBe('A-007')
+        expect(formatTicket('B', 1234)).toBe('B-1234')
+    })
+})
+
+describe('Ticket Counter', () => {
+    let dir
+    let file
+    let clock
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'timmons-tickets-'))
+        file = join(dir, 'tickets.json')
+        clock = new Date(2024, 5, 15, 10, 0)
+    })
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should hand out sequential tickets', () => {
+        const counter = createTicketCounter(file, { now: () => clock })
+        expect([counter.next(), counter.next(), counter.next()]).toEqual(['A-001', 'A-002', 'A-003'])
+    })
+
+    it('should continue after a restart', () => {
+        createTicketCounter(file, { now: () => clock }).next()
+        const restarted = createTicketCounter(file, { now: () => clock })
+        expect(restarted.next()).toBe('A-002')
+    })
+
+    it('should start again at 1 each day', () => {
+        const counter = createTicketCounter(file, { prefix: 'B', now: () => clock })
+        counter.next()
+        counter.next()
+
+        clock = new Date(2024, 5, 16, 9, 0)
+        expect(counter.next()).toBe('B-001')
+    })
+
+    it('should recover from an unreadable counter file', () => {
+        writeFileSync(file, '{not json')
+        const counter = createTicketCounter(file, { now: () => clock })
+        expect(counter.next()).toBe('A-001')
+    })
+})
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest'
+import { TONER_NAMES, toneGray, tonerTable } from '../src/photobooth/filter-graph/toning.js'
+import { CURVE_SIZE } from '../src/photobooth/filter-graph/paper.js'
+
+// How far a toned gray is from neutral
+function colourfulness([r, g, b]) {
+    return Math.max(r, g, b) - Math.min(r, g, b)
+}
+
+const SHADOW = 0.15
+const HIGHLIGHT = 0.85
+
+describe('Print Toning', () => {
+    it('should offer the darkroom toners', () => {
+        expect(TONER_NAMES).toEqual(['selenium', 'sepia', 'gold', 'split'])
+    })
+
+    it('should leave the print neutral at no strength', () => {
+        for (const toner of TONER_NAMES) {
+            const [r, g, b] = toneGray(toner, 0.4, 0)
+            expect(r).toBeCloseTo(0.4, 5)
+            expect(g).toBeCloseTo(0.4, 5)
+            expect(b).toBeCloseTo(0.4, 5)
+        }
+    })
+
+    it('should keep paper white white and black black', () => {
+        for (const toner of TONER_NAMES) {
+            expect(toneGray(toner, 1, 1)).toEqual([1, 1, 1])
+            expect(toneGray(toner, 0, 1)).toEqual([0, 0, 0])
+        }
+    })
+
+    it('should tone the shadows first with selenium', () => {
+        const shadow = toneGray('selenium', SHADOW, 1)
+        expect(colourfulness(shadow)).toBeGreaterThan(0.02)
+        expect(colourfulness(toneGray('selenium', HIGHLIGHT, 1))).toBeLessThan(0.005)
+
+        // Purple-brown, and a little deeper
+        expect(shadow[0]).toBeGreaterThan(shadow[1])
+        expect(shadow[2]).toBeGreaterThan(shadow[1])
+        expect(Math.max(...shadow)).toBeLessThanOrEqual(SHADOW)
+    })
+
+    it('should bleach and warm the highlights first with sepia', () => {
+        const highlight = toneGray('sepia', HIGHLIGHT, 1)
+        expect(colourfulness(highlight)).toBeGreaterThan(colourfulness(toneGray('sepia', 0.1, 1)))
+
+        // Warm: red over green over blue, and lighter than before
+        expect(highlight[0]).toBeGreaterThan(highlight[1])
+        expect(highlight[1]).toBeGreaterThan(highlight[2])
+        expect(highlight[0]).toBeGreaterThan(HIGHLIGHT)
+    })
+
+    it('should turn the print cool with gold', () => {
+        for (const gray of [SHADOW, 0.5, HIGHLIGHT]) {
+            const [r, , b] = toneGray('gold', gray, 1)
+            expect(b).toBeGreaterThan(r)
+        }
+    })
+
+    it('should split-tone warm shadows and cool highlights', () => {
+        const [shadowRed, , shadowBlue] = toneGray('split', 0.1, 1)
+        const [highlightRed, , highlightBlue] = toneGray('split', HIGHLIGHT, 1)
+
+        expect(shadowRed).toBeGreaterThan(shadowBlue)
+        expect(highlightBlue).toBeGreaterThan(highlightRed)
+    })
+
+    it('should tone more with more strength', () => {
+        const light = colourfulness(toneGray('sepia', 0.6, 0.3))
+        const full = colourfulness(toneGray('sepia', 0.6, 1))
+        expect(full).toBeGreaterThan(light)
+        expect(light).toBeGreaterThan(0)
+    })
+
+    it('should build a table of colours by gray', () => {
+        const table = tonerTable('gold', 0.8)
+        expect(table).toHaveLength(CURVE_SIZE * 3)
+        expect(Array.from(table.subarray(128 * 3, 128 * 3 + 3))).toEqual(
+            toneGray('gold', 128 / (CURVE_SIZE - 1), 0.8).map(Math.fround)
+        )
+    })
+})
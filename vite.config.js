@@ -15,7 +15,8 @@ export default defineConfig({
         main: resolve(__dirname, 'index.html'),
         darkroom: resolve(__dirname, 'darkroom.html'),
         photobooth: resolve(__dirname, 'photobooth.html'),
-        printqueue: resolve(__dirname, 'printqueue.html')
+        printqueue: resolve(__dirname, 'printqueue.html'),
+        pickup: resolve(__dirname, 'pickup.html')
       }
     }
   },